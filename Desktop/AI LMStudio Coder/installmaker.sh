@@ -51,7 +51,7 @@ echo ""
 echo "[2/5] Installing dependencies..."
 echo ""
 
-npm install acorn acorn-walk axios chalk tiktoken --save
+npm install acorn acorn-walk acorn-jsx @sveltejs/acorn-typescript axios chalk esquery tiktoken --save
 
 if [ $? -ne 0 ]; then
     echo ""
@@ -114,8 +114,11 @@ fi
 # Check dependencies
 node -e "try { require('acorn'); console.log('      ✓ acorn installed'); } catch(e) { console.log('      ✗ acorn missing'); process.exit(1); }" || exit 1
 node -e "try { require('acorn-walk'); console.log('      ✓ acorn-walk installed'); } catch(e) { console.log('      ✗ acorn-walk missing'); process.exit(1); }" || exit 1
+node -e "try { require('acorn-jsx'); console.log('      ✓ acorn-jsx installed'); } catch(e) { console.log('      ✗ acorn-jsx missing'); process.exit(1); }" || exit 1
+node -e "try { require('@sveltejs/acorn-typescript'); console.log('      ✓ @sveltejs/acorn-typescript installed'); } catch(e) { console.log('      ✗ @sveltejs/acorn-typescript missing'); process.exit(1); }" || exit 1
 node -e "try { require('axios'); console.log('      ✓ axios installed'); } catch(e) { console.log('      ✗ axios missing'); process.exit(1); }" || exit 1
 node -e "try { require('chalk'); console.log('      ✓ chalk installed'); } catch(e) { console.log('      ✗ chalk missing'); process.exit(1); }" || exit 1
+node -e "try { require('esquery'); console.log('      ✓ esquery installed'); } catch(e) { console.log('      ✗ esquery missing'); process.exit(1); }" || exit 1
 node -e "try { require('tiktoken'); console.log('      ✓ tiktoken installed'); } catch(e) { console.log('      ✗ tiktoken missing'); process.exit(1); }" || exit 1
 
 echo ""
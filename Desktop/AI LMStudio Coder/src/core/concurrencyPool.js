@@ -0,0 +1,89 @@
+/**
+ * ConcurrencyPool - Bounded pool for running async tasks in parallel
+ * Limits how many tasks are in flight at once (e.g. parallel LMStudio slots)
+ * and queues the rest in FIFO order. Queued tasks whose AbortSignal fires
+ * are dropped without ever starting.
+ */
+class ConcurrencyPool {
+  constructor(size = 1) {
+    this.size = Math.max(1, size);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Change the pool size; queued tasks start immediately if slots open up
+   * @param {number} size - Maximum number of tasks in flight
+   */
+  setSize(size) {
+    this.size = Math.max(1, size);
+    this._drain();
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Function returning a promise
+   * @param {Object} options - { signal: AbortSignal that drops the task while queued }
+   * @returns {Promise<*>} - Resolves/rejects with the task's result
+   */
+  run(task, options = {}) {
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { task, resolve, reject, signal, onAbort: null };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const position = this.queue.indexOf(entry);
+          if (position !== -1) {
+            this.queue.splice(position, 1);
+            reject(signal.reason);
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.queue.push(entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Get current pool usage
+   * @returns {Object} - { size, active, queued }
+   */
+  getStats() {
+    return {
+      size: this.size,
+      active: this.active,
+      queued: this.queue.length,
+    };
+  }
+
+  /**
+   * Start queued tasks while slots are available
+   * @private
+   */
+  _drain() {
+    while (this.active < this.size && this.queue.length > 0) {
+      const { task, resolve, reject, signal, onAbort } = this.queue.shift();
+      signal?.removeEventListener('abort', onAbort);
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+}
+
+export default ConcurrencyPool;
@@ -1,6 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync, statSync } from 'fs';
 
 /**
  * FileOperations - Handles all file I/O operations
@@ -46,6 +46,35 @@ class FileOperations {
     }
   }
 
+  /**
+   * Check if a path is an existing regular file (not a directory)
+   * @param {string} filePath - Path to check
+   * @returns {boolean} - True if it is a file
+   */
+  isFile(filePath) {
+    try {
+      return statSync(this.resolvePath(filePath)).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read a file synchronously (for checks that can't wait, like validation)
+   * @param {string} filePath - Path to file
+   * @returns {string} - File contents
+   */
+  readFileSync(filePath) {
+    try {
+      return readFileSync(this.resolvePath(filePath), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+    }
+  }
+
   /**
    * Read a file
    * @param {string} filePath - Path to file
@@ -89,6 +118,26 @@ class FileOperations {
     }
   }
 
+  /**
+   * Append content to a file, creating it if needed
+   * @param {string} filePath - Path to file
+   * @param {string} content - Content to append
+   * @returns {Promise<void>}
+   */
+  async appendFile(filePath, content) {
+    try {
+      const resolved = this.resolvePath(filePath);
+
+      // Create directory if it doesn't exist
+      const dir = path.dirname(resolved);
+      await fs.mkdir(dir, { recursive: true });
+
+      await fs.appendFile(resolved, content, 'utf-8');
+    } catch (error) {
+      throw new Error(`Failed to append to file ${filePath}: ${error.message}`);
+    }
+  }
+
   /**
    * Read JSON file
    * @param {string} filePath - Path to JSON file
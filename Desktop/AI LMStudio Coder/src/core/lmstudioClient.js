@@ -1,4 +1,5 @@
 import axios from 'axios';
+import ConcurrencyPool from './concurrencyPool.js';
 
 /**
  * LMStudioClient - OpenAI-compatible API client for LMStudio
@@ -13,6 +14,10 @@ class LMStudioClient {
     this.contextWindow = null; // Will be fetched or set by user
     this.lastUsage = null;
 
+    // Parallel request slots this backend can serve
+    this.maxConcurrency = config.maxConcurrency || 1;
+    this.pool = new ConcurrencyPool(this.maxConcurrency);
+
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: 0,
@@ -39,11 +44,40 @@ class LMStudioClient {
 
   /**
    * Complete a chat interaction
+   * Requests are queued through the client's concurrency pool, so at most
+   * maxConcurrency completions are in flight against this backend.
+   * Aborting options.signal drops queued requests, cancels the in-flight
+   * request and stops retries; the promise rejects with signal.reason.
    * @param {Array} messages - Message objects {role, content}
    * @param {Object} options - Options
    * @returns {Promise<Object>} - Response {type, content, message}
    */
   async complete(messages, options = {}) {
+    return this.pool.run(() => this._complete(messages, options), { signal: options.signal });
+  }
+
+  /**
+   * Set the number of parallel requests allowed against this backend
+   * @param {number} maxConcurrency - Parallel request slots
+   */
+  setMaxConcurrency(maxConcurrency) {
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.pool.setSize(this.maxConcurrency);
+  }
+
+  /**
+   * Get the number of parallel requests allowed against this backend
+   * @returns {number}
+   */
+  getMaxConcurrency() {
+    return this.maxConcurrency;
+  }
+
+  /**
+   * Perform a single chat completion request
+   * @private
+   */
+  async _complete(messages, options = {}) {
     if (!this.contextWindow) {
       throw new Error('Context window not set. Please set context length using /context command.');
     }
@@ -67,6 +101,13 @@ class LMStudioClient {
       stream: useStreaming,
     };
 
+    // Optional sampling controls (used by candidate diversity strategies)
+    for (const key of ['top_p', 'top_k', 'seed']) {
+      if (options[key] != null) {
+        requestBody[key] = options[key];
+      }
+    }
+
     try {
       if (useStreaming) {
         return await this.completeWithStreaming(
@@ -79,20 +120,24 @@ class LMStudioClient {
 
       const response = await this.retryRequest(
         () => this.client.post('/chat/completions', requestBody, { signal: options.signal }),
-        options.retries || 3
+        options.retries || 3,
+        options.signal
       );
 
       if (!response.data || !response.data.choices || response.data.choices.length === 0) {
         throw new Error('Invalid response from LMStudio');
       }
 
+      // Usage for this request only (lastUsage may belong to a concurrent request)
+      let usage = null;
       if (response.data.usage) {
-        this.lastUsage = {
+        usage = {
           promptTokens: response.data.usage.prompt_tokens || 0,
           completionTokens: response.data.usage.completion_tokens || 0,
           totalTokens: response.data.usage.total_tokens || 0,
           timestamp: new Date().toISOString(),
         };
+        this.lastUsage = usage;
       }
 
       const message = response.data.choices[0].message;
@@ -102,9 +147,13 @@ class LMStudioClient {
         type: 'content',
         content: completion,
         message: message,
-        usage: this.lastUsage,
+        usage,
       };
     } catch (error) {
+      // Report cancellation with the caller's reason, not axios' CanceledError
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
       if (error.response) {
         throw new Error(
           `LMStudio API error (${error.response.status}): ${
@@ -188,6 +237,7 @@ class LMStudioClient {
 
       } catch (error) {
         if (
+          signal?.aborted ||
           error.code === 'ECONNREFUSED' ||
           (error.response && error.response.status === 400)
         ) {
@@ -196,7 +246,7 @@ class LMStudioClient {
 
         if (attempt < maxRetries - 1) {
           const delay = Math.pow(2, attempt) * 1000;
-          await this.sleep(delay);
+          await this.sleep(delay, signal);
         } else {
           throw error;
         }
@@ -328,7 +378,7 @@ class LMStudioClient {
    * Retry with backoff
    * @private
    */
-  async retryRequest(requestFn, maxRetries = 3) {
+  async retryRequest(requestFn, maxRetries = 3, signal = null) {
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -338,6 +388,7 @@ class LMStudioClient {
         lastError = error;
 
         if (
+          signal?.aborted ||
           error.code === 'ECONNREFUSED' ||
           (error.response && error.response.status === 400)
         ) {
@@ -346,7 +397,7 @@ class LMStudioClient {
 
         if (attempt < maxRetries - 1) {
           const delay = Math.pow(2, attempt) * 1000;
-          await this.sleep(delay);
+          await this.sleep(delay, signal);
         }
       }
     }
@@ -355,11 +406,22 @@ class LMStudioClient {
   }
 
   /**
-   * Sleep helper
+   * Sleep helper (wakes early if the signal is aborted)
    * @private
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        // A signal reused across retries would otherwise collect one listener per sleep
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -0,0 +1,304 @@
+/**
+ * AnswerNormalizer - Extracts and normalizes answers for non-code voting
+ * Code is clustered by structure or behavior, but questions,
+ * classifications, extractions and calculations need exact agreement on
+ * the final answer. Each answer task type has an extractor and a
+ * normalizer that produces a comparison key:
+ *
+ * - 'answer': final answer line, trimmed, lower-cased, markdown stripped
+ * - 'json':   first JSON value in the response, re-serialized with sorted keys
+ * - 'choice': selected option label from task.choices (or options listed
+ *             in the task description as "A) ...")
+ * - 'number': parsed number, equal within task.tolerance
+ */
+class AnswerNormalizer {
+  constructor() {
+    this.types = ['answer', 'json', 'choice', 'number'];
+
+    // "Final answer: ..." / "Answer: ..." lines, last one wins
+    this.answerLinePattern = /^[\s*_#>-]*(?:final\s+answer|answer)\s*[:：]\s*(.+)$/gim;
+
+    this.defaultTolerance = 1e-9;
+    this.defaultRelativeTolerance = 1e-6;
+  }
+
+  /**
+   * Whether a task type is an answer type
+   * @param {string} type - Task type
+   * @returns {boolean}
+   */
+  supports(type) {
+    return this.types.includes(type);
+  }
+
+  /**
+   * Prompt instructions that make answers extractable
+   * @param {Object} task - Task metadata (type, choices)
+   * @returns {string} - Instruction text for the system prompt
+   */
+  formatInstructions(task = {}) {
+    switch (task.type) {
+      case 'json':
+        return 'Respond with a single JSON value in a ```json code block and nothing else.';
+      case 'number':
+        return 'Show brief working if needed, then end with a line "Final answer: <number>" containing only the number.';
+      case 'choice': {
+        const labels = this._choices(task).map(c => c.label);
+        return `End with a line "Final answer: <option>" where <option> is one of: ${labels.join(', ')}.`;
+      }
+      default:
+        return 'Answer concisely, then end with a line "Final answer: <answer>" containing only the answer.';
+    }
+  }
+
+  /**
+   * Extract and normalize the answer from a response
+   * @param {string} content - Raw model response
+   * @param {Object} task - Task metadata (type, choices, tolerance)
+   * @returns {Object} - { ok, key, value, display, reason }
+   */
+  normalize(content, task = {}) {
+    const text = (content || '').trim();
+    if (!text) {
+      return { ok: false, reason: 'Empty response' };
+    }
+
+    switch (task.type) {
+      case 'json':
+        return this._normalizeJSON(text);
+      case 'choice':
+        return this._normalizeChoice(text, task);
+      case 'number':
+        return this._normalizeNumber(text);
+      default:
+        return this._normalizeAnswer(text);
+    }
+  }
+
+  /**
+   * Whether two normalized answers agree
+   * Numbers agree within tolerance; everything else compares keys exactly.
+   *
+   * @param {Object} a - Result of normalize()
+   * @param {Object} b - Result of normalize()
+   * @param {Object} task - Task metadata (type, tolerance, relativeTolerance)
+   * @returns {boolean}
+   */
+  equivalent(a, b, task = {}) {
+    if (task.type === 'number') {
+      const tolerance = task.tolerance ?? this.defaultTolerance;
+      const relative = task.relativeTolerance ?? this.defaultRelativeTolerance;
+      const scale = Math.max(Math.abs(a.value), Math.abs(b.value));
+      return Math.abs(a.value - b.value) <= Math.max(tolerance, relative * scale);
+    }
+
+    return a.key === b.key;
+  }
+
+  /**
+   * Free-form answer: final answer line, or the last non-empty line
+   * @private
+   */
+  _normalizeAnswer(text) {
+    const line = this._finalAnswerLine(text);
+    const key = this._normalizeText(line);
+
+    if (!key) {
+      return { ok: false, reason: 'No answer found' };
+    }
+
+    return { ok: true, key, value: line, display: line };
+  }
+
+  /**
+   * JSON: parse the first JSON value and serialize it canonically
+   * @private
+   */
+  _normalizeJSON(text) {
+    const attempts = [];
+
+    const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/i);
+    if (fenced) attempts.push(fenced[1]);
+    attempts.push(text);
+
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) attempts.push(text.slice(start, end + 1));
+
+    for (const attempt of attempts) {
+      try {
+        const value = JSON.parse(attempt.trim());
+        const key = this._canonicalJSON(value);
+        return { ok: true, key, value, display: JSON.stringify(value, null, 2) };
+      } catch (error) {
+        // Try the next candidate span
+      }
+    }
+
+    return { ok: false, reason: 'No parseable JSON value found' };
+  }
+
+  /**
+   * Choice: map the answer onto exactly one option label
+   * @private
+   */
+  _normalizeChoice(text, task) {
+    const choices = this._choices(task);
+    if (choices.length === 0) {
+      return { ok: false, reason: 'Task has no choices to select from' };
+    }
+
+    const line = this._finalAnswerLine(text);
+    const normalized = this._normalizeText(line);
+
+    // Exact label or exact option text
+    const exact = choices.find(c =>
+      this._normalizeText(c.label) === normalized ||
+      (c.text && this._normalizeText(c.text) === normalized)
+    );
+    if (exact) {
+      return { ok: true, key: exact.label, value: exact.label, display: exact.label };
+    }
+
+    // Otherwise exactly one option must be mentioned in the answer line
+    const mentioned = choices.filter(c => {
+      const labelPattern = new RegExp(`(^|[^\\w])${this._escape(c.label)}([^\\w]|$)`, c.label.length <= 2 ? '' : 'i');
+      const textPattern = c.text ? new RegExp(`\\b${this._escape(c.text)}\\b`, 'i') : null;
+      return labelPattern.test(line) || (textPattern && textPattern.test(line));
+    });
+
+    if (mentioned.length === 1) {
+      const label = mentioned[0].label;
+      return { ok: true, key: label, value: label, display: label };
+    }
+
+    return {
+      ok: false,
+      reason: mentioned.length === 0
+        ? 'Answer does not name any option'
+        : `Answer names several options (${mentioned.map(c => c.label).join(', ')})`,
+    };
+  }
+
+  /**
+   * Number: parse the number on the final answer line (or the last number)
+   * @private
+   */
+  _normalizeNumber(text) {
+    const hasAnswerLine = [...text.matchAll(this.answerLinePattern)].length > 0;
+    const source = hasAnswerLine ? this._finalAnswerLine(text) : text;
+
+    const matches = [...source.matchAll(/-?\d[\d,]*(?:\.\d+)?(?:[eE][+-]?\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?/g)];
+    if (matches.length === 0) {
+      return { ok: false, reason: 'No number found' };
+    }
+
+    // On an answer line the first number is the answer; otherwise the last one
+    const raw = (hasAnswerLine ? matches[0] : matches[matches.length - 1])[0];
+    const value = this._parseNumber(raw);
+
+    if (!Number.isFinite(value)) {
+      return { ok: false, reason: `Could not parse number: ${raw}` };
+    }
+
+    return { ok: true, key: String(value), value, display: String(value) };
+  }
+
+  /**
+   * Last "Final answer:" line, or the last non-empty line
+   * @private
+   */
+  _finalAnswerLine(text) {
+    const matches = [...text.matchAll(this.answerLinePattern)];
+    if (matches.length > 0) {
+      return matches[matches.length - 1][1].trim();
+    }
+
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('```'));
+    return lines[lines.length - 1] || '';
+  }
+
+  /**
+   * Lower-case, strip markdown, quotes and trailing punctuation, collapse whitespace
+   * @private
+   */
+  _normalizeText(text) {
+    return (text || '')
+      .replace(/[*_`]/g, '')
+      .replace(/^["'“”‘’]+|["'“”‘’]+$/g, '')
+      .replace(/[.!;,]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Parse "1,234.5", "3/4" or "1e3"
+   * @private
+   */
+  _parseNumber(raw) {
+    const cleaned = raw.replace(/,/g, '').replace(/\s+/g, '');
+
+    if (cleaned.includes('/')) {
+      const [numerator, denominator] = cleaned.split('/').map(Number);
+      return denominator === 0 ? NaN : numerator / denominator;
+    }
+
+    return Number(cleaned);
+  }
+
+  /**
+   * Options as { label, text } from task.choices or the task description
+   * @private
+   */
+  _choices(task) {
+    if (Array.isArray(task.choices) && task.choices.length > 0) {
+      const short = task.choices.every(c => String(c).length <= 2);
+      return task.choices.map(choice => (short
+        ? { label: String(choice), text: null }
+        : { label: String(choice), text: String(choice) }));
+    }
+
+    // "A) foo", "(B) bar", "C. baz" in the description, on separate lines or
+    // inline; labels must run A, B, C... so stray "Plan A." isn't an option
+    const description = task.description || '';
+    const markers = [];
+    for (const match of description.matchAll(/(?:^|\s)\(?([A-Z])[).:]\s+/g)) {
+      if (match[1] === String.fromCharCode(65 + markers.length)) {
+        markers.push(match);
+      }
+    }
+
+    return markers.map((match, i) => ({
+      label: match[1],
+      text: description.slice(match.index + match[0].length, markers[i + 1]?.index ?? description.length).trim(),
+    }));
+  }
+
+  /**
+   * JSON with object keys sorted recursively
+   * @private
+   */
+  _canonicalJSON(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(v => this._canonicalJSON(v)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(k => `${JSON.stringify(k)}:${this._canonicalJSON(value[k])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Escape a string for use in a RegExp
+   * @private
+   */
+  _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default AnswerNormalizer;
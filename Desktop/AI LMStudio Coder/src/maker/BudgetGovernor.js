@@ -0,0 +1,322 @@
+/**
+ * BudgetGovernor - Token, time and call budgets for MAKER executions
+ *
+ * Budgets can be set for the whole task and for each subtask:
+ * - maxTokens: completion tokens
+ * - maxTimeMs: wall-clock time
+ * - maxCalls: number of model calls
+ *
+ * Before execution the governor forecasts cost from the decomposition
+ * (expected and worst case, see CostModel).
+ * During execution it tracks actual usage from each call's `usage` data
+ * (failed and aborted calls count as calls) and enforces budgets by
+ * degrading voting (fewer candidates, lower k) or, when nothing is left,
+ * aborting so the executor can return a partial result. Votes consult
+ * allowedSamples() before every batch.
+ */
+class BudgetGovernor {
+  constructor(budgets = {}, options = {}) {
+    this.taskBudget = budgets.task || {};
+    this.subtaskBudget = budgets.subtask || {};
+
+    // Assumptions used until real measurements are available
+    this.assumedCallMs = options.assumedCallMs || 5000;
+    this.minK = options.minK || 1;
+
+    this.task = this._emptyUsage();
+    this.subtask = this._emptyUsage();
+    this.subtaskId = null;
+    this.exhaustedReason = null;
+  }
+
+  /**
+   * Whether any budget limit is configured
+   * @returns {boolean}
+   */
+  hasLimits() {
+    return [this.taskBudget, this.subtaskBudget].some(b =>
+      b.maxTokens != null || b.maxTimeMs != null || b.maxCalls != null
+    );
+  }
+
+  /**
+   * Start tracking a new task
+   */
+  start() {
+    this.task = this._emptyUsage();
+    this.subtask = this._emptyUsage();
+    this.subtaskId = null;
+    this.exhaustedReason = null;
+  }
+
+  /**
+   * Start tracking a subtask
+   * @param {number} subtaskId - Subtask id
+   */
+  beginSubtask(subtaskId) {
+    this.subtaskId = subtaskId;
+    this.subtask = this._emptyUsage();
+  }
+
+  /**
+   * Record a model call
+   * Every attempt counts toward maxCalls, including calls that failed or
+   * were aborted: the backend may have spent time and tokens on them.
+   * Average call time and tokens per call only use completed calls.
+   * @param {Object|null} usage - Usage from LMStudioClient ({ completionTokens, ... })
+   * @param {number} durationMs - Wall-clock duration of the call
+   * @param {Object} options - { failed: the call threw or was aborted }
+   */
+  recordCall(usage, durationMs = 0, options = {}) {
+    const tokens = usage?.completionTokens || 0;
+
+    for (const scope of [this.task, this.subtask]) {
+      scope.calls++;
+      scope.tokens += tokens;
+      if (options.failed) {
+        scope.failed++;
+      } else {
+        scope.callMs += durationMs;
+      }
+    }
+  }
+
+  /**
+   * Forecast cost of a decomposed plan before execution
+   * With tie-breaking on, each subtask adds the judge calls of one match
+   * weighted by the chance its vote ends undecided; the worst case assumes
+   * every vote ends in a full tournament.
+   *
+   * @param {Object} plan - Plan from TaskDecomposer.decompose()
+   * @param {Object} settings - { k, maxCandidates, concurrency, tieBreak, judgeSamples, maxContenders }
+   * @param {Object} votingManager - VotingManager (for estimateCost)
+   * @returns {Object} - { subtasks: [...], total: { calls, worstCaseCalls, tokens,
+   *   worstCaseTokens, timeMs, pDecided } }
+   */
+  forecast(plan, settings, votingManager) {
+    const concurrency = Math.max(1, settings.concurrency || 1);
+    const judgeSamples = settings.judgeSamples || votingManager.judge.judgeSamples;
+    const contenders = Math.min(settings.maxContenders || votingManager.judge.maxContenders, settings.maxCandidates);
+    const worstCaseMatches = contenders * (contenders - 1) / 2;
+
+    const subtasks = plan.subtasks.map(subtask => {
+      const estimate = votingManager.estimateCost(
+        settings.k,
+        settings.maxCandidates,
+        subtask.estimatedTokens,
+        { taskType: subtask.type, batchSize: concurrency }
+      );
+      const tokensPerCall = estimate.worstCaseCompletionTokens / estimate.worstCaseCalls;
+
+      let calls = estimate.expectedCalls;
+      let worstCaseCalls = estimate.worstCaseCalls;
+      if (settings.tieBreak) {
+        calls += (1 - estimate.pDecided) * judgeSamples;
+        worstCaseCalls += worstCaseMatches * judgeSamples;
+      }
+
+      return {
+        id: subtask.id,
+        calls,
+        worstCaseCalls,
+        tokens: Math.round(calls * tokensPerCall),
+        worstCaseTokens: Math.round(worstCaseCalls * tokensPerCall),
+        timeMs: Math.ceil(calls / concurrency) * this._avgCallMs(),
+        pDecided: estimate.pDecided,
+      };
+    });
+
+    const total = subtasks.reduce((sum, s) => ({
+      calls: sum.calls + s.calls,
+      worstCaseCalls: sum.worstCaseCalls + s.worstCaseCalls,
+      tokens: sum.tokens + s.tokens,
+      worstCaseTokens: sum.worstCaseTokens + s.worstCaseTokens,
+      timeMs: sum.timeMs + s.timeMs,
+      pDecided: sum.pDecided * s.pDecided,
+    }), { calls: 0, worstCaseCalls: 0, tokens: 0, worstCaseTokens: 0, timeMs: 0, pDecided: 1 });
+
+    return { subtasks, total };
+  }
+
+  /**
+   * Decide how to run the next subtask within the remaining budget
+   * Voting is degraded step by step (fewer candidates, then lower k) until
+   * its expected cost fits the subtask's fair share of what is left.
+   *
+   * @param {Object} subtask - Subtask about to run
+   * @param {Object} settings - Requested { k, maxCandidates }
+   * @param {number} remainingSubtasks - Subtasks left including this one
+   * @param {Object} votingManager - VotingManager (for estimateCost)
+   * @returns {Object} - { action: 'proceed'|'degrade'|'abort', settings, reason }
+   */
+  planSubtask(subtask, settings, remainingSubtasks, votingManager) {
+    const exhausted = this._exhausted(this.task, this.taskBudget, Date.now());
+    if (exhausted) {
+      this.exhaustedReason = `Task ${exhausted}`;
+      return { action: 'abort', settings, reason: this.exhaustedReason };
+    }
+
+    const share = this._fairShare(remainingSubtasks);
+    const fits = (k, maxCandidates) => {
+      const estimate = votingManager.estimateCost(k, maxCandidates, subtask.estimatedTokens, {
+        taskType: subtask.type,
+      });
+      return (share.calls == null || estimate.expectedCalls <= share.calls) &&
+        (share.tokens == null || estimate.expectedCompletionTokens <= share.tokens);
+    };
+
+    let { k, maxCandidates } = settings;
+
+    if (fits(k, maxCandidates)) {
+      return { action: 'proceed', settings };
+    }
+
+    // Trim the sample cap first, then lower k
+    while (!fits(k, maxCandidates) && (maxCandidates > k || k > this.minK)) {
+      if (maxCandidates > k) {
+        maxCandidates--;
+      } else {
+        k--;
+        maxCandidates = k;
+      }
+    }
+
+    return {
+      action: 'degrade',
+      settings: { ...settings, k, maxCandidates },
+      reason: `Budget share for this subtask: ${this._describeShare(share)}`,
+    };
+  }
+
+  /**
+   * How many more samples a vote may draw right now
+   * @param {number} requested - Samples the vote wants to draw
+   * @returns {number} - Samples allowed (0 = stop sampling)
+   */
+  allowedSamples(requested) {
+    const now = Date.now();
+    let allowed = requested;
+
+    for (const [usage, budget, label] of [
+      [this.task, this.taskBudget, 'Task'],
+      [this.subtask, this.subtaskBudget, 'Subtask'],
+    ]) {
+      const exhausted = this._exhausted(usage, budget, now);
+      if (exhausted) {
+        this.exhaustedReason = `${label} ${exhausted}`;
+        return 0;
+      }
+
+      if (budget.maxCalls != null) {
+        allowed = Math.min(allowed, budget.maxCalls - usage.calls);
+      }
+
+      const completed = usage.calls - usage.failed;
+      if (budget.maxTokens != null && completed > 0) {
+        const avgTokens = usage.tokens / completed;
+        if (avgTokens > 0) {
+          allowed = Math.min(allowed, Math.max(1, Math.floor((budget.maxTokens - usage.tokens) / avgTokens)));
+        }
+      }
+    }
+
+    return Math.max(0, allowed);
+  }
+
+  /**
+   * Whether the task-level budget has run out
+   * @returns {boolean}
+   */
+  isTaskExhausted() {
+    return this._exhausted(this.task, this.taskBudget, Date.now()) !== null;
+  }
+
+  /**
+   * Usage and limits for reporting
+   * @returns {Object} - { task, subtask, budgets, exhaustedReason }; task and
+   *   subtask hold { calls (including failed ones), failedCalls, tokens, elapsedMs }
+   */
+  getReport() {
+    const now = Date.now();
+    const describe = usage => ({
+      calls: usage.calls,
+      failedCalls: usage.failed,
+      tokens: usage.tokens,
+      elapsedMs: usage.startedAt ? now - usage.startedAt : 0,
+    });
+
+    return {
+      task: describe(this.task),
+      subtask: { id: this.subtaskId, ...describe(this.subtask) },
+      budgets: { task: this.taskBudget, subtask: this.subtaskBudget },
+      exhaustedReason: this.exhaustedReason,
+    };
+  }
+
+  /**
+   * Return a description of the exhausted limit, or null
+   * @private
+   */
+  _exhausted(usage, budget, now) {
+    if (budget.maxCalls != null && usage.calls >= budget.maxCalls) {
+      return `call budget exhausted (${usage.calls}/${budget.maxCalls} calls)`;
+    }
+    if (budget.maxTokens != null && usage.tokens >= budget.maxTokens) {
+      return `token budget exhausted (${usage.tokens}/${budget.maxTokens} tokens)`;
+    }
+    if (budget.maxTimeMs != null && now - usage.startedAt >= budget.maxTimeMs) {
+      return `time budget exhausted (${((now - usage.startedAt) / 1000).toFixed(1)}s/${(budget.maxTimeMs / 1000).toFixed(1)}s)`;
+    }
+    return null;
+  }
+
+  /**
+   * Remaining task budget split evenly across remaining subtasks,
+   * capped by the per-subtask budget
+   * @private
+   */
+  _fairShare(remainingSubtasks) {
+    const n = Math.max(1, remainingSubtasks);
+    const share = (taskLimit, used, subtaskLimit) => {
+      const fromTask = taskLimit != null ? Math.max(0, taskLimit - used) / n : null;
+      if (fromTask == null) return subtaskLimit ?? null;
+      if (subtaskLimit == null) return fromTask;
+      return Math.min(fromTask, subtaskLimit);
+    };
+
+    return {
+      calls: share(this.taskBudget.maxCalls, this.task.calls, this.subtaskBudget.maxCalls),
+      tokens: share(this.taskBudget.maxTokens, this.task.tokens, this.subtaskBudget.maxTokens),
+    };
+  }
+
+  /**
+   * Human-readable fair share
+   * @private
+   */
+  _describeShare(share) {
+    const parts = [];
+    if (share.calls != null) parts.push(`${share.calls.toFixed(1)} calls`);
+    if (share.tokens != null) parts.push(`${Math.floor(share.tokens)} tokens`);
+    return parts.join(', ') || 'unlimited';
+  }
+
+  /**
+   * Average observed call duration, or the assumed default
+   * @private
+   */
+  _avgCallMs() {
+    const completed = this.task.calls - this.task.failed;
+    return completed > 0 ? this.task.callMs / completed : this.assumedCallMs;
+  }
+
+  /**
+   * Fresh usage counters
+   * @private
+   */
+  _emptyUsage() {
+    return { calls: 0, failed: 0, tokens: 0, callMs: 0, startedAt: Date.now() };
+  }
+}
+
+export default BudgetGovernor;
@@ -0,0 +1,342 @@
+const fence = (language, code) => '```' + language + '\n' + code + '\n```';
+
+// Built-in few-shot exemplars for code tasks: one small task per language,
+// answered the way subtask prompts ask (a single fenced block, no prose)
+const DEFAULT_EXEMPLARS = [
+  {
+    taskTypes: ['code'],
+    language: 'javascript',
+    user: 'Write a function `clamp(value, min, max)` that limits a number to a range.',
+    assistant: fence('javascript', 'function clamp(value, min, max) {\n  return Math.min(Math.max(value, min), max);\n}'),
+  },
+  {
+    taskTypes: ['code'],
+    language: 'javascript',
+    user: 'Write a function `groupBy(items, key)` that groups objects by the value of a property.',
+    assistant: fence('javascript', 'function groupBy(items, key) {\n  const groups = {};\n  for (const item of items) {\n    (groups[item[key]] ||= []).push(item);\n  }\n  return groups;\n}'),
+  },
+  {
+    taskTypes: ['code'],
+    language: 'python',
+    user: 'Write a function `chunk(items, size)` that splits a list into lists of at most size items.',
+    assistant: fence('python', 'def chunk(items, size):\n    return [items[i:i + size] for i in range(0, len(items), size)]'),
+  },
+  {
+    taskTypes: ['code'],
+    language: 'python',
+    user: 'Write a function `is_palindrome(text)` that ignores case and non-alphanumeric characters.',
+    assistant: fence('python', 'def is_palindrome(text):\n    cleaned = [c.lower() for c in text if c.isalnum()]\n    return cleaned == cleaned[::-1]'),
+  },
+];
+
+/**
+ * CandidateDiversifier - Pluggable diversity strategies for candidate generation
+ * Voting only corrects errors that are uncorrelated; samples that differ
+ * only by a small temperature jitter tend to make the same mistakes.
+ * Each strategy varies one aspect of a request per candidate index:
+ *
+ * - 'temperature': ±0.1 jitter around the base temperature
+ * - 'paraphrase':  rotating system-prompt paraphrases
+ * - 'reorder':     rotated order of the context sections in the prompt
+ * - 'exemplars':   a different few-shot exemplar per candidate (built-in
+ *                  ones for JavaScript and Python code tasks, or
+ *                  options.exemplars / task.exemplars)
+ * - 'seed':        a distinct sampling seed per candidate
+ * - 'sampling':    a top_p / top_k schedule
+ *
+ * Strategies are combined in the order given and every candidate records
+ * which variant of each strategy produced it, so statistics can show which
+ * variants end up in winning clusters.
+ */
+class CandidateDiversifier {
+  constructor(options = {}) {
+    this.strategies = new Map();
+    this.stats = new Map();
+
+    // Role lines prepended to the system prompt (index 0 keeps it unchanged)
+    this.paraphrases = options.paraphrases || [
+      null,
+      'You are an experienced software engineer.',
+      'Act as a meticulous expert who double-checks every detail.',
+      'You are a precise problem solver who prefers the simplest correct solution.',
+    ];
+
+    // Few-shot exemplars: { user, assistant, taskTypes, language } (the last
+    // two optional: an exemplar without them fits every task)
+    this.exemplars = options.exemplars || DEFAULT_EXEMPLARS;
+    this.warned = new Set(); // Task kinds warned about having no exemplars
+
+    // top_p / top_k combinations cycled per candidate
+    this.samplingSchedule = options.samplingSchedule || [
+      { top_p: 0.9 },
+      { top_p: 0.95, top_k: 40 },
+      { top_p: 1.0, top_k: 20 },
+      { top_p: 0.8, top_k: 60 },
+    ];
+
+    this._registerBuiltins();
+  }
+
+  /**
+   * Register a diversity strategy
+   * @param {string} name - Strategy name
+   * @param {Function} apply - ({ messages, params }, index, context) => { messages, params, label }
+   * @param {string} description - Short description for listings
+   * @param {Object} options - { aggregate: false for per-candidate values (seeds, jitter)
+   *   that are recorded on candidates but not worth win statistics }
+   */
+  register(name, apply, description = '', options = {}) {
+    this.strategies.set(name, { name, apply, description, aggregate: options.aggregate !== false });
+  }
+
+  /**
+   * Whether a strategy is registered
+   * @param {string} name - Strategy name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * List registered strategies
+   * @returns {Array<Object>} - { name, description }
+   */
+  list() {
+    return [...this.strategies.values()].map(({ name, description }) => ({ name, description }));
+  }
+
+  /**
+   * Build the request for one candidate
+   * @param {Array<string>} names - Strategies to combine, in order
+   * @param {Array} messages - Base conversation messages
+   * @param {number} index - Candidate index within the vote
+   * @param {Object} params - Base sampling parameters ({ temperature })
+   * @param {Object} context - { seed: per-vote base seed, task, language: the task's language adapter }
+   * @returns {Object} - { messages, params, variant: { strategy: label } }
+   */
+  apply(names, messages, index, params, context = {}) {
+    let request = { messages, params: { ...params } };
+    const variant = {};
+
+    for (const name of names) {
+      const strategy = this.strategies.get(name);
+      if (!strategy) {
+        throw new Error(`Unknown diversity strategy: ${name}`);
+      }
+
+      const result = strategy.apply(request, index, context);
+      request = { messages: result.messages, params: result.params };
+      variant[name] = result.label;
+    }
+
+    return { ...request, variant };
+  }
+
+  /**
+   * Exemplars that fit a task: task.exemplars, else the configured ones
+   * for the task's type and language
+   * @param {Object} task - Task metadata ({ type, exemplars })
+   * @param {string} language - Language adapter name
+   * @returns {Array<Object>}
+   */
+  exemplarsFor(task = {}, language = null) {
+    if (Array.isArray(task.exemplars) && task.exemplars.length > 0) {
+      return task.exemplars;
+    }
+
+    const type = task.type || 'code';
+    return this.exemplars.filter(exemplar =>
+      (!exemplar.taskTypes || exemplar.taskTypes.includes(type)) &&
+      (!exemplar.language || !language || exemplar.language === language)
+    );
+  }
+
+  /**
+   * Record which variants ended up in the winning cluster
+   * @param {Array<Object>} candidates - All drawn candidates (with diversity, validation)
+   * @param {Set<number>} winnerIndices - Candidate indices in the winning cluster
+   * @param {boolean} decided - Whether the vote reached a lead of k
+   * @returns {Object} - Per-variant breakdown for this vote, keyed "strategy=label"
+   *   (strategies registered with aggregate: false are left out)
+   */
+  recordVote(candidates, winnerIndices, decided) {
+    const breakdown = {};
+
+    for (const candidate of candidates) {
+      for (const [strategy, label] of Object.entries(candidate.diversity || {})) {
+        if (this.strategies.get(strategy)?.aggregate === false) continue;
+
+        const key = `${strategy}=${label}`;
+        if (!breakdown[key]) {
+          breakdown[key] = { strategy, variant: label, samples: 0, valid: 0, inWinner: 0 };
+        }
+
+        const entry = breakdown[key];
+        entry.samples++;
+        if (candidate.validation?.valid) entry.valid++;
+        if (winnerIndices.has(candidate.index)) entry.inWinner++;
+      }
+    }
+
+    for (const [key, entry] of Object.entries(breakdown)) {
+      const stats = this.stats.get(key) || {
+        strategy: entry.strategy,
+        variant: entry.variant,
+        samples: 0,
+        valid: 0,
+        decidedSamples: 0,
+        wins: 0,
+      };
+
+      stats.samples += entry.samples;
+      stats.valid += entry.valid;
+      if (decided) {
+        stats.decidedSamples += entry.samples;
+        stats.wins += entry.inWinner;
+      }
+      this.stats.set(key, stats);
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Per-variant statistics
+   * Win rate is the share of samples (in decided votes) that landed in the winning cluster.
+   * @returns {Array<Object>} - Statistics per strategy variant
+   */
+  getStats() {
+    return [...this.stats.values()].map(stats => ({
+      ...stats,
+      validRate: stats.samples > 0 ? stats.valid / stats.samples : null,
+      winRate: stats.decidedSamples > 0 ? stats.wins / stats.decidedSamples : null,
+    }));
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStats() {
+    this.stats.clear();
+  }
+
+  /**
+   * Register the built-in strategies
+   * @private
+   */
+  _registerBuiltins() {
+    this.register('temperature', ({ messages, params }) => {
+      const base = params.temperature ?? 0.7;
+      const temperature = Math.max(0.1, Math.min(1.0, base + (Math.random() * 0.2 - 0.1)));
+      return { messages, params: { ...params, temperature }, label: temperature.toFixed(2) };
+    }, 'Random ±0.1 temperature jitter', { aggregate: false });
+
+    this.register('paraphrase', ({ messages, params }, index) => {
+      const variant = index % this.paraphrases.length;
+      const preamble = this.paraphrases[variant];
+      if (!preamble) {
+        return { messages, params, label: `p${variant}` };
+      }
+
+      const hasSystem = messages[0]?.role === 'system';
+      const updated = hasSystem
+        ? [{ ...messages[0], content: `${preamble} ${messages[0].content}` }, ...messages.slice(1)]
+        : [{ role: 'system', content: preamble }, ...messages];
+
+      return { messages: updated, params, label: `p${variant}` };
+    }, 'Rotating system-prompt paraphrases');
+
+    this.register('reorder', ({ messages, params }, index) => {
+      const last = messages.length - 1;
+      if (last < 0 || messages[last].role !== 'user') {
+        return { messages, params, label: 'r0' };
+      }
+
+      // The first section states the task; the rest is context that can move
+      const [head, ...rest] = this._splitSections(messages[last].content);
+      if (rest.length < 2) {
+        return { messages, params, label: 'r0' };
+      }
+
+      const shift = index % rest.length;
+      const rotated = [...rest.slice(shift), ...rest.slice(0, shift)];
+      const updated = [...messages];
+      updated[last] = { ...messages[last], content: [head, ...rotated].join('\n\n') };
+
+      return { messages: updated, params, label: `r${shift}` };
+    }, 'Rotated order of prompt context sections');
+
+    this.register('exemplars', ({ messages, params }, index, context) => {
+      const exemplars = this.exemplarsFor(context.task, context.language);
+      if (exemplars.length === 0) {
+        const kind = `${context.task?.type || 'code'}/${context.language || 'any'}`;
+        if (!this.warned.has(kind)) {
+          this.warned.add(kind);
+          console.warn(`  No exemplars for ${kind} tasks: the 'exemplars' diversity strategy leaves them unchanged`);
+        }
+        return { messages, params, label: 'none' };
+      }
+
+      const variant = index % exemplars.length;
+      const exemplar = exemplars[variant];
+      const insertAt = Math.max(0, messages.length - 1);
+      const updated = [
+        ...messages.slice(0, insertAt),
+        { role: 'user', content: exemplar.user },
+        { role: 'assistant', content: exemplar.assistant },
+        ...messages.slice(insertAt),
+      ];
+
+      return { messages: updated, params, label: `e${variant}` };
+    }, 'A different few-shot exemplar per candidate');
+
+    this.register('seed', ({ messages, params }, index, context) => {
+      const seed = (context.seed ?? 0) + index;
+      return { messages, params: { ...params, seed }, label: String(seed) };
+    }, 'Distinct sampling seed per candidate', { aggregate: false });
+
+    this.register('sampling', ({ messages, params }, index) => {
+      const variant = index % this.samplingSchedule.length;
+      return {
+        messages,
+        params: { ...params, ...this.samplingSchedule[variant] },
+        label: `s${variant}`,
+      };
+    }, 'top_p / top_k schedule');
+  }
+
+  /**
+   * Split a prompt into blank-line separated sections, keeping code fences intact
+   * @private
+   */
+  _splitSections(text) {
+    const sections = [];
+    let current = [];
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+      }
+
+      if (!inFence && line.trim() === '') {
+        if (current.length > 0) {
+          sections.push(current.join('\n'));
+          current = [];
+        }
+        continue;
+      }
+
+      current.push(line);
+    }
+
+    if (current.length > 0) {
+      sections.push(current.join('\n'));
+    }
+
+    return sections;
+  }
+}
+
+export default CandidateDiversifier;
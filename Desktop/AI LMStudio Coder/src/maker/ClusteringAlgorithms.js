@@ -0,0 +1,245 @@
+/**
+ * ClusteringAlgorithms - Pluggable partitioning of a similarity matrix
+ * Each algorithm takes a symmetric similarity matrix and a threshold and
+ * returns a partition: an array of clusters, each an array of row indices.
+ * Representatives and statistics are chosen afterwards by CodeClusterer,
+ * so any registered algorithm works with voting.
+ *
+ * Built-in algorithms:
+ * - 'greedy':        seed from the row with the highest average similarity
+ *                    and absorb everything above threshold (order-dependent)
+ * - 'agglomerative': average-linkage merging while the best link is above threshold
+ * - 'dbscan':        density clustering; rows with at least minPoints
+ *                    neighbors above threshold are cores, noise rows
+ *                    become singleton clusters
+ * - 'components':    connected components of the above-threshold graph
+ *
+ * options.weights gives each row a multiplicity (rows that stand for
+ * several identical responses count several times).
+ */
+class ClusteringAlgorithms {
+  constructor() {
+    this.algorithms = new Map();
+    this._registerBuiltins();
+  }
+
+  /**
+   * Register a clustering algorithm
+   * @param {string} name - Algorithm name
+   * @param {Function} partition - (matrix, threshold, options) => Array<Array<number>>
+   * @param {string} description - Short description for listings
+   */
+  register(name, partition, description = '') {
+    this.algorithms.set(name, { name, partition, description });
+  }
+
+  /**
+   * Whether an algorithm is registered
+   * @param {string} name - Algorithm name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.algorithms.has(name);
+  }
+
+  /**
+   * List registered algorithms
+   * @returns {Array<Object>} - { name, description }
+   */
+  list() {
+    return [...this.algorithms.values()].map(({ name, description }) => ({ name, description }));
+  }
+
+  /**
+   * Partition rows of a similarity matrix
+   * @param {string} name - Algorithm name
+   * @param {Array<Array<number>>} matrix - Symmetric similarity matrix
+   * @param {number} threshold - Minimum similarity to link two rows (0-1)
+   * @param {Object} options - { weights, minPoints }
+   * @returns {Array<Array<number>>} - Clusters as arrays of row indices
+   */
+  partition(name, matrix, threshold, options = {}) {
+    const algorithm = this.algorithms.get(name);
+    if (!algorithm) {
+      throw new Error(`Unknown clustering algorithm: ${name}`);
+    }
+
+    return algorithm.partition(matrix, threshold, {
+      ...options,
+      weights: options.weights || matrix.map(() => 1),
+    });
+  }
+
+  /**
+   * Register the built-in algorithms
+   * @private
+   */
+  _registerBuiltins() {
+    this.register('greedy', (matrix, threshold) => this._greedy(matrix, threshold),
+      'Seed from the most central response, absorb everything above threshold');
+
+    this.register('agglomerative', (matrix, threshold, options) => this._agglomerative(matrix, threshold, options.weights),
+      'Average-linkage merging while the best link is above threshold');
+
+    this.register('dbscan', (matrix, threshold, options) => this._dbscan(matrix, threshold, options.weights, options.minPoints || 2),
+      'Density clustering; isolated responses stay alone');
+
+    this.register('components', (matrix, threshold) => this._components(matrix, threshold),
+      'Connected components of the above-threshold graph');
+  }
+
+  /**
+   * Greedy seeding (the seed is listed first in its cluster)
+   * @private
+   */
+  _greedy(matrix, threshold) {
+    const n = matrix.length;
+    const assigned = new Set();
+    const clusters = [];
+
+    // Most central rows seed first
+    const order = matrix
+      .map((row, i) => ({ i, avg: row.reduce((a, b) => a + b, 0) / n }))
+      .sort((a, b) => b.avg - a.avg)
+      .map(entry => entry.i);
+
+    for (const seed of order) {
+      if (assigned.has(seed)) continue;
+
+      const cluster = [seed];
+      assigned.add(seed);
+
+      for (let i = 0; i < n; i++) {
+        if (!assigned.has(i) && matrix[seed][i] >= threshold) {
+          cluster.push(i);
+          assigned.add(i);
+        }
+      }
+
+      clusters.push(cluster);
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Average-linkage agglomerative clustering
+   * @private
+   */
+  _agglomerative(matrix, threshold, weights) {
+    let clusters = matrix.map((_, i) => [i]);
+
+    const link = (a, b) => {
+      let total = 0;
+      let weight = 0;
+      for (const i of a) {
+        for (const j of b) {
+          total += weights[i] * weights[j] * matrix[i][j];
+          weight += weights[i] * weights[j];
+        }
+      }
+      return total / weight;
+    };
+
+    while (clusters.length > 1) {
+      let best = { similarity: -1, a: -1, b: -1 };
+
+      for (let a = 0; a < clusters.length; a++) {
+        for (let b = a + 1; b < clusters.length; b++) {
+          const similarity = link(clusters[a], clusters[b]);
+          if (similarity > best.similarity) {
+            best = { similarity, a, b };
+          }
+        }
+      }
+
+      if (best.similarity < threshold) break;
+
+      const merged = [...clusters[best.a], ...clusters[best.b]];
+      clusters = clusters.filter((_, i) => i !== best.a && i !== best.b);
+      clusters.push(merged);
+    }
+
+    return clusters;
+  }
+
+  /**
+   * DBSCAN with similarity >= threshold as the neighborhood
+   * @private
+   */
+  _dbscan(matrix, threshold, weights, minPoints) {
+    const n = matrix.length;
+    const neighbors = matrix.map((row, i) => row
+      .map((similarity, j) => (j !== i && similarity >= threshold ? j : -1))
+      .filter(j => j !== -1));
+
+    // Density counts the row itself, with multiplicity
+    const isCore = neighbors.map((list, i) =>
+      weights[i] + list.reduce((sum, j) => sum + weights[j], 0) >= minPoints
+    );
+
+    const label = new Array(n).fill(-1);
+    const clusters = [];
+
+    for (let i = 0; i < n; i++) {
+      if (label[i] !== -1 || !isCore[i]) continue;
+
+      const cluster = [];
+      const queue = [i];
+      label[i] = clusters.length;
+
+      while (queue.length > 0) {
+        const point = queue.shift();
+        cluster.push(point);
+
+        // Only cores extend the cluster; border points just join it
+        if (!isCore[point]) continue;
+
+        for (const neighbor of neighbors[point]) {
+          if (label[neighbor] === -1) {
+            label[neighbor] = clusters.length;
+            queue.push(neighbor);
+          }
+        }
+      }
+
+      clusters.push(cluster);
+    }
+
+    // Noise: every response still needs a cluster to vote in
+    for (let i = 0; i < n; i++) {
+      if (label[i] === -1) clusters.push([i]);
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Connected components (single linkage at threshold)
+   * @private
+   */
+  _components(matrix, threshold) {
+    const n = matrix.length;
+    const parent = matrix.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (matrix[i][j] >= threshold) {
+          parent[find(i)] = find(j);
+        }
+      }
+    }
+
+    const components = new Map();
+    for (let i = 0; i < n; i++) {
+      const root = find(i);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(i);
+    }
+
+    return [...components.values()];
+  }
+}
+
+export default ClusteringAlgorithms;
@@ -0,0 +1,438 @@
+import { createHash } from 'crypto';
+import CodeParser from './CodeParser.js';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const IDENTIFIER_KEY = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * CodeCanonicalizer - Canonical form and hash of JavaScript code
+ * Two candidates with the same canonical hash are the same solution, so
+ * they can share a cluster without any fuzzy similarity being computed.
+ *
+ * The canonical form is a serialization of the AST that ignores:
+ * - comments, whitespace, semicolons, parentheses and trailing commas
+ *   (none of them survive parsing)
+ * - quote style and other raw literal spellings
+ * - names of local bindings, which are alpha-renamed in declaration order
+ *   (exported names and free globals such as Math are kept)
+ * - arrow vs function expressions, and `const f = () => ...` vs
+ *   `function f() {}`, as long as the function doesn't use its own
+ *   this/arguments/super/new.target
+ * - expression vs block bodies (`x => x` and `x => { return x; }`),
+ *   braces around single-statement if/loop bodies
+ * - `obj['key']` vs `obj.key` and `{ 'key': v }` vs `{ key: v }`
+ *
+ * TypeScript annotations are part of the canonical form, so `(a: number)`
+ * and `(a: string)` differ. Type names are not renamed.
+ */
+class CodeCanonicalizer {
+  constructor() {
+    this.parser = new CodeParser();
+
+    // AST fields that carry no meaning for equivalence
+    this.ignoredFields = new Set(['type', 'start', 'end', 'loc', 'range', 'raw', 'sourceType', 'shorthand', 'directive']);
+  }
+
+  /**
+   * Parse code and compute its canonical form
+   * @param {string} code - Source code
+   * @param {string} language - Language to parse as (default: javascript)
+   * @returns {Object} - { ok, canonical, hash, reason }
+   */
+  canonicalize(code, language = 'javascript') {
+    let ast;
+    try {
+      ast = this.parser.parse(code, language);
+    } catch (error) {
+      return { ok: false, canonical: null, hash: null, reason: `Syntax error: ${error.message}` };
+    }
+
+    return this.fromAST(ast);
+  }
+
+  /**
+   * Canonical form of an already parsed Program
+   * @param {Object} ast - acorn Program node
+   * @returns {Object} - { ok, canonical, hash, reason }
+   */
+  fromAST(ast) {
+    const state = { next: 0, exported: this._exportedNames(ast) };
+    const canonical = this._serialize(ast, null, state);
+
+    return {
+      ok: true,
+      canonical,
+      hash: createHash('sha256').update(canonical).digest('hex').slice(0, 16),
+      reason: null,
+    };
+  }
+
+  /**
+   * Serialize a node (or list of nodes) in canonical form
+   * @private
+   */
+  _serialize(node, scope, state) {
+    if (node === null || node === undefined) return '_';
+    if (Array.isArray(node)) return `[${node.map(n => this._serialize(n, scope, state)).join(',')}]`;
+    if (typeof node !== 'object') return JSON.stringify(node);
+
+    switch (node.type) {
+      case 'Identifier': {
+        const name = this._resolve(node.name, scope);
+        if (!node.typeAnnotation && !node.optional) return name;
+        return `${name}${node.optional ? '?' : ''}:${this._serialize(node.typeAnnotation, scope, state)}`;
+      }
+
+      case 'Literal':
+        if (node.regex) return `Re(${JSON.stringify(`/${node.regex.pattern}/${node.regex.flags}`)})`;
+        if (node.bigint !== undefined) return `Big(${node.bigint})`;
+        return `Lit(${JSON.stringify(node.value)})`;
+
+      case 'TemplateLiteral':
+        // A template without substitutions is just a string
+        if (node.expressions.length === 0) return `Lit(${JSON.stringify(node.quasis[0].value.cooked)})`;
+        break;
+
+      case 'Program': {
+        const inner = this._scope(scope);
+        this._declare(inner, this._declaredNames(node.body, true), state, state.exported);
+        return `Program(${this._serialize(node.body, inner, state)})`;
+      }
+
+      case 'BlockStatement': {
+        const inner = this._scope(scope);
+        this._declare(inner, this._declaredNames(node.body, false), state);
+        return `Block(${this._serialize(node.body, inner, state)})`;
+      }
+
+      case 'FunctionDeclaration':
+        return this._function(node, scope, state, node.id ? this._resolve(node.id.name, scope) : '_');
+
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return this._function(node, scope, state, null);
+
+      case 'VariableDeclaration': {
+        // `const f = () => ...` binds a function just like `function f() {}`
+        const [declaration] = node.declarations;
+        if (node.kind === 'const' && node.declarations.length === 1 &&
+            declaration.id.type === 'Identifier' && !declaration.id.typeAnnotation &&
+            FUNCTION_TYPES.has(declaration.init?.type)) {
+          return this._function(declaration.init, scope, state, this._resolve(declaration.id.name, scope));
+        }
+        break;
+      }
+
+      case 'IfStatement':
+        return this._generic({
+          ...node,
+          consequent: this._asBlock(node.consequent),
+          alternate: node.alternate && node.alternate.type !== 'IfStatement'
+            ? this._asBlock(node.alternate)
+            : node.alternate,
+        }, scope, state);
+
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        return this._generic({ ...node, body: this._asBlock(node.body) }, scope, state);
+
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const inner = this._scope(scope);
+        const head = node.type === 'ForStatement' ? node.init : node.left;
+        if (head?.type === 'VariableDeclaration') {
+          this._declare(inner, this._declaredNames([head], false), state);
+        }
+        return this._generic({ ...node, body: this._asBlock(node.body) }, inner, state);
+      }
+
+      case 'CatchClause': {
+        const inner = this._scope(scope);
+        this._declare(inner, node.param ? this._patternNames(node.param) : [], state);
+        return this._generic(node, inner, state);
+      }
+
+      case 'MemberExpression': {
+        const key = this._staticKey(node.property, node.computed);
+        if (key !== null) {
+          return this._generic(node, scope, state, { property: `#${key}`, computed: 'false' });
+        }
+        break;
+      }
+
+      case 'Property':
+      case 'MethodDefinition':
+      case 'PropertyDefinition': {
+        const key = this._staticKey(node.key, node.computed);
+        if (key !== null) {
+          return this._generic(node, scope, state, { key: `#${key}`, computed: 'false' });
+        }
+        break;
+      }
+
+      case 'ImportSpecifier':
+        return this._generic(node, scope, state, { imported: `#${this._name(node.imported)}` });
+
+      case 'ExportSpecifier':
+        return this._generic(node, scope, state, { exported: `#${this._name(node.exported)}` });
+
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return this._generic(node, scope, state, { label: node.label ? `#${node.label.name}` : '_' });
+
+      case 'MetaProperty':
+        return `Meta(${node.meta.name}.${node.property.name})`;
+    }
+
+    return this._generic(node, scope, state);
+  }
+
+  /**
+   * Serialize every meaningful field of a node, in sorted field order
+   * @param {Object} overrides - Already serialized values for some fields
+   * @private
+   */
+  _generic(node, scope, state, overrides = {}) {
+    const fields = Object.keys(node)
+      .filter(key => !this.ignoredFields.has(key))
+      .sort()
+      .map(key => `${key}:${key in overrides ? overrides[key] : this._serialize(node[key], scope, state)}`);
+
+    return `${node.type}(${fields.join(',')})`;
+  }
+
+  /**
+   * Serialize any function form as one canonical function node
+   * @param {string|null} name - Canonical binding name (null for anonymous expressions)
+   * @private
+   */
+  _function(node, scope, state, name) {
+    const inner = this._scope(scope);
+
+    // A named function expression binds its name inside its own scope; in
+    // `const f = function g() {}`, g is the same function as f
+    if (name === null && node.id) {
+      this._declare(inner, [node.id.name], state);
+      name = this._resolve(node.id.name, inner);
+    } else if (node.type === 'FunctionExpression' && node.id) {
+      inner.names.set(node.id.name, name);
+    }
+
+    this._declare(inner, node.params.flatMap(param => this._patternNames(param)), state);
+    const params = this._serialize(node.params, inner, state);
+
+    const statements = node.body.type === 'BlockStatement'
+      ? node.body.body
+      : [{ type: 'ReturnStatement', argument: node.body }];
+    this._declare(inner, this._declaredNames(statements, true), state);
+
+    // Arrows and plain functions only differ when the function uses its own `this`
+    const kind = node.generator
+      ? 'Generator'
+      : node.type !== 'ArrowFunctionExpression' && this._usesOwnThis(node.body) ? 'ThisFunction' : 'Function';
+
+    // Only typed functions carry a signature, so plain JS forms stay unchanged
+    const types = node.typeParameters || node.returnType
+      ? `,types:${this._serialize([node.typeParameters, node.returnType], inner, state)}`
+      : '';
+
+    return `${kind}(name:${name ?? '_'},async:${node.async}${types},params:${params},body:${this._serialize(statements, inner, state)})`;
+  }
+
+  /**
+   * Whether a function body uses this, arguments, super or new.target
+   * (nested non-arrow functions and classes have their own and are skipped)
+   * @private
+   */
+  _usesOwnThis(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (Array.isArray(node)) return node.some(child => this._usesOwnThis(child));
+
+    switch (node.type) {
+      case 'ThisExpression':
+      case 'Super':
+        return true;
+      case 'MetaProperty':
+        return node.meta.name === 'new';
+      case 'Identifier':
+        return node.name === 'arguments';
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        return false;
+    }
+
+    return Object.entries(node).some(([key, value]) =>
+      !this.ignoredFields.has(key) && value && typeof value === 'object' && this._usesOwnThis(value)
+    );
+  }
+
+  /**
+   * Names declared directly in a statement list
+   * With includeVars, also `var` declarations hoisted from nested blocks.
+   * @private
+   */
+  _declaredNames(statements, includeVars) {
+    const names = [];
+
+    for (const statement of statements) {
+      const node = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+
+      switch (node.type) {
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+          if (node.id) names.push(node.id.name);
+          break;
+        case 'VariableDeclaration':
+          if (node.kind !== 'var' || includeVars) {
+            names.push(...node.declarations.flatMap(d => this._patternNames(d.id)));
+          }
+          break;
+        case 'ImportDeclaration':
+          names.push(...node.specifiers.map(s => s.local.name));
+          break;
+      }
+
+      if (includeVars) {
+        names.push(...this._nestedVars(node, true));
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * `var` names declared inside nested statements (not inside functions)
+   * @private
+   */
+  _nestedVars(node, top = false) {
+    if (!node || typeof node !== 'object') return [];
+    if (Array.isArray(node)) return node.flatMap(child => this._nestedVars(child));
+    if (FUNCTION_TYPES.has(node.type) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression') return [];
+
+    const own = !top && node.type === 'VariableDeclaration' && node.kind === 'var'
+      ? node.declarations.flatMap(d => this._patternNames(d.id))
+      : [];
+
+    const nested = Object.entries(node)
+      .filter(([key, value]) => !this.ignoredFields.has(key) && value && typeof value === 'object')
+      .flatMap(([, value]) => this._nestedVars(value));
+
+    return [...own, ...nested];
+  }
+
+  /**
+   * Binding names in a declaration pattern
+   * @private
+   */
+  _patternNames(pattern) {
+    if (!pattern) return [];
+
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern.name];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(p => this._patternNames(p.type === 'RestElement' ? p.argument : p.value));
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(e => this._patternNames(e));
+      case 'RestElement':
+        return this._patternNames(pattern.argument);
+      case 'AssignmentPattern':
+        return this._patternNames(pattern.left);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Names the module exports (kept as-is, since callers depend on them)
+   * @private
+   */
+  _exportedNames(ast) {
+    const names = new Set();
+
+    for (const statement of ast.body) {
+      if (statement.type === 'ExportNamedDeclaration') {
+        if (statement.declaration) {
+          this._declaredNames([statement.declaration], false).forEach(name => names.add(name));
+        }
+        if (!statement.source) {
+          statement.specifiers.forEach(s => names.add(s.local.name));
+        }
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const declaration = statement.declaration;
+        if (declaration.type === 'Identifier') names.add(declaration.name);
+        else if (declaration.id) names.add(declaration.id.name);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * New lexical scope
+   * @private
+   */
+  _scope(parent) {
+    return { parent, names: new Map() };
+  }
+
+  /**
+   * Give each new name in a scope the next canonical name
+   * @param {Set<string>} keep - Names that keep their original spelling
+   * @private
+   */
+  _declare(scope, names, state, keep = null) {
+    for (const name of names) {
+      if (scope.names.has(name)) continue;
+      scope.names.set(name, keep?.has(name) ? name : `%${state.next++}`);
+    }
+  }
+
+  /**
+   * Canonical name of a reference (free names are kept)
+   * @private
+   */
+  _resolve(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.names.has(name)) return current.names.get(name);
+    }
+    return name;
+  }
+
+  /**
+   * Static property name of a key, or null when it is computed at runtime
+   * @private
+   */
+  _staticKey(key, computed) {
+    if (!computed) {
+      if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+      return key.type === 'Identifier' ? key.name : String(key.value);
+    }
+
+    return key.type === 'Literal' && typeof key.value === 'string' && IDENTIFIER_KEY.test(key.value)
+      ? key.value
+      : null;
+  }
+
+  /**
+   * Name of an Identifier or string Literal (import/export names)
+   * @private
+   */
+  _name(node) {
+    return node.type === 'Identifier' ? node.name : String(node.value);
+  }
+
+  /**
+   * Wrap a single statement in a block
+   * @private
+   */
+  _asBlock(statement) {
+    return statement.type === 'BlockStatement' ? statement : { type: 'BlockStatement', body: [statement] };
+  }
+}
+
+export default CodeCanonicalizer;
@@ -1,5 +1,8 @@
-import * as acorn from 'acorn';
-import * as walk from 'acorn-walk';
+import CodeSandbox from './CodeSandbox.js';
+import LanguageRegistry from './LanguageRegistry.js';
+import TreeEditDistance from './TreeEditDistance.js';
+import ClusteringAlgorithms from './ClusteringAlgorithms.js';
+import AnswerNormalizer from './AnswerNormalizer.js';
 
 /**
  * CodeClusterer - Structural similarity analysis for voting
@@ -8,22 +11,80 @@ import * as walk from 'acorn-walk';
  * Implements Tier 2 voting from our MAKER adaptation:
  * - Parses code into Abstract Syntax Trees (AST)
  * - Extracts structural features (functions, classes, variables)
+ * - Collapses candidates with an identical canonical AST (alpha-renamed,
+ *   formatting and equivalent forms normalized) before any fuzzy comparison
  * - Calculates similarity between code snippets
  * - Clusters similar solutions for voting
+ *
+ * Two clustering modes are supported:
+ * - 'structural' (default): AST feature similarity above a threshold
+ * - 'behavioral': executes candidates in a sandbox against shared probe
+ *   inputs and clusters by identical behavior; candidates that cannot be
+ *   executed fall back to structural similarity among themselves
+ * - 'answer': for answer task types (answer, json, choice, number);
+ *   responses are clustered by exact match on their normalized answer
+ *
+ * Code is parsed by the adapter for options.language (see LanguageRegistry:
+ * javascript, jsx, typescript, tsx, python); TypeScript interfaces, type
+ * aliases, enums and generic parameters count as structural features.
+ *
+ * Structural similarity uses one of two metrics (options.metric):
+ * - 'features' (default): weighted counts, signatures and token overlap
+ * - 'tree': normalized AST tree edit distance; the feature score is kept
+ *   as a cheap prefilter, so clearly different pairs skip the comparison
+ *
+ * Structural clusters are formed by a pluggable algorithm from
+ * ClusteringAlgorithms (options.algorithm, default 'greedy'). Each
+ * cluster's representative is listed first in its members:
+ * - 'first' (default): the algorithm's seed or first response
+ * - 'medoid': the member most similar to all the others
+ * - 'confidence': the member with the highest validator confidence
  */
 class CodeClusterer {
-  constructor(tokenCounter) {
+  constructor(tokenCounter, options = {}) {
     this.tokenCounter = tokenCounter;
+    this.sandbox = new CodeSandbox();
+    this.languages = options.languages || new LanguageRegistry();
+    this.treeDistance = new TreeEditDistance();
+
+    this.metrics = ['features', 'tree'];
+    this.prefilterThreshold = 0.3; // Feature similarity below which tree distance is skipped
+
+    this.algorithms = new ClusteringAlgorithms();
+    this.representatives = ['first', 'medoid', 'confidence'];
+    this.stabilityDelta = 0.05; // Threshold shift used to test cluster stability
+    this.answerNormalizer = new AnswerNormalizer();
   }
 
   /**
    * Cluster responses by similarity
    * @param {Array<string>} responses - Code responses to cluster
    * @param {number} similarityThreshold - Minimum similarity to cluster (0-1)
+   * @param {Object} options - { mode: 'structural'|'behavioral'|'answer', metric: 'features'|'tree',
+   *   language, algorithm, representative: 'first'|'medoid'|'confidence', confidences (per response),
+   *   minPoints (dbscan), probes, entry, task }
    * @returns {Array<Object>} - Clusters with members and representative
    */
-  cluster(responses, similarityThreshold = 0.7) {
+  cluster(responses, similarityThreshold = 0.7, options = {}) {
     if (responses.length === 0) return [];
+
+    if (options.mode === 'answer') {
+      const clusters = [];
+      responses.forEach((response, index) => {
+        this.assignToCluster(clusters, response, index, similarityThreshold, options);
+      });
+      return this.sortClusters(clusters);
+    }
+
+    if (options.mode === 'behavioral') {
+      const probes = options.probes || this.sandbox.generateProbes();
+      const clusters = [];
+      responses.forEach((code, index) => {
+        this.assignToCluster(clusters, code, index, similarityThreshold, { ...options, probes });
+      });
+      return this.sortClusters(clusters);
+    }
+
     if (responses.length === 1) {
       return [{
         representative: responses[0],
@@ -33,156 +94,472 @@ class CodeClusterer {
       }];
     }
 
+    return this._clusterStructural(responses, similarityThreshold, options, false).clusters;
+  }
+
+  /**
+   * Cluster responses and report how stable the structural clusters are
+   * Diagnostics per cluster: cohesion (mean similarity within), separation
+   * (highest similarity to a response outside) and silhouette. Stability
+   * re-runs the algorithm with the threshold shifted by ±stabilityDelta and
+   * reports the Rand index against the actual partition (1 = unchanged).
+   *
+   * @param {Array<string>} responses - Code responses to cluster
+   * @param {number} similarityThreshold - Minimum similarity to cluster (0-1)
+   * @param {Object} options - Same as cluster()
+   * @returns {Object} - { clusters, diagnostics } (diagnostics null outside structural mode)
+   */
+  clusterWithDiagnostics(responses, similarityThreshold = 0.7, options = {}) {
+    if (options.mode === 'answer' || options.mode === 'behavioral' || responses.length < 2) {
+      return { clusters: this.cluster(responses, similarityThreshold, options), diagnostics: null };
+    }
+
+    return this._clusterStructural(responses, similarityThreshold, options, true);
+  }
+
+  /**
+   * Structural clustering with the selected algorithm and representative
+   * @private
+   */
+  _clusterStructural(responses, similarityThreshold, options, withDiagnostics) {
     // Extract features from all responses
     const features = responses.map((code, index) => ({
       index,
       code,
-      features: this.extractFeatures(code),
+      features: this.extractFeatures(code, options.language),
     }));
 
-    // Build similarity matrix
-    const similarityMatrix = this._buildSimilarityMatrix(features);
+    // Identical canonical forms collapse before any fuzzy similarity is computed
+    const groups = this._groupByCanonicalHash(features);
+    const similarityMatrix = this._buildSimilarityMatrix(groups.map(group => group[0]), options);
+
+    const groupOf = [];
+    groups.forEach((group, g) => group.forEach(entry => { groupOf[entry.index] = g; }));
+    const similarity = (a, b) => similarityMatrix[groupOf[a]][groupOf[b]];
+
+    // Partition the groups, then expand each group back into its responses
+    const partition = threshold => this.algorithms
+      .partition(options.algorithm || 'greedy', similarityMatrix, threshold, {
+        weights: groups.map(group => group.length),
+        minPoints: options.minPoints,
+      })
+      .map(cluster => cluster.flatMap(g => groups[g].map(entry => entry.index)));
+
+    const clusters = this.sortClusters(
+      partition(similarityThreshold).map(indices => this._buildCluster(indices, responses, similarity, options))
+    );
+
+    return {
+      clusters,
+      diagnostics: withDiagnostics ? this._diagnose(clusters, similarity, partition, similarityThreshold, options) : null,
+    };
+  }
 
-    // Cluster using greedy agglomerative clustering
-    const clusters = this._greedyCluster(features, similarityMatrix, similarityThreshold);
+  /**
+   * Build a cluster from response indices with the representative first
+   * @private
+   */
+  _buildCluster(indices, responses, similarity, options) {
+    const representative = this._chooseRepresentative(indices, similarity, options);
+    const members = [representative, ...indices.filter(i => i !== representative)].map(index => ({
+      code: responses[index],
+      index,
+      similarity: similarity(representative, index),
+    }));
 
-    return clusters;
+    return {
+      representative: responses[representative],
+      members,
+      size: members.length,
+      avgSimilarity: members.reduce((sum, m) => sum + m.similarity, 0) / members.length,
+    };
   }
 
   /**
-   * Extract structural features from code
-   * @param {string} code - Source code
-   * @returns {Object} - Extracted features
+   * Pick the representative response of a cluster
+   * @private
    */
-  extractFeatures(code) {
-    const features = {
-      ast: null,
-      functions: [],
-      classes: [],
-      imports: [],
-      exports: [],
-      variables: [],
-      tokens: new Set(),
-      structure: {},
-      syntaxValid: true,
+  _chooseRepresentative(indices, similarity, options) {
+    const strategy = options.representative || 'first';
+    if (!this.representatives.includes(strategy)) {
+      throw new Error(`Unknown representative strategy: ${strategy}`);
+    }
+    if (strategy === 'first') {
+      return indices[0];
+    }
+
+    const centrality = i => indices.reduce((sum, j) => sum + similarity(i, j), 0);
+    const confidence = i => options.confidences?.[i] ?? 0;
+
+    let best = indices[0];
+    for (const i of indices.slice(1)) {
+      const better = strategy === 'confidence'
+        ? confidence(i) > confidence(best) || (confidence(i) === confidence(best) && centrality(i) > centrality(best))
+        : centrality(i) > centrality(best);
+      if (better) best = i;
+    }
+
+    return best;
+  }
+
+  /**
+   * Cohesion, separation, silhouette and threshold stability
+   * @private
+   */
+  _diagnose(clusters, similarity, partition, threshold, options) {
+    const labels = new Map();
+    clusters.forEach((cluster, c) => cluster.members.forEach(m => labels.set(m.index, c)));
+    const indices = [...labels.keys()];
+    const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+    // Silhouette on distance = 1 - similarity (0 for singletons)
+    const silhouette = i => {
+      const own = clusters[labels.get(i)].members.map(m => m.index).filter(j => j !== i);
+      if (own.length === 0 || clusters.length < 2) return 0;
+
+      const a = mean(own.map(j => 1 - similarity(i, j)));
+      const b = Math.min(...clusters
+        .filter((_, c) => c !== labels.get(i))
+        .map(other => mean(other.members.map(m => 1 - similarity(i, m.index)))));
+
+      return Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
     };
 
-    try {
-      // Parse AST
-      features.ast = acorn.parse(code, {
-        ecmaVersion: 2022,
-        sourceType: 'module',
-        allowHashBang: true,
-        allowAwaitOutsideFunction: true,
+    const perCluster = clusters.map((cluster, c) => {
+      const own = cluster.members.map(m => m.index);
+      const others = indices.filter(i => labels.get(i) !== c);
+      const pairs = own.flatMap((i, x) => own.slice(x + 1).map(j => similarity(i, j)));
+
+      return {
+        size: cluster.size,
+        cohesion: pairs.length > 0 ? mean(pairs) : 1.0,
+        separation: others.length > 0 ? Math.max(...own.flatMap(i => others.map(j => similarity(i, j)))) : 0,
+        silhouette: mean(own.map(silhouette)),
+      };
+    });
+
+    const agreement = shifted => this._randIndex(labels, partition(Math.min(1, Math.max(0, shifted))));
+    const lower = agreement(threshold - this.stabilityDelta);
+    const upper = agreement(threshold + this.stabilityDelta);
+
+    return {
+      algorithm: options.algorithm || 'greedy',
+      representative: options.representative || 'first',
+      clusters: perCluster,
+      silhouette: mean(indices.map(silhouette)),
+      thresholdStability: { delta: this.stabilityDelta, lower, upper },
+      stable: lower === 1 && upper === 1,
+    };
+  }
+
+  /**
+   * Share of response pairs that two partitions agree on (together or apart)
+   * @private
+   */
+  _randIndex(labels, partition) {
+    const other = new Map();
+    partition.forEach((cluster, c) => cluster.forEach(i => other.set(i, c)));
+
+    const indices = [...labels.keys()];
+    let agree = 0;
+    let pairs = 0;
+
+    for (let x = 0; x < indices.length; x++) {
+      for (let y = x + 1; y < indices.length; y++) {
+        const i = indices[x];
+        const j = indices[y];
+        if ((labels.get(i) === labels.get(j)) === (other.get(i) === other.get(j))) agree++;
+        pairs++;
+      }
+    }
+
+    return pairs > 0 ? agree / pairs : 1;
+  }
+
+  /**
+   * Assign a single response to an existing cluster or start a new one
+   * Used for incremental (sequential) voting, where responses arrive one at a time.
+   * Clusters are mutated in place and keep their insertion order.
+   *
+   * @param {Array<Object>} clusters - Clusters built so far
+   * @param {string} code - Response to assign
+   * @param {number} index - Candidate index of the response
+   * @param {number} similarityThreshold - Minimum similarity to join a cluster (0-1)
+   * @param {Object} options - { mode: 'structural'|'behavioral'|'answer', metric: 'features'|'tree',
+   *   language, probes, entry, task }
+   * @returns {number} - Index of the cluster the response was assigned to
+   */
+  assignToCluster(clusters, code, index, similarityThreshold = 0.7, options = {}) {
+    if (options.mode === 'answer') {
+      return this._assignByAnswer(clusters, code, index, options);
+    }
+
+    if (options.mode === 'behavioral') {
+      return this._assignByBehavior(clusters, code, index, similarityThreshold, options);
+    }
+
+    const features = this.extractFeatures(code, options.language);
+
+    // Exact match on the canonical form needs no fuzzy comparison
+    if (features.canonicalHash) {
+      const exact = clusters.findIndex(c => c.canonicalHash === features.canonicalHash);
+      if (exact !== -1) {
+        this._addMember(clusters[exact], code, index, 1.0);
+        return exact;
+      }
+    }
+
+    let bestIndex = -1;
+    let bestSimilarity = -1;
+
+    clusters.forEach((cluster, i) => {
+      const similarity = cluster.representative === code
+        ? 1.0
+        : this._similarity(this.extractFeatures(cluster.representative, options.language), features, options);
+
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        bestIndex = i;
+      }
+    });
+
+    if (bestIndex !== -1 && bestSimilarity >= similarityThreshold) {
+      this._addMember(clusters[bestIndex], code, index, bestSimilarity);
+      return bestIndex;
+    }
+
+    clusters.push({
+      ...this._newCluster(code, index),
+      canonicalHash: features.canonicalHash,
+    });
+
+    return clusters.length - 1;
+  }
+
+  /**
+   * Assign a response by its sandboxed behavior fingerprint
+   * Executable responses join the cluster with an identical fingerprint;
+   * others are compared structurally against non-executable clusters only.
+   * @private
+   */
+  _assignByBehavior(clusters, code, index, similarityThreshold, options) {
+    const probes = options.probes || this.sandbox.generateProbes();
+    const execution = this.sandbox.run(code, probes, { entry: options.entry });
+
+    if (execution.executable) {
+      const match = clusters.findIndex(c => c.fingerprint === execution.fingerprint);
+      if (match !== -1) {
+        this._addMember(clusters[match], code, index, 1.0);
+        return match;
+      }
+
+      clusters.push({
+        ...this._newCluster(code, index),
+        basis: 'behavior',
+        fingerprint: execution.fingerprint,
       });
+      return clusters.length - 1;
+    }
 
-      // Walk AST to extract features
-      walk.simple(features.ast, {
-        FunctionDeclaration(node) {
-          features.functions.push({
-            name: node.id?.name,
-            params: node.params.length,
-            async: node.async,
-          });
-        },
+    const features = this.extractFeatures(code, options.language);
+    let bestIndex = -1;
+    let bestSimilarity = -1;
 
-        ArrowFunctionExpression(node) {
-          features.functions.push({
-            name: null,
-            params: node.params.length,
-            async: node.async,
-            arrow: true,
-          });
-        },
+    clusters.forEach((cluster, i) => {
+      if (cluster.basis !== 'structure') return;
 
-        ClassDeclaration(node) {
-          features.classes.push({
-            name: node.id?.name,
-            methods: node.body.body.filter(m => m.type === 'MethodDefinition').length,
-          });
-        },
+      const similarity = this._similarity(this.extractFeatures(cluster.representative, options.language), features, options);
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        bestIndex = i;
+      }
+    });
 
-        ImportDeclaration(node) {
-          features.imports.push({
-            source: node.source.value,
-            specifiers: node.specifiers.length,
-          });
-        },
+    if (bestIndex !== -1 && bestSimilarity >= similarityThreshold) {
+      this._addMember(clusters[bestIndex], code, index, bestSimilarity);
+      return bestIndex;
+    }
 
-        ExportNamedDeclaration(node) {
-          features.exports.push({
-            type: 'named',
-            declaration: node.declaration?.type,
-          });
-        },
+    clusters.push({
+      ...this._newCluster(code, index),
+      basis: 'structure',
+      fingerprint: null,
+      fallbackReason: execution.reason,
+    });
+    return clusters.length - 1;
+  }
 
-        ExportDefaultDeclaration(node) {
-          features.exports.push({
-            type: 'default',
-            declaration: node.declaration?.type,
-          });
-        },
+  /**
+   * Assign a response by its normalized answer
+   * Responses whose answer can't be extracted each get their own cluster.
+   * @private
+   */
+  _assignByAnswer(clusters, response, index, options) {
+    const task = options.task || {};
+    const answer = this.answerNormalizer.normalize(response, task);
+
+    if (answer.ok) {
+      const match = clusters.findIndex(c =>
+        c.answer && this.answerNormalizer.equivalent(c.answer, answer, task)
+      );
+      if (match !== -1) {
+        this._addMember(clusters[match], response, index, 1.0);
+        return match;
+      }
+    }
 
-        VariableDeclaration(node) {
-          node.declarations.forEach(decl => {
-            features.variables.push({
-              name: decl.id?.name,
-              kind: node.kind,
-            });
-          });
-        },
+    clusters.push({
+      ...this._newCluster(response, index),
+      basis: 'answer',
+      answer: answer.ok ? answer : null,
+    });
+    return clusters.length - 1;
+  }
 
-        Identifier(node) {
-          features.tokens.add(node.name);
-        },
+  /**
+   * Create a single-member cluster
+   * @private
+   */
+  _newCluster(code, index) {
+    return {
+      representative: code,
+      members: [{ code, index, similarity: 1.0 }],
+      size: 1,
+      avgSimilarity: 1.0,
+    };
+  }
 
-        Literal(node) {
-          if (typeof node.value === 'string') {
-            features.tokens.add(`"${node.value}"`);
-          }
+  /**
+   * Add a member to a cluster and update its average similarity
+   * @private
+   */
+  _addMember(cluster, code, index, similarity) {
+    cluster.members.push({ code, index, similarity });
+    cluster.size++;
+    cluster.avgSimilarity = cluster.members.reduce((sum, m) => sum + m.similarity, 0) / cluster.size;
+  }
+
+  /**
+   * Sort clusters by size (largest first) without mutating the input
+   * @param {Array<Object>} clusters - Clusters to sort
+   * @returns {Array<Object>} - Sorted copy
+   */
+  sortClusters(clusters) {
+    return [...clusters].sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Pairwise similarity matrix for a set of responses
+   * Structural similarity for code; 1/0 answer agreement in 'answer' mode.
+   * @param {Array<string>} responses - Responses
+   * @param {Object} options - { mode, metric, task }
+   * @returns {Array<Array<number>>} - Symmetric matrix of similarities (0-1)
+   */
+  similarityMatrix(responses, options = {}) {
+    if (options.mode === 'answer') {
+      const task = options.task || {};
+      const answers = responses.map(response => this.answerNormalizer.normalize(response, task));
+      return answers.map((a, i) => answers.map((b, j) => (
+        i === j || (a.ok && b.ok && this.answerNormalizer.equivalent(a, b, task)) ? 1 : 0
+      )));
+    }
+
+    const features = responses.map((code, index) => ({
+      index,
+      code,
+      features: this.extractFeatures(code, options.language),
+    }));
+
+    return this._buildSimilarityMatrix(features, options);
+  }
+
+  /**
+   * Extract structural features from code
+   * @param {string} code - Source code
+   * @param {string} language - Language adapter to parse with (default: javascript)
+   * @returns {Object} - Extracted features
+   */
+  extractFeatures(code, language = 'javascript') {
+    const features = this.languages.get(language).extractFeatures(code);
+
+    if (!features) {
+      // Syntax error - fall back to token-based analysis
+      const tokens = new Set(this._tokenizeRaw(code));
+      return {
+        ast: null,
+        functions: [],
+        classes: [],
+        types: [],
+        imports: [],
+        exports: [],
+        variables: [],
+        tokens,
+        structure: {
+          functionCount: 0,
+          classCount: 0,
+          importCount: 0,
+          exportCount: 0,
+          variableCount: 0,
+          tokenCount: tokens.size,
         },
-      });
+        syntaxValid: false,
+        canonicalHash: null,
+        tree: null,
+      };
+    }
 
+    return {
+      ...features,
       // Calculate structural summary
-      features.structure = {
+      structure: {
         functionCount: features.functions.length,
         classCount: features.classes.length,
+        typeCount: features.types.length,
         importCount: features.imports.length,
         exportCount: features.exports.length,
         variableCount: features.variables.length,
         tokenCount: features.tokens.size,
-      };
-
-    } catch (error) {
-      // Syntax error - fall back to token-based analysis
-      features.syntaxValid = false;
-      features.tokens = new Set(this._tokenizeRaw(code));
-      features.structure = {
-        functionCount: 0,
-        classCount: 0,
-        importCount: 0,
-        exportCount: 0,
-        variableCount: 0,
-        tokenCount: features.tokens.size,
-      };
-    }
-
-    return features;
+      },
+      tree: null, // Prepared tree for edit distance (built on demand)
+    };
   }
 
   /**
    * Calculate similarity between two code snippets
    * @param {string} code1 - First code snippet
    * @param {string} code2 - Second code snippet
+   * @param {Object} options - { metric: 'features'|'tree', language }
    * @returns {number} - Similarity score (0-1)
    */
-  calculateSimilarity(code1, code2) {
+  calculateSimilarity(code1, code2, options = {}) {
     if (code1 === code2) return 1.0;
 
-    const features1 = this.extractFeatures(code1);
-    const features2 = this.extractFeatures(code2);
+    const features1 = this.extractFeatures(code1, options.language);
+    const features2 = this.extractFeatures(code2, options.language);
+
+    return this._similarity(features1, features2, options);
+  }
+
+  /**
+   * Similarity under the selected metric
+   * Falls back to the feature score when either response doesn't parse
+   * or its tree is too large to compare.
+   * @private
+   */
+  _similarity(f1, f2, options = {}) {
+    const featureSimilarity = this._compareFeaturesEnhanced(f1, f2);
+
+    if (options.metric !== 'tree' || !f1.ast || !f2.ast) {
+      return featureSimilarity;
+    }
+    if (f1.canonicalHash === f2.canonicalHash || featureSimilarity < this.prefilterThreshold) {
+      return featureSimilarity;
+    }
+
+    f1.tree = f1.tree || this.treeDistance.fromAST(f1.ast);
+    f2.tree = f2.tree || this.treeDistance.fromAST(f2.ast);
 
-    return this._compareFeaturesEnhanced(features1, features2);
+    return this.treeDistance.similarity(f1.tree, f2.tree) ?? featureSimilarity;
   }
 
   /**
@@ -190,6 +567,10 @@ class CodeClusterer {
    * @private
    */
   _compareFeaturesEnhanced(f1, f2) {
+    if (f1.canonicalHash && f1.canonicalHash === f2.canonicalHash) {
+      return 1.0;
+    }
+
     // If both have syntax errors, fall back to pure token similarity
     if (!f1.syntaxValid && !f2.syntaxValid) {
       return this._jaccardSimilarity(f1.tokens, f2.tokens);
@@ -223,8 +604,10 @@ class CodeClusterer {
     const tokenSim = this._jaccardSimilarity(f1.tokens, f2.tokens);
     totalSimilarity += weights.tokens * tokenSim;
 
-    // 4. Class similarity
-    const classSim = this._classSimilarity(f1.classes, f2.classes);
+    // 4. Class similarity (shared with TypeScript type declarations when there are any)
+    const classSim = f1.types.length > 0 || f2.types.length > 0
+      ? (this._classSimilarity(f1.classes, f2.classes) + this._typeSimilarity(f1.types, f2.types)) / 2
+      : this._classSimilarity(f1.classes, f2.classes);
     totalSimilarity += weights.classes * classSim;
 
     // 5. Import similarity
@@ -240,6 +623,7 @@ class CodeClusterer {
    */
   _structuralSimilarity(s1, s2) {
     const keys = ['functionCount', 'classCount', 'importCount', 'exportCount', 'variableCount'];
+    if (s1.typeCount || s2.typeCount) keys.push('typeCount');
 
     let similarity = 0;
     for (const key of keys) {
@@ -266,7 +650,7 @@ class CodeClusterer {
     if (funcs1.length === 0 && funcs2.length === 0) return 1.0;
     if (funcs1.length === 0 || funcs2.length === 0) return 0;
 
-    // Match functions by signature (params, async, arrow)
+    // Match functions by signature (params, async, generic parameters)
     let matches = 0;
     const used = new Set();
 
@@ -275,7 +659,7 @@ class CodeClusterer {
         if (used.has(i)) continue;
 
         const f2 = funcs2[i];
-        if (f1.params === f2.params && f1.async === f2.async) {
+        if (f1.params === f2.params && f1.async === f2.async && f1.generics === f2.generics) {
           matches++;
           used.add(i);
           break;
@@ -306,6 +690,30 @@ class CodeClusterer {
     return similarity / Math.max(classes1.length, classes2.length);
   }
 
+  /**
+   * Calculate TypeScript type declaration similarity
+   * @private
+   */
+  _typeSimilarity(types1, types2) {
+    if (types1.length === 0 && types2.length === 0) return 1.0;
+    if (types1.length === 0 || types2.length === 0) return 0;
+
+    // Match declarations by kind, member count and generic parameters
+    let matches = 0;
+    const used = new Set();
+
+    for (const t1 of types1) {
+      const i = types2.findIndex((t2, j) => !used.has(j) &&
+        t1.kind === t2.kind && t1.members === t2.members && t1.generics === t2.generics);
+      if (i !== -1) {
+        matches++;
+        used.add(i);
+      }
+    }
+
+    return matches / Math.max(types1.length, types2.length);
+  }
+
   /**
    * Calculate import similarity
    * @private
@@ -337,14 +745,14 @@ class CodeClusterer {
    * Build similarity matrix
    * @private
    */
-  _buildSimilarityMatrix(features) {
+  _buildSimilarityMatrix(features, options = {}) {
     const n = features.length;
     const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
 
     for (let i = 0; i < n; i++) {
       matrix[i][i] = 1.0;
       for (let j = i + 1; j < n; j++) {
-        const sim = this._compareFeaturesEnhanced(features[i].features, features[j].features);
+        const sim = this._similarity(features[i].features, features[j].features, options);
         matrix[i][j] = sim;
         matrix[j][i] = sim;
       }
@@ -354,60 +762,19 @@ class CodeClusterer {
   }
 
   /**
-   * Greedy clustering algorithm
+   * Group responses with the same canonical hash (unparseable ones stay alone)
    * @private
    */
-  _greedyCluster(features, similarityMatrix, threshold) {
-    const n = features.length;
-    const clusters = [];
-    const assigned = new Set();
-
-    // Sort by potential cluster size (greedy)
-    const candidates = features.map((f, i) => ({
-      index: i,
-      avgSimilarity: similarityMatrix[i].reduce((a, b) => a + b, 0) / n,
-    })).sort((a, b) => b.avgSimilarity - a.avgSimilarity);
-
-    for (const candidate of candidates) {
-      if (assigned.has(candidate.index)) continue;
-
-      // Start new cluster with this candidate as representative
-      const cluster = {
-        representative: features[candidate.index].code,
-        members: [{
-          code: features[candidate.index].code,
-          index: candidate.index,
-          similarity: 1.0,
-        }],
-        size: 1,
-      };
-
-      assigned.add(candidate.index);
-
-      // Find similar responses to add to cluster
-      for (let i = 0; i < n; i++) {
-        if (assigned.has(i)) continue;
-
-        const similarity = similarityMatrix[candidate.index][i];
-        if (similarity >= threshold) {
-          cluster.members.push({
-            code: features[i].code,
-            index: i,
-            similarity,
-          });
-          cluster.size++;
-          assigned.add(i);
-        }
-      }
-
-      // Calculate average similarity within cluster
-      cluster.avgSimilarity = cluster.members.reduce((sum, m) => sum + m.similarity, 0) / cluster.size;
+  _groupByCanonicalHash(features) {
+    const groups = new Map();
 
-      clusters.push(cluster);
+    for (const entry of features) {
+      const key = entry.features.canonicalHash ?? `unique:${entry.index}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
     }
 
-    // Sort clusters by size (largest first)
-    return clusters.sort((a, b) => b.size - a.size);
+    return [...groups.values()];
   }
 
   /**
@@ -0,0 +1,82 @@
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import jsx from 'acorn-jsx';
+import { tsPlugin } from '@sveltejs/acorn-typescript';
+
+/**
+ * CodeParser - acorn parsers for the JavaScript dialects
+ * Every parser is acorn, extended with plugins, so all dialects produce
+ * ESTree ASTs (TS and JSX add their own node types on top).
+ *
+ * Dialects:
+ * - 'javascript': latest ECMAScript
+ * - 'jsx':        ECMAScript + JSX
+ * - 'typescript': TypeScript (interfaces, type aliases, generics, enums)
+ * - 'tsx':        TypeScript + JSX
+ *
+ * Which dialect a task uses is decided by LanguageRegistry.
+ */
+class CodeParser {
+  constructor() {
+    this.parsers = {
+      javascript: acorn.Parser,
+      jsx: acorn.Parser.extend(jsx()),
+      typescript: acorn.Parser.extend(tsPlugin()),
+      tsx: acorn.Parser.extend(tsPlugin({ jsx: true })),
+    };
+
+    // acorn-walk only knows ESTree; TS and JSX nodes are walked generically
+    this.walkBase = new Proxy(walk.base, {
+      get: (base, type) => base[type] || this._visitChildren,
+    });
+  }
+
+  /**
+   * Parse code; throws acorn's SyntaxError (with loc) on failure
+   * @param {string} code - Source code
+   * @param {string} language - Dialect name (default: javascript)
+   * @param {Object} options - { sourceType: 'module'|'script' }
+   * @returns {Object} - Program node
+   */
+  parse(code, language = 'javascript', options = {}) {
+    const parser = this.parsers[language];
+    if (!parser) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    const sourceType = options.sourceType || 'module';
+
+    return parser.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType,
+      allowHashBang: true,
+      allowAwaitOutsideFunction: sourceType === 'module',
+      locations: true, // Required by the TypeScript plugin
+    });
+  }
+
+  /**
+   * acorn-walk simple walk that also descends into TS and JSX nodes
+   * @param {Object} ast - Parsed AST
+   * @param {Object} visitors - acorn-walk visitors by node type
+   */
+  walk(ast, visitors) {
+    walk.simple(ast, visitors, this.walkBase);
+  }
+
+  /**
+   * Visit every child node of a node acorn-walk doesn't know
+   * @private
+   */
+  _visitChildren(node, state, callback) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') callback(child, state);
+      }
+    }
+  }
+}
+
+export default CodeParser;
@@ -0,0 +1,384 @@
+import * as acorn from 'acorn';
+import SandboxWorker from './SandboxWorker.js';
+
+// Runs inside each candidate's context before the candidate: the console
+// stub and the probe runner are built from the context's own intrinsics.
+// Outputs are serialized in the context too, under the probe's timeout,
+// so getters, iterators and thenables in a result never run in the host.
+const RUNTIME = `
+(() => {
+  const noop = () => {};
+  globalThis.console = { log: noop, warn: noop, error: noop, info: noop, debug: noop };
+
+  const toString = Object.prototype.toString;
+  const serialize = (value, seen) => {
+    if (value === undefined) return 'undefined';
+    if (value === null) return 'null';
+
+    switch (typeof value) {
+      case 'number':
+        return Object.is(value, -0) ? '-0' : String(value);
+      case 'bigint':
+        return value + 'n';
+      case 'string':
+        return JSON.stringify(value);
+      case 'boolean':
+        return String(value);
+      case 'symbol':
+        return 'Symbol(' + (value.description || '') + ')';
+      case 'function':
+        return '[Function]';
+    }
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    const tag = toString.call(value).slice(8, -1);
+    let result;
+
+    if (typeof value.then === 'function') {
+      result = '[Promise]';
+    } else if (Array.isArray(value)) {
+      result = '[' + value.map(v => serialize(v, seen)).join(',') + ']';
+    } else if (tag === 'Date') {
+      result = 'Date(' + value.getTime() + ')';
+    } else if (tag === 'RegExp') {
+      result = String(value);
+    } else if (tag === 'Map') {
+      result = 'Map{' + [...value].map(([k, v]) => serialize(k, seen) + '=>' + serialize(v, seen)).join(',') + '}';
+    } else if (tag === 'Set') {
+      result = 'Set{' + [...value].map(v => serialize(v, seen)).join(',') + '}';
+    } else if (tag === 'Error') {
+      result = 'Error(' + value.name + ')';
+    } else {
+      const keys = Object.keys(value).sort();
+      result = '{' + keys.map(k => JSON.stringify(k) + ':' + serialize(value[k], seen)).join(',') + '}';
+    }
+
+    seen.delete(value);
+    return result;
+  };
+
+  const define = (name, value) => Object.defineProperty(globalThis, name, { value, writable: false, configurable: false, enumerable: false });
+
+  define('__makerCallable__', () => typeof globalThis.__makerEntry__ === 'function');
+
+  // One probe call: 'ok:<serialized output>' or 'throw:<error name>'
+  const catchRejection = Promise.prototype.catch;
+  define('__makerCall__', json => {
+    try {
+      const output = globalThis.__makerEntry__(...JSON.parse(json));
+      // A rejected result is an output ('[Promise]'), not an unhandled rejection
+      if (output instanceof Promise) catchRejection.call(output, noop);
+      return 'ok:' + serialize(output, new Set());
+    } catch (error) {
+      let name;
+      try {
+        name = error?.name;
+      } catch {
+        // Unreadable name: fall back to the type
+      }
+      return 'throw:' + (typeof name === 'string' && name ? name : typeof error);
+    }
+  });
+})();
+`;
+
+// Entry point names, which are pasted into the candidate's script
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Worker (see SandboxWorker): loads one candidate per job in a fresh
+// context and calls its entry point with each probe
+const WORKER = `
+const { types } = require('util');
+const vm = require('vm');
+
+const runtime = new vm.Script(workerData.data.runtime, { filename: 'maker-runtime.js' });
+const callable = new vm.Script('__makerCallable__()');
+
+function handle({ source, probes, timeout }) {
+  // Null prototype: not even the sandbox object links back to the host realm
+  const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+  runtime.runInContext(context);
+
+  try {
+    new vm.Script(source).runInContext(context, { timeout });
+    if (callable.runInContext(context, { timeout }) !== true) {
+      return { executable: false, reason: 'Entry point is not a function' };
+    }
+  } catch (error) {
+    return { executable: false, reason: 'Failed to load: ' + errorMessage(error) };
+  }
+
+  const outputs = probes.map(args => {
+    const call = new vm.Script('__makerCall__(' + JSON.stringify(JSON.stringify(args)) + ')');
+    try {
+      const output = call.runInContext(context, { timeout });
+      return typeof output === 'string' ? output : 'throw:unknown';
+    } catch (error) {
+      // Thrown past the probe runner: the timeout, or a broken intrinsic
+      return isTimeout(error) ? 'timeout' : 'throw:unknown';
+    }
+  });
+
+  return { executable: true, outputs };
+}
+
+// A promise the candidate rejects and never handles (see SandboxWorker)
+// would crash a Node process: it fails to load
+function rejected(result, reason) {
+  const message = types.isNativeError(reason) ? Object.getOwnPropertyDescriptor(reason, 'message') : undefined;
+  const detail = message && typeof message.value === 'string' ? ': ' + message.value : '';
+  return { executable: false, reason: 'Failed to load: unhandled promise rejection' + detail };
+}
+
+// Errors can come from the candidate, so they are read without running its
+// code: no getters, and no proxies
+function isTimeout(error) {
+  if (!types.isNativeError(error)) return false;
+  const code = Object.getOwnPropertyDescriptor(error, 'code');
+  return Boolean(code) && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+function errorMessage(error) {
+  const message = types.isNativeError(error) ? Object.getOwnPropertyDescriptor(error, 'message') : undefined;
+  return message && typeof message.value === 'string' ? message.value : 'threw a ' + typeof error;
+}
+`;
+
+/**
+ * CodeSandbox - Executes candidate code against probe inputs
+ * Used for behavioral clustering: two candidates are equivalent when they
+ * produce the same outputs (or throw the same errors) on the same inputs.
+ *
+ * Each candidate runs in a fresh `vm` context with no access to require,
+ * process or the file system, and every call is bounded by a timeout. The
+ * context is created from a null-prototype object and gets no host
+ * objects: anything reachable from inside it (console, the probe runner,
+ * x.constructor) belongs to the context's own realm, and only strings
+ * and booleans come back out. Promise jobs run before each call returns
+ * (microtaskMode 'afterEvaluate'), so they count toward its timeout. A
+ * promise rejection the candidate leaves unhandled makes it not executable.
+ * Candidates run in a heap-limited worker thread (see SandboxWorker), where
+ * a timeout inside a promise job can't disturb the CLI's event loop.
+ * Candidates that import modules, fail to load or expose no callable entry
+ * point are reported as not executable so callers can fall back to
+ * structural similarity.
+ */
+class CodeSandbox {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 50; // ms per probe call
+    this.memoryMb = options.memoryMb || 64; // Worker heap limit
+    this.probeCount = options.probeCount || 16;
+    this.probeArity = options.probeArity || 3;
+
+    // Representative inputs mixed into generated probes
+    this.baseValues = [
+      0, 1, -1, 2, 10, 3.5, '', 'a', 'hello world',
+      [], [1, 2, 3], [3, 1, 2], {}, { a: 1 }, null, true, false,
+    ];
+
+    this.worker = new SandboxWorker(WORKER, { memoryMb: this.memoryMb, data: { runtime: RUNTIME } });
+  }
+
+  /**
+   * Generate a shared set of probe inputs for a task
+   * Uses task.probes if supplied, otherwise mixes literals found in the
+   * task description with representative base values.
+   *
+   * @param {Object} task - Task metadata (probes, description)
+   * @returns {Array<Array>} - Argument lists, one per probe
+   */
+  generateProbes(task = {}) {
+    if (Array.isArray(task.probes) && task.probes.length > 0) {
+      return task.probes.map(args => (Array.isArray(args) ? args : [args]));
+    }
+
+    const values = [...this._extractLiterals(task.description || ''), ...this.baseValues];
+    const count = Math.max(this.probeCount, values.length);
+    const probes = [];
+
+    for (let i = 0; i < count; i++) {
+      const args = [];
+      for (let p = 0; p < this.probeArity; p++) {
+        // Different stride per position so every argument varies independently
+        args.push(values[(i * (2 * p + 1) + p) % values.length]);
+      }
+      probes.push(args);
+    }
+
+    return probes;
+  }
+
+  /**
+   * Run code against probes and fingerprint its behavior
+   * @param {string} code - Candidate source code
+   * @param {Array<Array>} probes - Argument lists from generateProbes()
+   * @param {Object} options - { entry: function name to call }
+   * @returns {Object} - { executable, fingerprint, outputs, entry, reason }
+   */
+  run(code, probes, options = {}) {
+    const prepared = this.prepare(code, options);
+    if (!prepared.executable) {
+      return { executable: false, fingerprint: null, outputs: [], reason: prepared.reason };
+    }
+
+    // The worker enforces the timeouts; this only catches a dead or stuck worker
+    const waitMs = this.timeout * (probes.length + 2) * 2 + 250;
+
+    let reply;
+    try {
+      reply = this.worker.call({ source: prepared.source, probes, timeout: this.timeout }, waitMs);
+    } catch (error) {
+      return { executable: false, fingerprint: null, outputs: [], reason: `Sandbox could not run: ${error.message}` };
+    }
+
+    if (reply === undefined) {
+      return {
+        executable: false,
+        fingerprint: null,
+        outputs: [],
+        reason: `Exceeded the ${this.memoryMb} MB memory limit or stopped responding`,
+      };
+    }
+
+    if (!reply.executable) {
+      return { executable: false, fingerprint: null, outputs: [], reason: reply.reason };
+    }
+
+    return {
+      executable: true,
+      fingerprint: reply.outputs.join('|'),
+      outputs: reply.outputs,
+      entry: prepared.entry,
+    };
+  }
+
+  /**
+   * Stop the worker
+   */
+  close() {
+    this.worker.close();
+  }
+
+  /**
+   * Convert candidate code into a runnable script with a single entry point
+   * ES module syntax is stripped; imports make the code non-executable.
+   *
+   * @param {string} code - Candidate source code
+   * @param {Object} options - { entry: function name to call }
+   * @returns {Object} - { executable, source, entry, reason }
+   */
+  prepare(code, options = {}) {
+    let ast;
+    try {
+      ast = acorn.parse(code, {
+        ecmaVersion: 2022,
+        sourceType: 'module',
+        allowHashBang: true,
+        allowAwaitOutsideFunction: true,
+      });
+    } catch (error) {
+      return { executable: false, reason: `Syntax error: ${error.message}` };
+    }
+
+    const edits = [];
+    const functions = [];
+    let defaultEntry = null;
+    let exportedEntry = null;
+
+    for (const node of ast.body) {
+      if (node.type === 'ImportDeclaration') {
+        return { executable: false, reason: 'Imports external modules' };
+      }
+
+      if (node.type === 'ExportNamedDeclaration') {
+        if (node.declaration) {
+          edits.push({ start: node.start, end: node.declaration.start, text: '' });
+          const name = this._functionName(node.declaration);
+          if (name && !exportedEntry) exportedEntry = name;
+          if (name) functions.push(name);
+        } else {
+          edits.push({ start: node.start, end: node.end, text: '' });
+        }
+        continue;
+      }
+
+      if (node.type === 'ExportDefaultDeclaration') {
+        const decl = node.declaration;
+        if ((decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+          edits.push({ start: node.start, end: decl.start, text: '' });
+          defaultEntry = decl.id.name;
+        } else {
+          edits.push({ start: node.start, end: decl.start, text: 'const __makerDefault__ = ' });
+          if (code[node.end - 1] !== ';') {
+            edits.push({ start: node.end, end: node.end, text: ';' });
+          }
+          defaultEntry = '__makerDefault__';
+        }
+        continue;
+      }
+
+      const name = this._functionName(node);
+      if (name) functions.push(name);
+    }
+
+    const entry = options.entry || defaultEntry || exportedEntry || functions[functions.length - 1];
+    if (!entry) {
+      return { executable: false, reason: 'No callable entry point found' };
+    }
+    if (!IDENTIFIER.test(entry)) {
+      return { executable: false, reason: `Entry point '${entry}' is not an identifier` };
+    }
+
+    let source = code;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      source = source.slice(0, edit.start) + edit.text + source.slice(edit.end);
+    }
+
+    // Expose the entry point as a global so probes can call it
+    source += `\n;globalThis.__makerEntry__ = typeof ${entry} !== 'undefined' ? ${entry} : undefined;`;
+
+    return { executable: true, source, entry };
+  }
+
+  /**
+   * Name of a top-level function (declaration or function-valued const)
+   * @private
+   */
+  _functionName(node) {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      return node.id.name;
+    }
+
+    if (node.type === 'VariableDeclaration') {
+      const decl = node.declarations.find(d =>
+        d.id.type === 'Identifier' &&
+        (d.init?.type === 'ArrowFunctionExpression' || d.init?.type === 'FunctionExpression')
+      );
+      return decl ? decl.id.name : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Pull numeric and quoted string literals out of a task description
+   * @private
+   */
+  _extractLiterals(text) {
+    const literals = [];
+
+    for (const match of text.matchAll(/(?<![\w.])-?\d+(?:\.\d+)?(?![\w.])/g)) {
+      literals.push(Number(match[0]));
+    }
+
+    for (const match of text.matchAll(/(["'`])([^"'`\n]{0,40})\1/g)) {
+      literals.push(match[2]);
+    }
+
+    return [...new Set(literals)].slice(0, 10);
+  }
+}
+
+export default CodeSandbox;
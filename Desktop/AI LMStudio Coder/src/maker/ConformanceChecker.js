@@ -0,0 +1,363 @@
+// Targets that name a file rather than a symbol
+const FILE_EXTENSIONS = new Set([
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts', 'py', 'pyi',
+  'json', 'md', 'css', 'scss', 'html', 'yml', 'yaml', 'txt', 'sh',
+]);
+
+const TEST_FILE = /(?:\.(?:test|spec)\.[a-z]+$|(?:^|[\\/])(?:__tests__|tests?)[\\/]|(?:^|[\\/])test_\w+\.py$|_test\.py$)/i;
+
+// Test cases in JavaScript (describe/it/test) or Python (def test_..., class Test...)
+const TEST_CASE = /(?:^|[^\w$.])(?:describe|it|test)\s*\(\s*['"`]|^\s*(?:async\s+)?def\s+test_\w*\s*\(|^\s*class\s+Test\w*/m;
+
+const KIND_WORDS = {
+  function: 'function', func: 'function',
+  method: 'method',
+  class: 'class',
+  constant: 'constant', const: 'constant',
+  variable: 'variable', var: 'variable',
+  interface: 'type', type: 'type', enum: 'type',
+};
+
+// Words a target or description uses around names that are not names themselves
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'in', 'of', 'for', 'with', 'and', 'or', 'that', 'which', 'from', 'into',
+  'is', 'it', 'its', 'this', 'will', 'should', 'new', 'all', 'file', 'files', 'code', 'module',
+  'project', 'unknown', 'none', 'n/a', 'na', 'body', 'name', 'names', 'call', 'calls', 'logic',
+  'definition', 'declaration', 'signature', 'implementation', 'parameter', 'parameters', 'helper',
+  'called', 'named', 'using', 'on', 'by', 'at', 'as', 'if', 'when', 'where', 'inside', 'instead',
+  'returns', 'returning', 'takes', 'taking', 'accepts', 'accepting', 'so', 'then',
+  ...Object.keys(KIND_WORDS),
+]);
+
+// Globals and product names a description mentions without asking for them to be defined
+const GLOBALS = new Set([
+  'console', 'Math', 'JSON', 'Object', 'Array', 'Promise', 'process', 'window', 'document',
+  'require', 'module', 'exports', 'fetch', 'setTimeout', 'setInterval', 'localStorage',
+  'print', 'len', 'self', 'JavaScript', 'TypeScript', 'GitHub', 'GraphQL', 'WebSocket',
+  'PostgreSQL', 'MySQL', 'MongoDB', 'OAuth', 'macOS', 'iOS',
+]);
+
+// Descriptions that ask for a signature change
+const SIGNATURE_CHANGE = /\b(?:param(?:eter)?s?|arg(?:ument)?s?|signature|rename[ds]?|accepts?|async|await|callbacks?|options?|overloads?|generators?)\b/i;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * ConformanceChecker - Does a candidate do what its subtask asked for?
+ * Derives expectations from the subtask (target, action and description)
+ * and the current content of the target file, then checks a candidate's
+ * declared symbols (see the adapters' symbols()) against them.
+ *
+ * Language-agnostic: it works on the adapter's symbol lists.
+ *
+ * Expectations: { symbol, container, kind, existing, exported, test,
+ * allowSignatureChange, from }. The symbol comes from the target
+ * ("utils.js:validateEmail", "Cart.total") or, failing that, a single name
+ * the description asks to define ("add a function `parse`", "implement
+ * parse()", "a function named parse"); when the description names several,
+ * nothing is expected. Findings about a name from the description are
+ * medium (finding.severity), since the description may only mention it.
+ *
+ * Checks (finding.check):
+ * - 'missing':   the required symbol is not defined
+ * - 'kind':      it is defined as something else (class for a function, ...)
+ * - 'signature': an existing function changes parameters, async or
+ *                generator, unless the description asks for it
+ * - 'export':    the description asks for an export the candidate lacks
+ * - 'artifact':  tests where code was asked for, or the reverse
+ */
+class ConformanceChecker {
+  /**
+   * What a subtask's candidates should define
+   * @param {Object} subtask - { type, action, description, target }
+   * @param {Object|null} targetFile - { path, content } of the current target file
+   * @param {Object} adapter - Language adapter (see LanguageRegistry)
+   * @returns {Object|null} - Expectations, or null when the subtask names no symbol
+   */
+  expectations(subtask, targetFile = null, adapter = null) {
+    if (!subtask || ['read', 'delete', 'execute'].includes(subtask.type)) {
+      return null;
+    }
+
+    const target = ConformanceChecker.parseTarget(subtask.target || '');
+    const text = [subtask.action, subtask.description].filter(Boolean).join(' - ');
+    const test = Boolean(target.file && TEST_FILE.test(target.file));
+
+    let name = target.symbol;
+    let from = 'target';
+    if (!name) {
+      name = this._nameFromText(text);
+      from = 'description';
+    }
+    if (!name && !test) {
+      return null;
+    }
+
+    let container = null;
+    let symbol = name;
+    if (name?.includes('.')) {
+      [container, symbol] = name.split('.');
+    }
+
+    // The target file's current version of the symbol
+    let existing = null;
+    if (symbol && targetFile?.content && adapter?.symbols) {
+      const declared = adapter.symbols(targetFile.content) || [];
+      existing = declared.find(s => s.name === symbol && (container ? s.container === container : !s.container)) ||
+        (!container && declared.find(s => s.name === symbol)) || null;
+    }
+
+    const kind = existing?.kind || this._kindFromText(`${subtask.target || ''} ${text}`, symbol) ||
+      (container ? 'method' : null);
+
+    return {
+      symbol,
+      container: container || existing?.container || null,
+      kind,
+      existing: existing && {
+        kind: existing.kind,
+        params: existing.params,
+        async: existing.async,
+        generator: existing.generator,
+        exported: existing.exported,
+      },
+      exported: /\bexport(?:s|ed)?\b/i.test(text),
+      test,
+      allowSignatureChange: SIGNATURE_CHANGE.test(text),
+      from,
+    };
+  }
+
+  /**
+   * Check a candidate against a subtask's expectations
+   * @param {Object|null} expects - From expectations()
+   * @param {Object} candidate - { code, symbols (adapter symbols, or null), category (subtask type) }
+   * @returns {Array<Object>|null} - Findings: { check, message, name, severity }, or
+   *   null when there is nothing to check
+   */
+  check(expects, { code, symbols, category } = {}) {
+    if (!expects || !symbols || ['read', 'delete', 'execute'].includes(category)) {
+      return null;
+    }
+
+    // A name only the description gives is a guess: at most a warning, and
+    // none when the candidate imports it
+    if (expects.from === 'description') {
+      if (expects.symbol && this._imports(code, expects.symbol)) return [];
+      return this._check(expects, code, symbols, category).map(finding => ({ ...finding, severity: 'medium' }));
+    }
+    return this._check(expects, code, symbols, category);
+  }
+
+  /**
+   * Findings for a candidate, at the rules' own severities
+   * @private
+   */
+  _check(expects, code, symbols, category) {
+
+    const hasTests = TEST_CASE.test(code);
+    const label = this._label(expects);
+
+    // A test file needs test cases; what they test is up to them
+    if (expects.test) {
+      return hasTests ? [] : [{ check: 'artifact', message: 'Expected test cases for a test file, got none' }];
+    }
+
+    const findings = [];
+    const matches = symbols.filter(s => s.name === expects.symbol &&
+      (!expects.container || s.container === expects.container || (!s.container && expects.kind !== 'method')));
+
+    if (matches.length === 0) {
+      if (hasTests) {
+        findings.push({ check: 'artifact', message: `Wrote tests instead of ${label}`, name: expects.symbol });
+      } else if (category !== 'edit' || symbols.some(s => ['function', 'method', 'class'].includes(s.kind))) {
+        // An edit may be a fragment of the symbol's body; one that defines other things missed it
+        findings.push({ check: 'missing', message: `Doesn't define ${label}`, name: expects.symbol });
+      }
+      return findings;
+    }
+
+    const match = matches.find(s => this._compatible(expects.kind, s.kind)) || matches[0];
+    if (!this._compatible(expects.kind, match.kind)) {
+      findings.push({
+        check: 'kind',
+        message: `Expected ${label}, got a ${match.kind}`,
+        name: expects.symbol,
+        line: match.line,
+      });
+      return findings;
+    }
+
+    const changes = expects.allowSignatureChange ? [] : this._signatureChanges(expects.existing, match);
+    if (changes.length > 0) {
+      findings.push({
+        check: 'signature',
+        message: `Changes the signature of '${expects.symbol}': ${changes.join(', ')}`,
+        name: expects.symbol,
+        line: match.line,
+      });
+    }
+
+    if (expects.exported && !matches.some(s => s.exported)) {
+      findings.push({ check: 'export', message: `'${expects.symbol}' is not exported`, name: expects.symbol, line: match.line });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Split a target into a file and a symbol
+   * ("utils.js", "utils.js:validate", "validate in utils.js", "Cart.total")
+   * @param {string} target - Subtask target
+   * @returns {Object} - { file, symbol }, each null when the target names none
+   */
+  static parseTarget(target) {
+    let file = null;
+    const names = [];
+
+    for (const part of target.split(/[\s:#,()]+/).filter(Boolean)) {
+      const extension = part.match(/\.([a-z]+)$/i)?.[1].toLowerCase();
+      if (/[\\/]/.test(part) || FILE_EXTENSIONS.has(extension)) {
+        file = file || part;
+      } else if (/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?$/.test(part) && !STOPWORDS.has(part.toLowerCase())) {
+        names.push(part);
+      }
+    }
+
+    // More than one name is prose ("validation helper"), not a symbol
+    const symbol = names.length === 1 && !GLOBALS.has(names[0].split('.')[0]) ? names[0] : null;
+    return { file, symbol };
+  }
+
+  /**
+   * The one name a description asks to define, if it names exactly one
+   * Only names a defining phrase introduces count: "add a function
+   * `parse`", "implement parseConfig()", "create the Cart class", "a
+   * function named slugify". Names the code is only told to use ("call
+   * addEventListener", "using fs.readFileSync", "return userId") don't.
+   * @private
+   */
+  _nameFromText(text) {
+    const found = new Set();
+    const name = '([A-Za-z_$][\\w$]*(?:\\.[A-Za-z_$][\\w$]*)?)';
+    const verb = `\\b(?:add|create|define|declare|implement|introduce|write|export)\\s+(?:(?:an?|the|new|async|exported|static|private|public|helper)\\s+)*`;
+    const kind = '(?:function|method|class|interface|enum|type|const|constant|variable)';
+    // [pattern, whether the name must look like code (camelCase, snake_case, Pascal)]
+    const patterns = [
+      [new RegExp(`${verb}${kind}\\s+(?:called\\s+|named\\s+)?\`?${name}`, 'gi'), false], // add a function parse
+      [new RegExp(`${verb}\`${name}(?:\\(\\))?\``, 'gi'), false], // implement `parse`
+      [new RegExp(`${verb}${name}\\(\\)`, 'gi'), false], // implement parse()
+      [new RegExp(`${verb}${name}\\s+${kind}\\b`, 'gi'), true], // create the Cart class
+      [new RegExp(`\\b${kind}\\s+(?:called|named)\\s+\`?${name}`, 'gi'), false], // a function named slugify
+    ];
+
+    for (const [pattern, codeLike] of patterns) {
+      for (const [, match] of text.matchAll(pattern)) {
+        const [head, member] = match.split('.');
+        if (STOPWORDS.has(match.toLowerCase()) || GLOBALS.has(head) || (codeLike && !/[A-Z_$]/.test(match))) continue;
+        // Class.member, not module.function or a file name
+        if (member && (!/^[A-Z]/.test(head) || FILE_EXTENSIONS.has(member.toLowerCase()))) continue;
+        found.add(match);
+      }
+    }
+
+    // Class.member also matches as Class
+    for (const match of found) {
+      if (match.includes('.')) found.delete(match.split('.')[0]);
+    }
+
+    return found.size === 1 ? [...found][0] : null;
+  }
+
+  /**
+   * Whether the code imports a name (import, require or Python from-import)
+   * rather than defining it
+   * @private
+   */
+  _imports(code, name) {
+    const escaped = name.replace(/\$/g, '\\$');
+    return new RegExp(`^\\s*import\\s[^;]*?\\b${escaped}\\b[^;]*?\\bfrom\\b|` +
+      `^\\s*from\\s+\\S+\\s+import\\s[^\\n]*\\b${escaped}\\b|` +
+      `^\\s*import\\s+[\\w.]+\\s+as\\s+${escaped}\\b|` +
+      `\\b(?:const|let|var)\\s+(?:\\{[^}]*\\b${escaped}\\b[^}]*\\}|${escaped})\\s*=\\s*(?:await\\s+)?(?:require|import)\\s*\\(`, 'm').test(code);
+  }
+
+  /**
+   * The kind a text gives a name ("validate function", "class User")
+   * @private
+   */
+  _kindFromText(text, name) {
+    if (!name) return null;
+
+    const keywords = Object.keys(KIND_WORDS).join('|');
+    const escaped = name.replace(/\$/g, '\\$');
+    const match = text.match(new RegExp(`\\b(${keywords})\\s+(?:called\\s+|named\\s+)?\`?${escaped}\\b|\\b${escaped}\`?(?:\\(\\))?\\s+(${keywords})\\b`, 'i'));
+
+    return match ? KIND_WORDS[(match[1] || match[2]).toLowerCase()] : null;
+  }
+
+  /**
+   * Whether a declared kind satisfies an expected one
+   * @private
+   */
+  _compatible(expected, actual) {
+    if (!expected || expected === actual) return true;
+
+    const callable = ['function', 'method'];
+    const value = ['constant', 'variable'];
+    return (callable.includes(expected) && callable.includes(actual)) ||
+      (value.includes(expected) && value.includes(actual));
+  }
+
+  /**
+   * Unrequested differences from the existing signature
+   * @private
+   */
+  _signatureChanges(existing, match) {
+    if (!existing?.params || !match.params) return [];
+
+    const changes = [];
+    const before = existing.params;
+    const after = match.params;
+
+    const added = after.slice(before.length).filter(param => !param.optional && !param.rest);
+    if (added.length > 0) {
+      changes.push(`adds required ${added.length > 1 ? 'parameters' : 'parameter'} ${added.map(param => `'${param.name}'`).join(', ')}`);
+    }
+    const optional = after.slice(0, before.length).filter((param, i) => before[i].optional && !param.optional && !param.rest);
+    if (optional.length > 0) {
+      changes.push(`makes ${optional.map(param => `'${param.name}'`).join(', ')} required`);
+    }
+    if (after.length < before.length) {
+      changes.push(`drops ${before.slice(after.length).map(param => `'${param.name}'`).join(', ')}`);
+    }
+
+    const names = params => params.map(param => param.name).filter(name => IDENTIFIER.test(name));
+    const beforeNames = names(before);
+    const afterNames = names(after);
+    if (beforeNames.length === afterNames.length && beforeNames.join() !== afterNames.join() &&
+        [...beforeNames].sort().join() === [...afterNames].sort().join()) {
+      changes.push(`reorders parameters (${beforeNames.join(', ')}) → (${afterNames.join(', ')})`);
+    }
+
+    if (existing.async !== match.async) {
+      changes.push(match.async ? 'becomes async' : 'is no longer async');
+    }
+    if (existing.generator !== match.generator) {
+      changes.push(match.generator ? 'becomes a generator' : 'is no longer a generator');
+    }
+
+    return changes;
+  }
+
+  /**
+   * "the function 'validate'", "the method 'Cart.total'"
+   * @private
+   */
+  _label(expects) {
+    const name = expects.container && expects.kind === 'method' ? `${expects.container}.${expects.symbol}` : expects.symbol;
+    return `the ${expects.kind || 'symbol'} '${name}'`;
+  }
+}
+
+export default ConformanceChecker;
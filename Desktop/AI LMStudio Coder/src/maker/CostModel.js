@@ -0,0 +1,154 @@
+/**
+ * CostModel - Expected and worst-case cost of MAKER votes
+ * Models first-to-ahead-by-k as a random walk on the margin between the
+ * correct cluster and a wrong one. Each sample is red-flagged with
+ * probability (1 - validRate); a valid sample is correct with probability p.
+ * Wrong samples are assumed to agree with each other, which is pessimistic:
+ * it makes votes run longer than when wrong answers scatter.
+ *
+ * The walk is evaluated exactly (dynamic programming over the margin) with
+ * the same stopping rules as VotingManager: a lead of k, the sample cap, or
+ * no cluster being able to reach k with the samples left. The margin is
+ * only checked between batches, as in a live vote.
+ *
+ * Red-flag rates and tokens per call are learned from finished votes.
+ */
+class CostModel {
+  constructor(options = {}) {
+    // Prior until votes are observed: 70% of samples pass red-flagging
+    this.priorValidRate = options.priorValidRate ?? 0.7;
+    this.priorWeight = options.priorWeight ?? 10;
+    this.defaultTokensPerCall = options.defaultTokensPerCall || 200;
+    this.minObservedSamples = options.minObservedSamples || 5;
+
+    this.observed = { samples: 0, valid: 0, tokens: 0 };
+  }
+
+  /**
+   * Learn red-flag rate and tokens per call from a finished vote
+   * @param {Array<Object>} candidates - Drawn candidates (with validation, tokens)
+   */
+  recordVote(candidates) {
+    for (const candidate of candidates) {
+      this.observed.samples++;
+      if (candidate.validation?.valid) this.observed.valid++;
+      this.observed.tokens += candidate.tokens || 0;
+    }
+  }
+
+  /**
+   * Current sampling rates
+   * @returns {Object} - { validRate, tokensPerCall (null until observed), samples }
+   */
+  getRates() {
+    const { samples, valid, tokens } = this.observed;
+
+    return {
+      validRate: (valid + this.priorValidRate * this.priorWeight) / (samples + this.priorWeight),
+      tokensPerCall: samples >= this.minObservedSamples ? tokens / samples : null,
+      samples,
+    };
+  }
+
+  /**
+   * Estimate the cost of one vote
+   *
+   * @param {Object} params
+   * @param {number} params.k - Required lead
+   * @param {number} params.maxCandidates - Sample cap
+   * @param {number} params.batchSize - Samples drawn between margin checks
+   * @param {number} params.p - Probability a valid sample is correct
+   * @param {number} params.validRate - Probability a sample passes red-flagging
+   * @param {number} params.tokensPerCall - Completion tokens per sample
+   * @returns {Object} - { expectedCalls, worstCaseCalls, expectedCompletionTokens,
+   *   worstCaseCompletionTokens, pDecided, pCorrect }
+   */
+  estimateVote({ k, maxCandidates, batchSize = 1, p, validRate, tokensPerCall }) {
+    const cap = Math.max(k, maxCandidates);
+    const walk = this._walk(k, cap, Math.max(1, batchSize), validRate * p, validRate * (1 - p));
+
+    return {
+      k,
+      maxCandidates: cap,
+      expectedCalls: walk.expectedCalls,
+      worstCaseCalls: cap,
+      expectedCompletionTokens: Math.round(walk.expectedCalls * tokensPerCall),
+      worstCaseCompletionTokens: Math.round(cap * tokensPerCall),
+      pDecided: walk.pDecided,
+      pCorrect: walk.pCorrect,
+    };
+  }
+
+  /**
+   * Compare a forecast with what a run actually used
+   * @param {Object} forecast - { calls, worstCaseCalls, tokens, worstCaseTokens, timeMs }
+   * @param {Object} actual - { calls, tokens, timeMs }
+   * @returns {Object} - Per-metric { forecast, actual, ratio } and withinWorstCase
+   */
+  compare(forecast, actual) {
+    const row = (expected, used) => ({
+      forecast: expected,
+      actual: used,
+      ratio: expected > 0 ? used / expected : null,
+    });
+
+    return {
+      calls: { ...row(forecast.calls, actual.calls), worstCase: forecast.worstCaseCalls },
+      tokens: { ...row(forecast.tokens, actual.tokens), worstCase: forecast.worstCaseTokens },
+      timeMs: row(forecast.timeMs, actual.timeMs),
+      withinWorstCase: actual.calls <= forecast.worstCaseCalls,
+    };
+  }
+
+  /**
+   * Exact first-to-ahead-by-k random walk
+   * @param {number} pRight - Per-sample probability of a valid correct sample
+   * @param {number} pWrong - Per-sample probability of a valid wrong sample
+   * @private
+   */
+  _walk(k, cap, batchSize, pRight, pWrong) {
+    const pSkip = 1 - pRight - pWrong;
+    let states = new Map([[0, 1]]); // margin (correct - wrong) → probability
+    let expectedCalls = 0;
+    let pCorrect = 0;
+    let pWrongWinner = 0;
+    let drawn = 0;
+
+    while (drawn < cap && states.size > 0) {
+      const count = Math.min(batchSize, cap - drawn);
+
+      for (let i = 0; i < count; i++) {
+        const next = new Map();
+        for (const [margin, prob] of states) {
+          expectedCalls += prob;
+          for (const [delta, p] of [[1, pRight], [-1, pWrong], [0, pSkip]]) {
+            if (p > 0) next.set(margin + delta, (next.get(margin + delta) || 0) + prob * p);
+          }
+        }
+        states = next;
+      }
+      drawn += count;
+
+      const remaining = cap - drawn;
+      for (const [margin, prob] of states) {
+        if (margin >= k) {
+          pCorrect += prob;
+          states.delete(margin);
+        } else if (margin <= -k) {
+          pWrongWinner += prob;
+          states.delete(margin);
+        } else if (Math.abs(margin) + remaining < k) {
+          states.delete(margin);
+        }
+      }
+    }
+
+    return {
+      expectedCalls,
+      pCorrect,
+      pDecided: pCorrect + pWrongWinner,
+    };
+  }
+}
+
+export default CostModel;
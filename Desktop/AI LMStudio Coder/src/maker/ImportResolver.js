@@ -0,0 +1,530 @@
+import path from 'path';
+import { builtinModules } from 'module';
+import ConformanceChecker from './ConformanceChecker.js';
+
+// Tried in order for extensionless relative imports, then as dir/index.*
+const EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts', '.json'];
+
+// TypeScript imports name the compiled file: './util.js' may be util.ts
+const COMPILED_SOURCES = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+const BUILTINS = new Set(builtinModules);
+
+// Built-ins only available with the node: prefix
+const PREFIX_ONLY_BUILTINS = new Set(['test', 'test/reporters', 'sqlite', 'sea']);
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// npm package names; anything else bare is a path alias ('@/lib', '~/utils') left unchecked
+const PACKAGE_NAME = /^(?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+
+/**
+ * ImportResolver - Checks a candidate's imports against the real project
+ * Works on the ESTree AST of a candidate. Every import, export ... from,
+ * literal import() and require() is resolved from the subtask's target
+ * file, through FileOperations (so nothing outside the project root is read):
+ * - Relative paths, from the target's directory: the file itself, with an
+ *   extension added, or its directory's index file (EXTENSIONS); also
+ *   TypeScript's './util.js' for util.ts. Files that a write/create
+ *   subtask of the plan will produce count as found.
+ * - Packages: dependencies of the package.json files from the target's
+ *   directory up to the root (or @types/<name>, or the package itself).
+ *   Without a package.json, packages are not checked.
+ * - Node built-ins, with or without the node: prefix.
+ *
+ * Named imports from project modules are checked against the module's
+ * exports: ES exports, export * from (followed), and CommonJS assignments
+ * to exports at the top level. Modules whose exports can't be listed fully
+ * (exports assigned in an if or a function, Object.assign(module.exports,
+ * ...)) are not checked.
+ *
+ * Findings (finding.check):
+ * - 'unresolved':     no such file, or a package that isn't a dependency
+ * - 'missing-export': the module has no export of that name
+ */
+class ImportResolver {
+  /**
+   * @param {Object} fileOps - FileOperations rooted at the project
+   * @param {Object} options - { languages: LanguageRegistry, to parse imported modules }
+   */
+  constructor(fileOps, options = {}) {
+    this.fileOps = fileOps;
+    this.languages = options.languages || null;
+
+    // Parsed exports and package.json dependencies, by path (reused while the content is unchanged)
+    this.exportCache = new Map();
+    this.packageCache = new Map();
+  }
+
+  /**
+   * Resolve a candidate's imports
+   * @param {Object} ast - Program node (with locations)
+   * @param {Object} options - { from: target file path (relative to the root),
+   *   plannedFiles: files the plan will create }
+   * @returns {Array<Object>} - Findings: { check, message, source, name, line, column }
+   */
+  check(ast, options = {}) {
+    const fromDir = this._fromDir(options.from);
+    const planned = new Set((options.plannedFiles || []).map(file => path.normalize(file)));
+    const findings = [];
+
+    for (const entry of this.imports(ast)) {
+      const { source, names, line, column } = entry;
+      const resolved = this._resolve(source, fromDir, planned);
+
+      if (resolved.ok === false) {
+        findings.push({ check: 'unresolved', message: resolved.message, source, line, column });
+        continue;
+      }
+      if (!resolved.file || names.length === 0) continue;
+
+      const exports = this._exports(resolved.file, new Set());
+      if (!exports.complete) continue;
+
+      for (const name of names) {
+        if (name === '*' || exports.names.has(name)) continue;
+
+        findings.push({
+          check: 'missing-export',
+          message: name === 'default'
+            ? `'${source}' has no default export`
+            : `'${source}' has no export '${name}'`,
+          source,
+          name,
+          line,
+          column,
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Module specifiers a program imports, with the names it takes from each
+   * @param {Object} ast - Program node
+   * @returns {Array<Object>} - { source, names ('default', '*' or export names), kind, line, column }
+   */
+  imports(ast) {
+    const imports = [];
+    const add = (sourceNode, names, kind, node) => {
+      imports.push({ source: sourceNode.value, names, kind, line: node.loc?.start.line, column: node.loc?.start.column });
+    };
+
+    this._walk(ast, null, (node, parent) => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+          add(node.source, node.specifiers.map(specifier => (
+            specifier.type === 'ImportDefaultSpecifier' ? 'default'
+              : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+                : specifier.imported.name ?? specifier.imported.value
+          )), 'import', node);
+          break;
+
+        case 'ExportNamedDeclaration':
+          if (node.source) {
+            add(node.source, node.specifiers.map(specifier => specifier.local.name ?? specifier.local.value), 'export', node);
+          }
+          break;
+
+        case 'ExportAllDeclaration':
+          add(node.source, [], 'export', node);
+          break;
+
+        case 'ImportExpression':
+          if (this._isString(node.source)) {
+            add(node.source, [], 'dynamic', node);
+          }
+          break;
+
+        case 'CallExpression':
+          if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+              node.arguments.length === 1 && this._isString(node.arguments[0])) {
+            add(node.arguments[0], this._requiredNames(node, parent), 'require', node);
+          }
+          break;
+      }
+    });
+
+    return imports;
+  }
+
+  /**
+   * Names taken from a require() call: const { a, b } = require(...), require(...).a
+   * @private
+   */
+  _requiredNames(call, parent) {
+    if (parent?.type === 'VariableDeclarator' && parent.init === call && parent.id.type === 'ObjectPattern') {
+      return parent.id.properties
+        .filter(property => property.type === 'Property' && !property.computed)
+        .map(property => property.key.name ?? String(property.key.value));
+    }
+    if (parent?.type === 'MemberExpression' && parent.object === call && !parent.computed) {
+      return [parent.property.name];
+    }
+    return [];
+  }
+
+  /**
+   * Resolve one specifier
+   * @private
+   * @returns {Object} - { ok: true, file } (file is null for packages, built-ins
+   *   and planned files) | { ok: false, message } | { ok: null } when unchecked
+   */
+  _resolve(source, fromDir, planned) {
+    if (source.startsWith('node:')) {
+      const name = source.slice('node:'.length);
+      return BUILTINS.has(name) || PREFIX_ONLY_BUILTINS.has(name)
+        ? { ok: true, file: null }
+        : { ok: false, message: `'${source}' is not a Node built-in module` };
+    }
+
+    // URLs, bundler schemes (https:, data:, virtual:) and absolute paths
+    if (/^[a-z][\w+.-]*:/i.test(source) || path.isAbsolute(source)) {
+      return { ok: null };
+    }
+
+    if (source.startsWith('.')) {
+      const base = path.join(fromDir, source);
+      const file = this._resolveFile(base);
+      if (file) {
+        return { ok: true, file };
+      }
+      if (this._candidates(base).some(candidate => planned.has(candidate))) {
+        return { ok: true, file: null };
+      }
+      return { ok: false, message: `Cannot resolve '${source}': no such file in the project` };
+    }
+
+    // Bare specifiers: built-ins, then packages
+    const name = source.startsWith('@') ? source.split('/').slice(0, 2).join('/') : source.split('/')[0];
+    if (BUILTINS.has(source) || BUILTINS.has(name)) {
+      return { ok: true, file: null };
+    }
+    if (!PACKAGE_NAME.test(name)) {
+      return { ok: null };
+    }
+
+    const packages = this._packages(fromDir);
+    if (!packages) {
+      return { ok: null };
+    }
+
+    const typesName = `@types/${name.startsWith('@') ? name.slice(1).replace('/', '__') : name}`;
+    if (packages.has(name) || packages.has(typesName)) {
+      return { ok: true, file: null };
+    }
+    return { ok: false, message: `'${name}' is not a dependency in package.json` };
+  }
+
+  /**
+   * Existing file for a relative import, with extension resolution
+   * @private
+   */
+  _resolveFile(base) {
+    return this._candidates(base).find(candidate => this.fileOps.isFile(candidate)) || null;
+  }
+
+  /**
+   * Files a relative import could mean, in resolution order
+   * @private
+   */
+  _candidates(base) {
+    const extension = path.extname(base);
+    const stem = base.slice(0, base.length - extension.length);
+
+    return [
+      base,
+      ...(COMPILED_SOURCES[extension] || []).map(source => stem + source),
+      ...EXTENSIONS.map(ext => base + ext),
+      ...EXTENSIONS.map(ext => path.join(base, `index${ext}`)),
+    ];
+  }
+
+  /**
+   * Dependency names of the package.json files from a directory up to the root
+   * @private
+   * @returns {Set<string>|null} - null when there is no package.json
+   */
+  _packages(fromDir) {
+    let found = null;
+
+    for (let dir = fromDir; ; dir = path.dirname(dir)) {
+      const file = path.join(dir, 'package.json');
+      const names = this._readPackage(file);
+      if (names) {
+        found = found || new Set();
+        names.forEach(name => found.add(name));
+      }
+      if (dir === '.' || dir === path.dirname(dir)) break;
+    }
+
+    return found;
+  }
+
+  /**
+   * Dependency names (and the package's own name) in one package.json
+   * @private
+   */
+  _readPackage(file) {
+    if (!this.fileOps.isFile(file)) return null;
+
+    let content;
+    try {
+      content = this.fileOps.readFileSync(file);
+    } catch (error) {
+      return null;
+    }
+
+    const cached = this.packageCache.get(file);
+    if (cached?.content === content) return cached.names;
+
+    let names = null;
+    try {
+      const pkg = JSON.parse(content);
+      names = [
+        ...(pkg.name ? [pkg.name] : []),
+        ...DEPENDENCY_FIELDS.flatMap(field => Object.keys(pkg[field] || {})),
+      ];
+    } catch (error) {
+      console.warn(`  Could not parse ${file}: ${error.message}`);
+    }
+
+    this.packageCache.set(file, { content, names });
+    return names;
+  }
+
+  /**
+   * Export names of a project module
+   * @private
+   * @returns {Object} - { names: Set, complete: whether every export is known }
+   */
+  _exports(file, visiting) {
+    const unknown = { names: new Set(), complete: false };
+    if (visiting.has(file)) return unknown; // export * cycle
+
+    const adapter = this.languages?.forFile(file);
+    if (!adapter?.parse) return unknown; // JSON, or a language without an AST
+
+    let content;
+    try {
+      content = this.fileOps.readFileSync(file);
+    } catch (error) {
+      return unknown;
+    }
+
+    const cached = this.exportCache.get(file);
+    if (cached?.content === content) return cached.exports;
+
+    const ast = adapter.parse(content);
+    const exports = ast ? this._listExports(ast, file, new Set([...visiting, file])) : unknown;
+
+    this.exportCache.set(file, { content, exports });
+    return exports;
+  }
+
+  /**
+   * Walk a module's top level for ES and CommonJS exports
+   * @private
+   */
+  _listExports(ast, file, visiting) {
+    const names = new Set();
+    let complete = true;
+    let esm = false;
+    let commonJS = false;
+
+    for (const statement of ast.body) {
+      switch (statement.type) {
+        case 'ExportNamedDeclaration': {
+          esm = true;
+          const declaration = statement.declaration;
+          if (declaration?.type === 'VariableDeclaration') {
+            declaration.declarations.forEach(declarator => this._patternNames(declarator.id).forEach(name => names.add(name)));
+          } else if (declaration?.id) {
+            names.add(declaration.id.name);
+          }
+          for (const specifier of statement.specifiers) {
+            names.add(specifier.exported.name ?? specifier.exported.value);
+          }
+          break;
+        }
+
+        case 'ExportDefaultDeclaration':
+          esm = true;
+          names.add('default');
+          break;
+
+        case 'ExportAllDeclaration': {
+          esm = true;
+          if (statement.exported) {
+            names.add(statement.exported.name ?? statement.exported.value);
+            break;
+          }
+          // Follow the re-exported module (its default is not re-exported)
+          const source = statement.source.value;
+          const target = source.startsWith('.') ? this._resolveFile(path.join(path.dirname(file), source)) : null;
+          const reexported = target ? this._exports(target, visiting) : { complete: false };
+          if (!reexported.complete) {
+            complete = false;
+            break;
+          }
+          reexported.names.forEach(name => name !== 'default' && names.add(name));
+          break;
+        }
+
+        case 'ImportDeclaration':
+          esm = true;
+          break;
+
+        case 'TSExportAssignment':
+          complete = false;
+          break;
+
+        case 'ExpressionStatement': {
+          const assigned = this._commonJSExport(statement.expression);
+          if (assigned) {
+            commonJS = true;
+            if (assigned.names) {
+              assigned.names.forEach(name => names.add(name));
+            } else {
+              complete = false;
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    // Exports assigned anywhere else (in an if, a function) or through
+    // Object.assign / Object.defineProperty can't be listed
+    const topLevel = new Set(ast.body.map(statement => statement.expression));
+    this._walk(ast, null, node => {
+      if (!complete) return;
+      if (node.type === 'AssignmentExpression' && !topLevel.has(node) && this._commonJSExport(node)) {
+        complete = false;
+      }
+      if (node.type === 'CallExpression' && this._isExports(node.arguments[0]) && node.callee.type === 'MemberExpression' &&
+          node.callee.object.type === 'Identifier' && node.callee.object.name === 'Object' &&
+          ['assign', 'defineProperty', 'defineProperties'].includes(node.callee.property.name)) {
+        complete = false;
+      }
+    });
+
+    // Node gives CommonJS modules a default export (module.exports)
+    if (commonJS) {
+      names.add('default');
+    }
+
+    // A script (or UMD bundle) with no recognizable exports can't be checked
+    return { names, complete: complete && (esm || commonJS) };
+  }
+
+  /**
+   * Names a top-level CommonJS assignment exports
+   * @private
+   * @returns {Object|null} - { names } or { names: null } when unknown, null if not an export
+   */
+  _commonJSExport(expression) {
+    if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') {
+      return null;
+    }
+
+    const target = expression.left;
+
+    // module.exports = { a, b }
+    if (this._isModuleExports(target)) {
+      const value = expression.right;
+      if (value.type !== 'ObjectExpression' || value.properties.some(property => property.type !== 'Property' || property.computed)) {
+        return { names: null };
+      }
+      return { names: value.properties.map(property => property.key.name ?? String(property.key.value)) };
+    }
+
+    // exports.a = ..., module.exports.a = ...
+    if (this._isExports(target.object)) {
+      return target.computed ? { names: null } : { names: [target.property.name] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a node is module.exports
+   * @private
+   */
+  _isModuleExports(node) {
+    return node?.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'Identifier' && node.object.name === 'module' && node.property.name === 'exports';
+  }
+
+  /**
+   * Whether a node is exports or module.exports
+   * @private
+   */
+  _isExports(node) {
+    return (node?.type === 'Identifier' && node.name === 'exports') || this._isModuleExports(node);
+  }
+
+  /**
+   * Names bound by a declaration pattern
+   * @private
+   */
+  _patternNames(pattern) {
+    switch (pattern?.type) {
+      case 'Identifier':
+        return [pattern.name];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(property => this._patternNames(property.type === 'RestElement' ? property.argument : property.value));
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(element => this._patternNames(element));
+      case 'RestElement':
+        return this._patternNames(pattern.argument);
+      case 'AssignmentPattern':
+        return this._patternNames(pattern.left);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Directory imports are resolved from (relative to the root); from is a
+   * subtask target ("src/utils.js:validate", "validate in src/utils.js")
+   * @private
+   */
+  _fromDir(from) {
+    const { file } = ConformanceChecker.parseTarget(from || '');
+    return file && path.extname(file) ? path.dirname(path.normalize(file)) : '.';
+  }
+
+  /**
+   * Whether a node is a string literal
+   * @private
+   */
+  _isString(node) {
+    return node?.type === 'Literal' && typeof node.value === 'string';
+  }
+
+  /**
+   * Visit every node with its parent
+   * @private
+   */
+  _walk(node, parent, visit) {
+    if (!node || typeof node.type !== 'string') return;
+
+    visit(node, parent);
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') this._walk(child, node, visit);
+      }
+    }
+  }
+}
+
+export default ImportResolver;
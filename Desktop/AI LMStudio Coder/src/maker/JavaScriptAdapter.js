@@ -0,0 +1,297 @@
+import CodeParser from './CodeParser.js';
+import CodeCanonicalizer from './CodeCanonicalizer.js';
+import ScopeAnalyzer from './ScopeAnalyzer.js';
+import SecurityAnalyzer from './SecurityAnalyzer.js';
+import SmokeTestRunner from './SmokeTestRunner.js';
+
+const DIALECTS = {
+  javascript: { displayName: 'JavaScript', extensions: ['.js', '.mjs', '.cjs'], fenceAliases: ['js', 'mjs', 'cjs', 'node'] },
+  jsx: { displayName: 'JavaScript (JSX)', extensions: ['.jsx'], fenceAliases: [] },
+  typescript: { displayName: 'TypeScript', extensions: ['.ts', '.mts', '.cts'], fenceAliases: ['ts', 'mts', 'cts'] },
+  tsx: { displayName: 'TypeScript (TSX)', extensions: ['.tsx'], fenceAliases: [] },
+};
+
+// Declarations at the start of a line, for context that doesn't parse (e.g. truncated files)
+const DECLARATION = /^(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * JavaScriptAdapter - Language adapter for JavaScript, JSX, TypeScript and TSX
+ * One instance per dialect; all dialects share an acorn-based CodeParser.
+ * See LanguageRegistry for the adapter interface.
+ */
+class JavaScriptAdapter {
+  /**
+   * @param {string} dialect - 'javascript', 'jsx', 'typescript' or 'tsx'
+   * @param {Object} options - { parser, canonicalizer, scopeAnalyzer, securityAnalyzer, smokeTester } to share between dialects
+   */
+  constructor(dialect = 'javascript', options = {}) {
+    if (!DIALECTS[dialect]) {
+      throw new Error(`Unknown JavaScript dialect: ${dialect}`);
+    }
+
+    this.name = dialect;
+    this.displayName = DIALECTS[dialect].displayName;
+    this.fenceTag = dialect;
+    this.fenceAliases = DIALECTS[dialect].fenceAliases;
+    this.extensions = DIALECTS[dialect].extensions;
+
+    this.parser = options.parser || new CodeParser();
+    this.canonicalizer = options.canonicalizer || new CodeCanonicalizer();
+    this.scopeAnalyzer = options.scopeAnalyzer || new ScopeAnalyzer();
+    this.securityAnalyzer = options.securityAnalyzer || new SecurityAnalyzer();
+    this.smokeTester = options.smokeTester || new SmokeTestRunner();
+  }
+
+  /**
+   * Whether a file is in this dialect (by extension)
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  detect(filePath) {
+    const path = String(filePath || '').toLowerCase();
+    return this.extensions.some(extension => path.endsWith(extension));
+  }
+
+  /**
+   * Requirement lines for the subtask prompt
+   * @returns {Array<string>}
+   */
+  promptHints() {
+    return [`Output valid ${this.displayName} code`];
+  }
+
+  /**
+   * Parse as a module, then as a script
+   * @param {string} code - Source code
+   * @returns {Object} - { ok, message, line, column } (position of the parse that got further)
+   */
+  checkSyntax(code) {
+    try {
+      this.parser.parse(code, this.name, { sourceType: 'module' });
+      return { ok: true };
+    } catch (moduleError) {
+      try {
+        this.parser.parse(code, this.name, { sourceType: 'script' });
+        return { ok: true };
+      } catch (scriptError) {
+        const error = (scriptError.pos ?? 0) >= (moduleError.pos ?? 0) ? scriptError : moduleError;
+        return { ok: false, message: error.message, line: error.loc?.line, column: error.loc?.column };
+      }
+    }
+  }
+
+  /**
+   * AST of the code, parsed as a module, then as a script
+   * @param {string} code - Source code
+   * @returns {Object|null} - Program node, or null if the code doesn't parse
+   */
+  parse(code) {
+    for (const sourceType of ['module', 'script']) {
+      try {
+        return this.parser.parse(code, this.name, { sourceType });
+      } catch (error) {
+        // Try the next source type
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Structural features for clustering
+   * @param {string} code - Source code
+   * @returns {Object|null} - Features, or null if the code doesn't parse
+   */
+  extractFeatures(code) {
+    let ast;
+    try {
+      ast = this.parser.parse(code, this.name);
+    } catch (error) {
+      return null;
+    }
+
+    const features = {
+      ast,
+      functions: [],
+      classes: [],
+      types: [], // TypeScript interfaces, type aliases and enums
+      imports: [],
+      exports: [],
+      variables: [],
+      tokens: new Set(),
+      syntaxValid: true,
+    };
+
+    // Walk AST to extract features
+    this.parser.walk(ast, {
+      FunctionDeclaration(node) {
+        features.functions.push({
+          name: node.id?.name,
+          params: node.params.length,
+          async: node.async,
+          generics: node.typeParameters?.params.length || 0,
+        });
+      },
+
+      ArrowFunctionExpression(node) {
+        features.functions.push({
+          name: null,
+          params: node.params.length,
+          async: node.async,
+          arrow: true,
+          generics: node.typeParameters?.params.length || 0,
+        });
+      },
+
+      TSInterfaceDeclaration(node) {
+        features.types.push({
+          kind: 'interface',
+          name: node.id.name,
+          members: node.body.body.length,
+          generics: node.typeParameters?.params.length || 0,
+        });
+      },
+
+      TSTypeAliasDeclaration(node) {
+        features.types.push({
+          kind: 'type',
+          name: node.id.name,
+          members: 0,
+          generics: node.typeParameters?.params.length || 0,
+        });
+      },
+
+      TSEnumDeclaration(node) {
+        features.types.push({
+          kind: 'enum',
+          name: node.id.name,
+          members: node.members.length,
+          generics: 0,
+        });
+      },
+
+      ClassDeclaration(node) {
+        features.classes.push({
+          name: node.id?.name,
+          methods: node.body.body.filter(m => m.type === 'MethodDefinition').length,
+        });
+      },
+
+      ImportDeclaration(node) {
+        features.imports.push({
+          source: node.source.value,
+          specifiers: node.specifiers.length,
+        });
+      },
+
+      ExportNamedDeclaration(node) {
+        features.exports.push({
+          type: 'named',
+          declaration: node.declaration?.type,
+        });
+      },
+
+      ExportDefaultDeclaration(node) {
+        features.exports.push({
+          type: 'default',
+          declaration: node.declaration?.type,
+        });
+      },
+
+      VariableDeclaration(node) {
+        node.declarations.forEach(decl => {
+          features.variables.push({
+            name: decl.id?.name,
+            kind: node.kind,
+          });
+        });
+      },
+
+      Identifier(node) {
+        features.tokens.add(node.name);
+      },
+
+      Literal(node) {
+        if (typeof node.value === 'string') {
+          features.tokens.add(`"${node.value}"`);
+        }
+      },
+    });
+
+    features.canonicalHash = this.canonicalizer.fromAST(ast).hash;
+    return features;
+  }
+
+  /**
+   * Scope analysis (see ScopeAnalyzer)
+   * @param {string} code - Source code
+   * @param {Object} options - { provided: names defined by the subtask context }
+   * @returns {Object|null} - { undeclared, duplicates, unusedImports, unreachable },
+   *   or null if the code doesn't parse
+   */
+  analyzeScope(code, options = {}) {
+    const ast = this.parse(code);
+    return ast ? this.scopeAnalyzer.analyze(ast, options) : null;
+  }
+
+  /**
+   * Dangerous operations (see SecurityAnalyzer)
+   * @param {string} code - Source code
+   * @returns {Array<Object>|null} - Findings, or null if the code doesn't parse
+   */
+  analyzeSecurity(code) {
+    const ast = this.parse(code);
+    return ast ? this.securityAnalyzer.analyze(ast) : null;
+  }
+
+  /**
+   * Load the code in a sandbox (see SmokeTestRunner)
+   * Plain JavaScript only: TypeScript and JSX would need transpiling first.
+   * @param {string} code - Source code
+   * @param {Object} options - { provided: names defined by the subtask context }
+   * @returns {Object|null} - { ok, kind, message, ... }, or null if the code
+   *   doesn't parse or isn't plain JavaScript
+   */
+  smokeTest(code, options = {}) {
+    if (this.name !== 'javascript') return null;
+
+    const ast = this.parse(code);
+    return ast ? this.smokeTester.run(code, ast, options) : null;
+  }
+
+  /**
+   * Top-level names a snippet declares
+   * Falls back to matching declaration lines when the code doesn't parse.
+   * @param {string} code - Source code
+   * @returns {Array<string>}
+   */
+  declaredNames(code) {
+    const ast = this.parse(code);
+    if (ast) {
+      return this.scopeAnalyzer.topLevelNames(ast);
+    }
+
+    return [...new Set([...code.matchAll(DECLARATION)].map(match => match[1]))];
+  }
+
+  /**
+   * Declared symbols with their kinds, signatures and exports (see
+   * ScopeAnalyzer.declarations)
+   * @param {string} code - Source code
+   * @returns {Array<Object>|null} - Symbols, or null if the code doesn't parse
+   */
+  symbols(code) {
+    const ast = this.parse(code);
+    return ast ? this.scopeAnalyzer.declarations(ast) : null;
+  }
+
+  /**
+   * Canonical form and hash (see CodeCanonicalizer)
+   * @param {string} code - Source code
+   * @returns {Object} - { ok, canonical, hash, reason }
+   */
+  canonicalize(code) {
+    return this.canonicalizer.canonicalize(code, this.name);
+  }
+}
+
+export default JavaScriptAdapter;
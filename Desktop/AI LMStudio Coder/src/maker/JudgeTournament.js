@@ -0,0 +1,211 @@
+/**
+ * JudgeTournament - Pairwise LLM-judge tie-break for inconclusive votes
+ * When first-to-ahead-by-k ends without a lead of k, the top cluster is
+ * only the least bad option. The tournament instead compares cluster
+ * representatives pairwise (round robin) with a judge prompt. Each match
+ * is itself voted: several judge samples are drawn, half with the
+ * candidates swapped to cancel position bias, and the majority verdict wins.
+ *
+ * Contenders are ranked by match points (win = 1, draw = 0.5), with the
+ * original vote count breaking ties.
+ */
+class JudgeTournament {
+  constructor(ensemble, tokenCounter, options = {}) {
+    this.ensemble = ensemble;
+    this.tokenCounter = tokenCounter;
+
+    this.judgeSamples = options.judgeSamples || 3; // Judge calls per match
+    this.maxContenders = options.maxContenders || 4; // Top clusters entered (round robin is O(n²))
+    this.temperature = options.temperature ?? 0.3;
+    this.maxRationaleLength = 300;
+  }
+
+  /**
+   * Run a round-robin tournament between cluster representatives
+   *
+   * @param {string} problem - Task statement shown to the judge
+   * @param {Array<Object>} clusters - Clusters in vote order ({ representative, size, members })
+   * @param {Object} options - { judgeSamples, maxContenders, budget, signal }
+   * @returns {Promise<Object>} - { ranking, matches, judgeCalls, complete }
+   */
+  async run(problem, clusters, options = {}) {
+    const judgeSamples = options.judgeSamples || this.judgeSamples;
+    const contenders = clusters.slice(0, options.maxContenders || this.maxContenders).map((cluster, i) => ({
+      clusterIndex: i,
+      representative: cluster.representative,
+      representativeIndex: cluster.members[0].index,
+      votes: cluster.size,
+      points: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      rationales: [],
+    }));
+
+    console.log(`  [Tie-break] Judge tournament between ${contenders.length} cluster(s), ${judgeSamples} judge sample(s) per match`);
+
+    const matches = [];
+    let judgeCalls = 0;
+    let complete = true;
+
+    for (let a = 0; a < contenders.length && complete; a++) {
+      for (let b = a + 1; b < contenders.length; b++) {
+        options.signal?.throwIfAborted();
+
+        // Each match needs its full set of judge samples to be meaningful
+        if (options.budget && options.budget.allowedSamples(judgeSamples) < judgeSamples) {
+          console.log(`  [Tie-break] Budget stop: ${options.budget.exhaustedReason || 'not enough budget for another match'}`);
+          complete = false;
+          break;
+        }
+
+        const match = await this._playMatch(problem, contenders[a], contenders[b], judgeSamples, options);
+        judgeCalls += match.judgeCalls;
+        matches.push(match);
+
+        this._score(contenders[a], contenders[b], match);
+        console.log(`    Cluster ${a + 1} vs ${b + 1}: ${match.votesA}-${match.votesB} → ${match.result === 'draw' ? 'draw' : `cluster ${match.result === 'a' ? a + 1 : b + 1}`}`);
+      }
+    }
+
+    const ranking = [...contenders].sort((x, y) => (y.points - x.points) || (y.votes - x.votes));
+
+    return { ranking, matches, judgeCalls, complete };
+  }
+
+  /**
+   * Play one match: several judge samples, majority verdict
+   * @private
+   */
+  async _playMatch(problem, first, second, judgeSamples, options) {
+    const requests = Array.from({ length: judgeSamples }, async (_, sample) => {
+      // Alternate presentation order to cancel position bias
+      const swapped = sample % 2 === 1;
+      const [shownA, shownB] = swapped ? [second, first] : [first, second];
+      const backend = this.ensemble.next();
+
+      try {
+        const startedAt = Date.now();
+        let response;
+        try {
+          response = await backend.client.complete(
+            this._buildJudgePrompt(problem, shownA.representative, shownB.representative),
+            {
+              temperature: this.temperature,
+              max_tokens: 400,
+              stream: false,
+              signal: options.signal,
+            }
+          );
+        } catch (error) {
+          // Failed and aborted calls still count toward the call budget
+          options.budget?.recordCall(null, Date.now() - startedAt, { failed: true });
+          throw error;
+        }
+
+        const tokens = response?.usage?.completionTokens ??
+          this.tokenCounter.countTokens(response?.content || '');
+        options.budget?.recordCall({ completionTokens: tokens }, Date.now() - startedAt);
+
+        const verdict = this._parseVerdict(response?.content || '');
+        if (!verdict) {
+          return { backend: backend.name, winner: null, rationale: null };
+        }
+
+        // Map the shown label back to the contender
+        const pickedFirst = (verdict.label === 'A') !== swapped;
+        return { backend: backend.name, winner: pickedFirst ? 'a' : 'b', rationale: verdict.rationale };
+      } catch (error) {
+        if (!options.signal?.aborted) {
+          console.warn(`  [Tie-break] Judge sample failed (${backend.name}):`, error.message);
+        }
+        return { backend: backend.name, winner: null, rationale: null };
+      }
+    });
+
+    const verdicts = await Promise.all(requests);
+    options.signal?.throwIfAborted();
+
+    const votesA = verdicts.filter(v => v.winner === 'a').length;
+    const votesB = verdicts.filter(v => v.winner === 'b').length;
+
+    return {
+      a: first.clusterIndex,
+      b: second.clusterIndex,
+      votesA,
+      votesB,
+      result: votesA > votesB ? 'a' : votesB > votesA ? 'b' : 'draw',
+      verdicts,
+      judgeCalls: judgeSamples,
+    };
+  }
+
+  /**
+   * Update both contenders from a match result
+   * @private
+   */
+  _score(first, second, match) {
+    if (match.result === 'draw') {
+      first.points += 0.5;
+      second.points += 0.5;
+      first.draws++;
+      second.draws++;
+    } else {
+      const [winner, loser] = match.result === 'a' ? [first, second] : [second, first];
+      winner.points += 1;
+      winner.wins++;
+      loser.losses++;
+    }
+
+    for (const verdict of match.verdicts) {
+      if (!verdict.rationale) continue;
+      const target = verdict.winner === 'a' ? first : second;
+      target.rationales.push(verdict.rationale);
+    }
+  }
+
+  /**
+   * Build the judge prompt for one comparison
+   * @private
+   */
+  _buildJudgePrompt(problem, candidateA, candidateB) {
+    let prompt = `Task:\n${problem}\n\n`;
+    prompt += `Candidate A:\n\`\`\`\n${candidateA}\n\`\`\`\n\n`;
+    prompt += `Candidate B:\n\`\`\`\n${candidateB}\n\`\`\`\n\n`;
+    prompt += `Briefly explain which candidate solves the task better, then end with a line "Winner: A" or "Winner: B".`;
+
+    return [
+      {
+        role: 'system',
+        content: 'You are an impartial judge comparing two candidate solutions to the same task. Judge correctness first, then completeness, then simplicity. Ignore the order in which candidates are shown.',
+      },
+      {
+        role: 'user',
+        content: prompt,
+      },
+    ];
+  }
+
+  /**
+   * Extract "Winner: A|B" and the rationale before it
+   * @private
+   */
+  _parseVerdict(text) {
+    const matches = [...text.matchAll(/winner\s*[:：]\s*\**\s*(?:candidate\s+)?([AB])\b/gi)];
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const last = matches[matches.length - 1];
+    const rationale = text.slice(0, last.index).trim().replace(/\s+/g, ' ');
+
+    return {
+      label: last[1].toUpperCase(),
+      rationale: rationale.length > this.maxRationaleLength
+        ? `${rationale.slice(0, this.maxRationaleLength)}...`
+        : rationale || null,
+    };
+  }
+}
+
+export default JudgeTournament;
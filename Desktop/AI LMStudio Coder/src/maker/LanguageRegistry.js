@@ -0,0 +1,138 @@
+import CodeParser from './CodeParser.js';
+import CodeCanonicalizer from './CodeCanonicalizer.js';
+import ScopeAnalyzer from './ScopeAnalyzer.js';
+import SecurityAnalyzer from './SecurityAnalyzer.js';
+import SmokeTestRunner from './SmokeTestRunner.js';
+import JavaScriptAdapter from './JavaScriptAdapter.js';
+import PythonAdapter from './PythonAdapter.js';
+
+/**
+ * LanguageRegistry - Language adapters for red-flagging, clustering and prompts
+ * The adapter for a task comes from task.language, or else from the
+ * extension of its target file (task.target / task.file); JavaScript is
+ * the default.
+ *
+ * An adapter provides:
+ * - name, displayName, fenceTag, extensions
+ * - fenceAliases: other markdown fence tags for the language (optional)
+ * - detect(filePath) → boolean
+ * - promptHints() → requirement lines for the subtask prompt
+ * - checkSyntax(code) → { ok: true } | { ok: false, message, line, column }
+ *   | { ok: null, message } when the checker can't run
+ * - parse(code) → ESTree AST or null, for AST selector red-flag rules (optional)
+ * - extractFeatures(code) → { ast, functions, classes, types, imports,
+ *   exports, variables, tokens (Set), syntaxValid, canonicalHash }, or null
+ *   if the code doesn't parse. ast may be any tree of { type, ...children }
+ *   nodes (it is only used for tree edit distance).
+ * - canonicalize(code) → { ok, canonical, hash, reason }
+ * - analyzeScope(code, { provided }) → { undeclared, duplicates,
+ *   unusedImports, unreachable }, or null if the code doesn't parse (optional)
+ * - declaredNames(code) → top-level names, to provide context code's names
+ *   to analyzeScope (optional)
+ * - analyzeSecurity(code) → [{ check, message, line, column }] dangerous
+ *   operations (see SecurityAnalyzer), or null if the code doesn't parse
+ *   (optional)
+ * - symbols(code) → [{ name, kind, container, params, async, generator,
+ *   exported, line }] declared symbols with their signatures, for the
+ *   conformance check (see ConformanceChecker), or null if the code doesn't
+ *   parse (optional)
+ * - smokeTest(code, { provided }) → { ok: true } | { ok: false, kind,
+ *   message, line, column } | { ok: null, message }: loads the code in a
+ *   sandbox (see SmokeTestRunner), or null if it can't (optional)
+ *
+ * Built in: javascript, jsx, typescript, tsx (JavaScriptAdapter) and
+ * python (PythonAdapter, via a local python3).
+ */
+class LanguageRegistry {
+  constructor(options = {}) {
+    this.adapters = new Map();
+    this._registerBuiltins(options);
+  }
+
+  /**
+   * Register a language adapter (replaces one with the same name)
+   * @param {Object} adapter - Language adapter
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Whether a language is registered
+   * @param {string} name - Language name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Registered language names
+   * @returns {Array<string>}
+   */
+  get languages() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Adapter by name
+   * @param {string} name - Language name
+   * @returns {Object} - Language adapter
+   */
+  get(name) {
+    const adapter = this.adapters.get(String(name).toLowerCase());
+    if (!adapter) {
+      throw new Error(`Unsupported language: ${name}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Adapter for a file path
+   * @param {string} filePath - File path
+   * @returns {Object|null} - Language adapter, or null if no adapter claims the file
+   */
+  forFile(filePath) {
+    if (!filePath) return null;
+
+    for (const adapter of this.adapters.values()) {
+      if (adapter.detect(filePath)) return adapter;
+    }
+    return null;
+  }
+
+  /**
+   * Adapter for a task
+   * @param {Object} task - Task metadata ({ language, target, file })
+   * @returns {Object} - Language adapter
+   */
+  resolve(task = {}) {
+    if (task.language) {
+      return this.get(task.language);
+    }
+
+    return this.forFile(task.target || task.file) || this.get('javascript');
+  }
+
+  /**
+   * Register the built-in adapters
+   * @private
+   */
+  _registerBuiltins(options) {
+    // The JavaScript dialects share one parser, canonicalizer, analyzers and sandbox
+    const shared = {
+      parser: new CodeParser(),
+      canonicalizer: new CodeCanonicalizer(),
+      scopeAnalyzer: new ScopeAnalyzer(options.scope),
+      securityAnalyzer: new SecurityAnalyzer(),
+      smokeTester: new SmokeTestRunner(options.smokeTest),
+    };
+    for (const dialect of ['javascript', 'jsx', 'typescript', 'tsx']) {
+      this.register(new JavaScriptAdapter(dialect, shared));
+    }
+
+    this.register(new PythonAdapter(options.python));
+  }
+}
+
+export default LanguageRegistry;
@@ -1,5 +1,8 @@
 import VotingManager from './VotingManager.js';
 import TaskDecomposer from './TaskDecomposer.js';
+import BudgetGovernor from './BudgetGovernor.js';
+import LanguageRegistry from './LanguageRegistry.js';
+import ConformanceChecker from './ConformanceChecker.js';
 
 /**
  * MicroagentExecutor - Executes subtasks with minimal context
@@ -16,17 +19,29 @@ import TaskDecomposer from './TaskDecomposer.js';
  * This improves reliability by reducing confusion from irrelevant information
  */
 class MicroagentExecutor {
-  constructor(lmstudioClient, tokenCounter, fileOps) {
+  constructor(lmstudioClient, tokenCounter, fileOps, options = {}) {
     this.lmstudioClient = lmstudioClient;
     this.tokenCounter = tokenCounter;
     this.fileOps = fileOps;
 
-    this.votingManager = new VotingManager(lmstudioClient, tokenCounter);
+    this.languages = options.languages || new LanguageRegistry();
+    this.votingManager = new VotingManager(lmstudioClient, tokenCounter, {
+      languages: this.languages,
+      ensemble: options.ensemble,
+      recorder: options.recorder,
+      reliability: options.reliability,
+      diversifier: options.diversifier,
+      costModel: options.costModel,
+      redFlagRules: options.redFlagRules,
+      importResolver: options.importResolver,
+    });
     this.decomposer = new TaskDecomposer(lmstudioClient, tokenCounter);
+    this.conformance = new ConformanceChecker();
 
     // Execution state
     this.currentPlan = null;
     this.executionLog = [];
+    this.governor = null;
   }
 
   /**
@@ -35,7 +50,11 @@ class MicroagentExecutor {
    * @param {string} taskDescription - High-level task
    * @param {Object} context - Initial context (files, codebase, etc.)
    * @param {Object} options - Execution options
-   * @returns {Promise<Object>} - Execution result
+   * @param {Object} options.budget - { task, subtask } limits (maxTokens, maxTimeMs, maxCalls)
+   * @param {AbortSignal} options.signal - Cancels the task; subtasks completed so far are returned
+   * @param {Function} options.confirm - async (forecast, plan) => boolean, asked after the
+   *   cost forecast; returning false skips execution
+   * @returns {Promise<Object>} - Execution result (partial if the budget ran out or it was cancelled)
    */
   async executeTask(taskDescription, context = {}, options = {}) {
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -43,46 +62,124 @@ class MicroagentExecutor {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
     this.executionLog = [];
+    this.governor = new BudgetGovernor(options.budget);
+    this.governor.start();
 
     // Step 1: Decompose task
     console.log('[Phase 1] Maximal Agentic Decomposition...');
     this.currentPlan = await this.decomposer.decompose(taskDescription, context, {
       useAI: options.useAI !== false,
+      budget: this.governor,
+      signal: options.signal,
     });
 
-    // Step 2: Calculate optimal k for voting
-    const k = this.votingManager.calculateOptimalK(
-      this.currentPlan.complexity.totalSteps,
-      options.baseReliability || 0.7
-    );
+    // Step 2: Calculate optimal k for voting from p, target success and s steps
+    const reliability = await this._estimatePlanReliability(this.currentPlan, options);
+    const targetSuccess = options.targetSuccess || this.votingManager.targetSuccess;
+    const steps = this.currentPlan.complexity.totalSteps;
+    const k = this.votingManager.calculateOptimalK(steps, reliability.p, targetSuccess);
+
+    const subtaskK = options.criticalTask ? k + 1 : k;
+    const maxCandidates = options.maxCandidates || 5;
 
     console.log(`\n[Phase 2] Execution with k=${k} voting threshold`);
+    console.log(`  Estimated p: ${reliability.p.toFixed(3)} (${reliability.source}, ${reliability.samples} samples)`);
+    console.log(`  Target success: ${(targetSuccess * 100).toFixed(1)}% over ${steps} steps → k=${k}`);
     console.log(`  Total subtasks: ${this.currentPlan.subtasks.length}`);
-    console.log(`  Execution order: ${this.currentPlan.executionOrder.join(' → ')}\n`);
+    console.log(`  Execution order: ${this.currentPlan.executionOrder.join(' → ')}`);
+
+    // Forecast cost before spending anything on voting
+    const forecast = this.governor.forecast(this.currentPlan, {
+      k: subtaskK,
+      maxCandidates,
+      concurrency: this.votingManager.ensemble.getTotalConcurrency(),
+      tieBreak: options.tieBreak,
+      judgeSamples: options.judgeSamples,
+    }, this.votingManager);
+    console.log(`  Forecast: ~${Math.round(forecast.total.calls)} calls (worst case ${forecast.total.worstCaseCalls}), ~${forecast.total.tokens} tokens (worst case ${forecast.total.worstCaseTokens}), ~${(forecast.total.timeMs / 1000).toFixed(0)}s`);
+    console.log(`  Chance every vote is decided: ${(forecast.total.pDecided * 100).toFixed(1)}%\n`);
 
     // Step 3: Execute subtasks in order
     let completedCount = 0;
     let errorCount = 0;
+    let abortReason = null;
+    let cancelled = false;
     const results = [];
 
-    for (const taskId of this.currentPlan.executionOrder) {
+    const declined = options.confirm ? !(await options.confirm(forecast, this.currentPlan)) : false;
+    if (declined) {
+      cancelled = Boolean(options.signal?.aborted);
+      abortReason = cancelled ? this._cancelReason(options.signal) : 'Declined after cost forecast';
+      console.warn(`\n  ⚠ ${abortReason}`);
+    }
+
+    // Usage so far (decomposition) is not part of the forecast
+    const usedBeforeVoting = this.governor.getReport().task;
+    const order = declined ? [] : this.currentPlan.executionOrder;
+
+    for (const [position, taskId] of order.entries()) {
       const subtask = this.currentPlan.subtasks.find(t => t.id === taskId);
 
       if (!subtask) continue;
 
+      if (options.signal?.aborted) {
+        cancelled = true;
+        abortReason = this._cancelReason(options.signal);
+        console.warn(`\n  ⚠ ${abortReason}`);
+        break;
+      }
+
+      // Fit voting into what is left of the budget, or stop here
+      const budgetPlan = this.governor.planSubtask(
+        subtask,
+        { k: subtaskK, maxCandidates },
+        order.length - position,
+        this.votingManager
+      );
+
+      if (budgetPlan.action === 'abort') {
+        abortReason = budgetPlan.reason;
+        console.warn(`\n  ⚠ Aborting: ${abortReason}`);
+        break;
+      }
+
+      this.governor.beginSubtask(taskId);
+
       console.log(`\n[Subtask ${taskId}/${this.currentPlan.subtasks.length}] ${subtask.description}`);
 
+      if (budgetPlan.action === 'degrade') {
+        console.log(`  ⚠ Degraded voting to k=${budgetPlan.settings.k}, max_candidates=${budgetPlan.settings.maxCandidates} (${budgetPlan.reason})`);
+      }
+
       try {
         // Build minimal context for this subtask
         const minimalContext = await this._buildMinimalContext(subtask, context, results);
 
         // Execute with voting
         const result = await this._executeSubtask(subtask, minimalContext, {
-          k: options.criticalTask ? k + 1 : k,
-          maxCandidates: options.maxCandidates || 5,
+          k: budgetPlan.settings.k,
+          maxCandidates: budgetPlan.settings.maxCandidates,
           temperature: options.temperature || 0.7,
+          clusteringMode: options.clusteringMode,
+          similarityMetric: options.similarityMetric,
+          language: options.language,
+          clusteringAlgorithm: options.clusteringAlgorithm,
+          representative: options.representative,
+          weighting: options.weighting,
+          diversity: options.diversity,
+          tieBreak: options.tieBreak,
+          judgeSamples: options.judgeSamples,
+          probes: options.probes,
+          validatorOptions: options.validatorOptions,
+          budget: this.governor,
+          signal: options.signal,
         });
 
+        // Every candidate was blocked by a security red flag: nothing to apply
+        if (result.votingResult.winner === null) {
+          throw new Error(`Subtask failed: ${result.votingResult.warning}`);
+        }
+
         // Apply result
         if (result.votingResult.reliable) {
           await this._applyResult(subtask, result.votingResult.winner, context);
@@ -141,6 +238,14 @@ class MicroagentExecutor {
         );
 
       } catch (error) {
+        // Cancelled mid-subtask: it counts as skipped, not failed
+        if (options.signal?.aborted) {
+          cancelled = true;
+          abortReason = this._cancelReason(options.signal);
+          console.warn(`\n  ⚠ ${abortReason}`);
+          break;
+        }
+
         console.error(`  ✗ Failed: ${error.message}`);
         errorCount++;
 
@@ -159,19 +264,36 @@ class MicroagentExecutor {
     }
 
     // Step 4: Generate summary
+    const attempted = completedCount + errorCount;
+    const usage = this.governor.getReport();
+    const costReport = this.votingManager.costModel.compare(forecast.total, {
+      calls: usage.task.calls - usedBeforeVoting.calls,
+      tokens: usage.task.tokens - usedBeforeVoting.tokens,
+      timeMs: usage.task.elapsedMs - usedBeforeVoting.elapsedMs,
+    });
     const summary = {
       task: taskDescription,
       totalSubtasks: this.currentPlan.subtasks.length,
       completed: completedCount,
       errors: errorCount,
+      skipped: this.currentPlan.subtasks.length - attempted,
+      partial: abortReason !== null,
+      cancelled,
+      declined,
+      abortReason,
       successRate: completedCount / this.currentPlan.subtasks.length,
-      avgConfidence: results.reduce((sum, r) => sum + r.confidence, 0) / results.length,
+      avgConfidence: results.length > 0
+        ? results.reduce((sum, r) => sum + r.confidence, 0) / results.length
+        : 0,
+      forecast: forecast.total,
+      usage,
+      costReport,
       executionLog: this.executionLog,
       results,
     };
 
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('  Execution Complete');
+    console.log(cancelled ? '  Execution Cancelled' : declined ? '  Execution Declined' : '  Execution Complete');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`  Success rate: ${(summary.successRate * 100).toFixed(1)}%`);
     console.log(`  Avg confidence: ${(summary.avgConfidence * 100).toFixed(1)}%`);
@@ -179,11 +301,52 @@ class MicroagentExecutor {
     if (errorCount > 0) {
       console.log(`  Errors: ${errorCount}`);
     }
+    if (summary.partial) {
+      console.log(`  Partial result - ${summary.skipped} subtask(s) skipped: ${abortReason}`);
+    }
+    const failedCalls = summary.usage.task.failedCalls ? ` (${summary.usage.task.failedCalls} failed)` : '';
+    console.log(`  Usage: ${summary.usage.task.calls} calls${failedCalls}, ${summary.usage.task.tokens} tokens, ${(summary.usage.task.elapsedMs / 1000).toFixed(1)}s`);
+    if (!declined) {
+      console.log(`  Voting vs forecast: ${costReport.calls.actual} calls (forecast ~${Math.round(costReport.calls.forecast)}, worst case ${costReport.calls.worstCase}), ${costReport.tokens.actual} tokens (forecast ~${costReport.tokens.forecast}), ${(costReport.timeMs.actual / 1000).toFixed(1)}s (forecast ~${(costReport.timeMs.forecast / 1000).toFixed(0)}s)`);
+    }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
     return summary;
   }
 
+  /**
+   * Human-readable reason for a cancelled run
+   * @private
+   */
+  _cancelReason(signal) {
+    return `Cancelled: ${signal.reason?.message || 'aborted'}`;
+  }
+
+  /**
+   * Estimate per-sample success probability for a plan
+   * Averages the estimate for each subtask's type; an explicit
+   * options.baseReliability overrides the estimate.
+   * @private
+   */
+  async _estimatePlanReliability(plan, options) {
+    if (options.baseReliability) {
+      return { p: options.baseReliability, samples: 0, source: 'user' };
+    }
+
+    await this.votingManager.reliability?.load();
+
+    const estimates = plan.subtasks.map(subtask => this.votingManager.estimateReliability(subtask.type));
+    if (estimates.length === 0) {
+      return this.votingManager.estimateReliability();
+    }
+
+    return {
+      p: estimates.reduce((sum, e) => sum + e.p, 0) / estimates.length,
+      samples: Math.max(...estimates.map(e => e.samples)),
+      source: [...new Set(estimates.map(e => e.source))].join('/'),
+    };
+  }
+
   /**
    * Build minimal context for a subtask
    * Only include what's absolutely necessary
@@ -248,12 +411,22 @@ class MicroagentExecutor {
    * @private
    */
   async _executeSubtask(subtask, context, votingOptions) {
+    // The target's file extension picks the language; options.language covers targets without one
+    const adapter = this.languages.forFile(subtask.target) || this.languages.get(votingOptions.language || 'javascript');
+
     // Build prompt for this specific subtask
-    const messages = this._buildSubtaskPrompt(subtask, context);
+    const messages = this._buildSubtaskPrompt(subtask, context, adapter);
 
     // Use voting to get reliable solution
     const votingResult = await this.votingManager.vote(messages, {
       type: 'code',
+      category: subtask.type,
+      description: subtask.description,
+      language: adapter.name,
+      target: subtask.target,
+      provided: this._providedNames(context, adapter),
+      expects: this.conformance.expectations(subtask, context.targetFile, adapter),
+      plannedFiles: this._plannedFiles(),
       expectedLength: subtask.estimatedTokens,
       estimatedSteps: 1, // Each subtask is atomic
     }, votingOptions);
@@ -265,11 +438,41 @@ class MicroagentExecutor {
     };
   }
 
+  /**
+   * Files the plan's write/create subtasks produce
+   * Results are not written yet, so imports of them can't be resolved on disk.
+   * @private
+   */
+  _plannedFiles() {
+    return (this.currentPlan?.subtasks || [])
+      .filter(subtask => ['write', 'create'].includes(subtask.type) && subtask.target !== 'unknown')
+      .map(subtask => ConformanceChecker.parseTarget(subtask.target || '').file)
+      .filter(Boolean);
+  }
+
+  /**
+   * Names the subtask's context defines (target file, dependency results)
+   * Candidates may use them without declaring them.
+   * @private
+   */
+  _providedNames(context, adapter) {
+    if (!adapter.declaredNames) {
+      return [];
+    }
+
+    const sources = [
+      context.targetFile?.content,
+      ...(context.dependencies || []).map(dep => dep.result),
+    ].filter(source => typeof source === 'string');
+
+    return [...new Set(sources.flatMap(source => adapter.declaredNames(source)))];
+  }
+
   /**
    * Build prompt for subtask
    * @private
    */
-  _buildSubtaskPrompt(subtask, context) {
+  _buildSubtaskPrompt(subtask, context, adapter = this.languages.get('javascript')) {
     let prompt = `Task: ${subtask.description}\n\n`;
 
     prompt += `Operation: ${subtask.type}\n`;
@@ -290,7 +493,7 @@ class MicroagentExecutor {
     // Add file context
     if (context.targetFile) {
       prompt += `Current file content (${context.targetFile.path}):\n`;
-      prompt += `\`\`\`javascript\n${context.targetFile.content}\n\`\`\`\n`;
+      prompt += `\`\`\`${adapter.fenceTag}\n${context.targetFile.content}\n\`\`\`\n`;
       if (context.targetFile.truncated) {
         prompt += `(Content truncated for brevity)\n`;
       }
@@ -301,7 +504,9 @@ class MicroagentExecutor {
     prompt += `- Write ONLY the code needed for this specific step\n`;
     prompt += `- Keep it minimal and focused\n`;
     prompt += `- Do not include explanations or comments (unless required)\n`;
-    prompt += `- Output valid JavaScript code\n`;
+    adapter.promptHints().forEach(hint => {
+      prompt += `- ${hint}\n`;
+    });
 
     return [
       {
@@ -0,0 +1,182 @@
+/**
+ * ModelEnsemble - Weighted mix of model backends for voting
+ * Lets a single vote draw candidates from several models (different
+ * LMStudio models or separate OpenAI-compatible servers) so their errors
+ * are decorrelated.
+ *
+ * Backends are picked with smooth weighted round-robin, so a vote with
+ * weights { a: 2, b: 1 } draws a, b, a, a, b, a ... regardless of batch size.
+ * Per-backend statistics track how often each model's candidates end up
+ * in the winning cluster.
+ */
+class ModelEnsemble {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  /**
+   * Register a backend
+   * @param {string} name - Unique backend name
+   * @param {Object} client - LMStudioClient (or compatible) instance
+   * @param {Object} options - { weight: relative share of samples (default 1) }
+   */
+  register(name, client, options = {}) {
+    const weight = options.weight ?? 1;
+
+    if (!(weight > 0)) {
+      throw new Error(`Backend weight must be positive (got ${weight})`);
+    }
+
+    const existing = this.backends.get(name);
+
+    this.backends.set(name, {
+      name,
+      client,
+      weight,
+      current: 0,
+      stats: existing?.stats || this._emptyStats(),
+    });
+  }
+
+  /**
+   * Remove a backend
+   * @param {string} name - Backend name
+   * @returns {boolean} - True if a backend was removed
+   */
+  unregister(name) {
+    return this.backends.delete(name);
+  }
+
+  /**
+   * Get a registered backend
+   * @param {string} name - Backend name
+   * @returns {Object|null} - Backend entry or null
+   */
+  get(name) {
+    return this.backends.get(name) || null;
+  }
+
+  /**
+   * Number of registered backends
+   * @returns {number}
+   */
+  size() {
+    return this.backends.size;
+  }
+
+  /**
+   * Pick the next backend according to weights
+   * @returns {Object} - Backend entry { name, client, weight }
+   */
+  next() {
+    if (this.backends.size === 0) {
+      throw new Error('No model backends registered');
+    }
+
+    let total = 0;
+    let best = null;
+
+    for (const backend of this.backends.values()) {
+      backend.current += backend.weight;
+      total += backend.weight;
+      if (!best || backend.current > best.current) {
+        best = backend;
+      }
+    }
+
+    best.current -= total;
+    return best;
+  }
+
+  /**
+   * Combined number of parallel request slots across backends
+   * @returns {number}
+   */
+  getTotalConcurrency() {
+    let total = 0;
+    for (const backend of this.backends.values()) {
+      total += backend.client.getMaxConcurrency();
+    }
+    return Math.max(1, total);
+  }
+
+  /**
+   * Record the outcome of a vote for each backend
+   * @param {Array<Object>} candidates - All drawn candidates (with backend, validation)
+   * @param {Set<number>} winnerIndices - Candidate indices in the winning cluster
+   * @param {boolean} decided - Whether the vote reached a lead of k
+   * @returns {Object} - Per-backend breakdown for this vote
+   */
+  recordVote(candidates, winnerIndices, decided) {
+    const breakdown = {};
+
+    for (const candidate of candidates) {
+      const name = candidate.backend;
+      if (!breakdown[name]) {
+        breakdown[name] = { model: candidate.model, samples: 0, valid: 0, inWinner: 0 };
+      }
+
+      const entry = breakdown[name];
+      entry.samples++;
+      if (candidate.validation?.valid) entry.valid++;
+      if (winnerIndices.has(candidate.index)) entry.inWinner++;
+    }
+
+    for (const [name, entry] of Object.entries(breakdown)) {
+      const backend = this.backends.get(name);
+      if (!backend) continue;
+
+      backend.stats.votes++;
+      backend.stats.samples += entry.samples;
+      backend.stats.valid += entry.valid;
+      if (decided) {
+        backend.stats.decidedSamples += entry.samples;
+        backend.stats.wins += entry.inWinner;
+      }
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Get per-backend statistics
+   * Win rate is the share of samples (in decided votes) that landed in the winning cluster.
+   * @returns {Array<Object>} - Statistics per backend
+   */
+  getStats() {
+    return [...this.backends.values()].map(backend => ({
+      name: backend.name,
+      model: backend.client.model,
+      baseURL: backend.client.baseURL,
+      weight: backend.weight,
+      ...backend.stats,
+      validRate: backend.stats.samples > 0 ? backend.stats.valid / backend.stats.samples : null,
+      winRate: backend.stats.decidedSamples > 0 ? backend.stats.wins / backend.stats.decidedSamples : null,
+    }));
+  }
+
+  /**
+   * Reset statistics for all backends
+   */
+  resetStats() {
+    for (const backend of this.backends.values()) {
+      backend.stats = this._emptyStats();
+    }
+  }
+
+  /**
+   * Fresh statistics record
+   * @private
+   */
+  _emptyStats() {
+    return {
+      votes: 0,
+      samples: 0,
+      valid: 0,
+      decidedSamples: 0,
+      wins: 0,
+    };
+  }
+}
+
+export default ModelEnsemble;
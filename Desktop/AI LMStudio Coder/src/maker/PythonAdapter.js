@@ -0,0 +1,358 @@
+import { spawnSync } from 'child_process';
+import { createHash } from 'crypto';
+
+// Reads source on stdin, prints one JSON analysis on stdout
+const ANALYZER = `
+import ast, json, sys
+
+def params(args):
+    count = len(args.posonlyargs) + len(args.args) + len(args.kwonlyargs)
+    return count + (1 if args.vararg else 0) + (1 if args.kwarg else 0)
+
+def signature(args):
+    positional = args.posonlyargs + args.args
+    required = len(positional) - len(args.defaults)
+    result = [{'name': arg.arg, 'optional': index >= required, 'rest': False} for index, arg in enumerate(positional)]
+    if args.vararg:
+        result.append({'name': args.vararg.arg, 'optional': True, 'rest': True})
+    for arg, default in zip(args.kwonlyargs, args.kw_defaults):
+        result.append({'name': arg.arg, 'optional': default is not None, 'rest': False})
+    if args.kwarg:
+        result.append({'name': args.kwarg.arg, 'optional': True, 'rest': True})
+    return result
+
+def symbol(node, container=None):
+    entry = {'name': None, 'kind': 'variable', 'container': container, 'params': None, 'async': False,
+             'generator': False, 'line': node.lineno}
+    if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef)):
+        yields = any(isinstance(child, (ast.Yield, ast.YieldFrom)) for child in ast.walk(node))
+        entry.update(name=node.name, kind='method' if container else 'function', params=signature(node.args),
+                     generator=yields)
+        entry['async'] = isinstance(node, ast.AsyncFunctionDef)
+    elif isinstance(node, ast.ClassDef):
+        entry.update(name=node.name, kind='class')
+    else:
+        return
+    entry['exported'] = not node.name.startswith('_') and not (container or '').startswith('_')
+    yield entry
+    if isinstance(node, ast.ClassDef):
+        for child in node.body:
+            yield from symbol(child, node.name)
+
+def strip_docstring(body):
+    if body and isinstance(body[0], ast.Expr) and isinstance(body[0].value, ast.Constant) and isinstance(body[0].value.value, str):
+        body = body[1:]
+    return body or [ast.Pass()]
+
+def local_names(node):
+    names, declared = [], set()
+    for arg in ast.walk(node.args):
+        if isinstance(arg, ast.arg):
+            names.append(arg.arg)
+    def visit(child):
+        if isinstance(child, (ast.Global, ast.Nonlocal)):
+            declared.update(child.names)
+        elif isinstance(child, ast.Name) and isinstance(child.ctx, ast.Store):
+            names.append(child.id)
+        elif isinstance(child, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)):
+            names.append(child.name)
+            return
+        elif isinstance(child, ast.Lambda):
+            return
+        for grandchild in ast.iter_child_nodes(child):
+            visit(grandchild)
+    body = node.body if isinstance(node.body, list) else [node.body]
+    for statement in body:
+        visit(statement)
+    seen = []
+    for name in names:
+        if name not in declared and name not in seen:
+            seen.append(name)
+    return seen
+
+class Canonicalizer(ast.NodeTransformer):
+    def __init__(self):
+        self.scopes = []
+        self.next = 0
+
+    def rename(self, name):
+        for scope in reversed(self.scopes):
+            if name in scope:
+                return scope[name]
+        return name
+
+    def function(self, node):
+        if not isinstance(node, ast.Lambda):
+            node.name = self.rename(node.name)
+            node.body = strip_docstring(node.body)
+        scope = {}
+        for name in local_names(node):
+            scope[name] = '%' + str(self.next)
+            self.next += 1
+        self.scopes.append(scope)
+        self.generic_visit(node)
+        self.scopes.pop()
+        return node
+
+    visit_FunctionDef = visit_AsyncFunctionDef = visit_Lambda = function
+
+    def visit_ClassDef(self, node):
+        node.name = self.rename(node.name)
+        node.body = strip_docstring(node.body)
+        return self.generic_visit(node)
+
+    def visit_Name(self, node):
+        node.id = self.rename(node.id)
+        return node
+
+    def visit_arg(self, node):
+        node.arg = self.rename(node.arg)
+        node.annotation = node.annotation and self.visit(node.annotation)
+        return node
+
+def to_tree(node):
+    if isinstance(node, ast.AST):
+        tree = {'type': type(node).__name__}
+        for field, value in ast.iter_fields(node):
+            if isinstance(value, (ast.AST, list)):
+                tree[field] = to_tree(value)
+        return tree
+    if isinstance(node, list):
+        return [to_tree(child) for child in node if isinstance(child, ast.AST)]
+    return None
+
+source = sys.stdin.read()
+try:
+    module = ast.parse(source)
+except SyntaxError as error:
+    print(json.dumps({'ok': False, 'message': error.msg, 'line': error.lineno, 'column': error.offset}))
+    sys.exit(0)
+
+features = {'functions': [], 'classes': [], 'imports': [], 'exports': [], 'variables': [], 'tokens': set()}
+
+for node in ast.walk(module):
+    if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef)):
+        features['functions'].append({'name': node.name, 'params': params(node.args), 'async': isinstance(node, ast.AsyncFunctionDef), 'generics': 0})
+        features['tokens'].add(node.name)
+    elif isinstance(node, ast.Lambda):
+        features['functions'].append({'name': None, 'params': params(node.args), 'async': False, 'arrow': True, 'generics': 0})
+    elif isinstance(node, ast.ClassDef):
+        methods = [child for child in node.body if isinstance(child, (ast.FunctionDef, ast.AsyncFunctionDef))]
+        features['classes'].append({'name': node.name, 'methods': len(methods)})
+        features['tokens'].add(node.name)
+    elif isinstance(node, ast.Import):
+        for alias in node.names:
+            features['imports'].append({'source': alias.name, 'specifiers': 1})
+    elif isinstance(node, ast.ImportFrom):
+        features['imports'].append({'source': '.' * node.level + (node.module or ''), 'specifiers': len(node.names)})
+    elif isinstance(node, ast.Name):
+        features['tokens'].add(node.id)
+    elif isinstance(node, ast.arg):
+        features['tokens'].add(node.arg)
+    elif isinstance(node, ast.Attribute):
+        features['tokens'].add(node.attr)
+    elif isinstance(node, ast.Constant) and isinstance(node.value, str):
+        features['tokens'].add('"' + node.value + '"')
+
+# Module-level bindings are the module's interface
+for node in module.body:
+    targets = node.targets if isinstance(node, ast.Assign) else [node.target] if isinstance(node, ast.AnnAssign) else []
+    for target in targets:
+        for name in ast.walk(target):
+            if isinstance(name, ast.Name):
+                features['variables'].append({'name': name.id, 'kind': 'module'})
+    if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)) and not node.name.startswith('_'):
+        features['exports'].append({'type': 'named', 'declaration': type(node).__name__})
+
+# Declared symbols with their signatures (the Canonicalizer renames them)
+features['symbols'] = []
+for node in module.body:
+    features['symbols'].extend(symbol(node))
+    targets = node.targets if isinstance(node, ast.Assign) else [node.target] if isinstance(node, ast.AnnAssign) else []
+    for target in targets:
+        if isinstance(target, ast.Name):
+            kind = 'constant' if target.id.isupper() else 'variable'
+            features['symbols'].append({'name': target.id, 'kind': kind, 'container': None, 'params': None, 'async': False,
+                                        'generator': False, 'exported': not target.id.startswith('_'), 'line': node.lineno})
+
+features['tokens'] = sorted(features['tokens'])
+features['tree'] = to_tree(module)
+module.body = strip_docstring(module.body)
+features['canonical'] = ast.dump(Canonicalizer().visit(module), include_attributes=False)
+
+print(json.dumps({'ok': True, 'features': features}))
+`;
+
+/**
+ * PythonAdapter - Language adapter for Python 3
+ * Parsing is delegated to the local python3 interpreter: each snippet is
+ * analyzed once by a subprocess running Python's own ast module, and the
+ * result (syntax error or features) is cached by source text.
+ *
+ * The canonical form is the ast.dump of the module without positions or
+ * docstrings, with function-local names (parameters and assignments)
+ * alpha-renamed. Module-level names are kept as the module's interface.
+ *
+ * If python3 is missing, syntax can't be checked: checkSyntax() returns
+ * ok: null and features fall back to token analysis.
+ */
+class PythonAdapter {
+  constructor(options = {}) {
+    this.name = 'python';
+    this.displayName = 'Python';
+    this.fenceTag = 'python';
+    this.fenceAliases = ['py', 'python3', 'py3'];
+    this.extensions = ['.py', '.pyw', '.pyi'];
+
+    this.command = options.command || 'python3';
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.maxCacheEntries = options.maxCacheEntries || 256;
+
+    this.cache = new Map(); // source → analysis
+    this.unavailable = null; // Reason python3 can't be run, once known
+  }
+
+  /**
+   * Whether a file is Python (by extension)
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  detect(filePath) {
+    const path = String(filePath || '').toLowerCase();
+    return this.extensions.some(extension => path.endsWith(extension));
+  }
+
+  /**
+   * Requirement lines for the subtask prompt
+   * @returns {Array<string>}
+   */
+  promptHints() {
+    return [
+      'Output valid Python 3 code',
+      'Indent with 4 spaces',
+    ];
+  }
+
+  /**
+   * Parse with python3's ast module
+   * @param {string} code - Source code
+   * @returns {Object} - { ok: true } | { ok: false, message, line, column } |
+   *   { ok: null, message } when python3 can't be run
+   */
+  checkSyntax(code) {
+    const analysis = this._analyze(code);
+
+    if (analysis.ok === true) {
+      return { ok: true };
+    }
+
+    return {
+      ok: analysis.ok,
+      message: analysis.message,
+      line: analysis.line ?? undefined,
+      column: analysis.column ?? undefined,
+    };
+  }
+
+  /**
+   * Structural features for clustering
+   * @param {string} code - Source code
+   * @returns {Object|null} - Features, or null if the code doesn't parse
+   */
+  extractFeatures(code) {
+    const analysis = this._analyze(code);
+    if (analysis.ok !== true) {
+      return null;
+    }
+
+    const { tree, canonical, tokens, symbols, ...features } = analysis.features;
+
+    return {
+      ...features,
+      ast: tree, // Generic { type, ...children } tree for edit distance
+      types: [],
+      tokens: new Set(tokens),
+      syntaxValid: true,
+      canonicalHash: this._hash(canonical),
+    };
+  }
+
+  /**
+   * Canonical form and hash
+   * @param {string} code - Source code
+   * @returns {Object} - { ok, canonical, hash, reason }
+   */
+  canonicalize(code) {
+    const analysis = this._analyze(code);
+    if (analysis.ok !== true) {
+      const reason = analysis.ok === false ? `Syntax error: ${analysis.message}` : analysis.message;
+      return { ok: false, canonical: null, hash: null, reason };
+    }
+
+    const { canonical } = analysis.features;
+    return { ok: true, canonical, hash: this._hash(canonical), reason: null };
+  }
+
+  /**
+   * Declared symbols with their kinds, signatures and exports (names without
+   * a leading underscore count as exported)
+   * @param {string} code - Source code
+   * @returns {Array<Object>|null} - Symbols, or null if the code doesn't parse
+   */
+  symbols(code) {
+    const analysis = this._analyze(code);
+    return analysis.ok === true ? analysis.features.symbols : null;
+  }
+
+  /**
+   * Run (or reuse) the python3 analysis of a snippet
+   * @private
+   */
+  _analyze(code) {
+    if (this.unavailable) {
+      return { ok: null, message: this.unavailable };
+    }
+    if (this.cache.has(code)) {
+      return this.cache.get(code);
+    }
+
+    const result = spawnSync(this.command, ['-c', ANALYZER], {
+      input: code,
+      encoding: 'utf8',
+      timeout: this.timeoutMs,
+      maxBuffer: 16 * 1024 * 1024,
+    });
+
+    if (result.error?.code === 'ENOENT') {
+      this.unavailable = `${this.command} not found; Python syntax is not checked`;
+      return { ok: null, message: this.unavailable };
+    }
+
+    let analysis;
+    if (result.error || result.status !== 0) {
+      // A timeout or crash is about this snippet, not the interpreter
+      const reason = result.error?.message || result.stderr.trim().split('\n').pop();
+      analysis = { ok: null, message: `Python analysis failed: ${reason}` };
+    } else {
+      analysis = JSON.parse(result.stdout);
+    }
+
+    // Keep the cache bounded (oldest entries go first)
+    if (this.cache.size >= this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(code, analysis);
+
+    return analysis;
+  }
+
+  /**
+   * Short hash of a canonical form (same format as CodeCanonicalizer)
+   * @private
+   */
+  _hash(canonical) {
+    return createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+  }
+}
+
+export default PythonAdapter;
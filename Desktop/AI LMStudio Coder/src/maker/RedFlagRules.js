@@ -0,0 +1,828 @@
+import esquery from 'esquery';
+import { pathToFileURL } from 'url';
+
+// Confidence deducted per flag, unless a rule sets its own penalty
+const SEVERITY_PENALTY = {
+  critical: 1.0, // Critical = complete failure
+  high: 0.3,
+  medium: 0.1,
+  low: 0.05,
+};
+
+const ANSWER_TYPES = ['answer', 'json', 'choice', 'number'];
+
+/**
+ * RedFlagRules - Registry of red-flag rules applied by ResponseValidator
+ * Every check, built in or custom, is a rule:
+ *
+ *   { id, description, severity, penalty, taskTypes, enabled, ... }
+ *
+ * - severity: 'low' | 'medium' | 'high' | 'critical' (critical rejects the response)
+ * - penalty:  confidence deducted per flag (default: by severity)
+ * - taskTypes: task types the rule applies to (null = all). Tasks without
+ *   a type count as 'code' when the response looks like code, else 'text'.
+ * - blocking: a flagged response is rejected whatever the severity, and
+ *   never used, not even as the least-bad candidate when every response
+ *   was rejected
+ *
+ * Custom rules come in three kinds:
+ * - regex:    { pattern, flags, target: 'response'|'code', message }
+ *             flags when the pattern matches
+ * - ast:      { selector, message } - esquery selector over the code's
+ *             AST, e.g. "CallExpression[callee.name='eval']" (languages
+ *             with an AST parser only)
+ * - function: { check(context) } - returns nothing, a message, a finding
+ *             object ({ message, ...fields }) or an array of findings
+ *
+ * A finding's own severity can lower its rule's for that flag, never raise
+ * it (conformance findings about a name only the description gives).
+ *
+ * The context passed to checks holds response, code (extracted), task,
+ * taskType, options, adapter, extraction, isCode and isAnswer, flags (the
+ * flags raised so far, in rule order), plus lazy tokens(), syntax(),
+ * scope(), ast(), security(), symbols(), conformance(), imports(),
+ * execution() and answer().
+ *
+ * Project rule files (.json, or .js/.mjs for function rules) export
+ * { rules: [...], overrides: { [id]: { enabled, severity, penalty, taskTypes } } }
+ * or just an array of rules.
+ */
+class RedFlagRules {
+  constructor() {
+    this.rules = new Map();
+    this.failing = new Set(); // Rules whose check has thrown (warned once)
+    this._registerBuiltins();
+  }
+
+  /**
+   * Register a rule (replaces one with the same id)
+   * @param {Object} definition - Rule definition (see class comment)
+   * @param {string} source - Where the rule came from ('builtin' or a file path)
+   * @returns {Object} - Registered rule
+   */
+  register(definition, source = 'custom') {
+    const rule = this._normalize(definition, source);
+    this.rules.set(rule.id, rule);
+    this.failing.delete(rule.id);
+    return rule;
+  }
+
+  /**
+   * Whether a rule is registered
+   * @param {string} id - Rule id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  /**
+   * List registered rules
+   * @param {Object} overrides - Per-rule overrides to apply to the listing
+   * @returns {Array<Object>} - { id, kind, description, severity, penalty, taskTypes, blocking, enabled, source }
+   */
+  list(overrides = {}) {
+    return [...this.rules.values()].map(rule => {
+      const effective = this._effective(rule, overrides);
+      return {
+        id: effective.id,
+        kind: effective.kind,
+        description: effective.description,
+        severity: effective.severity,
+        penalty: effective.penalty ?? SEVERITY_PENALTY[effective.severity],
+        taskTypes: effective.taskTypes,
+        blocking: effective.blocking,
+        enabled: effective.enabled,
+        source: effective.source,
+      };
+    });
+  }
+
+  /**
+   * Change a registered rule's settings
+   * @param {string} id - Rule id
+   * @param {Object} settings - { enabled, severity, penalty, taskTypes }
+   */
+  configure(id, settings) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown red-flag rule: ${id}`);
+    }
+
+    this.rules.set(id, this._effective(rule, { [id]: settings }));
+  }
+
+  /**
+   * Check per-rule overrides, throwing on unknown rules or invalid settings
+   * @param {Object} overrides - { [id]: { enabled, severity, penalty, taskTypes } }
+   */
+  validateOverrides(overrides = {}) {
+    for (const [id, settings] of Object.entries(overrides)) {
+      const rule = this.rules.get(id);
+      if (!rule) {
+        throw new Error(`Unknown red-flag rule: ${id}`);
+      }
+      this._effective(rule, { [id]: settings });
+    }
+  }
+
+  /**
+   * Check a security allowlist, throwing on unknown or non-security rules
+   * @param {Object} allowlist - { [subtaskType|'*']: [rule ids] }
+   */
+  validateAllowlist(allowlist = {}) {
+    for (const [type, ids] of Object.entries(allowlist)) {
+      if (!Array.isArray(ids)) {
+        throw new Error(`Security allowlist for ${type} must be a list of rule ids`);
+      }
+      for (const id of ids) {
+        if (!this.rules.has(id)) {
+          throw new Error(`Unknown red-flag rule: ${id}`);
+        }
+        if (!id.startsWith('security.')) {
+          throw new Error(`Not a security rule: ${id}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run every enabled rule that applies to the context's task type
+   * @param {Object} context - Validation context (see class comment)
+   * @param {Object} overrides - Per-rule overrides for this run
+   * @returns {Array<Object>} - Flags: { type, rule, severity, penalty, blocking, message, ... }
+   */
+  run(context, overrides = {}) {
+    const flags = [];
+    context.flags = flags;
+
+    for (const rule of this.rules.values()) {
+      const effective = this._effective(rule, overrides);
+      if (!effective.enabled) continue;
+      if (effective.taskTypes && !effective.taskTypes.includes(context.taskType)) continue;
+
+      let findings;
+      try {
+        findings = effective.check(context);
+      } catch (error) {
+        // A broken custom rule shouldn't reject (or pass) responses
+        if (!this.failing.has(effective.id)) {
+          this.failing.add(effective.id);
+          console.warn(`  Red-flag rule ${effective.id} failed: ${error.message}`);
+        }
+        continue;
+      }
+
+      for (const finding of this._findings(findings)) {
+        const severity = this._lower(effective.severity, finding.severity);
+        flags.push({
+          ...finding,
+          type: finding.type || effective.type,
+          rule: effective.id,
+          severity,
+          penalty: severity === effective.severity ? effective.penalty ?? SEVERITY_PENALTY[severity] : SEVERITY_PENALTY[severity],
+          blocking: effective.blocking,
+        });
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * The lower of a rule's severity and a finding's own, if it has one
+   * @private
+   */
+  _lower(severity, own) {
+    const levels = Object.keys(SEVERITY_PENALTY);
+    return own in SEVERITY_PENALTY && levels.indexOf(own) > levels.indexOf(severity) ? own : severity;
+  }
+
+  /**
+   * Confidence penalty of a severity level
+   * @param {string} severity - Severity level
+   * @returns {number}
+   */
+  static penaltyFor(severity) {
+    return SEVERITY_PENALTY[severity] ?? 0;
+  }
+
+  /**
+   * Load rules and overrides from a project rules file
+   * @param {Object} fileOps - FileOperations instance
+   * @param {string} filePath - .json, .js or .mjs file
+   * @returns {Promise<Object|null>} - { rules: ids registered, overrides: ids configured },
+   *   or null if the file doesn't exist
+   */
+  async loadFile(fileOps, filePath) {
+    if (!fileOps.fileExists(filePath)) return null;
+
+    let data;
+    if (filePath.endsWith('.json')) {
+      data = await fileOps.readJSON(filePath);
+    } else {
+      // Cache-bust so /rules reload picks up edits
+      const url = pathToFileURL(fileOps.resolvePath(filePath));
+      url.searchParams.set('t', Date.now());
+      data = (await import(url.href)).default;
+    }
+
+    const rules = Array.isArray(data) ? data : data?.rules || [];
+    const overrides = Array.isArray(data) ? {} : data?.overrides || {};
+
+    // Validate everything before changing the registry
+    const normalized = new Map(rules.map(definition => {
+      const rule = this._normalize(definition, filePath);
+      return [rule.id, rule];
+    }));
+    for (const [id, settings] of Object.entries(overrides)) {
+      const rule = normalized.get(id) || this.rules.get(id);
+      if (!rule) {
+        throw new Error(`Unknown red-flag rule: ${id}`);
+      }
+      normalized.set(id, this._effective(rule, { [id]: settings }));
+    }
+
+    normalized.forEach((rule, id) => {
+      this.rules.set(id, rule);
+      this.failing.delete(id);
+    });
+
+    return {
+      rules: [...normalized.values()].filter(rule => rule.source === filePath).map(rule => rule.id),
+      overrides: Object.keys(overrides),
+    };
+  }
+
+  /**
+   * Rule with overrides applied (and checked)
+   * @private
+   */
+  _effective(rule, overrides) {
+    const settings = overrides[rule.id];
+    if (!settings) return rule;
+
+    const effective = { ...rule };
+    if (settings.enabled !== undefined) effective.enabled = Boolean(settings.enabled);
+    if (settings.severity !== undefined) effective.severity = this._severity(settings.severity, rule.id);
+    if (settings.penalty !== undefined) effective.penalty = this._penalty(settings.penalty, rule.id);
+    if (settings.taskTypes !== undefined) effective.taskTypes = settings.taskTypes;
+    return effective;
+  }
+
+  /**
+   * Validate a definition and compile its check
+   * @private
+   */
+  _normalize(definition, source) {
+    const { id } = definition || {};
+    if (!id || typeof id !== 'string') {
+      throw new Error('Red-flag rule needs a string id');
+    }
+
+    const rule = {
+      id,
+      type: definition.type || id,
+      description: definition.description || '',
+      severity: this._severity(definition.severity || 'high', id),
+      penalty: definition.penalty === undefined ? null : this._penalty(definition.penalty, id),
+      taskTypes: definition.taskTypes || null,
+      blocking: definition.blocking === true,
+      enabled: definition.enabled !== false,
+      source,
+    };
+
+    if (typeof definition.check === 'function') {
+      return { ...rule, kind: 'function', check: definition.check };
+    }
+    if (definition.pattern !== undefined) {
+      return { ...rule, kind: 'regex', check: this._regexCheck(definition) };
+    }
+    if (definition.selector !== undefined) {
+      return { ...rule, kind: 'ast', check: this._selectorCheck(definition) };
+    }
+
+    throw new Error(`Red-flag rule ${id} needs a pattern, selector or check function`);
+  }
+
+  /**
+   * Check for a regex rule
+   * @private
+   */
+  _regexCheck({ id, pattern, flags, target = 'response', message }) {
+    if (!['response', 'code'].includes(target)) {
+      throw new Error(`Red-flag rule ${id}: target must be 'response' or 'code'`);
+    }
+
+    let regex;
+    try {
+      // A global regex would keep state between responses
+      regex = pattern instanceof RegExp
+        ? new RegExp(pattern.source, pattern.flags.replace('g', ''))
+        : new RegExp(pattern, (flags || '').replace('g', ''));
+    } catch (error) {
+      throw new Error(`Red-flag rule ${id}: ${error.message}`);
+    }
+
+    return context => {
+      const text = context[target];
+      if (typeof text !== 'string' || !regex.test(text)) return null;
+      return { message: `${message || 'Matches'}: ${regex}`, pattern: regex.toString() };
+    };
+  }
+
+  /**
+   * Check for an AST selector rule
+   * @private
+   */
+  _selectorCheck({ id, selector, message }) {
+    let parsed;
+    try {
+      parsed = esquery.parse(selector);
+    } catch (error) {
+      throw new Error(`Red-flag rule ${id}: invalid selector: ${error.message}`);
+    }
+
+    // Walk node types esquery doesn't know (TS, JSX) through their object keys
+    const fallback = node => Object.keys(node).filter(key => key !== 'loc');
+
+    return context => {
+      const ast = context.ast();
+      if (!ast) return null;
+
+      const matches = esquery.match(ast, parsed, { fallback });
+      if (matches.length === 0) return null;
+
+      const { line, column } = matches[0].loc?.start || {};
+      return {
+        message: `${message || `Matches ${selector}`}${matches.length > 1 ? ` (${matches.length} matches)` : ''}`,
+        line,
+        column,
+        count: matches.length,
+      };
+    };
+  }
+
+  /**
+   * Normalize what a check returned into a list of findings
+   * @private
+   */
+  _findings(result) {
+    if (!result) return [];
+    if (Array.isArray(result)) return result.flatMap(item => this._findings(item));
+    if (typeof result === 'string') return [{ message: result }];
+    if (result === true) return [{ message: 'Rule matched' }];
+    return [result];
+  }
+
+  /**
+   * @private
+   */
+  _severity(severity, id) {
+    if (!(severity in SEVERITY_PENALTY)) {
+      throw new Error(`Red-flag rule ${id}: severity must be one of ${Object.keys(SEVERITY_PENALTY).join(', ')}`);
+    }
+    return severity;
+  }
+
+  /**
+   * @private
+   */
+  _penalty(penalty, id) {
+    if (!Number.isFinite(penalty) || penalty < 0 || penalty > 1) {
+      throw new Error(`Red-flag rule ${id}: penalty must be a number between 0 and 1`);
+    }
+    return penalty;
+  }
+
+  /**
+   * Register the built-in rules
+   * Order matters only for the order of flags in results.
+   * @private
+   */
+  _registerBuiltins() {
+    const builtin = definition => this.register(definition, 'builtin');
+
+    // Hallucination markers: apologies, refusals, uncertainty
+    const hallucinations = {
+      'hallucination.cannot': /sorry,?\s+(?:i|but)\s+(?:can't|cannot|couldn't)/i,
+      'hallucination.unable': /(?:i'm|i am)\s+(?:not|un)able\s+to/i,
+      'hallucination.unsure': /(?:i|i'm)\s+(?:confused|uncertain|unsure)/i,
+      'hallucination.dont-know': /(?:i\s+)?(?:don't|do not)\s+(?:have|know|understand)/i,
+      'hallucination.as-an-ai': /as an ai/i,
+      'hallucination.apologize': /i apologize/i,
+      'hallucination.sorry': /(?:i'm|i am)\s+sorry/i,
+    };
+    for (const [id, pattern] of Object.entries(hallucinations)) {
+      builtin({
+        id,
+        type: 'hallucination_marker',
+        description: `Hallucination marker ${pattern}`,
+        severity: 'critical',
+        pattern,
+        target: 'response',
+        message: 'Contains hallucination pattern',
+      });
+    }
+
+    builtin({
+      id: 'extraction',
+      type: 'extraction_failed',
+      description: 'No code could be extracted from fences or prose',
+      severity: 'critical',
+      check: ({ extraction }) => extraction && !extraction.ok && {
+        message: `No code could be extracted: ${extraction.reason}`,
+        discarded: extraction.discarded.length,
+      },
+    });
+
+    // Incompleteness indicators
+    const incompleteness = {
+      'incomplete.ellipsis': /\.\.\.\s*$/,
+      'incomplete.marker': /\[(?:truncated|incomplete|rest omitted)\]/i,
+      'incomplete.continued': /(?:to be continued|will continue|see next)/i,
+      'incomplete.etc': /(?:and so on|etc\.?)\s*$/i,
+    };
+    for (const [id, pattern] of Object.entries(incompleteness)) {
+      builtin({
+        id,
+        type: 'incomplete_response',
+        description: `Incompleteness marker ${pattern}`,
+        severity: 'high',
+        pattern,
+        target: 'code',
+        message: 'Response appears incomplete',
+      });
+    }
+
+    builtin({
+      id: 'incomplete.brackets',
+      type: 'unbalanced_brackets',
+      description: 'Unmatched braces, brackets or parentheses',
+      severity: 'high',
+      check: ({ code }) => {
+        const brackets = this._checkBalancedBrackets(code);
+        return !brackets.balanced && `Unbalanced brackets: ${brackets.details}`;
+      },
+    });
+
+    builtin({
+      id: 'incomplete.fence',
+      type: 'incomplete_response',
+      description: 'Code block opened but never closed',
+      severity: 'high',
+      check: ({ extraction }) => extraction?.unterminated && 'Code block is not closed',
+    });
+
+    // Length: too long indicates confusion
+    builtin({
+      id: 'length.max',
+      type: 'too_verbose',
+      description: 'Longer than options.maxTokens (default 1500)',
+      severity: 'high',
+      check: ({ tokens, options }) => {
+        const tokenCount = tokens();
+        const maxTokens = options.maxTokens || 1500;
+        return tokenCount > maxTokens && {
+          message: `Response is excessively long (${tokenCount} tokens, max ${maxTokens})`,
+          tokenCount,
+          maxTokens,
+        };
+      },
+    });
+
+    builtin({
+      id: 'length.expected',
+      type: 'possibly_verbose',
+      description: 'Over twice task.expectedLength (default 200)',
+      severity: 'medium',
+      check: ({ tokens, options, task }) => {
+        const tokenCount = tokens();
+        const expectedTokens = task.expectedLength || 200;
+        const tolerance = 2.0; // Allow 2x expected length
+
+        return tokenCount <= (options.maxTokens || 1500) && tokenCount > expectedTokens * tolerance && {
+          message: `Response is longer than expected (${tokenCount} tokens, expected ~${expectedTokens})`,
+          tokenCount,
+          expectedTokens,
+        };
+      },
+    });
+
+    builtin({
+      id: 'length.min',
+      type: 'too_short',
+      description: 'Shorter than options.minTokens (default 5, or 1 for answers)',
+      severity: 'high',
+      check: ({ tokens, options, isAnswer }) => {
+        const tokenCount = tokens();
+        // Short replies are normal for answer tasks ("42", "B")
+        const minTokens = options.minTokens || (isAnswer ? 1 : 5);
+        return tokenCount < minTokens && {
+          message: `Response is too short (${tokenCount} tokens, min ${minTokens})`,
+          tokenCount,
+          minTokens,
+        };
+      },
+    });
+
+    builtin({
+      id: 'answer',
+      type: 'answer_extraction_failed',
+      description: 'No answer could be extracted and normalized',
+      severity: 'critical',
+      taskTypes: ANSWER_TYPES,
+      check: ({ answer, task }) => {
+        const result = answer();
+        return !result.ok && `No ${task.type} answer could be extracted: ${result.reason}`;
+      },
+    });
+
+    builtin({
+      id: 'syntax',
+      type: 'syntax_error',
+      description: 'Parse error (by the language adapter)',
+      severity: 'critical',
+      check: ({ syntax, adapter }) => {
+        const result = syntax();
+        return result?.ok === false && {
+          message: `Syntax error (${adapter.displayName}): ${result.message}`,
+          line: result.line,
+          column: result.column,
+          error: result.message,
+          language: adapter.name,
+        };
+      },
+    });
+
+    // The checker couldn't run (e.g. no python3): don't reject, but note it
+    builtin({
+      id: 'syntax.unchecked',
+      type: 'syntax_unchecked',
+      description: 'Syntax could not be checked',
+      severity: 'low',
+      check: ({ syntax, adapter }) => {
+        const result = syntax();
+        return result?.ok === null && { message: result.message, language: adapter.name };
+      },
+    });
+
+    // Scope analysis (see ScopeAnalyzer)
+    const scopeRules = [
+      {
+        id: 'scope.undeclared',
+        type: 'undeclared_reference',
+        description: 'Reference to a name declared nowhere (globals and task.provided excepted)',
+        severity: 'high',
+        findings: analysis => analysis.undeclared.map(ref => ({
+          ...ref,
+          message: `'${ref.name}' is not declared${ref.count > 1 ? ` (${ref.count} references)` : ''}`,
+        })),
+      },
+      {
+        id: 'scope.duplicate',
+        type: 'duplicate_declaration',
+        description: 'Name declared twice in the same scope',
+        severity: 'medium',
+        findings: analysis => analysis.duplicates.map(dup => ({
+          ...dup,
+          message: `'${dup.name}' is declared twice in the same scope (${dup.previous}, then ${dup.kind})`,
+        })),
+      },
+      {
+        id: 'scope.unused-import',
+        type: 'unused_import',
+        description: 'Imported binding never used',
+        severity: 'low',
+        findings: analysis => analysis.unusedImports.map(unused => ({
+          ...unused,
+          message: `'${unused.name}' is imported from '${unused.source}' but never used`,
+        })),
+      },
+      {
+        id: 'scope.unreachable',
+        type: 'unreachable_code',
+        description: 'Statement after return, throw, break or continue',
+        severity: 'medium',
+        findings: analysis => analysis.unreachable.map(statement => ({
+          ...statement,
+          message: `Unreachable code after ${statement.after}`,
+        })),
+      },
+    ];
+    for (const { findings, ...definition } of scopeRules) {
+      builtin({
+        ...definition,
+        check: ({ scope }) => {
+          const analysis = scope();
+          if (!analysis) return null;
+
+          return findings(analysis).map(({ message, name, line, column }) => ({
+            message: line ? `${message} (line ${line})` : message,
+            name,
+            line,
+            column,
+          }));
+        },
+      });
+    }
+
+    // Dangerous operations (see SecurityAnalyzer). Allowed per subtask type
+    // through options.securityAllowlist, e.g. { delete: ['security.recursive-delete'] }
+    const securityRules = [
+      { id: 'security.eval', description: 'eval, new Function, .constructor chains, string timers, vm, computed require/import', severity: 'critical' },
+      { id: 'security.child-process', description: 'Runs processes (child_process, execa, shelljs)', severity: 'critical' },
+      { id: 'security.recursive-delete', description: 'Recursive fs.rm/rmdir, fs-extra remove, rimraf', severity: 'critical' },
+      { id: 'security.outside-project', description: 'fs writes to paths starting absolute, home or ../', severity: 'critical' },
+      { id: 'security.network', description: 'Sockets, HTTP servers and clients, fetch, WebSocket', severity: 'high' },
+      { id: 'security.env-secrets', description: 'Reads secret-looking, computed or all process.env keys', severity: 'high' },
+    ];
+    for (const definition of securityRules) {
+      const check = definition.id.slice('security.'.length);
+      builtin({
+        ...definition,
+        type: 'security_risk',
+        blocking: true,
+        check: ({ security, task, options }) => {
+          const findings = security();
+          if (!findings || this._securityAllowed(definition.id, task, options)) return null;
+
+          return findings.filter(finding => finding.check === check).map(({ message, line, column }) => ({
+            message: line ? `${message} (line ${line})` : message,
+            line,
+            column,
+          }));
+        },
+      });
+    }
+
+    // Does the candidate define what its subtask asked for (see ConformanceChecker)
+    const conformanceRules = [
+      { id: 'conformance.missing', type: 'missing_symbol', description: 'Doesn\'t define the symbol the subtask targets', severity: 'critical' },
+      { id: 'conformance.kind', type: 'wrong_symbol_kind', description: 'Defines the target as another kind (class for a function, ...)', severity: 'high' },
+      { id: 'conformance.signature', type: 'signature_changed', description: 'Changes an existing signature the subtask didn\'t ask to change', severity: 'high' },
+      { id: 'conformance.export', type: 'missing_export', description: 'Doesn\'t export a symbol the subtask asks to export', severity: 'medium' },
+      { id: 'conformance.artifact', type: 'wrong_artifact', description: 'Tests where code was asked for, or code for a test file', severity: 'high' },
+    ];
+    for (const definition of conformanceRules) {
+      const check = definition.id.slice('conformance.'.length);
+      builtin({
+        ...definition,
+        check: ({ conformance }) => {
+          const findings = conformance();
+          if (!findings) return null;
+
+          return findings.filter(finding => finding.check === check).map(({ message, name, line, severity }) => ({
+            message: line ? `${message} (line ${line})` : message,
+            name,
+            line,
+            severity,
+          }));
+        },
+      });
+    }
+
+    // Imports checked against the project on disk (see ImportResolver)
+    const importRules = [
+      { id: 'imports.unresolved', type: 'unresolved_import', description: 'Imports a missing file or a package not in package.json', severity: 'high' },
+      { id: 'imports.missing-export', type: 'missing_named_import', description: 'Imports a name the project module doesn\'t export', severity: 'high' },
+    ];
+    for (const definition of importRules) {
+      const check = definition.id.slice('imports.'.length);
+      builtin({
+        ...definition,
+        check: ({ imports }) => {
+          const findings = imports();
+          if (!findings) return null;
+
+          return findings.filter(finding => finding.check === check).map(({ message, source, name, line, column }) => ({
+            message: line ? `${message} (line ${line})` : message,
+            source,
+            name,
+            line,
+            column,
+          }));
+        },
+      });
+    }
+
+    // Runtime check (see SmokeTestRunner); off by default since it runs every
+    // candidate. Registered after security, so code that already raised a
+    // blocking flag is never run.
+    builtin({
+      id: 'execution',
+      type: 'execution_failed',
+      description: 'Throws, hangs or exceeds a limit when loaded in a sandbox (plain JavaScript)',
+      severity: 'high',
+      enabled: false,
+      check: ({ execution }) => {
+        const result = execution();
+        if (result?.ok !== false) return null;
+
+        const error = result.name ? `${result.name}: ${result.message}` : result.message;
+        const summary = result.kind === 'throw' ? `Throws when loaded: ${error}` : result.message;
+
+        return {
+          message: result.line ? `${summary} (line ${result.line})` : summary,
+          kind: result.kind,
+          error: result.kind === 'throw' ? error : undefined,
+          line: result.line,
+          column: result.column,
+          durationMs: result.durationMs,
+        };
+      },
+    });
+
+    builtin({
+      id: 'format',
+      type: 'format_mismatch',
+      description: 'Code doesn\'t match task.expectedFormat (function, class, import, export)',
+      severity: 'high',
+      check: ({ code, task, symbols }) => task.expectedFormat && this._checkFormat(code, task.expectedFormat, symbols()),
+    });
+  }
+
+  /**
+   * Whether the security allowlist permits a rule for the task's subtask type
+   * @private
+   */
+  _securityAllowed(id, task, options) {
+    const allowlist = options.securityAllowlist || {};
+    return [task.category, '*'].some(type => type && allowlist[type]?.includes(id));
+  }
+
+  /**
+   * Check if brackets are balanced
+   * @private
+   */
+  _checkBalancedBrackets(code) {
+    const stack = [];
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const opening = Object.keys(pairs);
+    const closing = Object.values(pairs);
+
+    for (const char of code) {
+      if (opening.includes(char)) {
+        stack.push(char);
+      } else if (closing.includes(char)) {
+        const last = stack.pop();
+        if (!last || pairs[last] !== char) {
+          return {
+            balanced: false,
+            details: `Unexpected '${char}' without matching opening`,
+          };
+        }
+      }
+    }
+
+    if (stack.length > 0) {
+      return {
+        balanced: false,
+        details: `Unclosed '${stack[stack.length - 1]}'`,
+      };
+    }
+
+    return { balanced: true };
+  }
+
+  /**
+   * Check format compliance
+   * expectedFormat can be: 'function', 'class', 'import', 'export'
+   * Uses the adapter's declared symbols when the code parses, else regexes.
+   * @private
+   */
+  _checkFormat(code, expectedFormat, symbols = null) {
+    const declares = kinds => symbols.some(symbol => kinds.includes(symbol.kind));
+
+    switch (expectedFormat) {
+      case 'function':
+        if (symbols ? !declares(['function', 'method']) : !/\bfunction\s+\w+/.test(code) && !/=>\s*{/.test(code)) {
+          return 'Expected a function definition';
+        }
+        break;
+
+      case 'class':
+        if (symbols ? !declares(['class']) : !/\bclass\s+\w+/.test(code)) {
+          return 'Expected a class definition';
+        }
+        break;
+
+      case 'import':
+        if (!/\bimport\s+/.test(code)) {
+          return 'Expected an import statement';
+        }
+        break;
+
+      case 'export':
+        // Re-exports and default-exported expressions declare no symbol
+        if (!symbols?.some(symbol => symbol.exported) && !/^\s*export\s+/m.test(code)) {
+          return 'Expected an export statement';
+        }
+        break;
+    }
+
+    return null;
+  }
+}
+
+export default RedFlagRules;
@@ -0,0 +1,170 @@
+/**
+ * ReliabilityEstimator - Empirical per-step success rate (p) from past votes
+ *
+ * In a decided vote, the share of valid samples that landed in the winning
+ * cluster is an estimate of how often a single sample is correct. Counts are
+ * pooled per model and per task type, smoothed with a Beta prior, and
+ * persisted to disk so estimates improve across sessions.
+ *
+ * Estimates fall back from most to least specific:
+ *   model + task type → task type → model → everything → prior
+ */
+class ReliabilityEstimator {
+  constructor(fileOps, filePath = '.maker/reliability.json', options = {}) {
+    this.fileOps = fileOps;
+    this.filePath = filePath;
+
+    // Beta prior: equivalent to 7 agreeing and 3 disagreeing samples (p = 0.7)
+    this.priorSuccesses = options.priorSuccesses ?? 7;
+    this.priorFailures = options.priorFailures ?? 3;
+
+    // Minimum observed samples before a bucket is trusted over a broader one
+    this.minSamples = options.minSamples ?? 10;
+
+    this.stats = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Load persisted estimates (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (!this.fileOps.fileExists(this.filePath)) return;
+
+    try {
+      const data = await this.fileOps.readJSON(this.filePath);
+      this.stats = data.stats || {};
+    } catch (error) {
+      console.warn(`  Could not load reliability estimates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist estimates
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await this.fileOps.writeJSON(this.filePath, {
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        stats: this.stats,
+      });
+    } catch (error) {
+      console.warn(`  Could not save reliability estimates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record agreement from a finished vote
+   * Only decided votes are used, since an undecided winner may be wrong.
+   *
+   * @param {Object} task - Task metadata (category or type)
+   * @param {Object} modelBreakdown - Per-backend { model, valid, inWinner } from ModelEnsemble
+   * @param {boolean} decided - Whether the vote reached a lead of k
+   * @returns {Promise<void>}
+   */
+  async recordVote(task, modelBreakdown, decided) {
+    if (!decided) return;
+
+    await this.load();
+    const taskType = this._taskType(task);
+
+    for (const entry of Object.values(modelBreakdown)) {
+      if (entry.valid === 0) continue;
+
+      const key = `${entry.model}::${taskType}`;
+      const bucket = this.stats[key] || { agree: 0, total: 0, votes: 0 };
+      bucket.agree += entry.inWinner;
+      bucket.total += entry.valid;
+      bucket.votes++;
+      this.stats[key] = bucket;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Estimate per-sample success probability
+   * @param {string|null} model - Model id (null = any model)
+   * @param {string|null} taskType - Task type (null = any type)
+   * @returns {Object} - { p, samples, source }
+   */
+  estimate(model = null, taskType = null) {
+    const scopes = [
+      { source: 'model+type', match: (m, t) => m === model && t === taskType, usable: model && taskType },
+      { source: 'type', match: (m, t) => t === taskType, usable: taskType },
+      { source: 'model', match: m => m === model, usable: model },
+      { source: 'all', match: () => true, usable: true },
+    ];
+
+    for (const scope of scopes) {
+      if (!scope.usable) continue;
+
+      const { agree, total } = this._aggregate(scope.match);
+      if (total >= this.minSamples) {
+        return { p: this._smooth(agree, total), samples: total, source: scope.source };
+      }
+    }
+
+    return { p: this._smooth(0, 0), samples: 0, source: 'prior' };
+  }
+
+  /**
+   * List all recorded buckets with their smoothed estimates
+   * @returns {Array<Object>} - { model, taskType, p, samples, votes }
+   */
+  list() {
+    return Object.entries(this.stats).map(([key, bucket]) => {
+      const [model, taskType] = key.split('::');
+      return {
+        model,
+        taskType,
+        p: this._smooth(bucket.agree, bucket.total),
+        samples: bucket.total,
+        votes: bucket.votes,
+      };
+    });
+  }
+
+  /**
+   * Sum agreement counts over buckets matching a predicate
+   * @private
+   */
+  _aggregate(match) {
+    let agree = 0;
+    let total = 0;
+
+    for (const [key, bucket] of Object.entries(this.stats)) {
+      const [model, taskType] = key.split('::');
+      if (match(model, taskType)) {
+        agree += bucket.agree;
+        total += bucket.total;
+      }
+    }
+
+    return { agree, total };
+  }
+
+  /**
+   * Posterior mean under the Beta prior
+   * @private
+   */
+  _smooth(agree, total) {
+    return (agree + this.priorSuccesses) / (total + this.priorSuccesses + this.priorFailures);
+  }
+
+  /**
+   * Task type used as the estimate bucket
+   * @private
+   */
+  _taskType(task) {
+    return task.category || task.type || 'default';
+  }
+}
+
+export default ReliabilityEstimator;
@@ -0,0 +1,214 @@
+// Opening fence with optional info string; the block runs to a matching fence or the end
+const FENCE = /^([ \t]*)(`{3,}|~{3,})[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)(?:^[ \t]*\2[ \t]*$|(?![\s\S]))/gm;
+
+// Top-level declarations, to tell revisions of the same code from separate pieces
+const DECLARATION = /^(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function\*?|class|interface|type|enum|def|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+
+// Letters-only sentences ("Here is the function:", "This handles the edge case.")
+const PROSE_LINE = /^(?:[-*>]\s+|\d+\.\s+)?[A-Z][^{};=()[\]<>`]*$/;
+
+/**
+ * ResponseExtractor - Pulls the code out of a model response
+ * Local models wrap code in markdown fences and surround it with prose.
+ * Extraction runs before red-flagging, so only the code is validated,
+ * clustered and applied.
+ *
+ * - Fenced blocks: blocks tagged with the target language win, then
+ *   untagged blocks; blocks in other languages (bash, json, ...) are
+ *   discarded. Several selected blocks are merged in order, except that a
+ *   block redefining a name from an earlier block replaces it (the model
+ *   revised its answer) and exact repeats are dropped.
+ * - No fences: leading and trailing prose lines are stripped.
+ *
+ * Everything left out is recorded in `discarded`. Extraction fails when
+ * no code remains.
+ */
+class ResponseExtractor {
+  /**
+   * Extract code for a language adapter
+   * @param {string} response - Raw model response
+   * @param {Object} adapter - Language adapter (see LanguageRegistry)
+   * @returns {Object} - { ok, code, method: 'fenced'|'stripped'|'raw', blocks, discarded, reason }
+   */
+  extract(response, adapter) {
+    const blocks = this._fencedBlocks(response);
+
+    return blocks.length > 0
+      ? this._fromBlocks(response, blocks, adapter)
+      : this._fromProse(response, adapter);
+  }
+
+  /**
+   * Whether a response contains a markdown code fence
+   * @param {string} response - Raw model response
+   * @returns {boolean}
+   */
+  hasFences(response) {
+    return /^[ \t]*(?:`{3,}|~{3,})/m.test(response);
+  }
+
+  /**
+   * Select and merge fenced blocks
+   * @private
+   */
+  _fromBlocks(response, blocks, adapter) {
+    const tags = new Set([adapter.name, adapter.fenceTag, ...(adapter.fenceAliases || [])]);
+    const discarded = [];
+
+    const tagged = blocks.filter(block => tags.has(block.tag));
+    const selected = tagged.length > 0 ? tagged : blocks.filter(block => block.tag === '');
+
+    for (const block of blocks) {
+      if (!selected.includes(block)) {
+        discarded.push({ kind: 'block', reason: `${block.tag || 'untagged'} block`, text: block.code });
+      }
+    }
+
+    // Prose between and around the blocks
+    let position = 0;
+    for (const block of blocks) {
+      this._discardProse(response.slice(position, block.start), discarded);
+      position = block.end;
+    }
+    this._discardProse(response.slice(position), discarded);
+
+    if (selected.length === 0) {
+      const found = [...new Set(blocks.map(block => block.tag))].join(', ');
+      return this._failure(`no ${adapter.displayName} code block (found: ${found})`, discarded);
+    }
+
+    // Later revisions replace earlier blocks that define the same names
+    const kept = [];
+    for (const block of selected) {
+      const names = this._declaredNames(block.code);
+
+      for (let i = kept.length - 1; i >= 0; i--) {
+        const earlier = kept[i];
+        const revised = earlier.code.trim() === block.code.trim() ||
+          [...names].some(name => earlier.names.has(name));
+
+        if (revised) {
+          discarded.push({ kind: 'block', reason: 'superseded by a later block', text: earlier.code });
+          kept.splice(i, 1);
+        }
+      }
+
+      kept.push({ ...block, names });
+    }
+
+    const code = kept.map(block => block.code.trimEnd()).join('\n\n');
+    if (code.trim().length === 0) {
+      return this._failure('code blocks are empty', discarded);
+    }
+
+    return {
+      ok: true,
+      code,
+      method: 'fenced',
+      blocks: kept.length,
+      unterminated: kept.some(block => block.unterminated),
+      discarded,
+      reason: null,
+    };
+  }
+
+  /**
+   * Strip prose lines before and after unfenced code
+   * @private
+   */
+  _fromProse(response, adapter) {
+    // Code that already parses is taken as is
+    if (adapter.checkSyntax(response).ok !== false) {
+      return { ok: true, code: response, method: 'raw', blocks: 0, discarded: [], reason: null };
+    }
+
+    const lines = response.split('\n');
+    let first = 0;
+    let last = lines.length - 1;
+
+    while (first <= last && this._isProse(lines[first])) first++;
+    while (last >= first && this._isProse(lines[last])) last--;
+
+    const discarded = [];
+    this._discardProse(lines.slice(0, first).join('\n'), discarded);
+    this._discardProse(lines.slice(last + 1).join('\n'), discarded);
+
+    const code = lines.slice(first, last + 1).join('\n');
+    if (code.trim().length === 0) {
+      return this._failure('response is prose only', discarded);
+    }
+
+    return {
+      ok: true,
+      code,
+      method: discarded.length > 0 ? 'stripped' : 'raw',
+      blocks: 0,
+      discarded,
+      reason: null,
+    };
+  }
+
+  /**
+   * Parse markdown fences into blocks
+   * @private
+   */
+  _fencedBlocks(response) {
+    const blocks = [];
+
+    for (const match of response.matchAll(FENCE)) {
+      const [text, indent, fence, tag, body] = match;
+      const closed = new RegExp(`^[ \\t]*${fence}[ \\t]*$`, 'm').test(text.slice(text.indexOf('\n') + 1));
+
+      blocks.push({
+        tag: tag.toLowerCase(),
+        // Remove the fence's own indentation from every line
+        code: indent ? body.replace(new RegExp(`^${indent}`, 'gm'), '') : body,
+        start: match.index,
+        end: match.index + text.length,
+        unterminated: !closed,
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Names declared at the start of lines
+   * @private
+   */
+  _declaredNames(code) {
+    return new Set([...code.matchAll(DECLARATION)].map(match => match[1]));
+  }
+
+  /**
+   * Whether a line reads as prose rather than code
+   * Blank lines count as prose, so they're stripped with it.
+   * @private
+   */
+  _isProse(line) {
+    const text = line.trim();
+    if (text.length === 0) return true;
+
+    return PROSE_LINE.test(text) && text.split(/\s+/).length >= 3;
+  }
+
+  /**
+   * Record non-blank prose as discarded
+   * @private
+   */
+  _discardProse(text, discarded) {
+    if (text.trim().length > 0) {
+      discarded.push({ kind: 'prose', text: text.trim() });
+    }
+  }
+
+  /**
+   * Failed extraction result
+   * @private
+   */
+  _failure(reason, discarded) {
+    return { ok: false, code: null, method: null, blocks: 0, discarded, reason };
+  }
+}
+
+export default ResponseExtractor;
@@ -1,267 +1,154 @@
-import * as acorn from 'acorn';
+import AnswerNormalizer from './AnswerNormalizer.js';
+import ConformanceChecker from './ConformanceChecker.js';
+import LanguageRegistry from './LanguageRegistry.js';
+import ResponseExtractor from './ResponseExtractor.js';
+import RedFlagRules from './RedFlagRules.js';
 
 /**
  * ResponseValidator - Red-flagging component of MAKER
  * Filters out unreliable responses using static analysis
  *
- * Implements red-flagging from MAKER paper:
- * - Syntax validation (parse errors)
+ * Implements red-flagging from MAKER paper. The checks are rules in a
+ * RedFlagRules registry (see there for the built-in rules and custom ones):
+ * - Code extraction (markdown fences, surrounding prose)
+ * - Syntax validation (parse errors, by the task's language adapter)
+ * - Scope analysis (undeclared names, duplicate declarations, unused
+ *   imports, unreachable code), where the language adapter supports it
+ * - Task conformance (the subtask's symbol, kind, signature and export;
+ *   see ConformanceChecker), for tasks with `expects`
+ * - Import resolution against the project (files, package.json, exports;
+ *   see ImportResolver), when an importResolver is given
  * - Length checks (too verbose = confused)
  * - Completeness checks (truncated responses)
  * - Hallucination markers (apologies, uncertainty)
+ * - Answer extraction for answer task types (answer, json, choice, number)
  */
 class ResponseValidator {
-  constructor(tokenCounter) {
+  constructor(tokenCounter, options = {}) {
     this.tokenCounter = tokenCounter;
-
-    // Red-flag patterns that indicate unreliable responses
-    this.hallucination_patterns = [
-      /sorry,?\s+(?:i|but)\s+(?:can't|cannot|couldn't)/i,
-      /(?:i'm|i am)\s+(?:not|un)able\s+to/i,
-      /(?:i|i'm)\s+(?:confused|uncertain|unsure)/i,
-      /(?:i\s+)?(?:don't|do not)\s+(?:have|know|understand)/i,
-      /as an ai/i,
-      /i apologize/i,
-      /(?:i'm|i am)\s+sorry/i,
-    ];
-
-    // Indicators of incomplete responses
-    this.incompleteness_patterns = [
-      /\.\.\.\s*$/,           // Ends with ...
-      /\[(?:truncated|incomplete|rest omitted)\]/i,
-      /(?:to be continued|will continue|see next)/i,
-      /(?:and so on|etc\.?)\s*$/i,
-    ];
+    this.answerNormalizer = new AnswerNormalizer();
+    this.languages = options.languages || new LanguageRegistry();
+    this.extractor = new ResponseExtractor();
+    this.rules = options.redFlagRules || new RedFlagRules();
+    this.conformance = new ConformanceChecker();
+
+    // Optional ImportResolver that checks imports against the project on disk
+    this.importResolver = options.importResolver || null;
   }
 
   /**
    * Validate a code response
-   * @param {string} code - Generated code to validate
+   * Code is first extracted from markdown fences and surrounding prose
+   * (see ResponseExtractor); code rules run on the extracted code, which
+   * is returned as `code`.
+   * @param {string} response - Generated response to validate
    * @param {Object} task - Task context (description, expected format, etc.)
-   * @param {Object} options - Validation options
-   * @returns {Object} - { valid: boolean, flags: Array, confidence: number }
+   * @param {Object} options - Validation options ({ extract: false } checks the raw response,
+   *   rules: per-rule overrides { [id]: { enabled, severity, penalty } },
+   *   securityAllowlist: security rules allowed per subtask type { [type|'*']: [id] })
+   * @returns {Object} - { valid, flags, confidence, summary, code, extraction }
    */
-  validate(code, task = {}, options = {}) {
-    const flags = [];
-
-    // 1. Check for empty or whitespace-only response
-    if (!code || code.trim().length === 0) {
-      flags.push({
+  validate(response, task = {}, options = {}) {
+    // Nothing to check in an empty response
+    if (!response || response.trim().length === 0) {
+      const flags = [{
         type: 'empty_response',
+        rule: 'empty',
         severity: 'critical',
         message: 'Response is empty or whitespace-only',
-      });
-      return { valid: false, flags, confidence: 0 };
+      }];
+      return { valid: false, flags, confidence: 0, code: null, extraction: null };
     }
 
-    // 2. Check for hallucination markers
-    const hallucinationFlags = this._checkHallucinations(code);
-    flags.push(...hallucinationFlags);
+    const isAnswer = this.answerNormalizer.supports(task.type);
+    const isCode = !isAnswer &&
+      (task.type === 'code' || this.extractor.hasFences(response) || this._looksLikeCode(response));
+    const adapter = this.languages.resolve(task);
+
+    // Extract the code from fences and prose
+    let code = response;
+    let extraction = null;
+    if (isCode && options.extract !== false) {
+      extraction = this.extractor.extract(response, adapter);
+      if (extraction.ok) {
+        code = extraction.code;
+      }
+    }
 
-    // 3. Check for incompleteness
-    const incompletenessFlags = this._checkCompleteness(code);
-    flags.push(...incompletenessFlags);
+    // Code checks need code that was extracted and parses
+    const checkable = isCode && extraction?.ok !== false;
+    const syntax = this._lazy(() => (checkable ? adapter.checkSyntax(code) : null));
+    const symbols = this._lazy(() => (syntax()?.ok === true ? adapter.symbols?.(code) || null : null));
+    const ast = this._lazy(() => (syntax()?.ok === true ? adapter.parse?.(code) || null : null));
 
-    // 4. Check length (too long indicates confusion)
-    const lengthFlags = this._checkLength(code, task, options);
-    flags.push(...lengthFlags);
+    const context = {
+      response,
+      code,
+      task,
+      taskType: task.type || (isCode ? 'code' : 'text'),
+      options,
+      adapter,
+      extraction,
+      isCode,
+      isAnswer,
+      tokens: this._lazy(() => this.tokenCounter.countTokens(response)),
+      syntax,
+      scope: this._lazy(() => (
+        syntax()?.ok === true ? adapter.analyzeScope?.(code, { provided: task.provided }) || null : null
+      )),
+      ast,
+      security: this._lazy(() => (syntax()?.ok === true ? adapter.analyzeSecurity?.(code) || null : null)),
+      symbols,
+      imports: this._lazy(() => (
+        this.importResolver && ast()
+          ? this.importResolver.check(ast(), { from: task.target || task.file, plannedFiles: task.plannedFiles })
+          : null
+      )),
+      conformance: this._lazy(() => (
+        this.conformance.check(task.expects, { code, symbols: symbols(), category: task.category })
+      )),
+      answer: this._lazy(() => this.answerNormalizer.normalize(response, task)),
+    };
 
-    // 5. Validate syntax if it's code
-    if (task.type === 'code' || this._looksLikeCode(code)) {
-      const syntaxFlags = this._validateSyntax(code, task);
-      flags.push(...syntaxFlags);
-    }
+    // Never run code that an earlier rule already blocked (e.g. a security flag)
+    context.execution = this._lazy(() => (
+      syntax()?.ok === true && !context.flags?.some(f => f.blocking || f.severity === 'critical')
+        ? adapter.smokeTest?.(code, { provided: task.provided }) || null
+        : null
+    ));
 
-    // 6. Check for format compliance
-    if (task.expectedFormat) {
-      const formatFlags = this._checkFormat(code, task.expectedFormat);
-      flags.push(...formatFlags);
-    }
+    const flags = this.rules.run(context, options.rules);
 
     // Calculate confidence score (0-1)
     const confidence = this._calculateConfidence(flags);
 
-    // Determine if valid (no critical flags)
-    const valid = !flags.some(f => f.severity === 'critical');
+    // Determine if valid (no critical or blocking flags)
+    const valid = !flags.some(f => f.severity === 'critical' || f.blocking);
 
     return {
       valid,
       flags,
       confidence,
       summary: this._generateSummary(flags),
+      code: extraction?.ok === false ? null : code,
+      extraction,
     };
   }
 
   /**
-   * Check for hallucination markers
-   * @private
-   */
-  _checkHallucinations(code) {
-    const flags = [];
-
-    for (const pattern of this.hallucination_patterns) {
-      if (pattern.test(code)) {
-        flags.push({
-          type: 'hallucination_marker',
-          severity: 'critical',
-          message: `Contains hallucination pattern: ${pattern}`,
-          pattern: pattern.toString(),
-        });
-      }
-    }
-
-    return flags;
-  }
-
-  /**
-   * Check for incompleteness indicators
-   * @private
-   */
-  _checkCompleteness(code) {
-    const flags = [];
-
-    for (const pattern of this.incompleteness_patterns) {
-      if (pattern.test(code)) {
-        flags.push({
-          type: 'incomplete_response',
-          severity: 'high',
-          message: `Response appears incomplete: ${pattern}`,
-          pattern: pattern.toString(),
-        });
-      }
-    }
-
-    // Check for unmatched braces/brackets/parens
-    const brackets = this._checkBalancedBrackets(code);
-    if (!brackets.balanced) {
-      flags.push({
-        type: 'unbalanced_brackets',
-        severity: 'high',
-        message: `Unbalanced brackets: ${brackets.details}`,
-      });
-    }
-
-    return flags;
-  }
-
-  /**
-   * Check if brackets are balanced
+   * Memoize a computation that some rules need
    * @private
    */
-  _checkBalancedBrackets(code) {
-    const stack = [];
-    const pairs = { '(': ')', '[': ']', '{': '}' };
-    const opening = Object.keys(pairs);
-    const closing = Object.values(pairs);
-
-    for (const char of code) {
-      if (opening.includes(char)) {
-        stack.push(char);
-      } else if (closing.includes(char)) {
-        const last = stack.pop();
-        if (!last || pairs[last] !== char) {
-          return {
-            balanced: false,
-            details: `Unexpected '${char}' without matching opening`,
-          };
-        }
+  _lazy(compute) {
+    let computed = false;
+    let value;
+    return () => {
+      if (!computed) {
+        value = compute();
+        computed = true;
       }
-    }
-
-    if (stack.length > 0) {
-      return {
-        balanced: false,
-        details: `Unclosed '${stack[stack.length - 1]}'`,
-      };
-    }
-
-    return { balanced: true };
-  }
-
-  /**
-   * Check response length
-   * @private
-   */
-  _checkLength(code, task, options) {
-    const flags = [];
-    const tokenCount = this.tokenCounter.countTokens(code);
-
-    // Default thresholds
-    const maxTokens = options.maxTokens || 1500;
-    const minTokens = options.minTokens || 5;
-
-    // Adjust based on task complexity
-    const expectedTokens = task.expectedLength || 200;
-    const tolerance = 2.0; // Allow 2x expected length
-
-    if (tokenCount > maxTokens) {
-      flags.push({
-        type: 'too_verbose',
-        severity: 'high',
-        message: `Response is excessively long (${tokenCount} tokens, max ${maxTokens})`,
-        tokenCount,
-        maxTokens,
-      });
-    } else if (tokenCount > expectedTokens * tolerance) {
-      flags.push({
-        type: 'possibly_verbose',
-        severity: 'medium',
-        message: `Response is longer than expected (${tokenCount} tokens, expected ~${expectedTokens})`,
-        tokenCount,
-        expectedTokens,
-      });
-    }
-
-    if (tokenCount < minTokens) {
-      flags.push({
-        type: 'too_short',
-        severity: 'high',
-        message: `Response is too short (${tokenCount} tokens, min ${minTokens})`,
-        tokenCount,
-        minTokens,
-      });
-    }
-
-    return flags;
-  }
-
-  /**
-   * Validate JavaScript syntax using acorn
-   * @private
-   */
-  _validateSyntax(code, task) {
-    const flags = [];
-
-    try {
-      // Try parsing as module first
-      acorn.parse(code, {
-        ecmaVersion: 2022,
-        sourceType: 'module',
-        allowHashBang: true,
-        allowAwaitOutsideFunction: true,
-      });
-    } catch (moduleError) {
-      // Try as script
-      try {
-        acorn.parse(code, {
-          ecmaVersion: 2022,
-          sourceType: 'script',
-          allowHashBang: true,
-        });
-      } catch (scriptError) {
-        // Both failed - report syntax error
-        flags.push({
-          type: 'syntax_error',
-          severity: 'critical',
-          message: `Syntax error: ${scriptError.message}`,
-          line: scriptError.loc?.line,
-          column: scriptError.loc?.column,
-          error: scriptError.message,
-        });
-      }
-    }
-
-    return flags;
+      return value;
+    };
   }
 
   /**
@@ -278,65 +165,16 @@ class ResponseValidator {
       /\bclass\s+\w+/,
       /=>\s*{/,
       /\bimport\s+.*\s+from/,
-      /\bexport\s+(?:default|class|function|const)/,
+      /\bexport\s+(?:default|class|function|const|interface|type)/,
+      /\binterface\s+\w+\s*[{<]/,
+      /\btype\s+\w+\s*=/,
+      /^\s*def\s+\w+\s*\(/m,
+      /^\s*from\s+[\w.]+\s+import\s+/m,
     ];
 
     return codeIndicators.some(pattern => pattern.test(text));
   }
 
-  /**
-   * Check format compliance
-   * @private
-   */
-  _checkFormat(code, expectedFormat) {
-    const flags = [];
-
-    // expectedFormat can be: 'function', 'class', 'expression', etc.
-    switch (expectedFormat) {
-      case 'function':
-        if (!/\bfunction\s+\w+/.test(code) && !/=>\s*{/.test(code)) {
-          flags.push({
-            type: 'format_mismatch',
-            severity: 'high',
-            message: 'Expected a function definition',
-          });
-        }
-        break;
-
-      case 'class':
-        if (!/\bclass\s+\w+/.test(code)) {
-          flags.push({
-            type: 'format_mismatch',
-            severity: 'high',
-            message: 'Expected a class definition',
-          });
-        }
-        break;
-
-      case 'import':
-        if (!/\bimport\s+/.test(code)) {
-          flags.push({
-            type: 'format_mismatch',
-            severity: 'high',
-            message: 'Expected an import statement',
-          });
-        }
-        break;
-
-      case 'export':
-        if (!/\bexport\s+/.test(code)) {
-          flags.push({
-            type: 'format_mismatch',
-            severity: 'high',
-            message: 'Expected an export statement',
-          });
-        }
-        break;
-    }
-
-    return flags;
-  }
-
   /**
    * Calculate confidence score from flags
    * @private
@@ -346,23 +184,10 @@ class ResponseValidator {
       return 1.0; // Perfect confidence
     }
 
-    // Deduct based on severity
+    // Deduct each rule's penalty (by default, by severity)
     let penalty = 0;
     for (const flag of flags) {
-      switch (flag.severity) {
-        case 'critical':
-          penalty += 1.0; // Critical = complete failure
-          break;
-        case 'high':
-          penalty += 0.3;
-          break;
-        case 'medium':
-          penalty += 0.1;
-          break;
-        case 'low':
-          penalty += 0.05;
-          break;
-      }
+      penalty += flag.penalty ?? RedFlagRules.penaltyFor(flag.severity);
     }
 
     return Math.max(0, 1.0 - penalty);
@@ -385,6 +210,7 @@ class ResponseValidator {
     if (critical > 0) summary += ` (${critical} critical)`;
     if (high > 0) summary += ` (${high} high)`;
     if (medium > 0) summary += ` (${medium} medium)`;
+    summary += `: ${[...new Set(flags.map(f => f.rule || f.type))].join(', ')}`;
 
     return summary;
   }
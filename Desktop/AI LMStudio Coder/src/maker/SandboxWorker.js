@@ -0,0 +1,170 @@
+import { Worker, MessageChannel, receiveMessageOnPort } from 'worker_threads';
+
+// Appended to the worker script, which defines handle(job) and whatever
+// it sets up once; the worker reports that it has started after that
+const BOOTSTRAP = `
+// An unhandled rejection would end the worker; the job that caused it is
+// told instead, through rejected(result, reason) if the script defines it
+let rejections = [];
+process.on('unhandledRejection', reason => rejections.push(reason));
+
+port.on('message', job => {
+  rejections = [];
+  let reply;
+  try {
+    reply = { result: handle(job) };
+  } catch (error) {
+    reply = { error: String(error && error.message) };
+  }
+
+  // Rejections are reported once the job's microtasks have run
+  setImmediate(() => {
+    if (rejections.length > 0 && reply.error === undefined && typeof rejected === 'function') {
+      try {
+        reply = { result: rejected(reply.result, rejections[0]) };
+      } catch (error) {
+        reply = { error: String(error && error.message) };
+      }
+    }
+    port.postMessage(reply);
+    Atomics.store(done, 0, 1);
+    Atomics.notify(done, 0);
+  });
+});
+
+// Started
+Atomics.store(done, 0, 1);
+Atomics.notify(done, 0);
+`;
+
+// Prepended: the channel back to the host. The host may be blocked in
+// Atomics.wait, where it never sees the worker's exit event, so the worker
+// flags its exit in shared memory too.
+const HEADER = `
+const { workerData } = require('worker_threads');
+const { port, signal } = workerData;
+const done = new Int32Array(signal, 0, 1);
+const exited = new Int32Array(signal, 4, 1);
+
+process.on('exit', () => {
+  Atomics.store(exited, 0, 1);
+  Atomics.notify(done, 0);
+});
+`;
+
+/**
+ * SandboxWorker - A resource-limited worker thread that is waited for
+ * synchronously
+ * Code that runs candidates (SmokeTestRunner, CodeSandbox) does so in a
+ * worker: a heap limit applies, a stuck or crashed worker can be thrown
+ * away, and vm timeouts and promise jobs there can't disturb the CLI's
+ * own event loop. Jobs are waited for with Atomics.wait, so callers stay
+ * synchronous.
+ *
+ * The worker script is CommonJS and defines handle(job), which returns a
+ * structured-cloneable reply; workerData.data holds the data passed in. It
+ * may define rejected(result, reason), which replaces handle()'s result
+ * when the job left a promise rejection unhandled.
+ */
+class SandboxWorker {
+  /**
+   * @param {string} script - Worker script defining handle(job)
+   * @param {Object} options - { memoryMb, stackMb, startTimeoutMs, data }
+   */
+  constructor(script, options = {}) {
+    this.script = HEADER + script + BOOTSTRAP;
+    this.memoryMb = options.memoryMb || 64;
+    this.stackMb = options.stackMb || 4;
+    this.startTimeoutMs = options.startTimeoutMs || 5000;
+    this.data = options.data || {};
+
+    this.worker = null;
+    this.channel = null;
+  }
+
+  /**
+   * Run a job and wait for the reply
+   * @param {Object} job - Structured-cloneable job for handle()
+   * @param {number} waitMs - How long to wait before giving up on the worker
+   * @returns {*} - handle()'s reply (or rejected()'s), or undefined if the
+   *   worker died (e.g. out of heap) or didn't reply in time; it is then
+   *   replaced on the next call
+   * @throws {Error} If the worker can't start, or handle() threw
+   */
+  call(job, waitMs) {
+    const channel = this._start();
+
+    Atomics.store(channel.done, 0, 0);
+    channel.port.postMessage(job);
+    const status = Atomics.wait(channel.done, 0, 0, waitMs);
+    const reply = receiveMessageOnPort(channel.port);
+
+    if (status === 'timed-out' || !reply) {
+      this.close();
+      return undefined;
+    }
+
+    if (reply.message.error !== undefined) {
+      throw new Error(reply.message.error);
+    }
+    return reply.message.result;
+  }
+
+  /**
+   * Stop the worker
+   */
+  close() {
+    if (this.worker) {
+      this.worker.terminate().catch(() => {});
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Start the worker if it isn't running (or has exited since the last call)
+   * @private
+   */
+  _start() {
+    if (this.worker && Atomics.load(this.channel.exited, 0) === 0) return this.channel;
+    this.close();
+
+    const { port1, port2 } = new MessageChannel();
+    const signal = new SharedArrayBuffer(8); // [done, exited]
+
+    const worker = new Worker(this.script, {
+      eval: true,
+      workerData: { port: port2, signal, data: this.data },
+      transferList: [port2],
+      resourceLimits: {
+        maxOldGenerationSizeMb: this.memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.round(this.memoryMb / 8)),
+        stackSizeMb: this.stackMb,
+      },
+      env: {}, // No secrets in the worker's process.env
+      stdout: true, // Candidate output stays out of the CLI
+      stderr: true,
+    });
+
+    // Don't keep the process alive, and don't crash when the worker dies
+    worker.unref();
+    worker.on('error', () => {});
+    worker.on('exit', () => {
+      if (this.worker === worker) this.worker = null;
+    });
+
+    this.worker = worker;
+    this.channel = { port: port1, done: new Int32Array(signal, 0, 1), exited: new Int32Array(signal, 4, 1) };
+
+    if (Atomics.wait(this.channel.done, 0, 0, this.startTimeoutMs) === 'timed-out') {
+      this.close();
+      throw new Error(`no response within ${this.startTimeoutMs}ms`);
+    }
+    if (Atomics.load(this.channel.exited, 0) === 1) {
+      this.close();
+      throw new Error('exited while starting');
+    }
+    return this.channel;
+  }
+}
+
+export default SandboxWorker;
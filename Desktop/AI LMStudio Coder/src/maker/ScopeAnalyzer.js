@@ -0,0 +1,827 @@
+// ECMAScript built-ins
+const ES_GLOBALS = [
+  'globalThis', 'undefined', 'NaN', 'Infinity', 'eval', 'isFinite', 'isNaN',
+  'parseFloat', 'parseInt', 'decodeURI', 'decodeURIComponent', 'encodeURI',
+  'encodeURIComponent', 'escape', 'unescape',
+  'Object', 'Function', 'Boolean', 'Symbol', 'Error', 'AggregateError', 'EvalError',
+  'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError',
+  'Number', 'BigInt', 'Math', 'Date', 'String', 'RegExp', 'Array', 'Int8Array',
+  'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+  'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry',
+  'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Atomics', 'JSON', 'Promise',
+  'Proxy', 'Reflect', 'Intl',
+];
+
+// Node.js globals (including CommonJS module wrapper bindings)
+const NODE_GLOBALS = [
+  'process', 'Buffer', 'global', 'console', 'require', 'module', 'exports',
+  '__dirname', '__filename', 'setTimeout', 'clearTimeout', 'setInterval',
+  'clearInterval', 'setImmediate', 'clearImmediate', 'queueMicrotask',
+  'structuredClone', 'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder',
+  'AbortController', 'AbortSignal', 'Event', 'EventTarget', 'fetch', 'Headers',
+  'Request', 'Response', 'FormData', 'Blob', 'File', 'BroadcastChannel',
+  'MessageChannel', 'MessagePort', 'MessageEvent', 'performance', 'crypto',
+  'atob', 'btoa', 'WebAssembly', 'ReadableStream', 'WritableStream', 'TransformStream',
+];
+
+// Browser globals
+const BROWSER_GLOBALS = [
+  'window', 'self', 'document', 'navigator', 'location', 'history', 'screen',
+  'localStorage', 'sessionStorage', 'indexedDB', 'alert', 'confirm', 'prompt',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback',
+  'cancelIdleCallback', 'getComputedStyle', 'matchMedia', 'XMLHttpRequest',
+  'WebSocket', 'Worker', 'Image', 'Audio', 'Option', 'CustomEvent', 'FileReader',
+  'HTMLElement', 'Element', 'Node', 'NodeList', 'DOMParser', 'MutationObserver',
+  'IntersectionObserver', 'ResizeObserver', 'customElements', 'caches',
+];
+
+// Keys holding TypeScript type syntax rather than values
+const TYPE_KEYS = new Set([
+  'typeAnnotation', 'returnType', 'typeParameters', 'typeArguments',
+  'superTypeParameters', 'superTypeArguments', 'implements', 'predicate',
+]);
+
+// TypeScript nodes wrapping a value expression
+const TS_EXPRESSIONS = new Set([
+  'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression',
+  'TSTypeAssertion', 'TSInstantiationExpression',
+]);
+
+/**
+ * ScopeAnalyzer - Scope analysis over an acorn (ESTree) AST
+ * Finds the symptoms of hallucinated code that still parses:
+ * - Undeclared references: identifiers bound nowhere in the code, not a
+ *   known Node/browser global and not provided by the subtask context
+ * - Duplicate declarations: a name declared twice in one scope (acorn
+ *   already rejects let/const/class redeclarations; this catches var and
+ *   function ones)
+ * - Unused imports
+ * - Unreachable statements after return, throw, break or continue
+ *
+ * Type-only TypeScript syntax is not analyzed, except that a name used in
+ * a type counts as a use of its import.
+ */
+class ScopeAnalyzer {
+  /**
+   * @param {Object} options - { globals: extra global names }
+   */
+  constructor(options = {}) {
+    this.globals = new Set([
+      ...ES_GLOBALS,
+      ...NODE_GLOBALS,
+      ...BROWSER_GLOBALS,
+      ...(options.globals || []),
+    ]);
+  }
+
+  /**
+   * Analyze a parsed program
+   * @param {Object} ast - Program node (with locations)
+   * @param {Object} options - { provided: names the subtask context defines, globals: extra globals }
+   * @returns {Object} - { undeclared, duplicates, unusedImports, unreachable }, each
+   *   a list of { name, line, column, ... }
+   */
+  analyze(ast, options = {}) {
+    const state = {
+      known: new Set([...(options.provided || []), ...(options.globals || [])]),
+      undeclared: new Map(), // name → first reference
+      duplicates: [],
+      unreachable: [],
+      typeNames: new Set(),
+      jsx: false,
+    };
+
+    const program = this._scope(null, true);
+    this._hoist(program, ast.body, state);
+    this._statements(ast.body, program, state);
+
+    const unusedImports = [...program.bindings.values()]
+      .filter(binding => binding.kind === 'import' && !binding.used)
+      .filter(binding => !state.typeNames.has(binding.name))
+      // Classic JSX transforms use React implicitly
+      .filter(binding => !(state.jsx && binding.name === 'React'))
+      .map(binding => ({ name: binding.name, source: binding.source, ...this._position(binding.node) }));
+
+    return {
+      undeclared: [...state.undeclared.values()],
+      duplicates: state.duplicates,
+      unusedImports,
+      unreachable: state.unreachable,
+    };
+  }
+
+  /**
+   * Top-level names a program declares (to provide them to other snippets)
+   * @param {Object} ast - Program node
+   * @returns {Array<string>}
+   */
+  topLevelNames(ast) {
+    const program = this._scope(null, true);
+    this._hoist(program, ast.body, { duplicates: [] });
+    return [...program.bindings.keys()];
+  }
+
+  /**
+   * Top-level declarations and the members of top-level classes and objects,
+   * with their signatures
+   * Covers ES exports and CommonJS (exports.x = ..., module.exports = { ... },
+   * Foo.prototype.x = ...).
+   * @param {Object} ast - Program node (with locations)
+   * @returns {Array<Object>} - { name, kind: 'function'|'method'|'class'|'constant'|'variable'|'type',
+   *   container, params: [{ name, optional, rest }], async, generator, exported, line }
+   */
+  declarations(ast) {
+    const symbols = [];
+    const exported = new Set();
+
+    const add = (name, value, { kind, container = null, isExported = false, node }) => {
+      const fn = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(value?.type) ? value : null;
+      symbols.push({
+        name,
+        kind: fn ? (container ? 'method' : 'function') : kind,
+        container,
+        params: fn ? fn.params.map(param => this._param(param)) : null,
+        async: fn ? Boolean(fn.async) : false,
+        generator: fn ? Boolean(fn.generator) : false,
+        exported: isExported,
+        line: node.loc?.start.line,
+      });
+
+      // Members of classes and object literals
+      const body = value?.type === 'ClassDeclaration' || value?.type === 'ClassExpression' ? value.body.body
+        : value?.type === 'ObjectExpression' ? value.properties : [];
+      for (const member of body) {
+        if (member.computed || !member.key || !['MethodDefinition', 'PropertyDefinition', 'Property'].includes(member.type)) continue;
+        const key = member.key.name ?? member.key.value;
+        add(String(key), member.value, { kind: 'variable', container: name, isExported, node: member });
+      }
+    };
+
+    const declare = (node, isExported) => {
+      switch (node?.type) {
+        case 'FunctionDeclaration':
+          add(node.id?.name ?? 'default', node, { kind: 'function', isExported, node });
+          break;
+        case 'ClassDeclaration':
+          add(node.id?.name ?? 'default', node, { kind: 'class', isExported, node });
+          break;
+        case 'VariableDeclaration':
+          for (const declarator of node.declarations) {
+            if (declarator.id.type !== 'Identifier') continue;
+            const kind = declarator.init?.type === 'ClassExpression' ? 'class' : node.kind === 'const' ? 'constant' : 'variable';
+            add(declarator.id.name, declarator.init, { kind, isExported, node: declarator });
+          }
+          break;
+        case 'TSInterfaceDeclaration':
+        case 'TSTypeAliasDeclaration':
+        case 'TSEnumDeclaration':
+          add(node.id.name, null, { kind: 'type', isExported, node });
+          break;
+      }
+    };
+
+    for (const statement of ast.body) {
+      switch (statement.type) {
+        case 'ExportNamedDeclaration':
+          declare(statement.declaration, true);
+          for (const specifier of statement.specifiers || []) {
+            if (!statement.source) exported.add(specifier.local.name ?? specifier.local.value);
+          }
+          break;
+
+        case 'ExportDefaultDeclaration':
+          if (statement.declaration.type === 'Identifier') {
+            exported.add(statement.declaration.name);
+          } else {
+            declare(statement.declaration, true);
+          }
+          break;
+
+        case 'ExpressionStatement':
+          this._commonJSDeclaration(statement.expression, exported, add);
+          break;
+
+        default:
+          declare(statement, false);
+      }
+    }
+
+    // export { a, b } and module.exports = { a } after the declarations
+    return symbols.map(symbol => (
+      !symbol.container && exported.has(symbol.name) ? { ...symbol, exported: true } : symbol
+    ));
+  }
+
+  /**
+   * Visit a statement list, noting the first statement that can't be reached
+   * @private
+   */
+  _statements(statements, scope, state) {
+    let terminator = null;
+    let reported = false;
+
+    for (const statement of statements) {
+      // Hoisted declarations are fine anywhere
+      const hoisted = statement.type === 'FunctionDeclaration' ||
+        statement.type === 'EmptyStatement' ||
+        (statement.type === 'VariableDeclaration' && statement.kind === 'var' &&
+          statement.declarations.every(d => !d.init));
+
+      // One report per list
+      if (terminator && !hoisted && !reported) {
+        state.unreachable.push({ after: terminator, ...this._position(statement) });
+        reported = true;
+      }
+
+      this._visit(statement, scope, state);
+      terminator = terminator || this._terminator(statement);
+    }
+  }
+
+  /**
+   * Keyword of the statement that ends control flow, if this one does
+   * @private
+   */
+  _terminator(statement) {
+    switch (statement.type) {
+      case 'ReturnStatement': return 'return';
+      case 'ThrowStatement': return 'throw';
+      case 'BreakStatement': return 'break';
+      case 'ContinueStatement': return 'continue';
+      case 'BlockStatement':
+        for (const inner of statement.body) {
+          const terminator = this._terminator(inner);
+          if (terminator) return terminator;
+        }
+        return null;
+      case 'IfStatement': {
+        if (!statement.alternate) return null;
+        const consequent = this._terminator(statement.consequent);
+        const alternate = this._terminator(statement.alternate);
+        return consequent && alternate ? (consequent === alternate ? consequent : 'if/else') : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Visit a node in the given scope
+   * @private
+   */
+  _visit(node, scope, state) {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'Identifier':
+        this._reference(node, scope, state);
+        return;
+
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        this._function(node, scope, state);
+        return;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        // A named class expression binds its name inside the class
+        let inner = scope;
+        if (node.type === 'ClassExpression' && node.id) {
+          inner = this._scope(scope, false);
+          this._declare(inner, node.id.name, node.id, 'class', state);
+        }
+        this._visit(node.superClass, inner, state);
+        for (const member of node.body.body) {
+          if (member.computed) this._visit(member.key, inner, state);
+          if (member.type === 'StaticBlock') {
+            const block = this._scope(inner, true);
+            this._hoist(block, member.body, state);
+            this._statements(member.body, block, state);
+          } else {
+            this._visit(member.value, inner, state);
+          }
+        }
+        this._typeNames([node.implements, node.superTypeParameters, node.superTypeArguments], state);
+        return;
+      }
+
+      case 'BlockStatement': {
+        const block = this._scope(scope, false);
+        this._hoistLexical(block, node.body, state);
+        this._statements(node.body, block, state);
+        return;
+      }
+
+      case 'StaticBlock':
+        return;
+
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const loop = this._scope(scope, false);
+        const head = node.init || node.left;
+        if (head?.type === 'VariableDeclaration' && head.kind !== 'var') {
+          this._hoistLexical(loop, [head], state);
+        }
+        for (const key of ['init', 'test', 'update', 'left', 'right', 'body']) {
+          this._visit(node[key], loop, state);
+        }
+        return;
+      }
+
+      case 'SwitchStatement': {
+        this._visit(node.discriminant, scope, state);
+        const block = this._scope(scope, false);
+        this._hoistLexical(block, node.cases.flatMap(c => c.consequent), state);
+        for (const switchCase of node.cases) {
+          this._visit(switchCase.test, block, state);
+          this._statements(switchCase.consequent, block, state);
+        }
+        return;
+      }
+
+      case 'CatchClause': {
+        const inner = this._scope(scope, false);
+        for (const name of this._patternNames(node.param)) {
+          this._declare(inner, name.name, name, 'catch', state);
+        }
+        this._visitPattern(node.param, inner, state);
+        this._visit(node.body, inner, state);
+        return;
+      }
+
+      case 'VariableDeclarator':
+        this._visitPattern(node.id, scope, state);
+        this._visit(node.init, scope, state);
+        this._typeNames(node.id, state);
+        return;
+
+      case 'MemberExpression':
+        this._visit(node.object, scope, state);
+        if (node.computed) this._visit(node.property, scope, state);
+        return;
+
+      case 'Property':
+      case 'PropertyDefinition':
+      case 'MethodDefinition':
+        if (node.computed) this._visit(node.key, scope, state);
+        this._visit(node.value, scope, state);
+        return;
+
+      case 'UnaryExpression':
+        // typeof on a bare name is the safe way to probe for a global
+        if (node.operator === 'typeof' && node.argument.type === 'Identifier') return;
+        this._visit(node.argument, scope, state);
+        return;
+
+      case 'LabeledStatement':
+        this._visit(node.body, scope, state);
+        return;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+      case 'PrivateIdentifier':
+        return;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          this._visit(node.declaration, scope, state);
+        } else if (!node.source && node.exportKind !== 'type') {
+          node.specifiers
+            .filter(specifier => specifier.exportKind !== 'type')
+            .forEach(specifier => this._visit(specifier.local, scope, state));
+        }
+        return;
+
+      case 'ExportDefaultDeclaration':
+        this._visit(node.declaration, scope, state);
+        return;
+
+      case 'JSXElement':
+      case 'JSXFragment':
+        state.jsx = true;
+        this._jsx(node, scope, state);
+        return;
+
+      case 'TSEnumDeclaration':
+        node.members.forEach(member => this._visit(member.initializer, scope, state));
+        return;
+
+      case 'TSModuleDeclaration':
+      case 'TSDeclareFunction':
+      case 'TSImportEqualsDeclaration':
+        return;
+    }
+
+    if (node.type.startsWith('TS')) {
+      if (TS_EXPRESSIONS.has(node.type)) {
+        this._visit(node.expression, scope, state);
+        this._typeNames([node.typeAnnotation, node.typeArguments, node.typeParameters], state);
+      } else {
+        this._typeNames(node, state);
+      }
+      return;
+    }
+
+    this._children(node, scope, state);
+  }
+
+  /**
+   * Visit every value child of a node
+   * @private
+   */
+  _children(node, scope, state) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+
+      if (TYPE_KEYS.has(key)) {
+        this._typeNames(value, state);
+        continue;
+      }
+
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') this._visit(child, scope, state);
+      }
+    }
+  }
+
+  /**
+   * Visit a function: its own scope with name, parameters and hoisted body
+   * @private
+   */
+  _function(node, scope, state) {
+    const inner = this._scope(scope, true);
+
+    // A named function expression binds its name inside its own scope
+    if (node.type === 'FunctionExpression' && node.id) {
+      this._declare(inner, node.id.name, node.id, 'function', state);
+    }
+    if (node.type !== 'ArrowFunctionExpression') {
+      inner.bindings.set('arguments', { name: 'arguments', kind: 'implicit', used: true });
+    }
+
+    for (const param of node.params) {
+      for (const name of this._patternNames(param)) {
+        this._declare(inner, name.name, name, 'param', state);
+      }
+    }
+    node.params.forEach(param => this._visitPattern(param, inner, state));
+    this._typeNames(node.returnType, state);
+
+    if (node.body.type === 'BlockStatement') {
+      this._hoist(inner, node.body.body, state);
+      this._statements(node.body.body, inner, state);
+    } else {
+      this._visit(node.body, inner, state);
+    }
+  }
+
+  /**
+   * Visit the expressions inside a binding pattern (defaults, computed keys)
+   * @private
+   */
+  _visitPattern(pattern, scope, state) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+      case 'Identifier':
+        this._typeNames(pattern.typeAnnotation, state);
+        return;
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          if (property.type === 'RestElement') {
+            this._visitPattern(property.argument, scope, state);
+          } else {
+            if (property.computed) this._visit(property.key, scope, state);
+            this._visitPattern(property.value, scope, state);
+          }
+        }
+        return;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => this._visitPattern(element, scope, state));
+        return;
+      case 'RestElement':
+        this._visitPattern(pattern.argument, scope, state);
+        return;
+      case 'AssignmentPattern':
+        this._visitPattern(pattern.left, scope, state);
+        this._visit(pattern.right, scope, state);
+        return;
+      case 'TSParameterProperty':
+        this._visitPattern(pattern.parameter, scope, state);
+        return;
+      default:
+        // Assignment targets such as obj.prop
+        this._visit(pattern, scope, state);
+    }
+  }
+
+  /**
+   * Visit a JSX element: capitalized tags are references, attributes and children are values
+   * @private
+   */
+  _jsx(node, scope, state) {
+    const opening = node.openingElement;
+    if (opening) {
+      let name = opening.name;
+      while (name.type === 'JSXMemberExpression') name = name.object;
+      if (name.type === 'JSXIdentifier' && /^[A-Z_$]/.test(name.name)) {
+        this._reference(name, scope, state);
+      }
+
+      for (const attribute of opening.attributes) {
+        this._visit(attribute.type === 'JSXSpreadAttribute' ? attribute.argument : attribute.value, scope, state);
+      }
+    }
+
+    for (const child of node.children) {
+      if (child.type === 'JSXExpressionContainer') {
+        this._visit(child.expression, scope, state);
+      } else if (child.type === 'JSXSpreadChild') {
+        this._visit(child.expression, scope, state);
+      } else {
+        this._visit(child, scope, state);
+      }
+    }
+  }
+
+  /**
+   * Resolve a reference, marking its binding used or recording it as undeclared
+   * @private
+   */
+  _reference(node, scope, state) {
+    for (let current = scope; current; current = current.parent) {
+      const binding = current.bindings.get(node.name);
+      if (binding) {
+        binding.used = true;
+        return;
+      }
+    }
+
+    if (this.globals.has(node.name) || state.known.has(node.name)) return;
+
+    const existing = state.undeclared.get(node.name);
+    if (existing) {
+      existing.count++;
+    } else {
+      state.undeclared.set(node.name, { name: node.name, count: 1, ...this._position(node) });
+    }
+  }
+
+  /**
+   * Declare the names a function or program body hoists
+   * var (from nested blocks too) and function declarations go to the
+   * function scope, along with the body's own let/const/class.
+   * @private
+   */
+  _hoist(scope, statements, state) {
+    for (const statement of statements) {
+      if (statement.type === 'ImportDeclaration') {
+        for (const specifier of statement.specifiers) {
+          this._declare(scope, specifier.local.name, specifier.local, 'import', state, statement.source.value);
+        }
+      }
+    }
+
+    for (const declarator of this._varDeclarators(statements)) {
+      for (const name of this._patternNames(declarator.id)) {
+        this._declare(scope, name.name, name, 'var', state);
+      }
+    }
+
+    this._hoistLexical(scope, statements, state);
+  }
+
+  /**
+   * Declare the let/const/class/function declarations of a statement list
+   * @private
+   */
+  _hoistLexical(scope, statements, state) {
+    for (let statement of statements) {
+      if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+        statement = statement.declaration;
+      }
+      if (!statement) continue;
+
+      switch (statement.type) {
+        case 'VariableDeclaration':
+          if (statement.kind === 'var') break;
+          for (const declarator of statement.declarations) {
+            for (const name of this._patternNames(declarator.id)) {
+              this._declare(scope, name.name, name, statement.kind, state);
+            }
+          }
+          break;
+        case 'TSInterfaceDeclaration':
+        case 'TSTypeAliasDeclaration':
+          // Types share names with values freely; they only need to count as known
+          state.known?.add(statement.id.name);
+          break;
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+        case 'TSEnumDeclaration':
+        case 'TSModuleDeclaration':
+        case 'TSImportEqualsDeclaration':
+          if (statement.id?.type === 'Identifier') {
+            const kind = statement.type === 'FunctionDeclaration' ? 'function' : 'class';
+            this._declare(scope, statement.id.name, statement.id, kind, state);
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * var declarators in a statement list, not crossing function boundaries
+   * @private
+   */
+  _varDeclarators(statements) {
+    const declarators = [];
+
+    const visit = node => {
+      if (!node || typeof node.type !== 'string') return;
+      if (/Function|Class/.test(node.type) || node.type.startsWith('TS')) return;
+
+      if (node.type === 'VariableDeclaration') {
+        if (node.kind === 'var') declarators.push(...node.declarations);
+        return;
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'loc' || !value || typeof value !== 'object') continue;
+        for (const child of Array.isArray(value) ? value : [value]) {
+          // Only statements (and for-loop heads) can hold declarations
+          if (child && /Statement|Declaration|SwitchCase|CatchClause/.test(child.type)) visit(child);
+        }
+      }
+    };
+
+    statements.forEach(statement => {
+      visit(statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement);
+    });
+    return declarators;
+  }
+
+  /**
+   * Identifier nodes a binding pattern declares
+   * @private
+   */
+  _patternNames(pattern) {
+    if (!pattern) return [];
+
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(p => this._patternNames(p.type === 'RestElement' ? p.argument : p.value));
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(element => this._patternNames(element));
+      case 'RestElement':
+        return this._patternNames(pattern.argument);
+      case 'AssignmentPattern':
+        return this._patternNames(pattern.left);
+      case 'TSParameterProperty':
+        return this._patternNames(pattern.parameter);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Symbols declared by a top-level CommonJS or prototype assignment
+   * @private
+   */
+  _commonJSDeclaration(expression, exported, add) {
+    if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') return;
+
+    const target = expression.left;
+    if (target.type !== 'MemberExpression' || target.computed) return;
+
+    const path = [];
+    for (let node = target; node; node = node.object) {
+      if (node.type === 'Identifier') {
+        path.unshift(node.name);
+        break;
+      }
+      if (node.type !== 'MemberExpression' || node.computed) return;
+      path.unshift(node.property.name);
+    }
+
+    const value = expression.right;
+    const node = expression;
+
+    // module.exports = { a, b: fn }
+    if (path.join('.') === 'module.exports') {
+      if (value.type === 'Identifier') {
+        exported.add(value.name);
+      } else if (value.type === 'ObjectExpression') {
+        for (const property of value.properties) {
+          if (property.type !== 'Property' || property.computed) continue;
+          if (property.shorthand) {
+            exported.add(property.key.name);
+          } else {
+            add(String(property.key.name ?? property.key.value), property.value, { kind: 'variable', isExported: true, node: property });
+          }
+        }
+      }
+      return;
+    }
+
+    // exports.a = ..., module.exports.a = ...
+    if ((path[0] === 'exports' && path.length === 2) || (path[0] === 'module' && path[1] === 'exports' && path.length === 3)) {
+      if (value.type === 'Identifier') {
+        exported.add(value.name);
+      } else {
+        add(path[path.length - 1], value, { kind: 'variable', isExported: true, node });
+      }
+      return;
+    }
+
+    // Foo.prototype.a = ..., Foo.a = ...
+    const member = path.length === 3 && path[1] === 'prototype' ? path[2] : path.length === 2 ? path[1] : null;
+    if (member) {
+      add(member, value, { kind: 'variable', container: path[0], node });
+    }
+  }
+
+  /**
+   * Signature entry for a parameter
+   * @private
+   */
+  _param(param) {
+    switch (param.type) {
+      case 'Identifier':
+        return { name: param.name, optional: Boolean(param.optional), rest: false };
+      case 'AssignmentPattern':
+        return { ...this._param(param.left), optional: true };
+      case 'RestElement':
+        return { ...this._param(param.argument), rest: true };
+      case 'TSParameterProperty':
+        return this._param(param.parameter);
+      case 'ObjectPattern':
+        return { name: '{}', optional: false, rest: false };
+      case 'ArrayPattern':
+        return { name: '[]', optional: false, rest: false };
+      default:
+        return { name: '?', optional: false, rest: false };
+    }
+  }
+
+  /**
+   * Collect the names used in type syntax (they keep type-only imports in use)
+   * @private
+   */
+  _typeNames(node, state) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this._typeNames(child, state));
+      return;
+    }
+
+    if (node.type === 'Identifier') {
+      state.typeNames.add(node.name);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && value && typeof value === 'object') this._typeNames(value, state);
+    }
+  }
+
+  /**
+   * Declare a name, recording a redeclaration in the same scope
+   * @private
+   */
+  _declare(scope, name, node, kind, state, source = null) {
+    const existing = scope.bindings.get(name);
+
+    if (existing && existing.kind !== 'implicit') {
+      state.duplicates.push({ name, kind, previous: existing.kind, ...this._position(node) });
+      return;
+    }
+
+    scope.bindings.set(name, { name, kind, node, source, used: false });
+  }
+
+  /**
+   * New scope
+   * @private
+   */
+  _scope(parent, isFunction) {
+    return { parent, isFunction, bindings: new Map() };
+  }
+
+  /**
+   * Line and column of a node
+   * @private
+   */
+  _position(node) {
+    return { line: node?.loc?.start.line, column: node?.loc?.start.column };
+  }
+}
+
+export default ScopeAnalyzer;
@@ -0,0 +1,529 @@
+// Modules whose import alone is the finding
+const MODULE_CHECKS = {
+  child_process: 'child-process',
+  execa: 'child-process',
+  shelljs: 'child-process',
+  'cross-spawn': 'child-process',
+  vm: 'eval',
+  rimraf: 'recursive-delete',
+  del: 'recursive-delete',
+  net: 'network',
+  dgram: 'network',
+  tls: 'network',
+  http: 'network',
+  https: 'network',
+  http2: 'network',
+  ws: 'network',
+  'socket.io': 'network',
+  'socket.io-client': 'network',
+};
+
+const FS_MODULES = new Set(['fs', 'fs/promises', 'fs-extra', 'graceful-fs']);
+
+// fs methods that write, with the indices of their path arguments
+const FS_WRITES = {
+  writeFile: [0], writeFileSync: [0], appendFile: [0], appendFileSync: [0],
+  createWriteStream: [0], mkdir: [0], mkdirSync: [0], unlink: [0], unlinkSync: [0],
+  rm: [0], rmSync: [0], rmdir: [0], rmdirSync: [0], truncate: [0], truncateSync: [0],
+  chmod: [0], chmodSync: [0], chown: [0], chownSync: [0],
+  rename: [0, 1], renameSync: [0, 1], copyFile: [1], copyFileSync: [1], cp: [1], cpSync: [1],
+  symlink: [1], symlinkSync: [1], link: [1], linkSync: [1],
+  // fs-extra
+  outputFile: [0], outputFileSync: [0], outputJson: [0], outputJsonSync: [0],
+  writeJson: [0], writeJsonSync: [0], copy: [1], copySync: [1], move: [0, 1], moveSync: [0, 1],
+  remove: [0], removeSync: [0], emptyDir: [0], emptyDirSync: [0], ensureDir: [0], ensureDirSync: [0],
+};
+
+// fs-extra deletes whole trees without a recursive option
+const TREE_DELETES = new Set(['remove', 'removeSync', 'emptyDir', 'emptyDirSync']);
+
+const SECRET_NAME = /KEY|SECRET|TOKEN|PASSW(?:OR)?D|PASS\b|CREDENTIAL|AUTH|PRIVATE|SESSION|COOKIE/i;
+
+// Paths that leave the project: absolute, home-relative or climbing with ..
+const OUTSIDE_PATH = /^(?:\/|\\|~|[A-Za-z]:[\\/])|(?:^|[\\/])\.\.(?:[\\/]|$)/;
+
+// Ways to call require (module.require, process.mainModule.require, ...)
+const REQUIRE_PATHS = new Set(['require', 'module.require', 'process.mainModule.require', 'require.main.require']);
+
+// path functions whose result starts where their first argument does
+const PATH_BUILDER = /^path(?:[./](?:posix|win32))?\.(?:join|resolve|normalize)$/;
+
+/**
+ * SecurityAnalyzer - Dangerous operations in generated JavaScript
+ * Works on the ESTree AST, following module bindings through imports,
+ * require() and destructuring (fs.promises.rm, const { exec } = require(...)).
+ * Module names may be built statically (require('child_' + 'process')).
+ *
+ * Checks (finding.check):
+ * - 'eval':             eval, new Function, string timers, the vm module,
+ *                       the Function constructor reached through .constructor
+ *                       ([].constructor.constructor(src), (() => {}).constructor),
+ *                       and require()/import() of a computed module name
+ *                       (relative ones, import(`./locales/${lang}.js`), are fine)
+ * - 'child-process':    child_process (and shell wrappers like execa)
+ * - 'recursive-delete': fs.rm/rmdir with recursive: true, fs-extra remove, rimraf
+ * - 'outside-project':  fs writes to absolute, home or ../ paths (judged by
+ *                       the path's leading segment: `${dir}/out.json` is fine)
+ * - 'network':          socket and HTTP modules, fetch, WebSocket, XMLHttpRequest
+ * - 'env-secrets':      process.env reads of secret-looking names, dynamic
+ *                       keys, or the whole environment
+ *
+ * Shadowing is not tracked: a local variable named `process` or `eval` is
+ * taken to be the global.
+ */
+class SecurityAnalyzer {
+  /**
+   * Analyze a parsed program
+   * @param {Object} ast - Program node (with locations)
+   * @returns {Array<Object>} - Findings: { check, message, line, column }
+   */
+  analyze(ast) {
+    const state = { bindings: new Map(), findings: [] };
+
+    // Module bindings first, so uses before the binding's line still resolve
+    this._walk(ast, null, node => this._bind(node, state));
+    this._walk(ast, null, (node, parent) => this._inspect(node, parent, state));
+
+    return state.findings;
+  }
+
+  /**
+   * Record what a declaration or import binds a name to
+   * @private
+   */
+  _bind(node, state) {
+    if (node.type === 'ImportDeclaration') {
+      const module = this._moduleName(node.source.value);
+      for (const specifier of node.specifiers) {
+        const path = specifier.type === 'ImportSpecifier' ? [this._name(specifier.imported)] : [];
+        state.bindings.set(specifier.local.name, { module, path });
+      }
+      return;
+    }
+
+    if (node.type === 'VariableDeclarator' && node.init) {
+      const target = this._resolve(node.init, state);
+      if (!target) return;
+
+      if (node.id.type === 'Identifier') {
+        state.bindings.set(node.id.name, target);
+      } else if (node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          const key = property.type === 'Property' && !property.computed ? this._name(property.key) : null;
+          const value = property.value?.type === 'AssignmentPattern' ? property.value.left : property.value;
+          if (key && value?.type === 'Identifier') {
+            state.bindings.set(value.name, { module: target.module, path: [...target.path, key] });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check one node
+   * @private
+   */
+  _inspect(node, parent, state) {
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ImportExpression':
+        this._checkModule(node.source, state);
+        return;
+
+      case 'CallExpression':
+      case 'NewExpression': {
+        if (this._isRequire(node.callee, state)) {
+          this._checkModule(node.arguments[0], state);
+          return;
+        }
+        this._checkCall(node, state);
+        return;
+      }
+
+      case 'MemberExpression':
+        this._checkConstructor(node, state);
+        this._checkEnv(node, parent, state);
+        return;
+    }
+  }
+
+  /**
+   * Flag .constructor chains that lead to the Function constructor:
+   * x.constructor.constructor, or .constructor of a function literal
+   * @private
+   */
+  _checkConstructor(node, state) {
+    if (!this._isConstructorAccess(node) || !this._reachesFunction(node)) return;
+    this._report(state, 'eval', node, 'Reaches the Function constructor through .constructor');
+  }
+
+  /**
+   * Whether a node is x.constructor / x['constructor'] (on anything but this)
+   * @private
+   */
+  _isConstructorAccess(node) {
+    return node?.type === 'MemberExpression' && node.object.type !== 'ThisExpression' &&
+      this._propertyName(node) === 'constructor';
+  }
+
+  /**
+   * Whether a .constructor access is certainly a Function constructor
+   * @private
+   */
+  _reachesFunction(node) {
+    const object = node.object.type === 'ChainExpression' ? node.object.expression : node.object;
+    return this._isConstructorAccess(object) ||
+      ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'].includes(object.type);
+  }
+
+  /**
+   * Flag imports of dangerous modules
+   * @private
+   */
+  _checkModule(source, state) {
+    if (!source) return;
+
+    const name = this._staticString(source);
+    if (name === null) {
+      if (!/^\.{1,2}[\\/]/.test(this._leadingString(source) || '')) {
+        this._report(state, 'eval', source, 'Loads a module whose name is computed');
+      }
+      return;
+    }
+
+    const module = this._moduleName(name);
+    const check = MODULE_CHECKS[module] || MODULE_CHECKS[module.split('/')[0]];
+    if (check) {
+      this._report(state, check, source, `Uses the '${module}' module`);
+    }
+  }
+
+  /**
+   * Flag calls to dangerous functions
+   * @private
+   */
+  _checkCall(node, state) {
+    // x.constructor('code'), x.constructor.call(null, 'code'): whatever x is,
+    // a string argument means code (chains are flagged as member accesses)
+    const { callee, args } = this._unwrapInvocation(node);
+    if (this._isConstructorAccess(callee) && !this._reachesFunction(callee) && args.some(arg => this._isStringLike(arg))) {
+      this._report(state, 'eval', node, 'Builds a function from a string (.constructor call)');
+      return;
+    }
+
+    const target = this._resolve(node.callee, state);
+    if (!target) return;
+
+    const name = target.path[target.path.length - 1];
+
+    if (target.module === 'global') {
+      const [first] = node.arguments;
+      switch (target.path.join('.')) {
+        case 'eval':
+          this._report(state, 'eval', node, 'Calls eval()');
+          return;
+        case 'Function':
+          this._report(state, 'eval', node, 'Builds a function from a string (Function constructor)');
+          return;
+        case 'setTimeout':
+        case 'setInterval':
+          if (first?.type === 'Literal' && typeof first.value === 'string' || first?.type === 'TemplateLiteral') {
+            this._report(state, 'eval', node, `Passes a string of code to ${name}()`);
+          }
+          return;
+        case 'fetch':
+        case 'WebSocket':
+        case 'XMLHttpRequest':
+        case 'EventSource':
+        case 'navigator.sendBeacon':
+          this._report(state, 'network', node, `Opens a network connection (${target.path.join('.')})`);
+          return;
+      }
+      return;
+    }
+
+    if (!FS_MODULES.has(target.module) || !name) return;
+
+    // Recursive deletes
+    const recursive = node.arguments.some(arg => arg.type === 'ObjectExpression' && arg.properties.some(
+      p => p.type === 'Property' && this._name(p.key) === 'recursive' && p.value.type === 'Literal' && p.value.value === true
+    ));
+    if ((['rm', 'rmSync', 'rmdir', 'rmdirSync'].includes(name) && recursive) ||
+        (target.module === 'fs-extra' && TREE_DELETES.has(name))) {
+      this._report(state, 'recursive-delete', node, `Deletes recursively (${target.module}.${target.path.join('.')})`);
+    }
+
+    // Writes that escape the project
+    for (const index of FS_WRITES[name] || []) {
+      const reason = node.arguments[index] && this._escapes(node.arguments[index], state);
+      if (reason) {
+        this._report(state, 'outside-project', node, `Writes outside the project (${target.module}.${target.path.join('.')} to ${reason})`);
+        break;
+      }
+    }
+  }
+
+  /**
+   * The function a call invokes and its arguments, looking through
+   * .call(thisArg, ...args), .apply(thisArg, [args]) and .bind(thisArg, ...args)
+   * @private
+   */
+  _unwrapInvocation(node) {
+    const callee = node.callee.type === 'ChainExpression' ? node.callee.expression : node.callee;
+    const method = callee.type === 'MemberExpression' ? this._propertyName(callee) : null;
+
+    if (node.type === 'CallExpression' && (method === 'call' || method === 'bind')) {
+      return { callee: callee.object, args: node.arguments.slice(1) };
+    }
+    if (node.type === 'CallExpression' && method === 'apply') {
+      const list = node.arguments[1];
+      return { callee: callee.object, args: list?.type === 'ArrayExpression' ? list.elements.filter(Boolean) : [] };
+    }
+    return { callee, args: node.arguments };
+  }
+
+  /**
+   * Whether an expression is a string literal, template or concatenation
+   * @private
+   */
+  _isStringLike(node) {
+    if (node.type === 'Literal') return typeof node.value === 'string';
+    if (node.type === 'TemplateLiteral') return true;
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return this._isStringLike(node.left) || this._isStringLike(node.right);
+    }
+    return false;
+  }
+
+  /**
+   * Flag reads of secret-looking environment variables
+   * @private
+   */
+  _checkEnv(node, parent, state) {
+    const isEnv = node.object.type === 'Identifier' && node.object.name === 'process' &&
+      this._propertyName(node) === 'env';
+    if (!isEnv) return;
+
+    // process.env.NAME / process.env[expr]
+    if (parent?.type === 'MemberExpression' && parent.object === node) {
+      const key = this._propertyName(parent);
+      if (key === null) {
+        this._report(state, 'env-secrets', parent, 'Reads process.env with a computed key');
+      } else if (SECRET_NAME.test(key)) {
+        this._report(state, 'env-secrets', parent, `Reads secret-looking process.env.${key}`);
+      }
+      return;
+    }
+
+    // const { API_KEY, ...rest } = process.env
+    if (parent?.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'ObjectPattern') {
+      for (const property of parent.id.properties) {
+        if (property.type === 'RestElement') {
+          this._report(state, 'env-secrets', property, 'Copies the whole environment');
+        } else {
+          const key = property.computed ? null : this._name(property.key);
+          if (key === null || SECRET_NAME.test(key)) {
+            this._report(state, 'env-secrets', property, `Reads secret-looking process.env.${key ?? '[computed]'}`);
+          }
+        }
+      }
+      return;
+    }
+
+    // JSON.stringify(process.env), { ...process.env }, Object.entries(process.env), ...
+    this._report(state, 'env-secrets', node, 'Uses the whole process.env');
+  }
+
+  /**
+   * Why a path expression points outside the project, or null
+   * @private
+   */
+  _escapes(node, state) {
+    // Only the start of a path says where it is: `${dir}/${name}` and
+    // dir + '/' + name are relative to dir
+    const leading = this._leadingPath(node, state);
+    if (leading !== null && !/^[\\/]$/.test(leading) && OUTSIDE_PATH.test(leading)) {
+      return `'${leading}'`;
+    }
+
+    let reason = null;
+    this._walk(node, null, child => {
+      if (reason) return;
+
+      if (child.type === 'CallExpression') {
+        const target = this._resolve(child.callee, state);
+        if (['os', 'node:os'].includes(target?.module) && ['homedir', 'tmpdir'].includes(target.path[0])) {
+          reason = `os.${target.path[0]}()`;
+        }
+      }
+
+      if (child.type === 'MemberExpression') {
+        const target = this._resolve(child, state);
+        if (target?.module === 'global' && /^process\.env\.(?:HOME|USERPROFILE|TMPDIR|TEMP|APPDATA)$/.test(target.path.join('.'))) {
+          reason = target.path.join('.');
+        }
+      }
+    });
+
+    return reason;
+  }
+
+  /**
+   * Leading static text of a path expression, looking into path.join(),
+   * path.resolve() and path.normalize() (their first argument), or null
+   * @private
+   */
+  _leadingPath(node, state) {
+    if (node.type === 'CallExpression') {
+      const target = this._resolve(node.callee, state);
+      const name = target && (target.module === 'global' ? target.path : [target.module, ...target.path]).join('.');
+      return PATH_BUILDER.test(name) && node.arguments[0] ? this._leadingPath(node.arguments[0], state) : null;
+    }
+    return this._leadingString(node);
+  }
+
+  /**
+   * Leading static text of a string expression: the whole string when it's
+   * static, else its first template chunk or concatenation operand; or null
+   * @private
+   */
+  _leadingString(node) {
+    const whole = this._staticString(node);
+    if (whole !== null) return whole;
+
+    if (node.type === 'TemplateLiteral') return node.quasis[0].value.cooked;
+    if (node.type === 'BinaryExpression' && node.operator === '+') return this._leadingString(node.left);
+    return null;
+  }
+
+  /**
+   * Whether a callee is require (or module.require, process.mainModule.require)
+   * @private
+   */
+  _isRequire(callee, state) {
+    if (callee.type === 'Identifier') return callee.name === 'require';
+    if (callee.type !== 'MemberExpression') return false;
+
+    const target = this._resolve(callee, state);
+    return target?.module === 'global' && REQUIRE_PATHS.has(target.path.join('.'));
+  }
+
+  /**
+   * What an expression refers to: { module, path } (module 'global' for globals)
+   * @private
+   */
+  _resolve(node, state) {
+    switch (node?.type) {
+      case 'Identifier': {
+        if (state.bindings.has(node.name)) return state.bindings.get(node.name);
+        if (['globalThis', 'window', 'global', 'self'].includes(node.name)) return { module: 'global', path: [] };
+        return { module: 'global', path: [node.name] };
+      }
+
+      case 'MemberExpression': {
+        const base = this._resolve(node.object, state);
+        const key = this._propertyName(node);
+        return base && key !== null ? { module: base.module, path: [...base.path, key] } : null;
+      }
+
+      case 'CallExpression': {
+        const source = node.arguments[0] && this._staticString(node.arguments[0]);
+        return typeof source === 'string' && this._isRequire(node.callee, state)
+          ? { module: this._moduleName(source), path: [] }
+          : null;
+      }
+
+      case 'ImportExpression': {
+        const source = this._staticString(node.source);
+        return source !== null ? { module: this._moduleName(source), path: [] } : null;
+      }
+
+      case 'AwaitExpression':
+        return this._resolve(node.argument, state);
+
+      case 'ChainExpression':
+        return this._resolve(node.expression, state);
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Static property name of a member expression, or null if computed
+   * (string literals, plain templates and their concatenations are static)
+   * @private
+   */
+  _propertyName(node) {
+    if (!node.computed) return this._name(node.property);
+    return this._staticString(node.property);
+  }
+
+  /**
+   * Value of a string expression that needs no evaluation, or null
+   * @private
+   */
+  _staticString(node) {
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'string' ? node.value : null;
+      case 'TemplateLiteral':
+        return node.expressions.length === 0 ? node.quasis[0].value.cooked : null;
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return null;
+        const left = this._staticString(node.left);
+        const right = this._staticString(node.right);
+        return left !== null && right !== null ? left + right : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Name of an Identifier or string Literal key
+   * @private
+   */
+  _name(node) {
+    return node.type === 'Identifier' ? node.name : String(node.value);
+  }
+
+  /**
+   * Module specifier without the node: prefix
+   * @private
+   */
+  _moduleName(source) {
+    return source.replace(/^node:/, '');
+  }
+
+  /**
+   * Visit every node with its parent
+   * @private
+   */
+  _walk(node, parent, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node, parent);
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') this._walk(child, node, visit);
+      }
+    }
+  }
+
+  /**
+   * Add a finding
+   * @private
+   */
+  _report(state, check, node, message) {
+    state.findings.push({
+      check,
+      message,
+      line: node.loc?.start.line,
+      column: node.loc?.start.column,
+    });
+  }
+}
+
+export default SecurityAnalyzer;
@@ -0,0 +1,470 @@
+import SandboxWorker from './SandboxWorker.js';
+
+// Globals that are stubbed: Node and browser APIs. A fresh vm context only has
+// the ECMAScript built-ins, and no host object is passed in: a host object
+// leads back to the host's Function constructor and so to the real process.
+const STUBBED_GLOBALS = [
+  'Buffer', 'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder', 'AbortController',
+  'AbortSignal', 'Event', 'EventTarget', 'structuredClone', 'atob', 'btoa',
+  'fetch', 'Headers', 'Request', 'Response', 'FormData', 'Blob', 'File', 'WebSocket',
+  'XMLHttpRequest', 'EventSource', 'BroadcastChannel', 'MessageChannel', 'performance',
+  'crypto', 'ReadableStream', 'WritableStream', 'TransformStream', 'Worker',
+  'window', 'self', 'document', 'navigator', 'location', 'history', 'screen',
+  'localStorage', 'sessionStorage', 'indexedDB', 'alert', 'confirm', 'prompt',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback',
+  'cancelIdleCallback', 'getComputedStyle', 'matchMedia', 'Image', 'Audio', 'Option',
+  'CustomEvent', 'FileReader', 'HTMLElement', 'Element', 'Node', 'NodeList', 'DOMParser',
+  'MutationObserver', 'IntersectionObserver', 'ResizeObserver', 'customElements', 'caches',
+];
+
+// Runs inside each candidate's context before the candidate. The worker only
+// calls the helpers defined here and only gets primitives back, so the
+// candidate's code never runs outside the context's time limit.
+const PRELUDE = `
+(() => {
+  const define = (name, value) => Object.defineProperty(globalThis, name, { value, writable: false, configurable: false, enumerable: false });
+
+  // Stubs: any property is another stub, calls and new return stubs,
+  // values set on a stub read back. A class that extends a stub keeps its
+  // own methods.
+  const stubs = new Map();
+  const made = new WeakSet();
+  const fallback = (target, key, receiver, name) => {
+    if (key in target) return Reflect.get(target, key, receiver);
+    if (key === 'then') return undefined; // Not a thenable: await gives the stub
+    if (key === Symbol.toPrimitive) return () => '';
+    if (key === Symbol.iterator) return function* () {};
+    if (key === Symbol.asyncIterator) return async function* () {};
+    if (typeof key === 'symbol') return undefined;
+    return stub(name + '.' + key);
+  };
+  const stub = name => {
+    if (stubs.has(name)) return stubs.get(name);
+    const proxy = new Proxy(function () {}, {
+      get: (target, key, receiver) => (Object.hasOwn(target, key) ? target[key] : fallback({}, key, receiver, name)),
+      apply: () => stub(name + '()'),
+      construct: (target, args, newTarget) => (newTarget === proxy
+        ? stub('new ' + name)
+        : new Proxy(Object.create(newTarget.prototype), { get: (target, key, receiver) => fallback(target, key, receiver, 'new ' + name) })),
+    });
+    stubs.set(name, proxy);
+    made.add(proxy);
+    return proxy;
+  };
+
+  // Stubs convert to '', so parsing stubbed input
+  // (JSON.parse(fs.readFileSync('config.json', 'utf8'))) gives a stub instead
+  const parse = JSON.parse;
+  JSON.parse = function (text, reviver) {
+    return made.has(text) ? stub('JSON.parse()') : parse.call(this, text, reviver);
+  };
+
+  const state = { status: 'pending', error: undefined };
+  const fail = error => {
+    if (state.status !== 'error') {
+      state.status = 'error';
+      state.error = error;
+    }
+  };
+
+  // Timers don't wait: callbacks run in delay order after the module loads.
+  // Intervals never fire.
+  const timers = [];
+  let clock = 0;
+  let nextId = 1;
+  const handle = id => ({ id, ref() { return this; }, unref() { return this; }, hasRef: () => false, refresh() { return this; }, [Symbol.toPrimitive]: () => id });
+  const schedule = (callback, delay, args) => {
+    const timer = handle(nextId++);
+    timers.push({ id: timer.id, callback, args, at: clock + (Number(delay) || 0) });
+    return timer;
+  };
+  const clear = timer => {
+    const index = timers.findIndex(t => t.id === Number(timer));
+    if (index >= 0) timers.splice(index, 1);
+  };
+  globalThis.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args);
+  globalThis.setImmediate = (callback, ...args) => schedule(callback, 0, args);
+  globalThis.setInterval = () => handle(nextId++);
+  globalThis.clearTimeout = globalThis.clearImmediate = globalThis.clearInterval = clear;
+  globalThis.queueMicrotask = callback => { Promise.resolve().then(callback); };
+
+  // Runs the due timers; returns how many ran (0 once nothing is left)
+  define('__makerFlush__', () => {
+    if (state.status === 'error') return 0;
+    timers.sort((a, b) => a.at - b.at);
+    const due = timers.splice(0);
+    for (const timer of due) {
+      clock = Math.max(clock, timer.at);
+      try {
+        if (typeof timer.callback === 'function') timer.callback(...timer.args);
+      } catch (error) {
+        fail(error);
+        return 0;
+      }
+    }
+    return due.length;
+  });
+
+  // Modules: every import is a stub
+  const load = specifier => stub("require('" + String(specifier).replace(/^node:/, '') + "')");
+  define('__makerImport__', specifier => load(specifier));
+  define('__makerDynamicImport__', specifier => Promise.resolve(load(specifier)));
+  define('__makerImportMeta__', { url: 'file:///sandbox/candidate.js', filename: '/sandbox/candidate.js', dirname: '/sandbox', resolve: specifier => specifier });
+
+  // CommonJS; require.main isn't the module, so "run if main" blocks don't run
+  globalThis.module = { exports: {} };
+  globalThis.exports = globalThis.module.exports;
+  globalThis.require = Object.assign(load, { resolve: specifier => specifier, cache: {}, main: undefined });
+  globalThis.__filename = '/sandbox/candidate.js';
+  globalThis.__dirname = '/sandbox';
+  globalThis.global = globalThis;
+
+  globalThis.console = stub('console');
+  globalThis.process = Object.assign(stub('process'), {
+    env: {},
+    argv: ['node', '/sandbox/main.js'],
+    platform: 'linux',
+    version: 'v20.0.0',
+    versions: { node: '20.0.0' },
+    exitCode: undefined,
+    cwd: () => '/sandbox',
+    exit: () => {},
+    nextTick: (callback, ...args) => { Promise.resolve().then(() => callback(...args)); },
+    stdout: { write: () => true, isTTY: false, columns: 80 },
+    stderr: { write: () => true, isTTY: false, columns: 80 },
+  });
+
+  define('__makerStub__', names => {
+    for (const name of names) {
+      if (!(name in globalThis)) globalThis[name] = stub(name);
+    }
+  });
+
+  define('__makerSettle__', promise => {
+    try {
+      promise.then(() => { if (state.status === 'pending') state.status = 'ok'; }, fail);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  // Outcome as JSON: { status, name, message, line, column }
+  define('__makerResult__', () => {
+    const result = { status: state.status };
+    if (state.status === 'error') {
+      const error = state.error;
+      const read = get => { try { return get(); } catch { return undefined; } };
+      const name = read(() => error.name);
+      const message = read(() => error.message);
+      result.name = typeof name === 'string' ? name : null;
+      result.message = typeof message === 'string' ? message : read(() => String(error)) ?? 'Unknown error';
+      const position = /candidate\\.js:(\\d+):(\\d+)/.exec(read(() => String(error.stack)));
+      if (position) {
+        result.line = Number(position[1]);
+        result.column = Number(position[2]) - 1;
+      }
+    }
+    return JSON.stringify(result);
+  });
+})();
+`;
+
+// Worker (see SandboxWorker): loads one candidate per job in a fresh context
+const WORKER = `
+const { performance } = require('perf_hooks');
+const { types } = require('util');
+const vm = require('vm');
+
+const preludeScript = new vm.Script(workerData.data.prelude, { filename: 'maker-prelude.js' });
+const flushScript = new vm.Script('__makerFlush__()', { filename: 'maker-timers.js' });
+const resultScript = new vm.Script('__makerResult__()', { filename: 'maker-result.js' });
+
+function handle({ source, globals, timeoutMs }) {
+  const started = performance.now();
+  const remaining = () => Math.max(1, Math.ceil(timeoutMs - (performance.now() - started)));
+
+  // Null prototype: not even the sandbox object links back to the host realm
+  const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+  preludeScript.runInContext(context);
+  vm.runInContext('__makerStub__(' + JSON.stringify(globals) + ')', context);
+
+  let script;
+  try {
+    script = new vm.Script(source, { filename: 'candidate.js', lineOffset: -1 });
+  } catch (error) {
+    return { ok: null, message: 'Smoke test could not compile the candidate: ' + error.message };
+  }
+
+  // Only primitives cross back from the context, and only from the prelude's helpers
+  let outcome;
+  try {
+    script.runInContext(context, { timeout: remaining() });
+    for (let round = 0; round < 20; round++) {
+      const ran = flushScript.runInContext(context, { timeout: remaining() });
+      if (typeof ran !== 'number' || ran === 0) break;
+    }
+    outcome = resultScript.runInContext(context, { timeout: remaining() });
+  } catch (error) {
+    if (isTimeout(error)) {
+      return { ok: false, kind: 'hang', message: 'Did not finish loading within ' + timeoutMs + 'ms', durationMs: elapsed(started) };
+    }
+    return { ok: false, kind: 'throw', name: null, message: 'Threw while loading', durationMs: elapsed(started) };
+  }
+
+  const result = typeof outcome === 'string' ? JSON.parse(outcome) : { status: 'pending' };
+  if (result.status === 'error') {
+    return {
+      ok: false,
+      kind: result.name === 'RangeError' && /call stack/i.test(result.message) ? 'limit' : 'throw',
+      name: result.name,
+      message: result.message,
+      line: result.line,
+      column: result.column,
+      durationMs: elapsed(started),
+    };
+  }
+  if (result.status === 'pending') {
+    return { ok: false, kind: 'hang', message: 'Never finishes loading (awaits something that never settles)', durationMs: elapsed(started) };
+  }
+  return { ok: true, durationMs: elapsed(started) };
+}
+
+// A promise rejection the candidate never handles (see SandboxWorker) would
+// crash a Node process: it fails the load
+function rejected(result, reason) {
+  if (result.ok !== true) return result;
+  const message = field(reason, 'message');
+  return {
+    ok: false,
+    kind: 'throw',
+    name: field(reason, 'name'),
+    message: 'Unhandled promise rejection' + (message ? ': ' + message : ''),
+    durationMs: result.durationMs,
+  };
+}
+
+// A string field of a native error (own or inherited), read without getters
+// or proxies: this runs outside the context's time limit
+function field(error, key) {
+  if (!types.isNativeError(error)) return null;
+  for (let object = error; object && !types.isProxy(object); object = Object.getPrototypeOf(object)) {
+    const descriptor = Object.getOwnPropertyDescriptor(object, key);
+    if (descriptor) return typeof descriptor.value === 'string' ? descriptor.value : null;
+  }
+  return null;
+}
+
+// The vm time limit's own error; read without getters, since the candidate
+// can throw errors of its own
+function isTimeout(error) {
+  if (!types.isNativeError(error)) return false;
+  const code = Object.getOwnPropertyDescriptor(error, 'code');
+  return Boolean(code) && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+function elapsed(started) {
+  return Math.round(performance.now() - started);
+}
+`;
+
+/**
+ * SmokeTestRunner - Loads candidate JavaScript in a resource-limited sandbox
+ * Syntax and scope checks can't tell whether code runs. The smoke test
+ * loads each candidate (its top level only; exported functions are not
+ * called) and reports whether it throws (a promise rejection it never
+ * handles counts), hangs or exceeds a limit.
+ *
+ * - One worker thread with V8 heap and stack limits runs every test; each
+ *   candidate gets a fresh vm context with a time limit that covers its
+ *   promises and timers.
+ * - I/O is stubbed: every import returns a stub, as do Node globals like
+ *   Buffer and URL, fetch, the browser globals and the names the subtask
+ *   context provides; JSON.parse of a stub is a stub. process.env is
+ *   empty. Timers fire at once, in delay order; intervals never fire.
+ * - ES modules run as an async function, so top-level await works.
+ *
+ * The worker is waited for synchronously (see SandboxWorker), so
+ * validation stays synchronous. A worker that doesn't reply in time (heap
+ * limit hit, or stuck) is terminated and replaced. The context is created from a
+ * null-prototype object and gets no host objects, so constructor chains
+ * (x.constructor('return process')) stay inside it. Run security red flags
+ * first: the sandbox is a backstop, not a license to load hostile code.
+ */
+class SmokeTestRunner {
+  /**
+   * @param {Object} options - { timeoutMs, memoryMb, stackMb, startTimeoutMs, maxCacheEntries }
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 200; // Per candidate, including promises and timers
+    this.memoryMb = options.memoryMb || 64; // Worker heap limit
+    this.maxCacheEntries = options.maxCacheEntries || 256;
+
+    this.cache = new Map(); // provided names + source → result
+    this.worker = new SandboxWorker(WORKER, {
+      memoryMb: this.memoryMb,
+      stackMb: options.stackMb,
+      startTimeoutMs: options.startTimeoutMs,
+      data: { prelude: PRELUDE },
+    });
+  }
+
+  /**
+   * Load a candidate
+   * @param {string} code - JavaScript source
+   * @param {Object} ast - Parsed AST of the code (ESTree, with positions)
+   * @param {Object} options - { provided: names the subtask context defines (stubbed) }
+   * @returns {Object} - { ok: true, durationMs }
+   *   | { ok: false, kind: 'throw'|'hang'|'limit', message, name, line, column, durationMs }
+   *   | { ok: null, message } when the test couldn't run
+   */
+  run(code, ast, options = {}) {
+    const globals = [...STUBBED_GLOBALS, ...(options.provided || [])];
+    const key = `${(options.provided || []).join(',')}\n${code}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const result = this._execute({ source: this._prepare(code, ast), globals, timeoutMs: this.timeoutMs });
+
+    // Keep the cache bounded (oldest entries go first)
+    if (this.cache.size >= this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, result);
+
+    return result;
+  }
+
+  /**
+   * Stop the worker
+   */
+  close() {
+    this.worker.close();
+  }
+
+  /**
+   * Send a job to the worker and wait for its reply
+   * @private
+   */
+  _execute(job) {
+    // The worker enforces the time limit; this only catches a dead or stuck worker
+    const waitMs = this.timeoutMs * 3 + 250;
+
+    let reply;
+    try {
+      reply = this.worker.call(job, waitMs);
+    } catch (error) {
+      return { ok: null, message: `Smoke test could not run: ${error.message}` };
+    }
+
+    if (reply === undefined) {
+      // Out of heap (V8 kills the worker without a reply) or stuck: it starts over next time
+      return {
+        ok: false,
+        kind: 'limit',
+        message: `Exceeded the ${this.memoryMb} MB memory limit or stopped responding`,
+        durationMs: waitMs,
+      };
+    }
+
+    return reply;
+  }
+
+  /**
+   * Turn module code into a script: imports become stub lookups, exports
+   * are dropped, and the body runs as an async function
+   * @private
+   */
+  _prepare(code, ast) {
+    const edits = [];
+    let imports = 0;
+    let isModule = false;
+
+    if (code.startsWith('#!')) {
+      edits.push({ start: 0, end: code.indexOf('\n') === -1 ? code.length : code.indexOf('\n'), text: '' });
+    }
+
+    for (const node of ast.body) {
+      switch (node.type) {
+        case 'ImportDeclaration': {
+          isModule = true;
+          // Kept on one line, so line numbers don't move
+          const namespace = `__makerImport${imports++}__`;
+          const bindings = node.specifiers.map(specifier => {
+            const value = specifier.type === 'ImportSpecifier'
+              ? `${namespace}[${JSON.stringify(specifier.imported.name ?? specifier.imported.value)}]`
+              : specifier.type === 'ImportDefaultSpecifier' ? `${namespace}.default` : namespace;
+            return `const ${specifier.local.name} = ${value};`;
+          });
+          edits.push({
+            start: node.start,
+            end: node.end,
+            text: [`const ${namespace} = __makerImport__(${JSON.stringify(node.source.value)});`, ...bindings].join(' '),
+          });
+          break;
+        }
+
+        case 'ExportNamedDeclaration':
+          isModule = true;
+          edits.push(node.declaration
+            ? { start: node.start, end: node.declaration.start, text: '' }
+            : { start: node.start, end: node.end, text: '' });
+          break;
+
+        case 'ExportAllDeclaration':
+          isModule = true;
+          edits.push({ start: node.start, end: node.end, text: '' });
+          break;
+
+        case 'ExportDefaultDeclaration': {
+          isModule = true;
+          const declaration = node.declaration;
+          if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && declaration.id) {
+            edits.push({ start: node.start, end: declaration.start, text: '' });
+          } else {
+            edits.push({ start: node.start, end: declaration.start, text: 'const __makerDefault__ = ' });
+            if (code[node.end - 1] !== ';') {
+              edits.push({ start: node.end, end: node.end, text: ';' });
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    // import() and import.meta anywhere in the code
+    this._walk(ast, node => {
+      if (node.type === 'ImportExpression') {
+        edits.push({ start: node.start, end: node.start + 'import'.length, text: '__makerDynamicImport__' });
+      } else if (node.type === 'MetaProperty' && node.meta.name === 'import') {
+        edits.push({ start: node.start, end: node.end, text: '__makerImportMeta__' });
+      }
+    });
+
+    let source = code;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      source = source.slice(0, edit.start) + edit.text + source.slice(edit.end);
+    }
+
+    // Modules are strict; the wrapper line is taken off line numbers (lineOffset -1)
+    return `__makerSettle__((async () => {${isModule ? '\'use strict\';' : ''}\n${source}\n})());`;
+  }
+
+  /**
+   * Visit every node
+   * @private
+   */
+  _walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') this._walk(child, visit);
+      }
+    }
+  }
+}
+
+export default SmokeTestRunner;
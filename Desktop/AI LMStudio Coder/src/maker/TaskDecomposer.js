@@ -78,25 +78,40 @@ class TaskDecomposer {
     const prompt = this._buildDecompositionPrompt(taskDescription, context);
 
     try {
-      const response = await this.lmstudioClient.complete([
-        {
-          role: 'system',
-          content: 'You are an expert at breaking down programming tasks into minimal atomic steps. Each step should be simple, focused, and independently executable.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ], {
-        temperature: 0.3, // Low temperature for consistent decomposition
-        max_tokens: 1000,
-        stream: false,
-      });
+      const startedAt = Date.now();
+      let response;
+      try {
+        response = await this.lmstudioClient.complete([
+          {
+            role: 'system',
+            content: 'You are an expert at breaking down programming tasks into minimal atomic steps. Each step should be simple, focused, and independently executable.',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ], {
+          temperature: 0.3, // Low temperature for consistent decomposition
+          max_tokens: 1000,
+          stream: false,
+          signal: options.signal,
+        });
+      } catch (error) {
+        // Failed and aborted calls still count toward the call budget
+        options.budget?.recordCall(null, Date.now() - startedAt, { failed: true });
+        throw error;
+      }
+
+      options.budget?.recordCall(response?.usage, Date.now() - startedAt);
 
       if (response && response.content) {
         return this._parseDecompositionResponse(response.content);
       }
     } catch (error) {
+      // A cancelled task should stop here, not fall back
+      if (options.signal?.aborted) {
+        throw error;
+      }
       console.warn('AI decomposition failed, falling back to rule-based:', error.message);
     }
 
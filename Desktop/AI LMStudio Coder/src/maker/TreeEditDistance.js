@@ -0,0 +1,154 @@
+/**
+ * TreeEditDistance - Zhang–Shasha tree edit distance between ASTs
+ * Counts the node insertions, deletions and relabelings needed to turn one
+ * ordered tree into another, so two candidates with the same number of
+ * functions but different bodies come out as different.
+ *
+ * Node labels are the AST node type plus its operator or declaration kind
+ * where it has one. Names and literal values are left out, so the distance
+ * measures the shape of the code, not its spelling.
+ *
+ * Runtime is O(n1 · n2 · min(depth, leaves)²); trees larger than maxNodes
+ * are not compared (similarity() returns null and callers fall back).
+ */
+class TreeEditDistance {
+  constructor(options = {}) {
+    this.maxNodes = options.maxNodes || 600;
+
+    // AST fields that are not child nodes or carry no structure
+    this.ignoredFields = new Set(['type', 'start', 'end', 'loc', 'range', 'raw']);
+  }
+
+  /**
+   * Convert an acorn AST into a prepared tree (postorder labels, leftmost
+   * leaf descendants and keyroots)
+   * @param {Object} ast - acorn node
+   * @returns {Object} - { labels, leftmost, keyroots, size }
+   */
+  fromAST(ast) {
+    const labels = [];
+    const leftmost = [];
+
+    const visit = node => {
+      let first = -1;
+      for (const child of this._children(node)) {
+        const childLeftmost = visit(child);
+        if (first === -1) first = childLeftmost;
+      }
+
+      const index = labels.length;
+      labels.push(this._label(node));
+      leftmost.push(first === -1 ? index : first);
+      return leftmost[index];
+    };
+    visit(ast);
+
+    // Keyroots: the highest node for each distinct leftmost leaf
+    const highest = new Map();
+    leftmost.forEach((l, i) => highest.set(l, i));
+    const keyroots = [...highest.values()].sort((a, b) => a - b);
+
+    return { labels, leftmost, keyroots, size: labels.length };
+  }
+
+  /**
+   * Edit distance between two prepared trees (unit costs)
+   * @param {Object} a - Tree from fromAST()
+   * @param {Object} b - Tree from fromAST()
+   * @returns {number} - Minimum number of edits
+   */
+  distance(a, b) {
+    const treeDistance = Array.from({ length: a.size }, () => new Int32Array(b.size));
+
+    for (const i of a.keyroots) {
+      for (const j of b.keyroots) {
+        this._forestDistance(a, b, i, j, treeDistance);
+      }
+    }
+
+    return treeDistance[a.size - 1][b.size - 1];
+  }
+
+  /**
+   * Similarity from edit distance, normalized by the larger tree
+   * @param {Object} a - Tree from fromAST()
+   * @param {Object} b - Tree from fromAST()
+   * @returns {number|null} - 0-1, or null if a tree exceeds maxNodes
+   */
+  similarity(a, b) {
+    if (a.size > this.maxNodes || b.size > this.maxNodes) {
+      return null;
+    }
+
+    return 1 - this.distance(a, b) / Math.max(a.size, b.size);
+  }
+
+  /**
+   * Forest distances for the subtrees rooted at keyroots i and j
+   * @private
+   */
+  _forestDistance(a, b, i, j, treeDistance) {
+    const li = a.leftmost[i];
+    const lj = b.leftmost[j];
+    const rows = i - li + 2;
+    const cols = j - lj + 2;
+    const forest = Array.from({ length: rows }, () => new Int32Array(cols));
+
+    for (let x = 1; x < rows; x++) forest[x][0] = forest[x - 1][0] + 1;
+    for (let y = 1; y < cols; y++) forest[0][y] = forest[0][y - 1] + 1;
+
+    for (let x = 1; x < rows; x++) {
+      const di = li + x - 1;
+
+      for (let y = 1; y < cols; y++) {
+        const dj = lj + y - 1;
+        const remove = forest[x - 1][y] + 1;
+        const insert = forest[x][y - 1] + 1;
+
+        if (a.leftmost[di] === li && b.leftmost[dj] === lj) {
+          // Both forests are whole trees: relabel the roots
+          const relabel = forest[x - 1][y - 1] + (a.labels[di] === b.labels[dj] ? 0 : 1);
+          forest[x][y] = Math.min(remove, insert, relabel);
+          treeDistance[di][dj] = forest[x][y];
+        } else {
+          const px = a.leftmost[di] - li;
+          const py = b.leftmost[dj] - lj;
+          forest[x][y] = Math.min(remove, insert, forest[px][py] + treeDistance[di][dj]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Child nodes in source order
+   * @private
+   */
+  _children(node) {
+    const children = [];
+
+    for (const [key, value] of Object.entries(node)) {
+      if (this.ignoredFields.has(key) || !value || typeof value !== 'object') continue;
+
+      if (Array.isArray(value)) {
+        children.push(...value.filter(child => child && typeof child.type === 'string'));
+      } else if (typeof value.type === 'string') {
+        children.push(value);
+      }
+    }
+
+    return children;
+  }
+
+  /**
+   * Node label: type plus operator or kind
+   * @private
+   */
+  _label(node) {
+    if (node.operator) return `${node.type}:${node.operator}`;
+    if (node.kind) return `${node.type}:${node.kind}`;
+    if (node.type === 'Literal') return `Literal:${node.regex ? 'regex' : typeof node.value}`;
+    return node.type;
+  }
+}
+
+export default TreeEditDistance;
@@ -0,0 +1,93 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * VoteRecorder - Persists every vote as a JSONL "vote record"
+ * Each line holds the messages, sampling parameters, raw candidates,
+ * red flags, similarity matrix, clusters, winner and margin of one vote,
+ * so votes can be replayed offline with VotingManager.replay() to tune
+ * k, similarityThreshold and validator settings on real data.
+ */
+class VoteRecorder {
+  constructor(fileOps, filePath = '.maker/votes.jsonl', options = {}) {
+    this.fileOps = fileOps;
+    this.filePath = filePath;
+    this.enabled = options.enabled !== false;
+  }
+
+  /**
+   * Append a vote record
+   * Recording failures are logged but never fail the vote itself.
+   *
+   * @param {Object} record - Vote record from VotingManager
+   * @returns {Promise<string|null>} - Record id, or null if not recorded
+   */
+  async record(record) {
+    if (!this.enabled) return null;
+
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...record,
+    };
+
+    try {
+      await this.fileOps.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      return entry.id;
+    } catch (error) {
+      console.warn(`  Could not record vote: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Load all vote records
+   * Malformed lines (e.g. from an interrupted write) are skipped.
+   *
+   * @returns {Promise<Array<Object>>} - Records in file order
+   */
+  async load() {
+    if (!this.fileOps.fileExists(this.filePath)) {
+      return [];
+    }
+
+    const content = await this.fileOps.readFile(this.filePath);
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Skip malformed line
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Find a record by id (or id prefix), or 'last' for the most recent
+   * @param {string} id - Record id, unique prefix, or 'last'
+   * @returns {Promise<Object|null>} - Matching record or null
+   */
+  async get(id) {
+    const records = await this.load();
+
+    if (id === 'last') {
+      return records[records.length - 1] || null;
+    }
+
+    const matches = records.filter(r => r.id === id || r.id.startsWith(id));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Enable or disable recording
+   * @param {boolean} enabled - Whether new votes are recorded
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+}
+
+export default VoteRecorder;
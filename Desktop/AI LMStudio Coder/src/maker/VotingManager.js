@@ -1,53 +1,159 @@
 import ResponseValidator from './ResponseValidator.js';
 import CodeClusterer from './CodeClusterer.js';
+import ModelEnsemble from './ModelEnsemble.js';
+import CandidateDiversifier from './CandidateDiversifier.js';
+import JudgeTournament from './JudgeTournament.js';
+import CostModel from './CostModel.js';
+import LanguageRegistry from './LanguageRegistry.js';
 
 /**
  * VotingManager - First-to-ahead-by-k voting implementation
  * Core component of MAKER framework for error correction
  *
  * Implements Algorithm 3 from MAKER paper:
- * - Generate multiple candidate solutions
+ * - Draw candidate solutions one (or a few) at a time
  * - Apply red-flagging to filter unreliable responses
- * - Cluster similar responses using structural similarity
- * - Run first-to-ahead-by-k voting
+ * - Assign each valid candidate to a cluster by structural similarity
+ *   (or, for answer task types, by exact match on the normalized answer)
+ * - Stop as soon as one cluster leads the runner-up by k votes
  * - Return winning solution with confidence metrics
  *
  * Key insight: kmin = Θ(ln s) for s-step problems
  * Higher k = more reliability but higher cost
+ *
+ * Candidates are drawn from a ModelEnsemble; with several backends
+ * registered, each vote mixes models by weight to decorrelate errors.
+ * A CandidateDiversifier further varies each request (prompt paraphrases,
+ * section order, exemplars, seeds, sampling schedules).
+ *
+ * When a vote ends undecided and tie-breaking is enabled, a JudgeTournament
+ * ranks the top clusters pairwise with a voted judge prompt instead of
+ * returning the largest cluster as the least bad option.
+ *
+ * Weighting modes:
+ * - 'count' (default): each valid candidate is one vote
+ * - 'confidence': each candidate counts validator confidence × similarity
+ *   to its cluster representative, so candidates that barely passed
+ *   red-flagging count less than clean ones
  */
 class VotingManager {
-  constructor(lmstudioClient, tokenCounter) {
+  constructor(lmstudioClient, tokenCounter, options = {}) {
     this.lmstudioClient = lmstudioClient;
     this.tokenCounter = tokenCounter;
-    this.validator = new ResponseValidator(tokenCounter);
-    this.clusterer = new CodeClusterer(tokenCounter);
+
+    // Validator and clusterer share language adapters (and their parse caches)
+    this.languages = options.languages || new LanguageRegistry();
+    this.validator = new ResponseValidator(tokenCounter, {
+      languages: this.languages,
+      redFlagRules: options.redFlagRules,
+      importResolver: options.importResolver,
+    });
+    this.clusterer = new CodeClusterer(tokenCounter, { languages: this.languages });
+
+    // Model backends candidates are drawn from (defaults to the single client)
+    this.ensemble = options.ensemble || new ModelEnsemble();
+    if (this.ensemble.size() === 0) {
+      this.ensemble.register('default', lmstudioClient);
+    }
+
+    // Diversity strategies applied to each candidate request
+    this.diversifier = options.diversifier || new CandidateDiversifier();
+
+    // Pairwise judge used to break inconclusive votes
+    this.judge = options.judge || new JudgeTournament(this.ensemble, tokenCounter);
+
+    // Optional VoteRecorder that persists every vote for replay
+    this.recorder = options.recorder || null;
+
+    // Optional ReliabilityEstimator that learns p from vote agreement
+    this.reliability = options.reliability || null;
+
+    // Cost model that learns red-flag rates and tokens per call from votes
+    this.costModel = options.costModel || new CostModel();
 
     // Voting parameters (from MAKER paper)
     this.defaultK = 3; // Default voting threshold
-    this.maxCandidates = 10; // Maximum candidates to generate
+    this.maxCandidates = 10; // Hard cap on samples drawn per vote
+    this.batchSize = null; // Samples per round before re-checking the margin (null = client pool size)
     this.similarityThreshold = 0.7; // Clustering threshold
+    this.clusteringMode = 'structural'; // 'structural' or 'behavioral'
+    this.similarityMetric = 'features'; // Structural similarity: 'features' or 'tree' (edit distance)
+    this.clusteringAlgorithm = 'greedy'; // Structural clustering algorithm (see ClusteringAlgorithms)
+    this.representative = 'first'; // Cluster representative: 'first', 'medoid' or 'confidence'
+    this.weighting = 'count'; // 'count' or 'confidence'
+    this.diversity = ['temperature']; // Diversity strategies combined per candidate
+    this.tieBreak = false; // Run a judge tournament when a vote is undecided
+    this.baseReliability = 0.7; // Per-sample success probability before any votes are observed
+    this.targetSuccess = 0.95; // Target probability that a whole task succeeds
+    this.maxK = 10;
   }
 
   /**
-   * Calculate optimal k based on problem complexity
-   * kmin = Θ(ln s) where s = expected number of steps
+   * Calculate minimum k for a target overall success probability
+   *
+   * From the MAKER paper: with per-sample success probability p > 0.5 and
+   * s steps, first-to-ahead-by-k picks the right answer for a step with
+   * probability p^k / (p^k + (1-p)^k). Requiring the whole task to succeed
+   * with probability t gives
    *
-   * @param {number} problemSteps - Expected number of steps
-   * @param {number} baseReliability - Base per-step success probability (0-1)
+   *   k_min = ⌈ ln(t^(-1/s) - 1) / ln((1-p)/p) ⌉
+   *
+   * which grows as Θ(ln s).
+   *
+   * @param {number} problemSteps - Expected number of steps (s)
+   * @param {number} baseReliability - Per-sample success probability (p, 0-1)
+   * @param {number} targetSuccess - Target probability the whole task succeeds (t, 0-1)
    * @returns {number} - Optimal k value
    */
-  calculateOptimalK(problemSteps, baseReliability = 0.7) {
-    // From MAKER paper: kmin scales logarithmically with problem size
-    const baseK = Math.ceil(Math.log2(problemSteps + 1));
-
-    // Adjust based on base reliability
-    // Lower reliability needs higher k
-    const reliabilityFactor = Math.max(1, 2 * (1 - baseReliability));
+  calculateOptimalK(problemSteps, baseReliability = 0.7, targetSuccess = this.targetSuccess) {
+    const s = Math.max(1, problemSteps);
+    const p = baseReliability;
+    const t = Math.min(Math.max(targetSuccess, 0.01), 0.9999);
+
+    // Voting can't amplify a sampler that is wrong at least half the time
+    if (p <= 0.5) {
+      return this.maxK;
+    }
+    if (p >= 1) {
+      return 1;
+    }
 
-    const optimalK = Math.ceil(baseK * reliabilityFactor);
+    const kMin = Math.ceil(Math.log(Math.pow(t, -1 / s) - 1) / Math.log((1 - p) / p));
 
     // Clamp between reasonable bounds
-    return Math.max(2, Math.min(10, optimalK));
+    return Math.max(1, Math.min(this.maxK, kMin));
+  }
+
+  /**
+   * Estimate per-sample success probability for the current ensemble
+   * Per-model estimates are mixed by backend weight.
+   *
+   * @param {string|null} taskType - Task type to estimate for
+   * @returns {Object} - { p, samples, source }
+   */
+  estimateReliability(taskType = null) {
+    if (!this.reliability) {
+      return { p: this.baseReliability, samples: 0, source: 'default' };
+    }
+
+    let weightedP = 0;
+    let totalWeight = 0;
+    let samples = 0;
+    const sources = new Set();
+
+    for (const backend of this.ensemble.backends.values()) {
+      const estimate = this.reliability.estimate(backend.client.model, taskType);
+      weightedP += backend.weight * estimate.p;
+      totalWeight += backend.weight;
+      samples += estimate.samples;
+      sources.add(estimate.source);
+    }
+
+    return {
+      p: totalWeight > 0 ? weightedP / totalWeight : this.baseReliability,
+      samples,
+      source: [...sources].join('/'),
+    };
   }
 
   /**
@@ -58,189 +164,737 @@ class VotingManager {
    * @returns {Promise<Array<Object>>} - Generated candidates
    */
   async generateCandidates(messages, count, options = {}) {
-    const candidates = [];
+    const startIndex = options.startIndex || 0;
+    const temperature = options.temperature || 0.7;
+    const diversity = options.diversity || this.diversity;
+
+    // Requests are issued together; each backend's pool bounds how many run at once.
+    // Each request is isolated so one failure doesn't sink the batch.
+    const requests = Array.from({ length: count }, async (_, i) => {
+      const index = startIndex + i;
+      const backend = this.ensemble.next();
 
-    // Generate candidates with slight temperature variation for diversity
-    for (let i = 0; i < count; i++) {
       try {
-        const temperature = options.temperature || 0.7;
-        // Vary temperature slightly to get diverse responses
-        const variedTemp = temperature + (Math.random() * 0.2 - 0.1);
-
-        const response = await this.lmstudioClient.complete(messages, {
-          temperature: Math.max(0.1, Math.min(1.0, variedTemp)),
-          max_tokens: options.max_tokens,
-          stream: false,
+        // Vary the request per candidate to decorrelate errors
+        const request = this.diversifier.apply(diversity, messages, index, { temperature }, {
+          seed: options.diversitySeed,
+          task: options.task,
+          language: options.language,
         });
 
+        const startedAt = Date.now();
+        let response;
+        try {
+          response = await backend.client.complete(request.messages, {
+            ...request.params,
+            max_tokens: options.max_tokens,
+            stream: false,
+            signal: options.signal,
+          });
+        } catch (error) {
+          // Failed and aborted calls still count toward the call budget
+          options.budget?.recordCall(null, Date.now() - startedAt, { failed: true });
+          throw error;
+        }
+
+        const tokens = response?.usage?.completionTokens ??
+          this.tokenCounter.countTokens(response?.content || '');
+        options.budget?.recordCall({ completionTokens: tokens }, Date.now() - startedAt);
+
         if (response && response.content) {
-          candidates.push({
-            index: i,
+          return {
+            index,
             content: response.content,
-            temperature: variedTemp,
-            tokens: response.usage?.completion_tokens,
-          });
+            temperature: request.params.temperature,
+            tokens,
+            backend: backend.name,
+            model: backend.client.model,
+            diversity: request.variant,
+          };
         }
       } catch (error) {
-        console.warn(`Failed to generate candidate ${i}:`, error.message);
+        if (!options.signal?.aborted) {
+          console.warn(`Failed to generate candidate ${index} (${backend.name}):`, error.message);
+        }
       }
-    }
 
-    return candidates;
+      return null;
+    });
+
+    const results = await Promise.all(requests);
+    options.signal?.throwIfAborted();
+
+    // Order by candidate index, not by completion time
+    return results
+      .filter(candidate => candidate !== null)
+      .sort((a, b) => a.index - b.index);
   }
 
   /**
    * Run first-to-ahead-by-k voting
    *
+   * Candidates are drawn sequentially in small batches. Each one is
+   * red-flagged and assigned to a cluster as soon as it arrives, and
+   * sampling stops the moment any cluster leads the runner-up by k votes.
+   * If the sample cap is reached (or no cluster can still reach a lead of k)
+   * the vote ends as 'undecided'. When a recorder is attached, the full vote
+   * is persisted so it can be replayed later with replay().
+   *
    * @param {Array} messages - Conversation messages
    * @param {Object} task - Task metadata
    * @param {Object} options - Voting options
+   * @param {number} options.k - Required lead over the runner-up
+   * @param {number} options.maxCandidates - Hard cap on samples drawn
+   * @param {number} options.batchSize - Samples drawn per round (default: total backend concurrency)
+   * @param {string} options.clusteringMode - 'structural' or 'behavioral' (answer task types always use 'answer')
+   * @param {string} options.similarityMetric - 'features' or 'tree' for structural similarity
+   * @param {string} options.clusteringAlgorithm - 'greedy', 'agglomerative', 'dbscan' or 'components'
+   * @param {string} options.representative - 'first', 'medoid' or 'confidence'
+   * @param {string} options.weighting - 'count' or 'confidence' (margin on weighted totals)
+   * @param {Array<string>} options.diversity - Diversity strategies combined per candidate
+   * @param {boolean} options.tieBreak - Judge tournament between top clusters if undecided
+   * @param {number} options.judgeSamples - Judge samples per tournament match
+   * @param {Array<Array>} options.probes - Probe inputs for behavioral clustering
+   * @param {Object} options.validatorOptions - Options passed to ResponseValidator.validate
+   * @param {Object} options.budget - BudgetGovernor consulted before each batch
+   * @param {AbortSignal} options.signal - Cancels sampling; the vote rejects with signal.reason
    * @returns {Promise<Object>} - Voting result with winner and statistics
    */
   async vote(messages, task = {}, options = {}) {
-    const k = options.k || this.defaultK;
-    const maxCandidates = options.maxCandidates || this.maxCandidates;
-    const taskType = task.type || 'code';
+    const settings = this._resolveSettings(task, {
+      ...options,
+      batchSize: options.batchSize || this.batchSize || this.ensemble.getTotalConcurrency(),
+    });
+
+    console.log(`\n[MAKER Voting] k=${settings.k}, max_candidates=${settings.maxCandidates}, batch_size=${settings.batchSize}, clustering=${settings.clusteringMode}, language=${settings.language}, metric=${settings.similarityMetric}, algorithm=${settings.clusteringAlgorithm}, representative=${settings.representative}, weighting=${settings.weighting}, diversity=${settings.diversity.join('+')}`);
+
+    const run = await this._runVote(
+      (count, startIndex) => this.generateCandidates(messages, count, {
+        temperature: settings.temperature,
+        max_tokens: settings.max_tokens,
+        budget: settings.budget,
+        signal: settings.signal,
+        diversity: settings.diversity,
+        diversitySeed: settings.diversitySeed,
+        language: settings.language,
+        task,
+        startIndex,
+      }),
+      task,
+      settings
+    );
+    const { result, candidates } = run;
+
+    if (settings.tieBreak) {
+      await this._breakTie(messages, task, settings, run);
+    }
 
-    console.log(`\n[MAKER Voting] k=${k}, max_candidates=${maxCandidates}`);
+    // The judged cluster when a tie-break ran, else the largest
+    const winnerCluster = result.clusters[result.tieBreak?.winnerCluster ?? 0];
+    const winnerIndices = new Set(winnerCluster?.members.map(m => m.index) || []);
+    const modelBreakdown = this.ensemble.recordVote(candidates, winnerIndices, result.reliable);
+    result.votingStats.modelBreakdown = modelBreakdown;
 
-    // Step 1: Generate candidate responses
-    console.log('[Step 1/4] Generating candidates...');
-    const candidates = await this.generateCandidates(messages, maxCandidates, {
+    if (this.ensemble.size() > 1) {
+      console.log('  Model breakdown:');
+      for (const [name, entry] of Object.entries(modelBreakdown)) {
+        console.log(`    ${name}: ${entry.inWinner}/${entry.samples} in winning cluster`);
+      }
+    }
+
+    const diversityBreakdown = this.diversifier.recordVote(candidates, winnerIndices, result.reliable);
+    result.votingStats.diversityBreakdown = diversityBreakdown;
+
+    if (Object.keys(diversityBreakdown).length > 0) {
+      console.log('  Diversity breakdown:');
+      for (const [key, entry] of Object.entries(diversityBreakdown)) {
+        console.log(`    ${key}: ${entry.inWinner}/${entry.samples} in winning cluster`);
+      }
+    }
+
+    this.costModel.recordVote(candidates);
+
+    if (this.reliability) {
+      await this.reliability.recordVote(task, modelBreakdown, result.reliable);
+    }
+
+    if (this.recorder) {
+      result.recordId = await this.recorder.record(
+        this._buildVoteRecord(messages, task, settings, run)
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Replay a recorded vote without calling the model
+   * Stored candidates are fed back in their original order and re-run
+   * through validation, clustering and voting with (optionally) different
+   * settings. Only the samples drawn in the original vote are available,
+   * so a larger k may end 'undecided' where more sampling would have decided.
+   *
+   * @param {Object} record - Vote record (from VoteRecorder)
+   * @param {Object} overrides - Settings to change: k, maxCandidates, batchSize,
+   *   similarityThreshold, clusteringMode, similarityMetric, clusteringAlgorithm, representative,
+   *   weighting, probes, validatorOptions
+   * @returns {Promise<Object>} - Voting result for the replay
+   */
+  async replay(record, overrides = {}) {
+    const task = record.task || {};
+    const recorded = record.params || {};
+    const settings = this._resolveSettings(task, { ...recorded, ...overrides });
+
+    // Can't draw more samples than the original vote did
+    const available = record.samplesDrawn ?? record.candidates.length;
+    settings.maxCandidates = Math.min(settings.maxCandidates, available);
+
+    console.log(`\n[MAKER Replay] ${record.id}: k=${settings.k}, max_candidates=${settings.maxCandidates}, threshold=${settings.similarityThreshold}, clustering=${settings.clusteringMode}, language=${settings.language}, metric=${settings.similarityMetric}, algorithm=${settings.clusteringAlgorithm}, representative=${settings.representative}, weighting=${settings.weighting}`);
+
+    const { result } = await this._runVote(
+      async (count, startIndex) => record.candidates
+        .filter(c => c.index >= startIndex && c.index < startIndex + count)
+        // Replay from the raw responses, so extraction runs again
+        .map(({ raw, ...candidate }) => ({ ...candidate, content: raw ?? candidate.content })),
+      task,
+      settings
+    );
+
+    return {
+      ...result,
+      replayOf: record.id,
+      settings: {
+        k: settings.k,
+        maxCandidates: settings.maxCandidates,
+        batchSize: settings.batchSize,
+        similarityThreshold: settings.similarityThreshold,
+        clusteringMode: settings.clusteringMode,
+        similarityMetric: settings.similarityMetric,
+        clusteringAlgorithm: settings.clusteringAlgorithm,
+        representative: settings.representative,
+        weighting: settings.weighting,
+        validatorOptions: settings.validatorOptions,
+      },
+      original: {
+        outcome: record.outcome,
+        margin: record.margin,
+        winnerIndex: record.winnerIndex,
+      },
+    };
+  }
+
+  /**
+   * Merge voting options with defaults
+   * @private
+   */
+  _resolveSettings(task, options) {
+    // Code is parsed in the task's language (task.language or target file extension)
+    const language = this.languages.resolve(task).name;
+
+    // Answer task types (answer, json, choice, number) always cluster by answer;
+    // the sandbox only runs plain JavaScript, so other languages cluster by structure
+    let clusteringMode = this.clusterer.answerNormalizer.supports(task.type)
+      ? 'answer'
+      : options.clusteringMode || this.clusteringMode;
+    if (clusteringMode === 'behavioral' && language !== 'javascript') {
+      clusteringMode = 'structural';
+    }
+    const probes = options.probes || task.probes || null;
+
+    const similarityMetric = options.similarityMetric || this.similarityMetric;
+    if (!this.clusterer.metrics.includes(similarityMetric)) {
+      throw new Error(`Unknown similarity metric: ${similarityMetric}`);
+    }
+
+    const clusteringAlgorithm = options.clusteringAlgorithm || this.clusteringAlgorithm;
+    if (!this.clusterer.algorithms.has(clusteringAlgorithm)) {
+      throw new Error(`Unknown clustering algorithm: ${clusteringAlgorithm}`);
+    }
+
+    const representative = options.representative || this.representative;
+    if (!this.clusterer.representatives.includes(representative)) {
+      throw new Error(`Unknown representative strategy: ${representative}`);
+    }
+
+    const validatorOptions = options.validatorOptions || {};
+    this.validator.rules.validateOverrides(validatorOptions.rules);
+    this.validator.rules.validateAllowlist(validatorOptions.securityAllowlist);
+
+    // Behavioral clustering runs every candidate against the same probes
+    const clusterOptions = { mode: clusteringMode, metric: similarityMetric, language, algorithm: clusteringAlgorithm, representative };
+    if (clusteringMode === 'behavioral') {
+      clusterOptions.probes = this.clusterer.sandbox.generateProbes({ ...task, probes });
+      clusterOptions.entry = task.entry;
+    } else if (clusteringMode === 'answer') {
+      clusterOptions.task = task;
+    }
+
+    const k = options.k || this.defaultK;
+
+    return {
+      k,
+      // A cap below k could never produce a winner
+      maxCandidates: Math.max(k, options.maxCandidates || this.maxCandidates),
+      batchSize: Math.max(1, options.batchSize || 1),
+      similarityThreshold: options.similarityThreshold ?? this.similarityThreshold,
+      clusteringMode,
+      language,
+      similarityMetric,
+      clusteringAlgorithm,
+      representative,
+      // Anything but incremental greedy seeding re-clusters all candidates after each batch
+      recluster: clusteringMode === 'structural' && (clusteringAlgorithm !== 'greedy' || representative !== 'first'),
+      weighting: options.weighting || this.weighting,
+      diversity: this._resolveDiversity(options.diversity),
+      diversitySeed: options.diversitySeed ?? Math.floor(Math.random() * 1e6),
+      tieBreak: options.tieBreak ?? this.tieBreak,
+      judgeSamples: options.judgeSamples,
+      probes,
+      clusterOptions,
+      validatorOptions,
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens,
-    });
+      budget: options.budget || null,
+      signal: options.signal || null,
+    };
+  }
 
-    if (candidates.length === 0) {
-      throw new Error('Failed to generate any candidates');
+  /**
+   * Judge tournament for an undecided vote
+   * Only entered when the vote failed to reach a lead of k and there are at
+   * least two clusters to compare. The vote's own statistics are kept; the
+   * judged winner replaces the winner and the ranking is attached.
+   * @private
+   */
+  async _breakTie(messages, task, settings, run) {
+    const { result } = run;
+    if (result.outcome !== 'undecided' || result.clusters.length < 2) {
+      return;
     }
 
-    console.log(`  Generated ${candidates.length} candidates`);
+    const problem = task.description ||
+      [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+    try {
+      const tournament = await this.judge.run(problem, result.clusters, {
+        judgeSamples: settings.judgeSamples,
+        budget: settings.budget,
+        signal: settings.signal,
+      });
+
+      const top = tournament.ranking[0];
+      result.winner = top.representative;
+      result.answer = result.clusters[top.clusterIndex].answer?.display ?? result.answer;
+      result.decidedBy = 'judge';
+      result.tieBreak = {
+        winnerCluster: top.clusterIndex,
+        winnerIndex: top.representativeIndex,
+        complete: tournament.complete,
+        judgeCalls: tournament.judgeCalls,
+        ranking: tournament.ranking.map(c => ({
+          cluster: c.clusterIndex,
+          representativeIndex: c.representativeIndex,
+          votes: c.votes,
+          points: c.points,
+          wins: c.wins,
+          losses: c.losses,
+          draws: c.draws,
+          rationales: c.rationales,
+        })),
+        matches: tournament.matches.map(({ verdicts, ...match }) => match),
+      };
+      result.warning = `${result.warning} - winner chosen by judge tournament (cluster ${top.clusterIndex + 1}, ${top.points} point(s))`;
 
-    // Step 2: Red-flagging - filter out invalid responses
-    console.log('[Step 2/4] Applying red-flagging...');
+      console.log(`  [Tie-break] Winner: cluster ${top.clusterIndex + 1} (${top.wins}W ${top.draws}D ${top.losses}L)`);
+    } catch (error) {
+      if (settings.signal?.aborted) {
+        throw error;
+      }
+      console.warn(`  [Tie-break] Tournament failed, keeping the largest cluster: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalize and check a diversity setting
+   * @private
+   */
+  _resolveDiversity(diversity) {
+    const names = typeof diversity === 'string'
+      ? diversity.split(',').map(s => s.trim()).filter(Boolean)
+      : diversity || this.diversity;
+
+    for (const name of names) {
+      if (!this.diversifier.has(name)) {
+        throw new Error(`Unknown diversity strategy: ${name}`);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Core first-to-ahead-by-k loop shared by live votes and replays
+   * @param {Function} draw - (count, startIndex) => Promise<Array<candidate>>
+   * @private
+   */
+  async _runVote(draw, task, settings) {
+    const { k, maxCandidates, batchSize, clusteringMode, weighting } = settings;
+
+    const candidates = [];
     const validCandidates = [];
+    const clusters = [];
+    const confidences = new Map(); // candidate index → validator confidence
+    let diagnostics = null;
+    let samplesDrawn = 0;
+    let decided = false;
+    let exhausted = false;
+    let budgetExhausted = false;
+
+    while (samplesDrawn < maxCandidates) {
+      settings.signal?.throwIfAborted();
+
+      let count = Math.min(batchSize, maxCandidates - samplesDrawn);
+
+      // Stop sampling if the budget won't cover another call
+      if (settings.budget) {
+        count = Math.min(count, settings.budget.allowedSamples(count));
+        if (count === 0) {
+          budgetExhausted = true;
+          console.log(`  Budget stop: ${settings.budget.exhaustedReason}`);
+          break;
+        }
+      }
+
+      // Step 1: Draw the next candidate(s)
+      const batch = await draw(count, samplesDrawn);
+      samplesDrawn += count;
+      candidates.push(...batch);
 
-    for (const candidate of candidates) {
-      const validation = this.validator.validate(candidate.content, task);
+      for (const candidate of batch) {
+        // Step 2: Red-flag the candidate
+        const validation = this.validator.validate(candidate.content, task, settings.validatorOptions);
+        candidate.validation = validation;
+
+        // Vote on (and apply) the extracted code, not the fences and prose around it
+        if (validation.code != null && validation.code !== candidate.content) {
+          candidate.raw = candidate.content;
+          candidate.content = validation.code;
+        }
+
+        if (!validation.valid) {
+          console.log(`  Rejected candidate ${candidate.index}: ${validation.summary}`);
+          continue;
+        }
 
-      if (validation.valid) {
         validCandidates.push({
           ...candidate,
-          validation,
           confidence: validation.confidence,
         });
-      } else {
-        console.log(`  Rejected candidate ${candidate.index}: ${validation.summary}`);
+        confidences.set(candidate.index, validation.confidence);
+        if (settings.recluster) continue;
+
+        // Step 3: Assign it to a cluster
+        const clusterIndex = this.clusterer.assignToCluster(
+          clusters,
+          candidate.content,
+          candidate.index,
+          settings.similarityThreshold,
+          settings.clusterOptions
+        );
+        console.log(`  Candidate ${candidate.index} → cluster ${clusterIndex + 1}`);
+      }
+
+      // Step 3 (batch algorithms): re-cluster every valid candidate
+      if (settings.recluster && validCandidates.length > 0) {
+        diagnostics = this._recluster(clusters, validCandidates, settings);
+        console.log(`  Re-clustered ${validCandidates.length} candidate(s) with ${settings.clusteringAlgorithm}: ${clusters.map(c => c.size).join('/')}`);
+      }
+
+      // Step 4: Check for a cluster ahead by k
+      // A sample adds at most 1 to either tally, so the early exit holds for both modes
+      const tally = this._tally(clusters, confidences, weighting);
+      const remaining = maxCandidates - samplesDrawn;
+
+      if (tally.margin >= k) {
+        decided = true;
+        break;
+      }
+
+      // Even if every remaining sample joined the leader it could not get ahead by k
+      // (not when re-clustering: one sample can merge clusters and move the margin further)
+      if (!settings.recluster && tally.margin + remaining < k) {
+        exhausted = remaining > 0;
+        break;
+      }
+    }
+
+    if (candidates.length === 0) {
+      if (budgetExhausted) {
+        throw new Error(`Budget exhausted before any candidates were drawn: ${settings.budget.exhaustedReason}`);
       }
+      throw new Error('Failed to generate any candidates');
     }
 
+    console.log(`  Drew ${samplesDrawn} sample(s), ${validCandidates.length}/${candidates.length} passed validation`);
+
     if (validCandidates.length === 0) {
-      // All candidates failed validation - return best of bad lot
+      // All candidates failed validation - return best of bad lot,
+      // but never one with a blocking (security) flag
       console.warn('  WARNING: All candidates failed validation');
-      const bestInvalid = candidates.sort((a, b) => {
-        const vA = this.validator.validate(a.content, task);
-        const vB = this.validator.validate(b.content, task);
-        return vB.confidence - vA.confidence;
-      })[0];
+      const bestInvalid = candidates
+        .filter(c => !c.validation.flags.some(f => f.blocking))
+        .sort((a, b) => b.validation.confidence - a.validation.confidence)[0];
+
+      if (!bestInvalid) {
+        console.warn('  WARNING: Every candidate was blocked by a security red flag');
+      }
 
       return {
-        winner: bestInvalid.content,
-        confidence: 0.3,
-        votingStats: {
-          totalCandidates: candidates.length,
-          validCandidates: 0,
-          clusterCount: 0,
-          votesNeeded: k,
+        candidates,
+        clusters: [],
+        samplesDrawn,
+        result: {
+          winner: bestInvalid ? bestInvalid.content : null,
+          confidence: bestInvalid ? 0.3 : 0,
+          outcome: 'undecided',
+          decidedBy: bestInvalid ? 'least-bad' : 'blocked',
           reliable: false,
+          votingStats: {
+            totalCandidates: candidates.length,
+            validCandidates: 0,
+            clusterCount: 0,
+            weighting,
+            samplesDrawn,
+            maxSamples: maxCandidates,
+            votesNeeded: k,
+            reliable: false,
+          },
+          clusters: [],
+          clusteringMode,
+          budgetExhausted,
+          warning: bestInvalid
+            ? 'All candidates failed validation - returning least bad option'
+            : 'All candidates failed validation and were blocked by security red flags - no winner',
         },
-        warning: 'All candidates failed validation - returning least bad option',
       };
     }
 
-    console.log(`  ${validCandidates.length}/${candidates.length} candidates passed validation`);
+    const tally = this._tally(clusters, confidences, weighting);
+    const { winner, runnerUp, margin } = tally;
+    const confidence = this._calculateConfidence(winner, runnerUp, k, validCandidates.length);
+    const marginLabel = weighting === 'confidence' ? margin.toFixed(2) : margin;
 
-    // If only one valid candidate, return it
-    if (validCandidates.length === 1) {
-      return {
-        winner: validCandidates[0].content,
-        confidence: validCandidates[0].confidence,
+    console.log(`  Vote distribution across ${clusters.length} cluster(s):`);
+    tally.votes.forEach((v, i) => {
+      console.log(`    Cluster ${i + 1}: ${v.votes} votes, weight ${v.weight.toFixed(2)} (avg similarity: ${v.cluster.avgSimilarity.toFixed(2)})`);
+    });
+
+    if (diagnostics) {
+      const { lower, upper, delta } = diagnostics.thresholdStability;
+      console.log(`  Cluster stability: silhouette ${diagnostics.silhouette.toFixed(2)}, agreement at threshold ±${delta} ${lower.toFixed(2)}/${upper.toFixed(2)}${diagnostics.stable ? '' : ' (unstable)'}`);
+    }
+
+    let warning = null;
+    if (decided) {
+      console.log(`  ✓ Winner found! (margin: ${marginLabel} >= k: ${k})`);
+    } else if (budgetExhausted) {
+      warning = `Undecided - ${settings.budget.exhaustedReason} with margin ${marginLabel} < k=${k}`;
+      console.log(`  ✗ ${warning}`);
+    } else {
+      warning = exhausted
+        ? `Undecided - no cluster can reach a lead of k=${k} within ${maxCandidates} samples (margin ${marginLabel})`
+        : `Undecided - sample cap of ${maxCandidates} reached with margin ${marginLabel} < k=${k}`;
+      console.log(`  ✗ ${warning}`);
+    }
+
+    // Clusters in tally order, so the winner is always first
+    const sortedClusters = tally.votes.map(v => ({ ...v.cluster, weight: v.weight }));
+
+    return {
+      candidates,
+      clusters: sortedClusters,
+      samplesDrawn,
+      result: {
+        winner: winner.representative,
+        answer: winner.cluster.answer?.display ?? null,
+        confidence,
+        outcome: decided ? 'decided' : 'undecided',
+        decidedBy: decided ? 'vote' : 'largest-cluster',
+        reliable: decided,
         votingStats: {
           totalCandidates: candidates.length,
-          validCandidates: 1,
-          clusterCount: 1,
+          validCandidates: validCandidates.length,
+          clusterCount: clusters.length,
+          weighting,
+          winnerVotes: winner.votes,
+          runnerUpVotes: runnerUp.votes,
+          rawMargin: winner.votes - runnerUp.votes,
+          winnerWeight: winner.weight,
+          runnerUpWeight: runnerUp.weight,
+          weightedMargin: winner.weight - runnerUp.weight,
+          margin,
+          samplesDrawn,
+          maxSamples: maxCandidates,
           votesNeeded: k,
-          reliable: false,
+          reliable: decided,
+          clusterDiagnostics: diagnostics,
         },
-        warning: 'Only one valid candidate - no voting performed',
-      };
-    }
+        clusters: sortedClusters,
+        clusteringMode,
+        budgetExhausted,
+        warning,
+      },
+    };
+  }
 
-    // Step 3: Clustering - group similar responses
-    console.log('[Step 3/4] Clustering similar responses...');
-    const responseCodes = validCandidates.map(c => c.content);
-    const clusters = this.clusterer.cluster(responseCodes, this.similarityThreshold);
+  /**
+   * Replace the clusters with a fresh partition of all valid candidates
+   * Member indices are mapped back to candidate indices, and per-cluster
+   * diagnostics are attached to each cluster.
+   * @returns {Object} - Stability diagnostics for the partition
+   * @private
+   */
+  _recluster(clusters, validCandidates, settings) {
+    const { clusters: fresh, diagnostics } = this.clusterer.clusterWithDiagnostics(
+      validCandidates.map(c => c.content),
+      settings.similarityThreshold,
+      { ...settings.clusterOptions, confidences: validCandidates.map(c => c.confidence) }
+    );
 
-    console.log(`  Formed ${clusters.length} clusters`);
-    clusters.forEach((cluster, i) => {
-      console.log(`    Cluster ${i + 1}: ${cluster.size} members (avg similarity: ${cluster.avgSimilarity.toFixed(2)})`);
-    });
+    clusters.splice(0, clusters.length, ...fresh.map((cluster, i) => ({
+      ...cluster,
+      members: cluster.members.map(m => ({ ...m, index: validCandidates[m.index].index })),
+      diagnostics: diagnostics?.clusters[i] || null,
+    })));
 
-    // Step 4: First-to-ahead-by-k voting
-    console.log('[Step 4/4] Running first-to-ahead-by-k voting...');
+    return diagnostics;
+  }
 
-    // Each cluster gets votes equal to its size
-    const votes = clusters.map((cluster, index) => ({
-      clusterIndex: index,
-      cluster,
-      votes: cluster.size,
-      representative: cluster.representative,
-    })).sort((a, b) => b.votes - a.votes);
+  /**
+   * Build a serializable record of a live vote
+   * @private
+   */
+  _buildVoteRecord(messages, task, settings, run) {
+    const { result, candidates, clusters } = run;
+    const valid = candidates.filter(c => c.validation.valid);
 
-    console.log('  Vote distribution:');
-    votes.forEach((v, i) => {
-      console.log(`    Cluster ${i + 1}: ${v.votes} votes`);
-    });
+    return {
+      messages,
+      task,
+      params: {
+        k: settings.k,
+        maxCandidates: settings.maxCandidates,
+        batchSize: settings.batchSize,
+        similarityThreshold: settings.similarityThreshold,
+        clusteringMode: settings.clusteringMode,
+        similarityMetric: settings.similarityMetric,
+        clusteringAlgorithm: settings.clusteringAlgorithm,
+        representative: settings.representative,
+        weighting: settings.weighting,
+        diversity: settings.diversity,
+        diversitySeed: settings.diversitySeed,
+        probes: settings.probes,
+        validatorOptions: settings.validatorOptions,
+        temperature: settings.temperature,
+        max_tokens: settings.max_tokens,
+      },
+      candidates: candidates.map(c => ({
+        index: c.index,
+        content: c.content,
+        raw: c.raw,
+        temperature: c.temperature,
+        tokens: c.tokens,
+        backend: c.backend,
+        model: c.model,
+        diversity: c.diversity,
+        validation: {
+          valid: c.validation.valid,
+          confidence: c.validation.confidence,
+          flags: c.validation.flags,
+          extraction: c.validation.extraction && {
+            method: c.validation.extraction.method,
+            blocks: c.validation.extraction.blocks,
+            discarded: c.validation.extraction.discarded.map(({ kind, reason }) => ({ kind, reason })),
+          },
+        },
+      })),
+      similarityMatrix: {
+        indices: valid.map(c => c.index),
+        values: this.clusterer.similarityMatrix(valid.map(c => c.content), settings.clusterOptions),
+      },
+      clusters: clusters.map(c => ({
+        representativeIndex: c.members[0].index,
+        memberIndices: c.members.map(m => m.index),
+        size: c.size,
+        weight: c.weight,
+        avgSimilarity: c.avgSimilarity,
+        diagnostics: c.diagnostics,
+        basis: c.basis,
+        fingerprint: c.fingerprint,
+        answer: c.answer?.key,
+      })),
+      outcome: result.outcome,
+      winnerIndex: result.tieBreak?.winnerIndex ?? clusters[0]?.members[0].index ?? null,
+      margin: result.votingStats.margin ?? 0,
+      tieBreak: result.tieBreak || null,
+      samplesDrawn: run.samplesDrawn,
+      votingStats: result.votingStats,
+    };
+  }
 
-    // Check for winner (first-to-ahead-by-k)
-    const winner = votes[0];
-    const runnerUp = votes[1] || { votes: 0 };
-    const margin = winner.votes - runnerUp.votes;
+  /**
+   * Rank clusters by votes and compute the leader's margin
+   * Both the raw count and the confidence-weighted total are computed;
+   * the weighting mode decides which one ranks clusters and sets the margin.
+   *
+   * @param {Array<Object>} clusters - Current clusters
+   * @param {Map<number, number>} confidences - Validator confidence per candidate index
+   * @param {string} weighting - 'count' or 'confidence'
+   * @private
+   */
+  _tally(clusters, confidences = new Map(), weighting = 'count') {
+    const votes = clusters.map((cluster, index) => {
+      const weight = cluster.members.reduce(
+        (sum, member) => sum + this._memberWeight(member, confidences), 0
+      );
 
-    const hasWinner = margin >= k;
-    const confidence = this._calculateConfidence(winner, runnerUp, k, validCandidates.length);
+      return {
+        clusterIndex: index,
+        cluster,
+        votes: cluster.size,
+        weight,
+        score: weighting === 'confidence' ? weight : cluster.size,
+        representative: cluster.representative,
+      };
+    }).sort((a, b) => b.score - a.score);
 
-    if (hasWinner) {
-      console.log(`  ✓ Winner found! (margin: ${margin} >= k: ${k})`);
-    } else {
-      console.log(`  ✗ No clear winner (margin: ${margin} < k: ${k})`);
-    }
+    const empty = { votes: 0, weight: 0, score: 0 };
+    const winner = votes[0] || empty;
+    const runnerUp = votes[1] || empty;
 
     return {
-      winner: winner.representative,
-      confidence,
-      votingStats: {
-        totalCandidates: candidates.length,
-        validCandidates: validCandidates.length,
-        clusterCount: clusters.length,
-        winnerVotes: winner.votes,
-        runnerUpVotes: runnerUp.votes,
-        margin,
-        votesNeeded: k,
-        reliable: hasWinner,
-      },
-      clusters,
-      warning: hasWinner ? null : `Margin (${margin}) below threshold (k=${k}) - result may be unreliable`,
+      votes,
+      winner,
+      runnerUp,
+      margin: winner.score - runnerUp.score,
     };
   }
 
+  /**
+   * Weight of one cluster member: validator confidence × similarity to the representative
+   * @private
+   */
+  _memberWeight(member, confidences) {
+    return (confidences.get(member.index) ?? 1) * member.similarity;
+  }
+
   /**
    * Calculate confidence score
    * @private
    */
   _calculateConfidence(winner, runnerUp, k, totalValid) {
-    // Base confidence from vote margin
-    const margin = winner.votes - runnerUp.votes;
+    // Base confidence from vote margin (raw or weighted, per the tally)
+    const margin = winner.score - runnerUp.score;
     const marginConfidence = Math.min(1.0, margin / k);
 
     // Confidence from cluster quality
@@ -273,8 +927,10 @@ class VotingManager {
     const criticalityFactor = task.critical ? 1.5 : 1.0;
 
     // Calculate optimal k
+    const baseReliability = task.baseReliability ??
+      this.estimateReliability(task.category || task.type || null).p;
     const k = Math.ceil(
-      this.calculateOptimalK(estimatedSteps, task.baseReliability) * criticalityFactor
+      this.calculateOptimalK(estimatedSteps, baseReliability) * criticalityFactor
     );
 
     console.log(`[Adaptive Voting] Estimated steps: ${estimatedSteps}, k: ${k}`);
@@ -324,28 +980,30 @@ class VotingManager {
   }
 
   /**
-   * Estimate cost of voting operation
+   * Estimate cost of a vote
+   * Uses the reliability estimate for the task type and the red-flag rate
+   * and tokens per call observed so far (see CostModel).
    *
    * @param {number} k - Voting threshold
    * @param {number} maxCandidates - Maximum candidates
-   * @param {number} avgTokensPerResponse - Average tokens per response
-   * @returns {Object} - Cost estimate
+   * @param {number} avgTokensPerResponse - Tokens per response until calls are observed
+   * @param {Object} options - { taskType, batchSize }
+   * @returns {Object} - Cost estimate (expected and worst-case calls and tokens, pDecided)
    */
-  estimateCost(k, maxCandidates, avgTokensPerResponse = 200) {
-    // From MAKER paper: E[cost] = Θ(s ln s)
-    // For our single-vote case, cost scales with k
-
-    const expectedValidCandidates = maxCandidates * 0.7; // 70% pass validation
-    const totalCompletionTokens = maxCandidates * avgTokensPerResponse;
+  estimateCost(k, maxCandidates, avgTokensPerResponse = 200, options = {}) {
+    const rates = this.costModel.getRates();
+    const { p } = this.estimateReliability(options.taskType || null);
 
-    return {
+    return this.costModel.estimateVote({
       k,
       maxCandidates,
-      expectedValidCandidates,
-      totalCompletionTokens,
-      scalingFactor: Math.log2(k + 1),
-    };
+      batchSize: options.batchSize || 1,
+      p,
+      validRate: rates.validRate,
+      tokensPerCall: rates.tokensPerCall ?? avgTokensPerResponse,
+    });
   }
+
 }
 
 export default VotingManager;
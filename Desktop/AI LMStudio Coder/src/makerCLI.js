@@ -17,6 +17,14 @@ import VotingManager from './maker/VotingManager.js';
 import TaskDecomposer from './maker/TaskDecomposer.js';
 import ResponseValidator from './maker/ResponseValidator.js';
 import CodeClusterer from './maker/CodeClusterer.js';
+import ModelEnsemble from './maker/ModelEnsemble.js';
+import VoteRecorder from './maker/VoteRecorder.js';
+import ReliabilityEstimator from './maker/ReliabilityEstimator.js';
+import CandidateDiversifier from './maker/CandidateDiversifier.js';
+import CostModel from './maker/CostModel.js';
+import LanguageRegistry from './maker/LanguageRegistry.js';
+import RedFlagRules from './maker/RedFlagRules.js';
+import ImportResolver from './maker/ImportResolver.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,19 +43,76 @@ class MAKERCLI {
     this.tokenCounter = new TokenCounter();
     this.fileOps = new FileOperations(this.rootPath);
 
+    // Model backends shared by every vote
+    this.ensemble = new ModelEnsemble();
+    this.ensemble.register('default', this.lmstudioClient);
+    for (const backend of this.config.maker.backends) {
+      this.ensemble.register(backend.name, this.createBackendClient(backend), {
+        weight: backend.weight,
+      });
+    }
+
+    // Persist every vote for offline replay
+    this.recorder = new VoteRecorder(this.fileOps, this.config.maker.voteLogPath, {
+      enabled: this.config.maker.recordVotes,
+    });
+
+    // Per-step success rate learned from past votes
+    this.reliability = new ReliabilityEstimator(this.fileOps, this.config.maker.reliabilityPath);
+
+    // Diversity strategies (and their win statistics) shared by every vote
+    this.diversifier = new CandidateDiversifier({ exemplars: this.config.maker.exemplars || undefined });
+
+    // Red-flag rate and tokens per call observed across votes, for cost forecasts
+    this.costModel = new CostModel();
+
+    // Language adapters (and their parse caches) shared by every component
+    this.languages = new LanguageRegistry({ smokeTest: this.config.maker.smokeTest });
+
+    // Red-flag rules (built in, plus the project rules file) shared by every validator
+    this.redFlagRules = new RedFlagRules();
+
+    // Resolves candidates' imports against the project (files, package.json, exports)
+    this.importResolver = new ImportResolver(this.fileOps, { languages: this.languages });
+
     // Initialize MAKER components
     this.executor = new MicroagentExecutor(
       this.lmstudioClient,
       this.tokenCounter,
-      this.fileOps
+      this.fileOps,
+      {
+        ensemble: this.ensemble,
+        recorder: this.recorder,
+        reliability: this.reliability,
+        diversifier: this.diversifier,
+        costModel: this.costModel,
+        languages: this.languages,
+        redFlagRules: this.redFlagRules,
+        importResolver: this.importResolver,
+      }
     );
-    this.votingManager = new VotingManager(this.lmstudioClient, this.tokenCounter);
-    this.validator = new ResponseValidator(this.tokenCounter);
-    this.clusterer = new CodeClusterer(this.tokenCounter);
+    this.votingManager = new VotingManager(this.lmstudioClient, this.tokenCounter, {
+      ensemble: this.ensemble,
+      recorder: this.recorder,
+      reliability: this.reliability,
+      diversifier: this.diversifier,
+      costModel: this.costModel,
+      languages: this.languages,
+      redFlagRules: this.redFlagRules,
+      importResolver: this.importResolver,
+    });
+    this.validator = new ResponseValidator(this.tokenCounter, {
+      languages: this.languages,
+      redFlagRules: this.redFlagRules,
+      importResolver: this.importResolver,
+    });
+    this.clusterer = new CodeClusterer(this.tokenCounter, { languages: this.languages });
 
     // State
     this.running = false;
     this.mode = 'normal'; // 'normal' or 'maker'
+    this.abortController = null; // Cancels the running query (Ctrl+C)
+    this.rl = null; // Readline interface (for confirmation prompts)
   }
 
   /**
@@ -59,15 +124,76 @@ class MAKERCLI {
       lmstudio: {
         baseURL: 'http://localhost:1234/v1',
         temperature: 0.7,
+        maxConcurrency: 4, // Parallel requests (match LMStudio's parallel slots)
       },
       maker: {
         defaultK: 3,
         similarityThreshold: 0.7,
         maxCandidates: 5,
+        clusteringMode: 'structural', // 'structural' or 'behavioral'
+        similarityMetric: 'features', // Structural similarity: 'features' or 'tree' (AST edit distance)
+        language: null, // Language adapter when the target file has no known extension (null = javascript)
+        clusteringAlgorithm: 'greedy', // 'greedy', 'agglomerative', 'dbscan' or 'components'
+        representative: 'first', // Cluster representative: 'first', 'medoid' or 'confidence'
+        weighting: 'count', // 'count' (one vote each) or 'confidence' (weighted by red-flag confidence)
+        rules: {}, // Red-flag rule overrides by id: { enabled, severity, penalty }
+        rulesPath: '.maker/rules.json', // Project red-flag rules (.json, or .js/.mjs for function rules)
+        securityAllowlist: {}, // Security rules allowed per subtask type: { [type|'*']: [rule ids] }
+        smokeTest: { timeoutMs: 200, memoryMb: 64 }, // Sandbox limits for the execution red flag (/rules enable execution)
+        diversity: ['temperature'], // Candidate diversity strategies, combined in order
+        // Few-shot { user, assistant, taskTypes, language } pairs for the 'exemplars'
+        // strategy (null = built-in JavaScript and Python code exemplars)
+        exemplars: null,
+        voteNormal: false, // Answer Normal mode questions with answer voting (like /ask) instead of one sample
+        tieBreak: false, // Judge tournament between top clusters when a vote is undecided
+        judgeSamples: 3, // Judge samples per tournament match
+        confirmForecast: true, // Ask before running a MAKER task, after showing its cost forecast
+        probes: null, // Probe inputs for behavioral clustering (null = generated)
+        // Extra model backends for ensemble voting:
+        // { name, baseURL, model, weight, maxConcurrency, contextWindow }
+        backends: [],
+        recordVotes: true, // Append every vote to voteLogPath for /replay
+        voteLogPath: '.maker/votes.jsonl',
+        targetSuccess: 0.95, // Target probability that a whole task succeeds (sets k)
+        reliabilityPath: '.maker/reliability.json',
+        // Limits per MAKER task and per subtask (null = unlimited)
+        budget: {
+          task: { maxTokens: null, maxTimeMs: null, maxCalls: null },
+          subtask: { maxTokens: null, maxTimeMs: null, maxCalls: null },
+        },
       },
     };
   }
 
+  /**
+   * Create a client for an additional model backend
+   * Backends without an explicit contextWindow inherit the primary client's.
+   */
+  createBackendClient(backend) {
+    const client = new LMStudioClient({
+      baseURL: backend.baseURL || this.config.lmstudio.baseURL,
+      model: backend.model,
+      temperature: this.config.lmstudio.temperature,
+      maxConcurrency: backend.maxConcurrency || 1,
+    });
+    client.contextWindow = backend.contextWindow || this.lmstudioClient.getContextWindow();
+    return client;
+  }
+
+  /**
+   * Give inherited context windows to backends that don't set their own
+   */
+  syncBackendContextWindows() {
+    const contextWindow = this.lmstudioClient.getContextWindow();
+
+    for (const backend of this.config.maker.backends) {
+      const entry = this.ensemble.get(backend.name);
+      if (entry && !backend.contextWindow) {
+        entry.client.contextWindow = contextWindow;
+      }
+    }
+  }
+
   /**
    * Start the CLI
    */
@@ -92,6 +218,8 @@ class MAKERCLI {
       await this.lmstudioClient.fetchModelCapabilities();
       const contextWindow = this.lmstudioClient.getContextWindow();
 
+      this.syncBackendContextWindows();
+
       if (contextWindow) {
         console.log(chalk.blue(`Model: ${this.lmstudioClient.model}`));
         console.log(chalk.blue(`Context window: ${contextWindow} tokens\n`));
@@ -104,6 +232,8 @@ class MAKERCLI {
       console.log(chalk.yellow('  Use /context <size> to set context window\n'));
     }
 
+    await this.loadRules();
+
     // Start main loop
     this.running = true;
     await this.mainLoop();
@@ -134,6 +264,7 @@ class MAKERCLI {
       output: process.stdout,
       prompt: this.getPrompt(),
     });
+    this.rl = rl;
 
     rl.prompt();
 
@@ -169,6 +300,17 @@ class MAKERCLI {
       rl.prompt();
     });
 
+    // Ctrl+C cancels the running task; a second Ctrl+C (or one while idle) exits
+    rl.on('SIGINT', () => {
+      if (this.abortController && !this.abortController.signal.aborted) {
+        console.log(chalk.yellow('\n\n⚠ Cancelling... (press Ctrl+C again to exit)'));
+        this.abortController.abort(new Error('Cancelled by user'));
+        return;
+      }
+
+      rl.close();
+    });
+
     rl.on('close', () => {
       console.log(chalk.yellow('\nGoodbye!\n'));
       process.exit(0);
@@ -210,8 +352,92 @@ class MAKERCLI {
         this.setKValue(args);
         break;
 
+      case 'concurrency':
+        this.setConcurrency(args);
+        break;
+
+      case 'clustering':
+        this.setClusteringMode(args);
+        break;
+
+      case 'metric':
+        this.setSimilarityMetric(args);
+        break;
+
+      case 'language':
+        this.setLanguage(args);
+        break;
+
+      case 'algorithm':
+        this.setClusteringAlgorithm(args);
+        break;
+
+      case 'representative':
+        this.setRepresentative(args);
+        break;
+
+      case 'weighting':
+        this.setWeighting(args);
+        break;
+
+      case 'rules':
+        await this.manageRules(args);
+        break;
+
+      case 'security':
+        this.manageSecurity(args);
+        break;
+
+      case 'diversity':
+        this.manageDiversity(args);
+        break;
+
+      case 'tiebreak':
+        this.setTieBreak(args);
+        break;
+
+      case 'confirm':
+        this.setConfirmForecast(args);
+        break;
+
+      case 'probes':
+        this.setProbes(args);
+        break;
+
+      case 'models':
+        await this.manageModels(args);
+        break;
+
+      case 'record':
+        this.setRecording(args);
+        break;
+
+      case 'replay':
+        await this.replayVote(args);
+        break;
+
+      case 'budget':
+        this.setBudget(args);
+        break;
+
+      case 'target':
+        this.setTargetSuccess(args);
+        break;
+
+      case 'reliability':
+        await this.showReliability();
+        break;
+
+      case 'vote':
+        this.setVoteNormal(args);
+        break;
+
+      case 'ask':
+        await this.runCancellable(signal => this.askWithVoting(args, signal));
+        break;
+
       case 'test':
-        await this.testVoting();
+        await this.runCancellable(signal => this.testVoting(signal));
         break;
 
       default:
@@ -230,7 +456,38 @@ class MAKERCLI {
     console.log(chalk.cyan('  /mode') + '              Toggle MAKER mode on/off');
     console.log(chalk.cyan('  /config') + '            Show current configuration');
     console.log(chalk.cyan('  /k <value>') + '         Set voting threshold (k)');
+    console.log(chalk.cyan('  /concurrency <n>') + '   Set parallel requests to LMStudio');
+    console.log(chalk.cyan('  /clustering <mode>') + ' Set clustering mode (structural|behavioral)');
+    console.log(chalk.cyan('  /metric <metric>') + '   Set structural similarity metric (features|tree)');
+    console.log(chalk.cyan('  /language <name>') + '   Set code language (auto|javascript|jsx|typescript|tsx|python)');
+    console.log(chalk.cyan('  /algorithm <name>') + '  Set clustering algorithm (greedy|agglomerative|dbscan|components)');
+    console.log(chalk.cyan('  /representative <strategy>') + ' Set cluster representative (first|medoid|confidence)');
+    console.log(chalk.cyan('  /weighting <mode>') + '  Set vote weighting (count|confidence)');
+    console.log(chalk.cyan('  /rules [enable|disable|severity|penalty|reload]'));
+    console.log('                      List red-flag rules or change one (e.g. /rules severity scope.undeclared critical)');
+    console.log(chalk.cyan('  /security [allow|deny] <type|*> <rule>'));
+    console.log('                      Allow a security red flag for a subtask type (e.g. /security allow delete recursive-delete)');
+    console.log(chalk.cyan('  /tiebreak [on|off] [samples]') + ' Judge tournament for undecided votes');
+    console.log(chalk.cyan('  /confirm [on|off]') + '  Ask for confirmation after the MAKER cost forecast');
+    console.log(chalk.cyan('  /vote [on|off]') + '     Vote on Normal mode answers (off: one sample, only /ask votes)');
+    console.log(chalk.cyan('  /diversity [strategies|stats|reset]'));
+    console.log('                      Set candidate diversity strategies (e.g. paraphrase,seed)');
+    console.log(chalk.cyan('  /probes <json>') + '     Set probe inputs for behavioral clustering');
+    console.log(chalk.cyan('  /models') + '            List ensemble backends and win rates');
+    console.log(chalk.cyan('  /models add <name> <url> <model> [weight]'));
+    console.log('                      Add a model backend to the ensemble');
+    console.log(chalk.cyan('  /models remove <name>') + ' Remove a model backend');
+    console.log(chalk.cyan('  /record [on|off]') + '   Toggle recording of votes');
+    console.log(chalk.cyan('  /replay [id|last] [k=N] [threshold=X] [clustering=mode] [metric=name] [algorithm=name] [representative=strategy] [weighting=mode] [maxTokens=N]'));
+    console.log('                      List recorded votes or replay one with new settings');
+    console.log(chalk.cyan('  /budget <task|subtask> [tokens=N] [time=S] [calls=N]'));
+    console.log('                      Set MAKER budgets (/budget clear to remove)');
+    console.log(chalk.cyan('  /target <prob>') + '     Set target task success probability (e.g. 0.95)');
+    console.log(chalk.cyan('  /reliability') + '       Show estimated per-step success rates');
+    console.log(chalk.cyan('  /ask [answer|json|choice|number] <question>'));
+    console.log('                      Answer a question by voting on normalized answers');
     console.log(chalk.cyan('  /test') + '              Test voting with simple task');
+    console.log(chalk.cyan('  Ctrl+C') + '             Cancel the running task (twice to exit)');
     console.log(chalk.cyan('  exit') + '               Exit the program\n');
 
     console.log(chalk.bold('Modes:\n'));
@@ -261,6 +518,7 @@ class MAKERCLI {
     }
 
     this.lmstudioClient.contextWindow = contextValue;
+    this.syncBackendContextWindows();
     console.log(chalk.green(`\n✓ Context window set to ${contextValue} tokens\n`));
   }
 
@@ -278,7 +536,9 @@ class MAKERCLI {
       console.log(chalk.dim('  - Red-flagging for quality control'));
       console.log(chalk.dim('  - Higher reliability, more API calls\n'));
     } else {
-      console.log(chalk.dim('  Normal mode: Direct queries without voting\n'));
+      console.log(chalk.dim(this.config.maker.voteNormal
+        ? `  Normal mode: Questions answered with answer voting (k=${this.config.maker.defaultK}, /vote off for direct queries)\n`
+        : '  Normal mode: Direct queries without voting (/vote on, or /ask, to vote on answers)\n'));
     }
   }
 
@@ -292,12 +552,33 @@ class MAKERCLI {
     console.log(`  Model: ${this.lmstudioClient.model}`);
     console.log(`  Context window: ${this.lmstudioClient.getContextWindow() || 'not set'}`);
     console.log(`  Temperature: ${this.lmstudioClient.temperature}`);
+    console.log(`  Max concurrency: ${this.lmstudioClient.getMaxConcurrency()}`);
 
     console.log(chalk.cyan('\nMAKER:'));
     console.log(`  Mode: ${this.mode}`);
     console.log(`  Default k: ${this.config.maker.defaultK}`);
+    console.log(`  Target success: ${this.config.maker.targetSuccess}`);
     console.log(`  Similarity threshold: ${this.config.maker.similarityThreshold}`);
-    console.log(`  Max candidates: ${this.config.maker.maxCandidates}\n`);
+    console.log(`  Max candidates: ${this.config.maker.maxCandidates}`);
+    console.log(`  Clustering mode: ${this.config.maker.clusteringMode}`);
+    console.log(`  Similarity metric: ${this.config.maker.similarityMetric}`);
+    console.log(`  Language: ${this.config.maker.language || 'auto (from target file, else javascript)'}`);
+    console.log(`  Clustering algorithm: ${this.config.maker.clusteringAlgorithm} (representative: ${this.config.maker.representative})`);
+    console.log(`  Vote weighting: ${this.config.maker.weighting}`);
+    const rules = this.redFlagRules.list(this.config.maker.rules);
+    console.log(`  Red-flag rules: ${rules.filter(r => r.enabled).length}/${rules.length} enabled (project rules: ${this.config.maker.rulesPath})`);
+    console.log(`  Security allowlist: ${this.describeAllowlist()}`);
+    const execution = rules.find(r => r.id === 'execution');
+    console.log(`  Smoke test: ${execution.enabled ? `on (${this.config.maker.smokeTest.timeoutMs}ms, ${this.config.maker.smokeTest.memoryMb} MB)` : 'off (/rules enable execution)'}`);
+    console.log(`  Diversity: ${this.config.maker.diversity.join(', ')}`);
+    console.log(`  Tie-break: ${this.config.maker.tieBreak ? `on (${this.config.maker.judgeSamples} judge samples per match)` : 'off'}`);
+    console.log(`  Confirm forecast: ${this.config.maker.confirmForecast ? 'on' : 'off'}`);
+    console.log(`  Normal mode voting: ${this.config.maker.voteNormal ? 'on' : 'off (only /ask votes)'}`);
+    console.log(`  Probes: ${this.config.maker.probes ? `${this.config.maker.probes.length} user-supplied` : 'generated per task'}`);
+    console.log(`  Model backends: ${this.ensemble.size()}`);
+    console.log(`  Vote recording: ${this.recorder.enabled ? `on (${this.recorder.filePath})` : 'off'}`);
+    console.log(`  Task budget: ${this.describeBudget(this.config.maker.budget.task)}`);
+    console.log(`  Subtask budget: ${this.describeBudget(this.config.maker.budget.subtask)}\n`);
   }
 
   /**
@@ -321,10 +602,866 @@ class MAKERCLI {
     console.log(chalk.green(`\n✓ Voting threshold (k) set to ${k}\n`));
   }
 
+  /**
+   * Set number of parallel requests
+   */
+  setConcurrency(args) {
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent max concurrency: ${this.lmstudioClient.getMaxConcurrency()}`));
+      console.log(chalk.dim('Usage: /concurrency <n>\n'));
+      return;
+    }
+
+    const concurrency = parseInt(args[0], 10);
+
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > 32) {
+      console.log(chalk.red('\n✗ Invalid concurrency. Must be between 1 and 32.\n'));
+      return;
+    }
+
+    this.config.lmstudio.maxConcurrency = concurrency;
+    this.lmstudioClient.setMaxConcurrency(concurrency);
+    console.log(chalk.green(`\n✓ Max concurrency set to ${concurrency}\n`));
+  }
+
+  /**
+   * Set clustering mode
+   */
+  setClusteringMode(args) {
+    const modes = ['structural', 'behavioral'];
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent clustering mode: ${this.config.maker.clusteringMode}`));
+      console.log(chalk.dim(`Usage: /clustering <${modes.join('|')}>\n`));
+      return;
+    }
+
+    const mode = args[0].toLowerCase();
+
+    if (!modes.includes(mode)) {
+      console.log(chalk.red(`\n✗ Invalid clustering mode. Must be one of: ${modes.join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.clusteringMode = mode;
+    console.log(chalk.green(`\n✓ Clustering mode set to ${mode}\n`));
+  }
+
+  /**
+   * Set structural similarity metric
+   */
+  setSimilarityMetric(args) {
+    const metrics = this.clusterer.metrics;
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent similarity metric: ${this.config.maker.similarityMetric}`));
+      console.log(chalk.dim(`Usage: /metric <${metrics.join('|')}>\n`));
+      return;
+    }
+
+    const metric = args[0].toLowerCase();
+
+    if (!metrics.includes(metric)) {
+      console.log(chalk.red(`\n✗ Invalid similarity metric. Must be one of: ${metrics.join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.similarityMetric = metric;
+    console.log(chalk.green(`\n✓ Similarity metric set to ${metric}\n`));
+  }
+
+  /**
+   * Set the code language used for parsing and prompts
+   */
+  setLanguage(args) {
+    const languages = this.languages.languages;
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent language: ${this.config.maker.language || 'auto'}`));
+      console.log(chalk.dim(`Usage: /language <auto|${languages.join('|')}>\n`));
+      return;
+    }
+
+    const language = args[0].toLowerCase();
+
+    if (language === 'auto') {
+      this.config.maker.language = null;
+      console.log(chalk.green('\n✓ Language detected from the target file\n'));
+      return;
+    }
+
+    if (!languages.includes(language)) {
+      console.log(chalk.red(`\n✗ Invalid language. Must be one of: auto, ${languages.join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.language = language;
+    console.log(chalk.green(`\n✓ Language set to ${language}\n`));
+  }
+
+  /**
+   * Set structural clustering algorithm
+   */
+  setClusteringAlgorithm(args) {
+    const algorithms = this.clusterer.algorithms.list();
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent clustering algorithm: ${this.config.maker.clusteringAlgorithm}`));
+      algorithms.forEach(({ name, description }) => console.log(chalk.dim(`  ${name}: ${description}`)));
+      console.log(chalk.dim(`Usage: /algorithm <${algorithms.map(a => a.name).join('|')}>\n`));
+      return;
+    }
+
+    const algorithm = args[0].toLowerCase();
+
+    if (!this.clusterer.algorithms.has(algorithm)) {
+      console.log(chalk.red(`\n✗ Invalid clustering algorithm. Must be one of: ${algorithms.map(a => a.name).join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.clusteringAlgorithm = algorithm;
+    console.log(chalk.green(`\n✓ Clustering algorithm set to ${algorithm}\n`));
+  }
+
+  /**
+   * Set how a cluster's representative is chosen
+   */
+  setRepresentative(args) {
+    const strategies = this.clusterer.representatives;
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent representative: ${this.config.maker.representative}`));
+      console.log(chalk.dim(`Usage: /representative <${strategies.join('|')}>\n`));
+      return;
+    }
+
+    const strategy = args[0].toLowerCase();
+
+    if (!strategies.includes(strategy)) {
+      console.log(chalk.red(`\n✗ Invalid representative strategy. Must be one of: ${strategies.join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.representative = strategy;
+    console.log(chalk.green(`\n✓ Representative set to ${strategy}\n`));
+  }
+
+  /**
+   * Set vote weighting mode
+   */
+  setWeighting(args) {
+    const modes = ['count', 'confidence'];
+
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent vote weighting: ${this.config.maker.weighting}`));
+      console.log(chalk.dim(`Usage: /weighting <${modes.join('|')}>\n`));
+      return;
+    }
+
+    const mode = args[0].toLowerCase();
+
+    if (!modes.includes(mode)) {
+      console.log(chalk.red(`\n✗ Invalid weighting mode. Must be one of: ${modes.join(', ')}.\n`));
+      return;
+    }
+
+    this.config.maker.weighting = mode;
+    console.log(chalk.green(`\n✓ Vote weighting set to ${mode}\n`));
+  }
+
+  /**
+   * Enable or disable the judge tie-break tournament
+   */
+  setTieBreak(args) {
+    if (args.length === 0) {
+      const state = this.config.maker.tieBreak ? 'on' : 'off';
+      console.log(chalk.blue(`\nTie-break: ${state} (${this.config.maker.judgeSamples} judge samples per match)`));
+      console.log(chalk.dim('Usage: /tiebreak <on|off> [judge samples]\n'));
+      return;
+    }
+
+    const setting = args[0].toLowerCase();
+    if (setting !== 'on' && setting !== 'off') {
+      console.log(chalk.red('\n✗ Usage: /tiebreak <on|off> [judge samples]\n'));
+      return;
+    }
+
+    if (args[1] !== undefined) {
+      const samples = parseInt(args[1], 10);
+      if (isNaN(samples) || samples < 1 || samples > 9) {
+        console.log(chalk.red('\n✗ Invalid judge samples. Must be between 1 and 9.\n'));
+        return;
+      }
+      this.config.maker.judgeSamples = samples;
+    }
+
+    this.config.maker.tieBreak = setting === 'on';
+    console.log(chalk.green(`\n✓ Tie-break ${setting}${this.config.maker.tieBreak ? ` (${this.config.maker.judgeSamples} judge samples per match)` : ''}\n`));
+  }
+
+  /**
+   * Enable or disable confirmation after the MAKER cost forecast
+   */
+  setConfirmForecast(args) {
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nConfirm forecast: ${this.config.maker.confirmForecast ? 'on' : 'off'}`));
+      console.log(chalk.dim('Usage: /confirm <on|off>\n'));
+      return;
+    }
+
+    const setting = args[0].toLowerCase();
+    if (setting !== 'on' && setting !== 'off') {
+      console.log(chalk.red('\n✗ Usage: /confirm <on|off>\n'));
+      return;
+    }
+
+    this.config.maker.confirmForecast = setting === 'on';
+    console.log(chalk.green(`\n✓ Forecast confirmation ${setting}\n`));
+  }
+
+  /**
+   * Enable or disable answer voting for Normal mode questions
+   */
+  setVoteNormal(args) {
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nNormal mode voting: ${this.config.maker.voteNormal ? 'on' : 'off'}`));
+      console.log(chalk.dim('Usage: /vote <on|off>\n'));
+      return;
+    }
+
+    const setting = args[0].toLowerCase();
+    if (setting !== 'on' && setting !== 'off') {
+      console.log(chalk.red('\n✗ Usage: /vote <on|off>\n'));
+      return;
+    }
+
+    this.config.maker.voteNormal = setting === 'on';
+    console.log(chalk.green(`\n✓ Normal mode voting ${setting}\n`));
+  }
+
+  /**
+   * Ask whether to run a MAKER task after its cost forecast
+   * Ctrl+C while the question is open cancels the task.
+   * @returns {Promise<boolean>}
+   */
+  async confirmForecast(signal) {
+    if (!this.rl) return true;
+
+    const answer = await new Promise(resolve => {
+      const onAbort = () => resolve('n');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.rl.question(chalk.yellow('Proceed with MAKER execution? [Y/n] '), { signal }, value => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      });
+    });
+
+    return !answer.trim().toLowerCase().startsWith('n');
+  }
+
+  /**
+   * Show or set candidate diversity strategies
+   */
+  manageDiversity(args) {
+    const [action] = args;
+
+    if (!action) {
+      console.log(chalk.blue(`\nCurrent diversity: ${this.config.maker.diversity.join(', ')}\n`));
+      console.log(chalk.bold('Available strategies:'));
+      for (const strategy of this.diversifier.list()) {
+        console.log(`  ${chalk.cyan(strategy.name.padEnd(12))} ${strategy.description}`);
+      }
+      console.log(chalk.dim('\nUsage: /diversity <strategy,strategy,...> | stats | reset\n'));
+      return;
+    }
+
+    if (action.toLowerCase() === 'stats') {
+      const stats = this.diversifier.getStats();
+      if (stats.length === 0) {
+        console.log(chalk.yellow('\nNo diversity statistics yet\n'));
+        return;
+      }
+
+      console.log(chalk.bold('\nDiversity Variants:\n'));
+      for (const s of stats) {
+        const validRate = s.validRate === null ? '-' : `${(s.validRate * 100).toFixed(1)}%`;
+        const winRate = s.winRate === null ? '-' : `${(s.winRate * 100).toFixed(1)}%`;
+        console.log(`  ${chalk.cyan(`${s.strategy}=${s.variant}`)}  samples: ${s.samples}, valid: ${validRate}, win rate: ${winRate}`);
+      }
+      console.log('');
+      return;
+    }
+
+    if (action.toLowerCase() === 'reset') {
+      this.diversifier.resetStats();
+      console.log(chalk.green('\n✓ Diversity statistics reset\n'));
+      return;
+    }
+
+    const names = args.join(',').split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = names.filter(name => !this.diversifier.has(name));
+
+    if (unknown.length > 0) {
+      console.log(chalk.red(`\n✗ Unknown diversity strategy: ${unknown.join(', ')}. Run /diversity to list them.\n`));
+      return;
+    }
+
+    if (names.includes('exemplars') && this.diversifier.exemplars.length === 0) {
+      console.log(chalk.red('\n✗ No exemplars configured for the exemplars strategy (maker.exemplars)\n'));
+      return;
+    }
+
+    this.config.maker.diversity = names;
+    console.log(chalk.green(`\n✓ Diversity set to ${names.join(' + ')}\n`));
+    if (names.includes('exemplars')) {
+      const languages = [...new Set(this.diversifier.exemplars.map(e => e.language || 'any language'))];
+      console.log(chalk.dim(`  ${this.diversifier.exemplars.length} exemplar(s) for ${languages.join(', ')}; other tasks are left unchanged\n`));
+    }
+  }
+
+  /**
+   * Set probe inputs for behavioral clustering
+   */
+  setProbes(args) {
+    if (args.length === 0) {
+      const probes = this.config.maker.probes;
+      console.log(chalk.blue(`\nCurrent probes: ${probes ? JSON.stringify(probes) : 'generated per task'}`));
+      console.log(chalk.dim('Usage: /probes [[arg1, arg2], [arg1, arg2], ...] | /probes clear\n'));
+      return;
+    }
+
+    if (args[0].toLowerCase() === 'clear') {
+      this.config.maker.probes = null;
+      console.log(chalk.green('\n✓ Probes cleared - inputs will be generated per task\n'));
+      return;
+    }
+
+    let probes;
+    try {
+      probes = JSON.parse(args.join(' '));
+    } catch (error) {
+      console.log(chalk.red(`\n✗ Invalid JSON: ${error.message}\n`));
+      return;
+    }
+
+    if (!Array.isArray(probes) || probes.length === 0) {
+      console.log(chalk.red('\n✗ Probes must be a non-empty JSON array of argument lists.\n'));
+      return;
+    }
+
+    this.config.maker.probes = probes;
+    console.log(chalk.green(`\n✓ ${probes.length} probe input(s) set\n`));
+  }
+
+  /**
+   * List, add or remove ensemble model backends
+   */
+  async manageModels(args) {
+    const [action, ...rest] = args;
+
+    if (!action || action.toLowerCase() === 'list') {
+      console.log(chalk.bold('\nModel Backends:\n'));
+      for (const stats of this.ensemble.getStats()) {
+        const validRate = stats.validRate === null ? '-' : `${(stats.validRate * 100).toFixed(1)}%`;
+        const winRate = stats.winRate === null ? '-' : `${(stats.winRate * 100).toFixed(1)}%`;
+        console.log(chalk.cyan(`  ${stats.name}`) + ` (weight ${stats.weight})`);
+        console.log(`    ${stats.model} @ ${stats.baseURL}`);
+        console.log(chalk.dim(`    Votes: ${stats.votes}, samples: ${stats.samples}, valid: ${validRate}, win rate: ${winRate}`));
+      }
+      console.log('');
+      return;
+    }
+
+    switch (action.toLowerCase()) {
+      case 'add': {
+        const [name, baseURL, model, weightArg] = rest;
+
+        if (!name || !baseURL || !model) {
+          console.log(chalk.dim('\nUsage: /models add <name> <baseURL> <model> [weight]\n'));
+          return;
+        }
+
+        if (name === 'default') {
+          console.log(chalk.red('\n✗ "default" is reserved for the primary LMStudio client.\n'));
+          return;
+        }
+
+        const weight = weightArg ? parseFloat(weightArg) : 1;
+        if (isNaN(weight) || weight <= 0) {
+          console.log(chalk.red('\n✗ Invalid weight. Must be a positive number.\n'));
+          return;
+        }
+
+        const backend = { name, baseURL, model, weight };
+        const client = this.createBackendClient(backend);
+
+        try {
+          await client.testConnection();
+        } catch (error) {
+          console.log(chalk.red(`\n✗ Could not reach ${baseURL}: ${error.message}\n`));
+          return;
+        }
+
+        this.config.maker.backends = this.config.maker.backends.filter(b => b.name !== name);
+        this.config.maker.backends.push(backend);
+        this.ensemble.register(name, client, { weight });
+        console.log(chalk.green(`\n✓ Added backend ${name} (${model}, weight ${weight})\n`));
+        break;
+      }
+
+      case 'remove': {
+        const [name] = rest;
+
+        if (!name || name === 'default') {
+          console.log(chalk.dim('\nUsage: /models remove <name> (the default backend cannot be removed)\n'));
+          return;
+        }
+
+        if (!this.ensemble.unregister(name)) {
+          console.log(chalk.red(`\n✗ No backend named ${name}\n`));
+          return;
+        }
+
+        this.config.maker.backends = this.config.maker.backends.filter(b => b.name !== name);
+        console.log(chalk.green(`\n✓ Removed backend ${name}\n`));
+        break;
+      }
+
+      default:
+        console.log(chalk.red(`\nUnknown /models action: ${action}`));
+        console.log(chalk.dim('Usage: /models [list|add|remove]\n'));
+    }
+  }
+
+  /**
+   * Load the project red-flag rules file, if there is one
+   */
+  async loadRules() {
+    try {
+      const loaded = await this.redFlagRules.loadFile(this.fileOps, this.config.maker.rulesPath);
+      if (loaded) {
+        console.log(chalk.green(`✓ Loaded ${loaded.rules.length} red-flag rule(s) and ${loaded.overrides.length} override(s) from ${this.config.maker.rulesPath}\n`));
+      }
+      return loaded;
+    } catch (error) {
+      console.log(chalk.red(`✗ Could not load red-flag rules from ${this.config.maker.rulesPath}: ${error.message}\n`));
+      return null;
+    }
+  }
+
+  /**
+   * List red-flag rules, or enable, disable or re-weight one
+   */
+  async manageRules(args) {
+    const [action, id, value] = args;
+
+    if (!action || action.toLowerCase() === 'list') {
+      console.log(chalk.bold('\nRed-Flag Rules:\n'));
+      for (const rule of this.redFlagRules.list(this.config.maker.rules)) {
+        const name = rule.enabled ? chalk.cyan(`  ${rule.id}`) : chalk.dim(`  ${rule.id} (disabled)`);
+        const types = rule.taskTypes ? `, tasks: ${rule.taskTypes.join('|')}` : '';
+        const source = rule.source === 'builtin' ? '' : `, from ${rule.source}`;
+        console.log(`${name} ${rule.severity}, penalty ${rule.penalty}${types}${source}`);
+        if (rule.description) console.log(chalk.dim(`    ${rule.description}`));
+      }
+      console.log('');
+      return;
+    }
+
+    if (action.toLowerCase() === 'reload') {
+      await this.loadRules();
+      return;
+    }
+
+    const settingsFor = {
+      enable: () => ({ enabled: true }),
+      disable: () => ({ enabled: false }),
+      severity: () => ({ severity: value?.toLowerCase() }),
+      penalty: () => ({ penalty: parseFloat(value) }),
+    }[action.toLowerCase()];
+
+    if (!settingsFor) {
+      console.log(chalk.red(`\nUnknown /rules action: ${action}`));
+      console.log(chalk.dim('Usage: /rules [list|enable <id>|disable <id>|severity <id> <level>|penalty <id> <0-1>|reload]\n'));
+      return;
+    }
+
+    if (!id || (['severity', 'penalty'].includes(action.toLowerCase()) && value === undefined)) {
+      console.log(chalk.dim(`\nUsage: /rules ${action.toLowerCase()} <id>${['severity', 'penalty'].includes(action.toLowerCase()) ? ' <value>' : ''}\n`));
+      return;
+    }
+
+    // Overrides are per session (and recorded with each vote), the rules file is untouched
+    const settings = { ...this.config.maker.rules[id], ...settingsFor() };
+    try {
+      this.redFlagRules.validateOverrides({ [id]: settings });
+    } catch (error) {
+      console.log(chalk.red(`\n✗ ${error.message}\n`));
+      return;
+    }
+
+    this.config.maker.rules = { ...this.config.maker.rules, [id]: settings };
+    const [rule] = this.redFlagRules.list({ [id]: settings }).filter(r => r.id === id);
+    console.log(chalk.green(`\n✓ ${id}: ${rule.enabled ? 'enabled' : 'disabled'}, ${rule.severity}, penalty ${rule.penalty}\n`));
+  }
+
+  /**
+   * Show the security allowlist, or allow or deny a security rule for a subtask type
+   */
+  manageSecurity(args) {
+    const [action, type, name] = args;
+    const rules = this.redFlagRules.list(this.config.maker.rules).filter(r => r.id.startsWith('security.'));
+
+    if (!action) {
+      console.log(chalk.bold('\nSecurity Red Flags:\n'));
+      for (const rule of rules) {
+        const allowed = Object.entries(this.config.maker.securityAllowlist)
+          .filter(([, ids]) => ids.includes(rule.id))
+          .map(([subtaskType]) => subtaskType);
+        const label = rule.enabled ? chalk.cyan(`  ${rule.id}`) : chalk.dim(`  ${rule.id} (disabled)`);
+        console.log(`${label} ${rule.severity}${allowed.length > 0 ? `, allowed for: ${allowed.join(', ')}` : ''}`);
+        console.log(chalk.dim(`    ${rule.description}`));
+      }
+      console.log(chalk.dim('\nUsage: /security [allow|deny] <type|*> <rule> (types: read, write, edit, create, delete)\n'));
+      return;
+    }
+
+    const verb = action.toLowerCase();
+    if (!['allow', 'deny'].includes(verb) || !type || !name) {
+      console.log(chalk.dim('\nUsage: /security [allow|deny] <type|*> <rule> (e.g. /security allow delete recursive-delete)\n'));
+      return;
+    }
+
+    const id = name.startsWith('security.') ? name : `security.${name}`;
+    const current = this.config.maker.securityAllowlist[type] || [];
+    const ids = verb === 'allow' ? [...new Set([...current, id])] : current.filter(existing => existing !== id);
+    const allowlist = { ...this.config.maker.securityAllowlist, [type]: ids };
+    if (ids.length === 0) delete allowlist[type];
+
+    try {
+      this.redFlagRules.validateAllowlist(allowlist);
+    } catch (error) {
+      console.log(chalk.red(`\n✗ ${error.message}\n`));
+      return;
+    }
+
+    // Per session (and recorded with each vote)
+    this.config.maker.securityAllowlist = allowlist;
+    const scope = type === '*' ? 'all subtasks' : `${type} subtasks`;
+    console.log(chalk.green(`\n✓ ${id} ${verb === 'allow' ? 'allowed' : 'flagged again'} for ${scope}\n`));
+  }
+
+  /**
+   * Describe the security allowlist for display
+   */
+  describeAllowlist() {
+    const parts = Object.entries(this.config.maker.securityAllowlist)
+      .map(([type, ids]) => `${type}: ${ids.join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'none';
+  }
+
+  /**
+   * Toggle vote recording
+   */
+  setRecording(args) {
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nVote recording: ${this.recorder.enabled ? 'on' : 'off'} (${this.recorder.filePath})`));
+      console.log(chalk.dim('Usage: /record <on|off>\n'));
+      return;
+    }
+
+    const value = args[0].toLowerCase();
+
+    if (value !== 'on' && value !== 'off') {
+      console.log(chalk.red('\n✗ Invalid value. Use /record on or /record off.\n'));
+      return;
+    }
+
+    this.config.maker.recordVotes = value === 'on';
+    this.recorder.setEnabled(this.config.maker.recordVotes);
+    console.log(chalk.green(`\n✓ Vote recording ${value}\n`));
+  }
+
+  /**
+   * List recorded votes, or replay one with different settings
+   */
+  async replayVote(args) {
+    const [id, ...settingArgs] = args;
+
+    if (!id) {
+      const records = await this.recorder.load();
+
+      if (records.length === 0) {
+        console.log(chalk.yellow(`\nNo recorded votes in ${this.recorder.filePath}\n`));
+        return;
+      }
+
+      console.log(chalk.bold(`\nRecorded Votes (${records.length}):\n`));
+      for (const record of records.slice(-10)) {
+        const margin = record.margin ?? 0;
+        console.log(`  ${chalk.cyan(record.id.slice(0, 8))}  ${record.timestamp}  ${record.outcome}  k=${record.params.k}  margin=${margin}  samples=${record.samplesDrawn}`);
+      }
+      console.log(chalk.dim('\nUsage: /replay <id|last> [k=N] [threshold=X] [clustering=mode] [metric=name] [algorithm=name] [representative=strategy] [weighting=mode] [maxCandidates=N] [maxTokens=N]\n'));
+      return;
+    }
+
+    const record = await this.recorder.get(id);
+    if (!record) {
+      console.log(chalk.red(`\n✗ No unique recorded vote matches "${id}"\n`));
+      return;
+    }
+
+    const overrides = {};
+    for (const arg of settingArgs) {
+      const [key, value] = arg.split('=');
+
+      switch (key) {
+        case 'k':
+          overrides.k = parseInt(value, 10);
+          break;
+        case 'threshold':
+          overrides.similarityThreshold = parseFloat(value);
+          break;
+        case 'clustering':
+          overrides.clusteringMode = value;
+          break;
+        case 'metric':
+          overrides.similarityMetric = value;
+          break;
+        case 'algorithm':
+          overrides.clusteringAlgorithm = value;
+          break;
+        case 'representative':
+          overrides.representative = value;
+          break;
+        case 'weighting':
+          overrides.weighting = value;
+          break;
+        case 'maxCandidates':
+          overrides.maxCandidates = parseInt(value, 10);
+          break;
+        case 'maxTokens':
+          overrides.validatorOptions = { ...record.params.validatorOptions, maxTokens: parseInt(value, 10) };
+          break;
+        default:
+          console.log(chalk.red(`\n✗ Unknown replay setting: ${key}\n`));
+          return;
+      }
+    }
+
+    try {
+      const result = await this.votingManager.replay(record, overrides);
+
+      console.log(chalk.bold('\n━━━ Replay Result ━━━\n'));
+      console.log(`  Original: ${result.original.outcome} (margin ${result.original.margin}, winner #${result.original.winnerIndex})`);
+      console.log(`  Replay:   ${result.outcome} (margin ${result.votingStats.margin ?? 0}, winner #${result.clusters[0]?.members[0].index ?? '-'})`);
+      console.log(chalk.dim(`  Clusters: ${result.votingStats.clusterCount}, valid: ${result.votingStats.validCandidates}/${result.votingStats.totalCandidates}, samples: ${result.votingStats.samplesDrawn}\n`));
+    } catch (error) {
+      console.error(chalk.red('\n✗ Replay failed:'), error.message, '\n');
+    }
+  }
+
+  /**
+   * Describe a budget scope for display
+   */
+  describeBudget(budget) {
+    const parts = [];
+    if (budget.maxTokens != null) parts.push(`${budget.maxTokens} tokens`);
+    if (budget.maxTimeMs != null) parts.push(`${budget.maxTimeMs / 1000}s`);
+    if (budget.maxCalls != null) parts.push(`${budget.maxCalls} calls`);
+    return parts.length > 0 ? parts.join(', ') : 'unlimited';
+  }
+
+  /**
+   * Set task or subtask budgets
+   */
+  setBudget(args) {
+    const budget = this.config.maker.budget;
+    const [scope, ...limits] = args;
+
+    if (!scope) {
+      console.log(chalk.blue(`\nTask budget: ${this.describeBudget(budget.task)}`));
+      console.log(chalk.blue(`Subtask budget: ${this.describeBudget(budget.subtask)}`));
+      console.log(chalk.dim('Usage: /budget <task|subtask> [tokens=N] [time=seconds] [calls=N] | /budget clear\n'));
+      return;
+    }
+
+    if (scope.toLowerCase() === 'clear') {
+      budget.task = { maxTokens: null, maxTimeMs: null, maxCalls: null };
+      budget.subtask = { maxTokens: null, maxTimeMs: null, maxCalls: null };
+      console.log(chalk.green('\n✓ Budgets cleared\n'));
+      return;
+    }
+
+    if (scope !== 'task' && scope !== 'subtask') {
+      console.log(chalk.red('\n✗ Budget scope must be "task" or "subtask".\n'));
+      return;
+    }
+
+    const updated = { ...budget[scope] };
+    for (const limit of limits) {
+      const [key, rawValue] = limit.split('=');
+      const value = rawValue === 'none' ? null : parseFloat(rawValue);
+
+      if (value !== null && (isNaN(value) || value <= 0)) {
+        console.log(chalk.red(`\n✗ Invalid value for ${key}. Must be a positive number or "none".\n`));
+        return;
+      }
+
+      switch (key) {
+        case 'tokens':
+          updated.maxTokens = value;
+          break;
+        case 'time':
+          updated.maxTimeMs = value === null ? null : value * 1000;
+          break;
+        case 'calls':
+          updated.maxCalls = value;
+          break;
+        default:
+          console.log(chalk.red(`\n✗ Unknown budget limit: ${key} (use tokens, time or calls)\n`));
+          return;
+      }
+    }
+
+    budget[scope] = updated;
+    console.log(chalk.green(`\n✓ ${scope === 'task' ? 'Task' : 'Subtask'} budget: ${this.describeBudget(updated)}\n`));
+  }
+
+  /**
+   * Set target success probability
+   */
+  setTargetSuccess(args) {
+    if (args.length === 0) {
+      console.log(chalk.blue(`\nCurrent target success: ${this.config.maker.targetSuccess}`));
+      console.log(chalk.dim('Usage: /target <probability between 0 and 1>\n'));
+      return;
+    }
+
+    const target = parseFloat(args[0]);
+
+    if (isNaN(target) || target <= 0 || target >= 1) {
+      console.log(chalk.red('\n✗ Invalid target. Must be between 0 and 1 (exclusive).\n'));
+      return;
+    }
+
+    this.config.maker.targetSuccess = target;
+    console.log(chalk.green(`\n✓ Target success set to ${target}\n`));
+  }
+
+  /**
+   * Show estimated per-step success rates
+   */
+  async showReliability() {
+    await this.reliability.load();
+
+    const overall = this.votingManager.estimateReliability();
+    const target = this.config.maker.targetSuccess;
+
+    console.log(chalk.bold('\nPer-Step Reliability:\n'));
+    console.log(`  Ensemble estimate: p=${overall.p.toFixed(3)} (${overall.source}, ${overall.samples} samples)`);
+    console.log(`  Target success: ${target}`);
+    for (const steps of [1, 10, 100]) {
+      console.log(chalk.dim(`    ${steps} step(s) → k=${this.votingManager.calculateOptimalK(steps, overall.p, target)}`));
+    }
+
+    const buckets = this.reliability.list();
+    if (buckets.length > 0) {
+      console.log('');
+      for (const bucket of buckets) {
+        console.log(`  ${chalk.cyan(bucket.model)} / ${bucket.taskType}: p=${bucket.p.toFixed(3)} (${bucket.samples} samples, ${bucket.votes} votes)`);
+      }
+    } else {
+      console.log(chalk.dim('\n  No votes recorded yet - using prior'));
+    }
+    console.log('');
+  }
+
+  /**
+   * Run a long operation that Ctrl+C can cancel
+   * @param {Function} operation - (signal) => Promise
+   */
+  async runCancellable(operation) {
+    this.abortController = new AbortController();
+    try {
+      return await operation(this.abortController.signal);
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Answer a question with MAKER voting on normalized answers
+   */
+  async askWithVoting(args, signal) {
+    const types = ['answer', 'json', 'choice', 'number'];
+    const type = types.includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'answer';
+    const question = args.join(' ').trim();
+
+    if (!question) {
+      console.log(chalk.blue('\nUsage: /ask [answer|json|choice|number] <question>'));
+      console.log(chalk.dim('For choice questions, list options as "A) ... B) ..."\n'));
+      return;
+    }
+
+    await this.voteOnAnswer(type, question, signal);
+  }
+
+  /**
+   * Vote on the normalized answer to a question and show the winner
+   * @param {string} type - Answer task type: 'answer', 'json', 'choice' or 'number'
+   * @param {string} question - The question
+   * @param {AbortSignal} signal - Cancels the vote
+   * @param {Object} options - { showResponse: print the winning response, not just its answer }
+   */
+  async voteOnAnswer(type, question, signal, options = {}) {
+    const task = { type, description: question };
+    const instructions = this.votingManager.clusterer.answerNormalizer.formatInstructions(task);
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are a helpful assistant. ${instructions}`,
+      },
+      {
+        role: 'user',
+        content: question,
+      },
+    ];
+
+    try {
+      const result = await this.votingManager.vote(messages, task, {
+        k: this.config.maker.defaultK,
+        maxCandidates: this.config.maker.maxCandidates,
+        weighting: this.config.maker.weighting,
+        validatorOptions: { rules: this.config.maker.rules, securityAllowlist: this.config.maker.securityAllowlist },
+        diversity: this.config.maker.diversity,
+        tieBreak: this.config.maker.tieBreak,
+        judgeSamples: this.config.maker.judgeSamples,
+        temperature: 0.7,
+        signal,
+      });
+
+      console.log(chalk.bold('\n━━━ Answer ━━━\n'));
+      const shown = options.showResponse ? result.winner ?? result.answer : result.answer ?? result.winner;
+      console.log(shown ?? chalk.red(result.warning));
+      console.log(chalk.dim(`\nOutcome: ${result.outcome} (decided by ${result.decidedBy})`));
+      console.log(chalk.dim(`Confidence: ${(result.confidence * 100).toFixed(1)}%`));
+      console.log(chalk.dim(`Votes: ${result.votingStats.winnerVotes ?? 0}/${result.votingStats.validCandidates}, samples drawn: ${result.votingStats.samplesDrawn}\n`));
+    } catch (error) {
+      if (signal?.aborted) {
+        console.log(chalk.yellow('\n⚠ Question cancelled\n'));
+        return;
+      }
+      console.error(chalk.red('\n✗ Voting failed:'), error.message, '\n');
+    }
+  }
+
   /**
    * Test voting
    */
-  async testVoting() {
+  async testVoting(signal) {
     console.log(chalk.bold('\n━━━ Voting Test ━━━\n'));
 
     const testMessages = [
@@ -341,19 +1478,40 @@ class MAKERCLI {
     try {
       const result = await this.votingManager.vote(testMessages, {
         type: 'code',
+        language: this.config.maker.language || undefined,
         expectedLength: 150,
       }, {
         k: this.config.maker.defaultK,
         maxCandidates: 5,
+        clusteringMode: this.config.maker.clusteringMode,
+        similarityMetric: this.config.maker.similarityMetric,
+        clusteringAlgorithm: this.config.maker.clusteringAlgorithm,
+        representative: this.config.maker.representative,
+        weighting: this.config.maker.weighting,
+        validatorOptions: { rules: this.config.maker.rules, securityAllowlist: this.config.maker.securityAllowlist },
+        diversity: this.config.maker.diversity,
+        tieBreak: this.config.maker.tieBreak,
+        judgeSamples: this.config.maker.judgeSamples,
+        probes: this.config.maker.probes,
+        signal,
       });
 
       console.log(chalk.bold('\n━━━ Result ━━━\n'));
-      console.log(result.winner);
-      console.log(chalk.dim(`\nConfidence: ${(result.confidence * 100).toFixed(1)}%`));
+      console.log(result.winner ?? chalk.red(result.warning));
+      console.log(chalk.dim(`\nOutcome: ${result.outcome} (decided by ${result.decidedBy})`));
+      console.log(chalk.dim(`Confidence: ${(result.confidence * 100).toFixed(1)}%`));
       console.log(chalk.dim(`Votes: ${result.votingStats.winnerVotes}/${result.votingStats.validCandidates}`));
+      if (result.votingStats.winnerWeight !== undefined) {
+        console.log(chalk.dim(`Weighted: ${result.votingStats.winnerWeight.toFixed(2)} vs ${result.votingStats.runnerUpWeight.toFixed(2)} (${result.votingStats.weighting} decides)`));
+      }
+      console.log(chalk.dim(`Samples drawn: ${result.votingStats.samplesDrawn}/${result.votingStats.maxSamples}`));
       console.log(chalk.dim(`Clusters: ${result.votingStats.clusterCount}\n`));
 
     } catch (error) {
+      if (signal?.aborted) {
+        console.log(chalk.yellow('\n⚠ Test cancelled\n'));
+        return;
+      }
       console.error(chalk.red('\n✗ Test failed:'), error.message, '\n');
     }
   }
@@ -362,17 +1520,17 @@ class MAKERCLI {
    * Handle user query
    */
   async handleQuery(query) {
-    if (this.mode === 'maker') {
-      await this.handleMAKERQuery(query);
-    } else {
-      await this.handleNormalQuery(query);
-    }
+    await this.runCancellable(signal => (
+      this.mode === 'maker'
+        ? this.handleMAKERQuery(query, signal)
+        : this.handleNormalQuery(query, signal)
+    ));
   }
 
   /**
    * Handle MAKER mode query
    */
-  async handleMAKERQuery(query) {
+  async handleMAKERQuery(query, signal) {
     console.log(chalk.dim('\n[Using MAKER framework]\n'));
 
     try {
@@ -382,22 +1540,61 @@ class MAKERCLI {
         useAI: true,
         maxCandidates: this.config.maker.maxCandidates,
         temperature: 0.7,
+        clusteringMode: this.config.maker.clusteringMode,
+        similarityMetric: this.config.maker.similarityMetric,
+        language: this.config.maker.language,
+        clusteringAlgorithm: this.config.maker.clusteringAlgorithm,
+        representative: this.config.maker.representative,
+        weighting: this.config.maker.weighting,
+        validatorOptions: { rules: this.config.maker.rules, securityAllowlist: this.config.maker.securityAllowlist },
+        diversity: this.config.maker.diversity,
+        tieBreak: this.config.maker.tieBreak,
+        judgeSamples: this.config.maker.judgeSamples,
+        probes: this.config.maker.probes,
+        budget: this.config.maker.budget,
+        targetSuccess: this.config.maker.targetSuccess,
+        confirm: this.config.maker.confirmForecast ? () => this.confirmForecast(signal) : null,
+        signal,
       });
 
-      console.log(chalk.bold('\n━━━ Task Complete ━━━\n'));
+      if (result.declined && !result.cancelled) {
+        console.log(chalk.yellow('\n⚠ Task not run\n'));
+        return;
+      }
+
+      const heading = result.cancelled ? 'Task Cancelled' : result.partial ? 'Task Stopped (Budget)' : 'Task Complete';
+      console.log(chalk.bold(`\n━━━ ${heading} ━━━\n`));
       console.log(chalk.green(`Success rate: ${(result.successRate * 100).toFixed(1)}%`));
       console.log(chalk.green(`Average confidence: ${(result.avgConfidence * 100).toFixed(1)}%`));
-      console.log(chalk.green(`Completed: ${result.completed}/${result.totalSubtasks} subtasks\n`));
+      console.log(chalk.green(`Completed: ${result.completed}/${result.totalSubtasks} subtasks`));
+      if (result.partial) {
+        console.log(chalk.yellow(`Skipped: ${result.skipped} subtasks (${result.abortReason})`));
+      }
+      const failedCalls = result.usage.task.failedCalls ? ` (${result.usage.task.failedCalls} failed)` : '';
+      console.log(chalk.dim(`Usage: ${result.usage.task.calls} calls${failedCalls}, ${result.usage.task.tokens} tokens`));
+      const { calls, tokens } = result.costReport;
+      console.log(chalk.dim(`Voting vs forecast: ${calls.actual} calls (~${Math.round(calls.forecast)} forecast, ${calls.worstCase} worst case), ${tokens.actual} tokens (~${tokens.forecast} forecast)\n`));
 
     } catch (error) {
+      if (signal?.aborted) {
+        console.log(chalk.yellow('\n⚠ Task cancelled before any subtask ran\n'));
+        return;
+      }
       console.error(chalk.red('\n✗ Execution failed:'), error.message, '\n');
     }
   }
 
   /**
    * Handle normal mode query
+   * One sample, unless Normal mode voting is on (/vote): then the question
+   * goes through answer voting like /ask.
    */
-  async handleNormalQuery(query) {
+  async handleNormalQuery(query, signal) {
+    if (this.config.maker.voteNormal) {
+      await this.voteOnAnswer('answer', query, signal, { showResponse: true });
+      return;
+    }
+
     console.log(''); // Blank line before response
 
     const messages = [
@@ -416,6 +1613,7 @@ class MAKERCLI {
 
       const response = await this.lmstudioClient.complete(messages, {
         temperature: 0.7,
+        signal,
         onProgress: (tokens, text) => {
           // Clear line and show progress
           process.stdout.write(`\r${chalk.dim(`[${tokens} tokens]`)} ${text.slice(-60)}`);
@@ -437,6 +1635,11 @@ class MAKERCLI {
       console.log(''); // Blank line after response
 
     } catch (error) {
+      if (signal?.aborted) {
+        process.stdout.write('\r' + ' '.repeat(100) + '\r');
+        console.log(chalk.yellow('⚠ Query cancelled\n'));
+        return;
+      }
       console.error(chalk.red('\n✗ Query failed:'), error.message, '\n');
     }
   }
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BudgetGovernor from '../src/maker/BudgetGovernor.js';
+import VotingManager from '../src/maker/VotingManager.js';
+
+test('failed calls count toward the call budget', () => {
+  const budget = new BudgetGovernor({ task: { maxCalls: 3 } });
+  budget.start();
+
+  budget.recordCall({ completionTokens: 100 }, 1000);
+  budget.recordCall(null, 20, { failed: true });
+  assert.equal(budget.allowedSamples(5), 1);
+
+  budget.recordCall(null, 20, { failed: true });
+  assert.equal(budget.allowedSamples(5), 0);
+  assert.equal(budget.getReport().task.failedCalls, 2);
+});
+
+test('averages only use completed calls', () => {
+  const budget = new BudgetGovernor({ task: { maxTokens: 1000 } });
+  budget.start();
+
+  budget.recordCall({ completionTokens: 100 }, 1000);
+  budget.recordCall(null, 5, { failed: true });
+  budget.recordCall(null, 5, { failed: true });
+
+  // 900 tokens left at 100 per completed call
+  assert.equal(budget.allowedSamples(20), 9);
+  assert.equal(budget._avgCallMs(), 1000);
+});
+
+test('a vote whose calls keep failing stops at the call budget', async () => {
+  let calls = 0;
+  const client = {
+    model: 'failing',
+    getMaxConcurrency: () => 1,
+    complete: async () => {
+      calls++;
+      throw new Error('Connection to LMStudio was interrupted.');
+    },
+  };
+  const voting = new VotingManager(client, { countTokens: text => Math.ceil(text.length / 4) });
+  const budget = new BudgetGovernor({ task: { maxCalls: 2 } });
+  budget.start();
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await assert.rejects(
+      voting.vote([{ role: 'user', content: 'Write add' }], { type: 'code' }, { k: 2, maxCandidates: 8, budget }),
+      /call budget exhausted \(2\/2 calls\)/
+    );
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CandidateDiversifier from '../src/maker/CandidateDiversifier.js';
+
+const messages = [
+  { role: 'system', content: 'You write code.' },
+  { role: 'user', content: 'Write add(a, b)' },
+];
+
+test('exemplars are inserted before the request by default', () => {
+  const diversifier = new CandidateDiversifier();
+  const first = diversifier.apply(['exemplars'], messages, 0, {}, { task: { type: 'code' }, language: 'javascript' });
+  const second = diversifier.apply(['exemplars'], messages, 1, {}, { task: { type: 'code' }, language: 'javascript' });
+
+  assert.equal(first.messages.length, 4);
+  assert.deepEqual(first.messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+  assert.match(first.messages[2].content, /```javascript/);
+  assert.notEqual(first.variant.exemplars, second.variant.exemplars);
+});
+
+test('exemplars follow the task language, and task exemplars come first', () => {
+  const diversifier = new CandidateDiversifier();
+
+  const python = diversifier.apply(['exemplars'], messages, 0, {}, { task: { type: 'code' }, language: 'python' });
+  assert.match(python.messages[2].content, /```python/);
+
+  const own = { user: 'Say hi', assistant: 'hi' };
+  const custom = diversifier.apply(['exemplars'], messages, 0, {}, { task: { type: 'code', exemplars: [own] } });
+  assert.equal(custom.messages[2].content, 'hi');
+});
+
+test('tasks without matching exemplars are left unchanged', () => {
+  const diversifier = new CandidateDiversifier();
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+
+  try {
+    const answer = diversifier.apply(['exemplars'], messages, 0, {}, { task: { type: 'number' } });
+    diversifier.apply(['exemplars'], messages, 1, {}, { task: { type: 'number' } });
+    assert.equal(answer.messages, messages);
+    assert.equal(answer.variant.exemplars, 'none');
+    assert.equal(warnings.length, 1);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CodeCanonicalizer from '../src/maker/CodeCanonicalizer.js';
+
+const canonicalizer = new CodeCanonicalizer();
+const hash = code => canonicalizer.canonicalize(code).hash;
+
+test('equivalent function forms share a hash', () => {
+  assert.equal(hash('function add(a, b) { return a + b; }'), hash('const sum = (x, y) => x + y;'));
+  assert.equal(hash('const f = x => x;'), hash('const g = x => { return x; };'));
+  assert.notEqual(hash('function add(a, b) { return a + b; }'), hash('function add(a, b) { return a - b; }'));
+});
+
+test('a const function expression keeps its own name bound', () => {
+  const recursive = 'const f = function g(n) { return n && g(n - 1); };';
+  const free = 'const f = function h(n) { return n && g(n - 1); };';
+
+  assert.notEqual(hash(recursive), hash(free));
+  assert.equal(hash(recursive), hash('const f = function h(n) { return n && h(n - 1); };'));
+  assert.equal(hash(recursive), hash('function f(n) { return n && f(n - 1); }'));
+});
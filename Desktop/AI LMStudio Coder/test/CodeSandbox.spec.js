@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import CodeSandbox from '../src/maker/CodeSandbox.js';
+
+const sandbox = new CodeSandbox();
+after(() => sandbox.close());
+
+test('candidates with the same behavior get the same fingerprint', () => {
+  const probes = [[1, 2], [0, 0], [-1, 5]];
+  const plus = sandbox.run('function add(a, b) { return a + b; }', probes);
+  const reduce = sandbox.run('export const add = (...values) => values.reduce((a, b) => a + b, 0);', probes);
+  const minus = sandbox.run('function add(a, b) { return a - b; }', probes);
+
+  assert.equal(plus.executable, true);
+  assert.equal(plus.fingerprint, reduce.fingerprint);
+  assert.notEqual(plus.fingerprint, minus.fingerprint);
+  assert.deepEqual(plus.outputs, ['ok:3', 'ok:0', 'ok:4']);
+});
+
+test('console and the context global lead nowhere outside the sandbox', () => {
+  const code = `function reach(vector) {
+  const routes = [
+    () => console.log.constructor('return process')(),
+    () => globalThis.constructor.constructor('return process')(),
+    () => Object.getPrototypeOf(globalThis).constructor.constructor('return process')(),
+  ];
+  return typeof routes[vector]().pid;
+}`;
+
+  const result = sandbox.run(code, [[0], [1], [2]]);
+  assert.deepEqual(result.outputs, ['throw:ReferenceError', 'throw:ReferenceError', 'throw:ReferenceError']);
+});
+
+test('outputs are serialized under the probe timeout', () => {
+  const code = `function make() {
+  return { get value() { for (;;) {} } };
+}`;
+
+  const started = Date.now();
+  const result = sandbox.run(code, [[]]);
+  assert.deepEqual(result.outputs, ['timeout']);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('promise jobs count toward the timeout instead of running after it', async () => {
+  const code = `async function spin() {
+  await 0;
+  while (true) {}
+}`;
+
+  const result = sandbox.run(code, [[]]);
+  assert.deepEqual(result.outputs, ['timeout']);
+
+  // Nothing left queued to block the host once run() has returned
+  const started = Date.now();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(Date.now() - started < 200);
+});
+
+test('code that throws while loading is not executable', () => {
+  const result = sandbox.run("throw { get message() { for (;;) {} } };\nfunction f() {}", [[]]);
+  assert.equal(result.executable, false);
+  assert.match(result.reason, /^Failed to load/);
+});
+
+test('an unhandled rejection fails that candidate, not the next one', () => {
+  const probes = [[1, 2]];
+  const rejecting = sandbox.run("Promise.reject(new Error('later'));\nfunction add(a, b) { return a + b; }", probes);
+  assert.equal(rejecting.executable, false);
+  assert.match(rejecting.reason, /unhandled promise rejection: later/);
+
+  const started = Date.now();
+  const clean = sandbox.run('function add(a, b) { return a + b; }', probes);
+  assert.deepEqual(clean.outputs, ['ok:3']);
+  assert.ok(Date.now() - started < 500);
+
+  // A rejected result is an output
+  const async = sandbox.run("async function add() { throw new Error('no'); }", probes);
+  assert.deepEqual(async.outputs, ['ok:[Promise]']);
+});
+
+test('only identifiers are accepted as entry points', () => {
+  const result = sandbox.run('function add(a, b) { return a + b; }', [[1, 2]], { entry: 'add; globalThis.x = 1' });
+  assert.equal(result.executable, false);
+  assert.match(result.reason, /not an identifier/);
+});
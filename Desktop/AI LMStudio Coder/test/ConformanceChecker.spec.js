@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ConformanceChecker from '../src/maker/ConformanceChecker.js';
+import JavaScriptAdapter from '../src/maker/JavaScriptAdapter.js';
+import ResponseValidator from '../src/maker/ResponseValidator.js';
+
+const checker = new ConformanceChecker();
+const adapter = new JavaScriptAdapter('javascript');
+const tokenCounter = { countTokens: text => Math.ceil(text.length / 4) };
+
+const expect = (target, description) => checker.expectations({ type: 'write', target, description }, null, adapter);
+const findings = (expects, code) => checker.check(expects, { code, symbols: adapter.symbols(code), category: 'write' });
+
+test('splits a target into its file and symbol', () => {
+  assert.deepEqual(ConformanceChecker.parseTarget('src/utils.js'), { file: 'src/utils.js', symbol: null });
+  assert.deepEqual(ConformanceChecker.parseTarget('src/utils.js:validateEmail'), { file: 'src/utils.js', symbol: 'validateEmail' });
+  assert.deepEqual(ConformanceChecker.parseTarget('validateEmail in src/utils.js'), { file: 'src/utils.js', symbol: 'validateEmail' });
+  assert.deepEqual(ConformanceChecker.parseTarget('Cart.total'), { file: null, symbol: 'Cart.total' });
+  assert.deepEqual(ConformanceChecker.parseTarget('email validation'), { file: null, symbol: null });
+});
+
+test('takes a name from the description only when it is to be defined', () => {
+  const defined = {
+    'Add a function `slugify` that lowercases a title': 'slugify',
+    'Implement parseConfig() for the loader': 'parseConfig',
+    'Create the ShoppingCart class': 'ShoppingCart',
+    'Write a helper function named formatDate': 'formatDate',
+  };
+  for (const [description, name] of Object.entries(defined)) {
+    assert.equal(expect('src/app.js', description)?.symbol, name, description);
+  }
+
+  const used = [
+    'Use the useState hook to track the count',
+    'Read config using fs.readFileSync',
+    'Call addEventListener on the submit button',
+    'Parse the JSON body of the request and return userId',
+    'Create a utility function for dates',
+  ];
+  for (const description of used) {
+    assert.equal(expect('src/app.js', description), null, description);
+  }
+});
+
+test('passes a candidate that only uses a name its description mentions', () => {
+  const validator = new ResponseValidator(tokenCounter);
+  const task = {
+    type: 'code',
+    category: 'write',
+    expects: expect('src/Counter.jsx', 'Use the useState hook to track the count'),
+  };
+  const code = "import { useState } from 'react';\n" +
+    'export function Counter() {\n  const [count, setCount] = useState(0);\n  return count;\n}';
+
+  const result = validator.validate('```javascript\n' + code + '\n```', task);
+  assert.ok(!result.flags.some(flag => flag.rule.startsWith('conformance.')));
+  assert.equal(result.valid, true);
+});
+
+test('description names are a warning; target names stay critical', () => {
+  const validator = new ResponseValidator(tokenCounter);
+  const code = 'export function other() {\n  return 1;\n}';
+  const response = '```javascript\n' + code + '\n```';
+
+  const described = validator.validate(response, {
+    type: 'code', category: 'write', expects: expect('src/text.js', 'Add a function `slugify`'),
+  });
+  const missing = described.flags.find(flag => flag.rule === 'conformance.missing');
+  assert.equal(missing.severity, 'medium');
+  assert.equal(described.valid, true);
+
+  const targeted = validator.validate(response, {
+    type: 'code', category: 'write', expects: expect('src/text.js:slugify', ''),
+  });
+  assert.equal(targeted.flags.find(flag => flag.rule === 'conformance.missing').severity, 'critical');
+  assert.equal(targeted.valid, false);
+});
+
+test('does not expect a described name the candidate imports', () => {
+  const expects = expect('src/app.js', 'Add a function `readSettings`');
+  assert.deepEqual(findings(expects, "import { readSettings } from './settings.js';\nexport const ready = readSettings();"), []);
+  assert.equal(findings(expects, 'export const ready = true;')[0].check, 'missing');
+});
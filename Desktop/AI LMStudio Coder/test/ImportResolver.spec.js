@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileOperations from '../src/core/fileOperations.js';
+import ImportResolver from '../src/maker/ImportResolver.js';
+import LanguageRegistry from '../src/maker/LanguageRegistry.js';
+
+const languages = new LanguageRegistry();
+const adapter = languages.get('javascript');
+let root;
+let resolver;
+
+// A scratch project: src/helpers.js, src/conditional.js and a package.json
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'maker-imports-'));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'scratch', dependencies: { lodash: '^4.0.0' } }));
+  fs.writeFileSync(path.join(root, 'src', 'helpers.js'), 'export function helper() {}\nexport const other = 1;\n');
+  fs.writeFileSync(path.join(root, 'src', 'conditional.js'),
+    "exports.a = 1;\nif (process.env.EXTRA) {\n  exports.extra = 2;\n}\n");
+  fs.writeFileSync(path.join(root, 'src', 'plain.js'), 'exports.a = 1;\nmodule.exports.b = 2;\n');
+
+  resolver = new ImportResolver(new FileOperations(root), { languages });
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const check = (code, from, plannedFiles = []) => resolver.check(adapter.parse(code), { from, plannedFiles });
+
+test('resolves relative imports from the file part of the target', () => {
+  const code = "import { helper } from './helpers';";
+  for (const target of ['src/app.js', 'src/app.js:main', 'main in src/app.js']) {
+    assert.deepEqual(check(code, target), [], target);
+  }
+  assert.equal(check(code, 'main')[0].check, 'unresolved');
+});
+
+test('reports missing files, dependencies and exports', () => {
+  const findings = check("import { missing } from './helpers';\nimport x from './nowhere';\nimport y from 'left-pad';\nimport _ from 'lodash';", 'src/app.js');
+  assert.deepEqual(findings.map(finding => [finding.check, finding.source]), [
+    ['missing-export', './helpers'],
+    ['unresolved', './nowhere'],
+    ['unresolved', 'left-pad'],
+  ]);
+});
+
+test('counts files the plan will create', () => {
+  const planned = ['src/format.js'];
+  assert.deepEqual(check("import { format } from './format';", 'render in src/app.js', planned), []);
+});
+
+test('does not check names against modules with conditional exports', () => {
+  assert.deepEqual(check("const { extra } = require('./conditional');", 'src/app.js'), []);
+  assert.equal(check("const { extra } = require('./plain');", 'src/app.js')[0].check, 'missing-export');
+});
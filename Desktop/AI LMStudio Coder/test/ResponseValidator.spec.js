@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ResponseValidator from '../src/maker/ResponseValidator.js';
+
+const tokenCounter = { countTokens: text => Math.ceil(text.length / 4) };
+const fence = code => '```javascript\n' + code + '\n```';
+
+// Validator whose JavaScript smoke test only counts calls
+function spiedValidator() {
+  const validator = new ResponseValidator(tokenCounter);
+  const spy = { calls: 0 };
+  validator.languages.get('javascript').smokeTest = () => {
+    spy.calls++;
+    return { ok: true, durationMs: 0 };
+  };
+  return { validator, spy };
+}
+
+const withExecution = { rules: { execution: { enabled: true } } };
+
+test('runs the smoke test on clean code when the execution rule is on', () => {
+  const { validator, spy } = spiedValidator();
+  validator.validate(fence('const sum = (a, b) => a + b;\nmodule.exports = { sum };'), { type: 'code' }, withExecution);
+  assert.equal(spy.calls, 1);
+});
+
+test('never runs code that already raised a blocking flag', () => {
+  const { validator, spy } = spiedValidator();
+
+  const network = validator.validate(
+    fence("fetch('https://example.com/collect', { method: 'POST', body: 'hello' });"),
+    { type: 'code' },
+    withExecution
+  );
+  const processes = validator.validate(
+    fence("require('child_process').execSync('touch /tmp/maker-should-not-exist');"),
+    { type: 'code' },
+    withExecution
+  );
+
+  assert.ok(network.flags.some(flag => flag.rule === 'security.network'));
+  assert.ok(processes.flags.some(flag => flag.rule === 'security.child-process'));
+  assert.equal(spy.calls, 0);
+});
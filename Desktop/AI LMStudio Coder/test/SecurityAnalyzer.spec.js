@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JavaScriptAdapter from '../src/maker/JavaScriptAdapter.js';
+
+const adapter = new JavaScriptAdapter('javascript');
+const checks = code => adapter.analyzeSecurity(code).map(finding => finding.check);
+
+test('flags eval, child processes and secret reads', () => {
+  assert.deepEqual(checks("eval('1 + 1');"), ['eval']);
+  assert.deepEqual(checks("const { exec } = require('child_process');\nexec('ls');"), ['child-process']);
+  assert.deepEqual(checks("fetch('https://example.com', { body: process.env.API_KEY });"), ['network', 'env-secrets']);
+});
+
+test('flags the Function constructor reached through .constructor', () => {
+  const flagged = [
+    "[].constructor.constructor('return process')();",
+    "(() => {}).constructor('return process')();",
+    'const AsyncFunction = (async function () {}).constructor;',
+    "''['constr' + 'uctor'][`constructor`]('return process')();",
+    "Object.constructor('return ' + 'process')();",
+    "Buffer.constructor.call(null, 'return process')();",
+    "new URL.constructor('return process')();",
+    "value?.constructor?.constructor('return process')();",
+  ];
+
+  for (const code of flagged) {
+    assert.deepEqual(checks(code), ['eval'], code);
+  }
+});
+
+test('leaves ordinary uses of .constructor alone', () => {
+  const clean = [
+    'class Point { clone() { return new this.constructor(this.x, this.y); } }',
+    'const copy = new date.constructor(date.getTime());',
+    'const kind = value.constructor.name;',
+    'if (value.constructor === Object) {}',
+  ];
+
+  for (const code of clean) {
+    assert.deepEqual(checks(code), [], code);
+  }
+});
+
+test('judges a write path by its leading segment', () => {
+  const inside = [
+    "const fs = require('fs');\nfs.writeFileSync(`${dir}/${name}.json`, data);",
+    "const fs = require('fs');\nfs.writeFileSync(dir + '/' + name, data);",
+    "const fs = require('fs');\nconst path = require('path');\nfs.writeFileSync(path.join(__dirname, '..', 'out.json'), data);",
+  ];
+  for (const code of inside) {
+    assert.deepEqual(checks(code), [], code);
+  }
+
+  const outside = [
+    "const fs = require('fs');\nfs.writeFileSync('/etc/hosts', data);",
+    "const fs = require('fs');\nfs.writeFileSync(`/etc/${name}`, data);",
+    "const fs = require('fs');\nfs.writeFileSync('../' + name, data);",
+    "import fs from 'fs';\nimport path from 'path';\nfs.writeFileSync(path.join('..', 'out.json'), data);",
+  ];
+  for (const code of outside) {
+    assert.deepEqual(checks(code), ['outside-project'], code);
+  }
+});
+
+test('resolves module names built from static strings', () => {
+  const processes = [
+    'require(`child_process`);',
+    "require('child_' + 'process');",
+    'await import(`child_process`);',
+    "process.mainModule.require('child_process');",
+    "module.require('child_process');",
+    "const { exec } = require(`child_process`);\nexec('ls');",
+  ];
+  for (const code of processes) {
+    assert.ok(checks(code).includes('child-process'), code);
+  }
+});
+
+test('flags require() and import() of computed module names', () => {
+  assert.deepEqual(checks('require(name);'), ['eval']);
+  assert.deepEqual(checks("require('child' + suffix);"), ['eval']);
+  assert.deepEqual(checks('await import(`${prefix}_process`);'), ['eval']);
+  assert.deepEqual(checks('const messages = await import(`./locales/${lang}.js`);'), []);
+});
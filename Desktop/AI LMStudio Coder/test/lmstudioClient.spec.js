@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import LMStudioClient from '../src/core/lmstudioClient.js';
+
+const client = new LMStudioClient({});
+
+test('sleep leaves no abort listener behind when it finishes', async () => {
+  const controller = new AbortController();
+  for (let i = 0; i < 5; i++) {
+    await client.sleep(1, controller.signal);
+  }
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('sleep wakes early when the signal is aborted', async () => {
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 10);
+  await client.sleep(5000, controller.signal);
+  assert.ok(Date.now() - started < 1000);
+});